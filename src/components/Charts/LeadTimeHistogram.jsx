@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { calculateMetricChange } from '../../utils/metricsCalculator';
+import { getLeadTimeDistribution } from '../../utils/leadTime';
+import MetricChange from '../Dashboard/MetricChange';
+
+/**
+ * LeadTimeHistogram Component
+ *
+ * Booking window distribution: share of bookings per lead time bucket, one bar
+ * per period so periods can be compared, plus the median and p25 / p75 / p90
+ * lead time of each period with change vs the previous one. Lead times come
+ * from calculateHostelMetrics().leadTime (valid direct bookings).
+ *
+ * @param {Array} weeklyData - Periods to compare
+ * @param {Array} allHostels - Hostel names for the hostel filter
+ * @param {Array} colors - Bar colors, one per period
+ * @param {boolean} showCharts - Whether the charts area is open
+ */
+const LeadTimeHistogram = ({ weeklyData, allHostels, colors, showCharts }) => {
+    // '' = all hostels combined
+    const [hostel, setHostel] = useState('');
+
+    if (!showCharts) return null;
+
+    const { chartData, periods, hasData } = getLeadTimeDistribution(weeklyData, { hostel: hostel || undefined });
+    if (!hasData && !hostel) return null;
+
+    return (
+        <div className="mb-8 p-6 bg-gray-50 rounded-xl">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4 gap-4">
+                <h3 className="text-lg font-semibold text-gray-800">Lead Time Distribution</h3>
+                <select
+                    value={hostel}
+                    onChange={(e) => setHostel(e.target.value)}
+                    className="border border-gray-300 rounded-lg px-3 py-1 text-sm"
+                >
+                    <option value="">All hostels</option>
+                    {allHostels.map(name => (
+                        <option key={name} value={name}>{name}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div className="h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={chartData}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="bucket" tick={{ fontSize: 12 }} />
+                        <YAxis unit="%" />
+                        <Tooltip formatter={(value) => `${value}%`} />
+                        <Legend />
+                        {periods.map(({ week }, index) => (
+                            <Bar key={week} dataKey={week} fill={colors[index % colors.length]} />
+                        ))}
+                    </BarChart>
+                </ResponsiveContainer>
+            </div>
+
+            {/* Median and percentiles per period */}
+            <div className="overflow-x-auto mt-4">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="border-b-2 border-gray-200">
+                            <th className="text-left py-2 px-2 sm:px-4 font-bold text-gray-800">Lead time (days)</th>
+                            {periods.map(({ week }) => (
+                                <th key={week} className="text-center py-2 px-2 sm:px-4 font-bold text-gray-800 min-w-32">{week}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr className="border-b border-gray-100">
+                            <td className="py-2 px-2 sm:px-4 font-semibold text-gray-700">Median</td>
+                            {periods.map(({ week, metrics }, index) => (
+                                <td key={week} className="py-2 px-2 sm:px-4 text-center">
+                                    {metrics.median != null ? (
+                                        <>
+                                            <div className="font-bold text-gray-800">{metrics.median}</div>
+                                            <div className="text-xs text-gray-500">{metrics.count} bookings</div>
+                                            {index > 0 && periods[index - 1].metrics.median != null && (
+                                                <MetricChange changes={calculateMetricChange(metrics.median, periods[index - 1].metrics.median)} />
+                                            )}
+                                        </>
+                                    ) : (
+                                        <span className="text-gray-300">-</span>
+                                    )}
+                                </td>
+                            ))}
+                        </tr>
+                        <tr className="border-b border-gray-100">
+                            <td className="py-2 px-2 sm:px-4 pl-8 text-gray-600">p25 / p75 / p90</td>
+                            {periods.map(({ week, metrics }) => (
+                                <td key={week} className="py-2 px-2 sm:px-4 text-center text-gray-700">
+                                    {metrics.count > 0
+                                        ? `${metrics.percentiles.p25} / ${metrics.percentiles.p75} / ${metrics.percentiles.p90}`
+                                        : '-'}
+                                </td>
+                            ))}
+                        </tr>
+                        <tr>
+                            <td className="py-2 px-2 sm:px-4 pl-8 text-gray-600">Mean</td>
+                            {periods.map(({ week, metrics }) => (
+                                <td key={week} className="py-2 px-2 sm:px-4 text-center text-gray-500">
+                                    {metrics.mean ?? '-'}
+                                </td>
+                            ))}
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default LeadTimeHistogram;
@@ -0,0 +1,47 @@
+import React, { useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { buildPickupCurve } from '../../utils/pace';
+
+/**
+ * PickupCurveChart Component
+ *
+ * Pickup curve of one stay month: on-the-books room-nights by days before
+ * arrival, this year vs the same month last year (when last year's bookings
+ * are loaded). Reconstructed from booking and cancellation dates.
+ *
+ * @param {Array} weeklyData - Loaded periods (incl. last year's for the comparison line)
+ * @param {string} monthKey - Stay month ("YYYY-MM")
+ * @param {string} [hostel] - Hostel name (all hostels when empty)
+ */
+const PickupCurveChart = ({ weeklyData, monthKey, hostel }) => {
+    const { chartData, hasLastYear } = useMemo(
+        () => buildPickupCurve(weeklyData, monthKey, { hostel: hostel || undefined }),
+        [weeklyData, monthKey, hostel]
+    );
+
+    return (
+        <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={chartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="daysBefore" tick={{ fontSize: 12 }} label={{ value: 'Days before arrival', position: 'insideBottom', offset: -2, fontSize: 12 }} />
+                    <YAxis />
+                    <Tooltip
+                        labelFormatter={(days) => `${days} days before arrival`}
+                        formatter={(value, name, { payload }) => [
+                            `${value} room-nights (€${name === 'This year' ? payload.thisYearRevenue : payload.lastYearRevenue})`,
+                            name
+                        ]}
+                    />
+                    <Legend verticalAlign="top" />
+                    <Line type="monotone" dataKey="thisYear" name="This year" stroke="#0D9488" strokeWidth={2} dot={{ r: 3 }} />
+                    {hasLastYear && (
+                        <Line type="monotone" dataKey="lastYear" name="Last year" stroke="#9CA3AF" strokeWidth={2} strokeDasharray="5 5" dot={false} />
+                    )}
+                </LineChart>
+            </ResponsiveContainer>
+        </div>
+    );
+};
+
+export default PickupCurveChart;
@@ -1,7 +1,7 @@
 import React from 'react';
 import { LineChart as RechartsLineChart, BarChart as RechartsBarChart, Line, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 
-const ReservationChart = ({ chartData, allHostels, colors, chartType, setChartType, showCharts }) => {
+const ReservationChart = ({ chartData, channelChartData = [], chartChannels = [], allHostels, colors, chartType, setChartType, showCharts }) => {
     if (!showCharts || chartData.length === 0) return null;
 
     return (
@@ -64,6 +64,33 @@ const ReservationChart = ({ chartData, allHostels, colors, chartType, setChartTy
                     )}
                 </ResponsiveContainer>
             </div>
+
+            {/* Channel mix: valid reservations per channel, stacked */}
+            {chartChannels.length > 0 && (
+                <>
+                    <h3 className="text-lg font-semibold text-gray-800 mt-8 mb-4">Channel Mix</h3>
+                    <div className="h-80">
+                        <ResponsiveContainer width="100%" height="100%">
+                            <RechartsBarChart data={channelChartData}>
+                                <CartesianGrid strokeDasharray="3 3" />
+                                <XAxis dataKey="week" tick={{ fontSize: 12 }} />
+                                <YAxis />
+                                <Tooltip />
+                                <Legend />
+                                {chartChannels.map(channel => (
+                                    <Bar
+                                        key={channel.id}
+                                        dataKey={channel.id}
+                                        name={channel.name}
+                                        stackId="channels"
+                                        fill={channel.color}
+                                    />
+                                ))}
+                            </RechartsBarChart>
+                        </ResponsiveContainer>
+                    </div>
+                </>
+            )}
         </div>
     );
 };
@@ -0,0 +1,38 @@
+import React from 'react';
+import { CalendarPlus, BedDouble } from 'lucide-react';
+
+/**
+ * AnalysisModeToggle Component
+ *
+ * Switches dashboard tables between booking-date analysis (when bookings were
+ * created) and stay-date analysis (nights sold falling in each period).
+ *
+ * @param {string} analysisMode - 'booking' or 'stay'
+ * @param {Function} setAnalysisMode - Update analysis mode
+ */
+const AnalysisModeToggle = ({ analysisMode, setAnalysisMode }) => {
+    const options = [
+        { value: 'booking', label: 'Booking Date', Icon: CalendarPlus },
+        { value: 'stay', label: 'Stay Date', Icon: BedDouble }
+    ];
+
+    return (
+        <div className="flex gap-1 bg-gray-100 rounded-lg p-1">
+            {options.map(({ value, label, Icon }) => (
+                <button
+                    key={value}
+                    onClick={() => setAnalysisMode(value)}
+                    className={`flex items-center gap-1 px-3 py-1 rounded-md text-sm font-medium transition-colors ${analysisMode === value
+                        ? 'bg-white text-nests-teal shadow'
+                        : 'text-gray-600 hover:text-gray-800'
+                        }`}
+                >
+                    <Icon className="w-4 h-4" />
+                    {label}
+                </button>
+            ))}
+        </div>
+    );
+};
+
+export default AnalysisModeToggle;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { AlertTriangle, TrendingUp, TrendingDown } from 'lucide-react';
+import { getAnomalyMetricInfo, getAnomalySeverityInfo, formatAnomalyValue } from '../../utils/anomalies';
+
+// Render an anomaly flag (DRY component)
+// `anomaly` comes from getAnomaly(); the tooltip shows the baseline it deviates from
+const AnomalyBadge = ({ anomaly }) => {
+    if (!anomaly) return null;
+
+    const metric = getAnomalyMetricInfo(anomaly.metric);
+    const severity = getAnomalySeverityInfo(anomaly.severity);
+    const Icon = anomaly.isAdverse ? AlertTriangle : anomaly.direction === 'drop' ? TrendingDown : TrendingUp;
+
+    return (
+        <div
+            className="inline-flex items-center gap-1 px-1.5 rounded-full text-xs font-semibold text-white"
+            style={{ backgroundColor: severity.color }}
+            title={`${metric.name}: ${severity.name.toLowerCase()} ${anomaly.direction}, expected ~${formatAnomalyValue(anomaly.expected, anomaly.metric)} (score ${anomaly.score})`}
+        >
+            <Icon className="w-3 h-3" />
+            {anomaly.score > 0 ? '+' : ''}{anomaly.score}σ
+        </div>
+    );
+};
+
+export default AnomalyBadge;
@@ -0,0 +1,94 @@
+import React from 'react';
+import { Activity, CheckCircle } from 'lucide-react';
+import { anomalyMethods, anomalyWindow, anomalyMinHistory } from '../../config/anomalyConfig';
+import { getDataPeriodInfo } from '../../utils/dateUtils';
+import { getAnomalyMetricInfo, getAnomalyMethodInfo, getPeriodAnomalies, formatAnomalyValue, isCompletePeriod } from '../../utils/anomalies';
+import AnomalyBadge from './AnomalyBadge';
+
+/**
+ * AnomalyPanel Component
+ *
+ * "Anomalies last week" list: the hostels and metrics of the latest complete period
+ * that deviate from their rolling baseline (see anomalies.js), most severe first,
+ * with the detection method selector. A period still in progress is not scored.
+ *
+ * @param {Array} weeklyData - Shown periods (the latest complete one is listed)
+ * @param {object} anomalies - detectAnomalies() result over weeklyData
+ * @param {string} method - Detection method ('mad' | 'zscore')
+ * @param {Function} setMethod - Update the detection method
+ */
+const AnomalyPanel = ({ weeklyData, anomalies, method, setMethod }) => {
+    if (!weeklyData || weeklyData.length === 0) return null;
+
+    const completePeriods = weeklyData.filter(week => isCompletePeriod(week));
+    const latest = completePeriods[completePeriods.length - 1];
+    const inProgress = weeklyData.filter(week => !isCompletePeriod(week));
+    const periodInfo = getDataPeriodInfo(weeklyData);
+    // "week" / "month" / ..., "period" for custom ranges and mixed data
+    const periodNoun = ['custom', 'mixed'].includes(periodInfo.value) ? 'period' : periodInfo.label.toLowerCase();
+    const latestAnomalies = latest ? getPeriodAnomalies(anomalies, latest.week) : [];
+    const hasEnoughHistory = completePeriods.length > anomalyMinHistory;
+
+    return (
+        <div className="bg-white rounded-2xl shadow-xl p-6 sm:p-8 mb-8">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4 gap-4">
+                <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
+                    <Activity className="text-red-600" />
+                    Anomalies last {periodNoun}
+                    {latest && <span className="text-sm font-normal text-gray-500">({latest.week})</span>}
+                </h2>
+                <select
+                    value={method}
+                    onChange={(e) => setMethod(e.target.value)}
+                    className="border border-gray-300 rounded-lg px-3 py-1 text-sm"
+                    title={getAnomalyMethodInfo(method).description}
+                >
+                    {anomalyMethods.map(m => (
+                        <option key={m.id} value={m.id}>{m.name}</option>
+                    ))}
+                </select>
+            </div>
+
+            {!hasEnoughHistory ? (
+                <p className="text-sm text-gray-500">
+                    Anomaly detection needs at least {anomalyMinHistory + 1} complete {periodNoun}s of data.
+                </p>
+            ) : latestAnomalies.length === 0 ? (
+                <p className="text-sm text-green-700 flex items-center gap-2">
+                    <CheckCircle className="w-4 h-4" />
+                    Every hostel is within its usual range.
+                </p>
+            ) : (
+                <ul className="divide-y divide-gray-100">
+                    {latestAnomalies.map(anomaly => {
+                        const metric = getAnomalyMetricInfo(anomaly.metric);
+
+                        return (
+                            <li key={`${anomaly.hostel}|${anomaly.metric}`} className="py-2 flex flex-wrap items-center gap-3 text-sm">
+                                <AnomalyBadge anomaly={anomaly} />
+                                <span className="font-semibold text-gray-800">{anomaly.hostel}</span>
+                                <span className={anomaly.isAdverse ? 'text-red-600' : 'text-green-600'}>
+                                    {metric.name} {anomaly.direction === 'drop' ? 'dropped' : 'rose'} to{' '}
+                                    {formatAnomalyValue(anomaly.value, anomaly.metric)}
+                                </span>
+                                <span className="text-gray-500">
+                                    (expected ~{formatAnomalyValue(anomaly.expected, anomaly.metric)})
+                                </span>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+
+            <p className="text-xs text-gray-500 mt-3">
+                Each hostel and metric is compared with up to {anomalyWindow} preceding {periodNoun}s ({getAnomalyMethodInfo(method).description}).
+                Scores are in standard deviations; red = bad news, green = good news.
+                {inProgress.length > 0 && (
+                    <> {inProgress.map(week => week.week).join(', ')} {inProgress.length === 1 ? 'is' : 'are'} still in progress and not scored.</>
+                )}
+            </p>
+        </div>
+    );
+};
+
+export default AnomalyPanel;
@@ -0,0 +1,217 @@
+import React, { useState } from 'react';
+import { XCircle } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { formatCurrency } from '../../utils/formatters';
+import { calculateMetricChange } from '../../utils/metricsCalculator';
+import { combineCancellationMetrics, breakdownOrder } from '../../utils/cancellations';
+import MetricChange from './MetricChange';
+
+/**
+ * CancellationSection Component
+ *
+ * Booking-date cancellation analytics over the shown periods: a cancellation
+ * rate trend line, then per period the rate, lost revenue, cancellation lead
+ * time (days before arrival) and the rate by channel, length of stay and rate
+ * plan. Covers all channels; metrics come from calculateHostelMetrics().cancellations.
+ * Lost revenue only counts enriched cancellations (the rest is shown as "n/m enriched").
+ *
+ * @param {Array} weeklyData - Periods to show as columns
+ * @param {Array} allHostels - Hostel names for the hostel filter
+ */
+const CancellationSection = ({ weeklyData, allHostels }) => {
+    // '' = all hostels combined
+    const [hostel, setHostel] = useState('');
+
+    const hasCancellationData = weeklyData.some(week => Object.values(week.hostels).some(h => h.cancellations));
+    if (!hasCancellationData) return null;
+
+    const periods = weeklyData.map(week => (hostel
+        ? week.hostels[hostel]?.cancellations || null
+        : combineCancellationMetrics(Object.values(week.hostels).map(h => h.cancellations))));
+
+    const trendData = weeklyData.map((week, i) => ({
+        week: week.week,
+        'Cancellation rate %': periods[i]?.rate ?? null
+    }));
+
+    // Breakdown rows (channels / length of stay / rate plans) seen in any period, in display order
+    const getBreakdownRows = (key) => {
+        const seen = new Map();
+        periods.forEach(metrics => {
+            Object.entries(metrics?.[key] || {}).forEach(([id, group]) => {
+                if (!seen.has(id)) seen.set(id, group.name);
+            });
+        });
+        const order = breakdownOrder[key] || [...seen.keys()].sort();
+        return order.filter(id => seen.has(id)).map(id => ({ id, name: seen.get(id) }));
+    };
+
+    const renderRateCell = (group) => (group && group.count > 0 ? (
+        <>
+            <div className="font-medium text-gray-800">{group.rate}%</div>
+            <div className="text-xs text-gray-500">{group.cancelled}/{group.count} cancelled</div>
+            {group.lostRevenue > 0 && <div className="text-xs text-red-600">-{formatCurrency(group.lostRevenue)}</div>}
+        </>
+    ) : (
+        <span className="text-gray-300">-</span>
+    ));
+
+    const renderBreakdown = (key, title) => {
+        const rows = getBreakdownRows(key);
+        if (rows.length === 0) return null;
+
+        return (
+            <>
+                <tr className="border-b border-gray-100 bg-gray-50">
+                    <td colSpan={weeklyData.length + 1} className="py-2 px-2 sm:px-4 text-xs font-semibold uppercase text-gray-500">{title}</td>
+                </tr>
+                {rows.map(row => (
+                    <tr key={row.id} className="border-b border-gray-50 hover:bg-gray-50">
+                        <td className="py-2 px-2 sm:px-4 pl-8 text-sm text-gray-600">{row.name}</td>
+                        {weeklyData.map((week, weekIndex) => (
+                            <td key={week.week} className="py-2 px-2 sm:px-4 text-center text-sm">
+                                {renderRateCell(periods[weekIndex]?.[key]?.[row.id])}
+                            </td>
+                        ))}
+                    </tr>
+                ))}
+            </>
+        );
+    };
+
+    return (
+        <div className="mt-8">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4 gap-2">
+                <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+                    <XCircle className="w-5 h-5 text-red-500" />
+                    Cancellations
+                </h3>
+                <select
+                    value={hostel}
+                    onChange={(e) => setHostel(e.target.value)}
+                    className="border border-gray-300 rounded-lg px-3 py-1 text-sm"
+                >
+                    <option value="">All hostels</option>
+                    {allHostels.map(name => (
+                        <option key={name} value={name}>{name}</option>
+                    ))}
+                </select>
+            </div>
+
+            {/* Cancellation rate trend */}
+            {weeklyData.length > 1 && (
+                <div className="h-56 mb-6 p-4 bg-gray-50 rounded-xl">
+                    <ResponsiveContainer width="100%" height="100%">
+                        <LineChart data={trendData}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="week" tick={{ fontSize: 12 }} />
+                            <YAxis unit="%" />
+                            <Tooltip />
+                            <Legend />
+                            <Line type="monotone" dataKey="Cancellation rate %" stroke="#DC2626" strokeWidth={2} connectNulls />
+                        </LineChart>
+                    </ResponsiveContainer>
+                </div>
+            )}
+
+            <div className="overflow-x-auto">
+                <table className="w-full">
+                    <thead>
+                        <tr className="border-b-2 border-gray-200">
+                            <th className="text-left py-4 px-2 sm:px-4 font-bold text-gray-800">Metric</th>
+                            {weeklyData.map(week => (
+                                <th key={week.week} className="text-center py-4 px-2 sm:px-4 font-bold text-gray-800 min-w-32">
+                                    <div className="text-sm">{week.week}</div>
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {/* Cancellation rate */}
+                        <tr className="border-b border-gray-100 hover:bg-gray-50 bg-red-50">
+                            <td className="py-4 px-2 sm:px-4 font-semibold text-gray-700">Cancellation rate</td>
+                            {weeklyData.map((week, weekIndex) => {
+                                const metrics = periods[weekIndex];
+                                const previous = weekIndex > 0 ? periods[weekIndex - 1] : null;
+
+                                return (
+                                    <td key={week.week} className="py-4 px-2 sm:px-4 text-center">
+                                        {metrics && metrics.count > 0 ? (
+                                            <>
+                                                <div className="text-xl font-bold text-red-700">{metrics.rate}%</div>
+                                                <div className="text-xs text-gray-500">{metrics.cancelled}/{metrics.count} bookings</div>
+                                                {previous && <MetricChange changes={calculateMetricChange(metrics.cancelled, previous.cancelled)} />}
+                                            </>
+                                        ) : (
+                                            <span className="text-gray-300">-</span>
+                                        )}
+                                    </td>
+                                );
+                            })}
+                        </tr>
+
+                        {/* Lost revenue */}
+                        <tr className="border-b border-gray-100 hover:bg-gray-50">
+                            <td className="py-2 px-2 sm:px-4 pl-8 text-sm text-gray-600">Lost revenue</td>
+                            {weeklyData.map((week, weekIndex) => {
+                                const metrics = periods[weekIndex];
+
+                                return (
+                                    <td key={week.week} className="py-2 px-2 sm:px-4 text-center text-sm">
+                                        {metrics?.cancelled > 0 ? (
+                                            <>
+                                                <div className="font-medium text-red-700">{formatCurrency(metrics.lostRevenue)}</div>
+                                                <div className="text-xs text-gray-500">{metrics.lostNights} nights</div>
+                                                {metrics.withLostRevenue < metrics.cancelled && (
+                                                    <div className="text-xs text-amber-600">{metrics.withLostRevenue}/{metrics.cancelled} enriched</div>
+                                                )}
+                                            </>
+                                        ) : (
+                                            <span className="text-gray-300">-</span>
+                                        )}
+                                    </td>
+                                );
+                            })}
+                        </tr>
+
+                        {/* Cancellation lead time */}
+                        <tr className="border-b border-gray-100 hover:bg-gray-50">
+                            <td className="py-2 px-2 sm:px-4 pl-8 text-sm text-gray-600">Days before arrival</td>
+                            {weeklyData.map((week, weekIndex) => {
+                                const metrics = periods[weekIndex];
+
+                                return (
+                                    <td key={week.week} className="py-2 px-2 sm:px-4 text-center text-xs">
+                                        {metrics?.avgLeadTime != null ? (
+                                            <>
+                                                <div className="text-sm font-medium text-gray-800">avg {metrics.avgLeadTime} days</div>
+                                                {breakdownOrder.leadTimeBuckets
+                                                    .filter(id => metrics.leadTimeBuckets[id]?.cancelled > 0)
+                                                    .map(id => (
+                                                        <div key={id} className="text-gray-500">
+                                                            {metrics.leadTimeBuckets[id].name}: {metrics.leadTimeBuckets[id].cancelled}
+                                                        </div>
+                                                    ))}
+                                            </>
+                                        ) : (
+                                            <span className="text-gray-300">-</span>
+                                        )}
+                                    </td>
+                                );
+                            })}
+                        </tr>
+
+                        {renderBreakdown('byChannel', 'By channel')}
+                        {renderBreakdown('byLengthOfStay', 'By length of stay')}
+                        {renderBreakdown('byRatePlan', 'By rate plan')}
+                    </tbody>
+                </table>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+                All channels. Days before arrival need a cancellation date (CloudBeds API or an Excel cancellation date column); rate plans need revenue enrichment.
+            </p>
+        </div>
+    );
+};
+
+export default CancellationSection;
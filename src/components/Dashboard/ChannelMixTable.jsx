@@ -0,0 +1,133 @@
+import React from 'react';
+import { Share2 } from 'lucide-react';
+import { formatCurrency } from '../../utils/formatters';
+import { calculateMetricChange, calculateProgressiveMetricChanges } from '../../utils/metricsCalculator';
+import { channelOrder } from '../../utils/sourceClassifier';
+import MetricChange from './MetricChange';
+
+/**
+ * ChannelMixTable Component
+ *
+ * Booking-date channel mix: per hostel, the direct share of non-cancelled
+ * reservations (with period-over-period change) and one row per channel with
+ * reservations, revenue and ADR. Channels come from calculateHostelMetrics().channels.
+ *
+ * @param {Array} weeklyData - Periods to show as columns
+ * @param {Array} allHostels - Hostel names to show as row groups
+ */
+const ChannelMixTable = ({ weeklyData, allHostels }) => {
+    // Channels seen for a hostel in any period, in config order
+    const getHostelChannels = (hostel) => {
+        const seen = new Set(weeklyData.flatMap(week => Object.keys(week.hostels[hostel]?.channels || {})));
+        return channelOrder.filter(channel => seen.has(channel.id));
+    };
+
+    // Direct share across all hostels of a period
+    const getTotalDirectShare = (week) => {
+        const hostels = Object.values(week.hostels);
+        const direct = hostels.reduce((sum, h) => sum + (h.valid || 0), 0);
+        const all = hostels.reduce((sum, h) => sum + (h.allChannelsValid || 0), 0);
+        return all > 0 ? Math.round((direct / all) * 100) : 0;
+    };
+
+    const hasChannelData = weeklyData.some(week => Object.values(week.hostels).some(h => h.channels));
+    if (!hasChannelData) return null;
+
+    return (
+        <div className="mt-8">
+            <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2 mb-4">
+                <Share2 className="w-5 h-5 text-nests-teal" />
+                Channel Mix &amp; Direct Share
+            </h3>
+            <div className="overflow-x-auto">
+                <table className="w-full">
+                    <thead>
+                        <tr className="border-b-2 border-gray-200">
+                            <th className="text-left py-4 px-2 sm:px-4 font-bold text-gray-800">Hostel / Channel</th>
+                            {weeklyData.map(week => (
+                                <th key={week.week} className="text-center py-4 px-2 sm:px-4 font-bold text-gray-800 min-w-32">
+                                    <div className="text-sm">{week.week}</div>
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {allHostels.map(hostel => (
+                            <React.Fragment key={hostel}>
+                                {/* Direct share */}
+                                <tr className="border-b border-gray-100 hover:bg-gray-50 bg-teal-50">
+                                    <td className="py-4 px-2 sm:px-4 font-semibold text-gray-700">
+                                        {hostel}
+                                        <div className="text-xs font-normal text-gray-500">Direct share</div>
+                                    </td>
+                                    {weeklyData.map((week, weekIndex) => {
+                                        const data = week.hostels[hostel];
+                                        const changes = calculateProgressiveMetricChanges(weeklyData, weekIndex, hostel, 'directShare');
+
+                                        return (
+                                            <td key={week.week} className="py-4 px-2 sm:px-4 text-center">
+                                                <div className="text-xl font-bold text-nests-dark-teal">{data?.directShare || 0}%</div>
+                                                {data?.allChannelsValid > 0 && (
+                                                    <div className="text-xs text-gray-500">{data.valid} of {data.allChannelsValid}</div>
+                                                )}
+                                                <MetricChange changes={changes} />
+                                            </td>
+                                        );
+                                    })}
+                                </tr>
+
+                                {/* One row per channel */}
+                                {getHostelChannels(hostel).map(channel => (
+                                    <tr key={channel.id} className="border-b border-gray-50 hover:bg-gray-50">
+                                        <td className="py-2 px-2 sm:px-4 pl-8 text-sm text-gray-600 flex items-center gap-2">
+                                            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: channel.color }} />
+                                            {channel.name}
+                                        </td>
+                                        {weeklyData.map(week => {
+                                            const metrics = week.hostels[hostel]?.channels?.[channel.id];
+
+                                            return (
+                                                <td key={week.week} className="py-2 px-2 sm:px-4 text-center text-sm">
+                                                    {metrics ? (
+                                                        <>
+                                                            <div className="font-medium text-gray-800">
+                                                                {metrics.valid}
+                                                                {metrics.cancelled > 0 && <span className="text-xs text-red-600"> (+{metrics.cancelled} cancelled)</span>}
+                                                            </div>
+                                                            <div className="text-xs text-green-700">{formatCurrency(metrics.revenue)}</div>
+                                                            <div className="text-xs text-blue-700">ADR {formatCurrency(metrics.adr)}</div>
+                                                        </>
+                                                    ) : (
+                                                        <span className="text-gray-300">-</span>
+                                                    )}
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+                                ))}
+                            </React.Fragment>
+                        ))}
+
+                        {/* Total direct share */}
+                        <tr className="border-t-2 border-gray-300 bg-teal-100 font-bold">
+                            <td className="py-4 px-2 sm:px-4 font-bold text-gray-800">TOTAL DIRECT SHARE</td>
+                            {weeklyData.map((week, weekIndex) => {
+                                const share = getTotalDirectShare(week);
+                                const prevShare = weekIndex > 0 ? getTotalDirectShare(weeklyData[weekIndex - 1]) : 0;
+
+                                return (
+                                    <td key={week.week} className="py-4 px-2 sm:px-4 text-center">
+                                        <div className="text-xl font-bold text-nests-dark-teal">{share}%</div>
+                                        {weekIndex > 0 && <MetricChange changes={calculateMetricChange(share, prevShare)} />}
+                                    </td>
+                                );
+                            })}
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default ChannelMixTable;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { ArrowLeftRight, CalendarClock, Sigma } from 'lucide-react';
+import { comparisonModes } from '../../utils/periodComparison';
+
+/**
+ * ComparisonModeToggle Component
+ *
+ * Switches the deltas shown under dashboard metrics between the previous
+ * period, the same period last year and the average of the 4 preceding periods.
+ * In YoY mode, offers to fetch the last-year periods that are not loaded yet.
+ *
+ * @param {string} comparisonMode - 'wow', 'yoy' or 'avg4'
+ * @param {Function} setComparisonMode - Update comparison mode
+ * @param {number} [missingLastYear=0] - Last-year periods not loaded (YoY mode)
+ * @param {Function} [onFetchLastYear] - Fetch the missing last-year periods from CloudBeds (button hidden when omitted)
+ * @param {boolean} [isFetching=false] - Whether a fetch is running
+ */
+const ComparisonModeToggle = ({ comparisonMode, setComparisonMode, missingLastYear = 0, onFetchLastYear, isFetching = false }) => {
+    const icons = { wow: ArrowLeftRight, yoy: CalendarClock, avg4: Sigma };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            <div className="flex gap-1 bg-gray-100 rounded-lg p-1">
+                {comparisonModes.map(({ id, label, description }) => {
+                    const Icon = icons[id];
+                    return (
+                        <button
+                            key={id}
+                            onClick={() => setComparisonMode(id)}
+                            title={description}
+                            className={`flex items-center gap-1 px-3 py-1 rounded-md text-sm font-medium transition-colors ${comparisonMode === id
+                                ? 'bg-white text-nests-teal shadow'
+                                : 'text-gray-600 hover:text-gray-800'
+                                }`}
+                        >
+                            <Icon className="w-4 h-4" />
+                            {label}
+                        </button>
+                    );
+                })}
+            </div>
+            {comparisonMode === 'yoy' && missingLastYear > 0 && onFetchLastYear && (
+                <button
+                    onClick={onFetchLastYear}
+                    disabled={isFetching}
+                    className="px-3 py-1 rounded-lg text-sm font-medium border-2 border-nests-teal text-nests-teal hover:bg-teal-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    Fetch last year ({missingLastYear} period{missingLastYear === 1 ? '' : 's'})
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default ComparisonModeToggle;
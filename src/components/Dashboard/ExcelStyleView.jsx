@@ -2,7 +2,14 @@ import React, { useMemo } from 'react';
 import { Table } from 'lucide-react';
 import { hostelConfig } from '../../config/hostelConfig';
 import { formatCurrency, formatRevenue } from '../../utils/formatters';
+import { getDataPeriodInfo } from '../../utils/dateUtils';
+import { calculateRoomCategoryMetrics } from '../../utils/metricsCalculator';
+import { combineCapacityMetrics, getCapacityBoundPrefix, formatOccupancy } from '../../utils/capacity';
+import { getTotalTargetAttainment } from '../../utils/targets';
+import { targetMetrics } from '../../config/targetConfig';
 import NestedHostelTable from './NestedHostelTable';
+import AnalysisModeToggle from './AnalysisModeToggle';
+import TargetAttainment from './TargetAttainment';
 
 /**
  * ExcelStyleView Component
@@ -19,11 +26,21 @@ import NestedHostelTable from './NestedHostelTable';
  * - Horizontal scroll for many columns
  * - Nests brand styling (teal, green, yellow colors)
  * - Tax breakdown support when enriched data is available
+ * - Stay-date mode: room-nights and revenue per stay period, one column per hostel
+ * - Dorm / private columns and a per-hostel room type breakdown (once bookings carry room types)
+ * - Occupancy and RevPAR / RevPAB columns (once hostel inventory is known)
+ * - Target column with revenue / direct booking attainment of the period totals (once targets are set)
+ * - Anomalous hostel counts / revenue highlighted in the nested table (see anomalies.js)
  *
  * @param {Array} weeklyData - Array of week objects containing hostel booking data
  * @param {boolean} showTaxBreakdown - Whether to show tax breakdown in revenue display
+ * @param {string} analysisMode - 'booking' (by booking date) or 'stay' (by stay night)
+ * @param {Function} setAnalysisMode - Update analysis mode (toggle hidden when omitted)
+ * @param {Array} stayData - Stay-date data from buildStayDateData()
+ * @param {Array} targets - Revenue / direct booking targets (see targets.js)
+ * @param {object} anomalies - detectAnomalies() result over weeklyData
  */
-const ExcelStyleView = ({ weeklyData, showTaxBreakdown = false }) => {
+const ExcelStyleView = ({ weeklyData, showTaxBreakdown = false, analysisMode = 'booking', setAnalysisMode, stayData = [], targets = [], anomalies = null }) => {
     // Transform weeklyData from column format (weeks as columns) to row format (weeks as rows)
     const rowData = useMemo(() => {
         return weeklyData.map(week => {
@@ -48,13 +65,62 @@ const ExcelStyleView = ({ weeklyData, showTaxBreakdown = false }) => {
                 nestPass: orderedHostels.reduce((sum, h) => sum + (h.data.nestPass || 0), 0)
             };
 
+            // Room categories across hostels: merge every hostel's room types, then sum per category
+            totals.roomCategories = calculateRoomCategoryMetrics(
+                orderedHostels.flatMap(h => Object.values(h.data.roomTypes || {}))
+            );
+
+            // Occupancy / RevPAR / RevPAB over hostels with known inventory
+            totals.capacity = combineCapacityMetrics(orderedHostels.map(h => h.data.capacity));
+
+            // Attainment vs target over the hostels with a target for the period
+            totals.targets = Object.fromEntries(targetMetrics.map(metric => (
+                [metric.id, getTotalTargetAttainment(targets, week, metric.id)]
+            )));
+
             return {
                 period: week.week,
                 hostels: orderedHostels,
                 totals
             };
         });
-    }, [weeklyData]);
+    }, [weeklyData, targets]);
+
+    const periodInfo = getDataPeriodInfo(weeklyData);
+
+    // Room type columns only make sense once bookings carry room types (enrichment or Excel room column)
+    const hasRoomTypeData = weeklyData.some(week => Object.values(week.hostels).some(h => (
+        Object.keys(h.roomTypes || {}).some(key => key !== 'none')
+    )));
+
+    // Capacity columns only make sense once some hostel inventory is known (config or CloudBeds)
+    const hasCapacityData = [...weeklyData, ...stayData].some(period => Object.values(period.hostels).some(h => h.capacity));
+
+    // Target column only when some period has a target
+    const hasTargetData = rowData.some(row => Object.values(row.totals.targets).some(Boolean));
+
+    // Some capacity figures are lower bounds (stays booked outside the loaded periods)
+    const hasCapacityLowerBounds = [...weeklyData, ...stayData].some(period => (
+        Object.values(period.hostels).some(h => h.capacity?.isComplete === false)
+    ));
+
+    // Occupancy and RevPAR / RevPAB cells of a capacity metrics object
+    const renderOccupancy = (capacity) => formatOccupancy(capacity);
+    const renderRevPAR = (capacity) => (capacity && (capacity.revPAR != null || capacity.revPAB != null) ? (
+        <>
+            <div>{capacity.revPAR != null ? `${getCapacityBoundPrefix(capacity)}${formatCurrency(capacity.revPAR)}` : '-'}</div>
+            {capacity.revPAB != null && <div className="text-xs text-gray-500">RevPAB {getCapacityBoundPrefix(capacity)}{formatCurrency(capacity.revPAB)}</div>}
+        </>
+    ) : '-');
+
+    // Bookings, nights, revenue and ADR of a room category / room type
+    const renderRoomMetrics = (metrics) => (metrics && metrics.count > 0 ? (
+        <>
+            <div className="font-medium">{metrics.valid} res. · {metrics.nights} noches</div>
+            <div className="text-xs text-nests-green">{formatCurrency(metrics.revenue)}</div>
+            <div className="text-xs text-gray-500">ADR {formatCurrency(metrics.adr)}</div>
+        </>
+    ) : '-');
 
     // Empty state when no data uploaded
     if (weeklyData.length === 0) {
@@ -74,129 +140,330 @@ const ExcelStyleView = ({ weeklyData, showTaxBreakdown = false }) => {
     return (
         <div className="bg-white rounded-2xl border border-gray-200 p-6 mb-8">
             {/* Header */}
-            <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center gap-2 font-heading">
-                <Table className="text-nests-teal" />
-                Excel-Style Weekly View
-            </h2>
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
+                <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2 font-heading">
+                    <Table className="text-nests-teal" />
+                    Excel-Style {periodInfo.adjective} View
+                </h2>
+                {setAnalysisMode && (
+                    <AnalysisModeToggle analysisMode={analysisMode} setAnalysisMode={setAnalysisMode} />
+                )}
+            </div>
+
+            {/* Stay-date table: room-nights and revenue for nights falling in each period */}
+            {analysisMode === 'stay' && (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full border-collapse text-sm font-body">
+                        <thead>
+                            <tr className="bg-nests-gradient text-white">
+                                <th className="border border-gray-300 px-4 py-2 text-left sticky left-0 bg-nests-dark-teal z-10 font-heading min-w-[140px]">
+                                    PERIODO (ESTANCIA)
+                                </th>
+                                <th className="border border-gray-300 px-4 py-2 bg-nests-teal text-white font-heading min-w-[120px]">
+                                    NOCHES
+                                </th>
+                                <th className="border border-gray-300 px-4 py-2 bg-nests-green text-white font-heading min-w-[120px]">
+                                    EUR
+                                </th>
+                                <th className="border border-gray-300 px-4 py-2 font-heading min-w-[100px]">
+                                    ADR
+                                </th>
+                                {hasCapacityData && (
+                                    <>
+                                        <th className="border border-gray-300 px-4 py-2 font-heading min-w-[110px]">
+                                            OCUPACIÓN
+                                        </th>
+                                        <th className="border border-gray-300 px-4 py-2 font-heading min-w-[120px]">
+                                            REVPAR
+                                        </th>
+                                    </>
+                                )}
+                                {Object.keys(hostelConfig).map(hostelName => (
+                                    <th key={hostelName} className="border border-gray-300 px-4 py-2 font-heading min-w-[110px]">
+                                        {hostelName}
+                                    </th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {stayData.map(period => {
+                                const hostels = Object.values(period.hostels);
+                                const roomNights = hostels.reduce((sum, h) => sum + h.roomNights, 0);
+                                const revenue = hostels.reduce((sum, h) => sum + h.revenue, 0);
+                                const netRevenue = hostels.reduce((sum, h) => sum + h.netRevenue, 0);
+                                const totalTaxes = hostels.reduce((sum, h) => sum + h.totalTaxes, 0);
+                                const capacity = combineCapacityMetrics(hostels.map(h => h.capacity));
+
+                                return (
+                                    <tr key={period.week} className="hover:bg-gray-50 transition-colors">
+                                        <td className="border border-gray-300 px-4 py-2 font-semibold sticky left-0 bg-white z-10 whitespace-pre-line">
+                                            {period.week.replace(' - ', '\n')}
+                                        </td>
+                                        <td className="border border-gray-300 px-4 py-2 text-center font-semibold bg-nests-teal/10">
+                                            {roomNights}
+                                        </td>
+                                        <td className="border border-gray-300 px-4 py-2 text-right font-semibold bg-nests-green/10 text-nests-green">
+                                            {formatRevenue(revenue, netRevenue > 0 ? netRevenue : null, totalTaxes > 0 ? totalTaxes : null, showTaxBreakdown)}
+                                        </td>
+                                        <td className="border border-gray-300 px-4 py-2 text-right">
+                                            {formatCurrency(roomNights > 0 ? revenue / roomNights : 0)}
+                                        </td>
+                                        {hasCapacityData && (
+                                            <>
+                                                <td className="border border-gray-300 px-4 py-2 text-center font-semibold">
+                                                    {renderOccupancy(capacity)}
+                                                </td>
+                                                <td className="border border-gray-300 px-4 py-2 text-right">
+                                                    {renderRevPAR(capacity)}
+                                                </td>
+                                            </>
+                                        )}
+                                        {Object.keys(hostelConfig).map(hostelName => {
+                                            const data = period.hostels[hostelName];
+                                            return (
+                                                <td key={hostelName} className="border border-gray-300 px-4 py-2 text-center">
+                                                    {data ? (
+                                                        <>
+                                                            <div className="font-medium">{data.roomNights}</div>
+                                                            <div className="text-xs text-gray-500">{formatCurrency(data.revenue)}</div>
+                                                            {data.capacity?.occupancy != null && (
+                                                                <div className="text-xs text-nests-teal">{formatOccupancy(data.capacity)}</div>
+                                                            )}
+                                                        </>
+                                                    ) : '-'}
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
 
             {/* Horizontal scroll container for wide table */}
-            <div className="overflow-x-auto">
-                <table className="min-w-full border-collapse text-sm font-body">
-                    <thead>
-                        <tr className="bg-nests-gradient text-white">
-                            {/* Sticky period column */}
-                            <th className="border border-gray-300 px-4 py-2 text-left sticky left-0 bg-nests-dark-teal z-10 font-heading min-w-[140px]">
-                                PERIODO
-                            </th>
-
-                            {/* Placeholder columns - Google Analytics metrics */}
-                            <th className="border border-gray-300 px-4 py-2 font-heading min-w-[100px]">
-                                USUARIOS
-                            </th>
-                            <th className="border border-gray-300 px-4 py-2 font-heading min-w-[100px]">
-                                SESIONES
-                            </th>
-                            <th className="border border-gray-300 px-4 py-2 font-heading min-w-[120px]">
-                                CONVERSIONS
-                            </th>
-                            <th className="border border-gray-300 px-4 py-2 font-heading min-w-[100px]">
-                                CONV RT
-                            </th>
-                            <th className="border border-gray-300 px-4 py-2 font-heading min-w-[120px]">
-                                BOUNCE RATE
-                            </th>
-                            <th className="border border-gray-300 px-4 py-2 font-heading min-w-[100px]">
-                                AVG Time
-                            </th>
-
-                            {/* EUR - Calculated from booking data */}
-                            <th className="border border-gray-300 px-4 py-2 bg-nests-green text-white font-heading min-w-[120px]">
-                                EUR
-                            </th>
-
-                            {/* Placeholder - Traffic source */}
-                            <th className="border border-gray-300 px-4 py-2 font-heading min-w-[140px]">
-                                TOP TRAFICO
-                            </th>
-
-                            {/* Placeholder - Funnel metrics */}
-                            <th className="border border-gray-300 px-4 py-2 font-heading min-w-[140px]">
-                                BOOKING ENGINE
-                            </th>
-                            <th className="border border-gray-300 px-4 py-2 font-heading min-w-[140px]">
-                                ADD TO CART
-                            </th>
-                            <th className="border border-gray-300 px-4 py-2 font-heading min-w-[120px]">
-                                CHECK-OUT
-                            </th>
-                            <th className="border border-gray-300 px-4 py-2 font-heading min-w-[120px]">
-                                PURCHASE
-                            </th>
-
-                            {/* Hostel data - nested table (calculated from booking data) */}
-                            <th className="border border-gray-300 px-4 py-2 bg-nests-teal text-white font-heading min-w-[400px]">
-                                CONVERSIONES POR HOSTAL
-                            </th>
-
-                            {/* Placeholder - Manual entry fields */}
-                            <th className="border border-gray-300 px-4 py-2 font-heading min-w-[140px]">
-                                PICOS/CAÍDAS
-                            </th>
-                            <th className="border border-gray-300 px-4 py-2 font-heading min-w-[140px]">
-                                TOP 3 países
-                            </th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        {rowData.map((row, index) => (
-                            <tr key={index} className="hover:bg-gray-50 transition-colors">
-                                {/* Period - sticky column with line break for date range */}
-                                <td className="border border-gray-300 px-4 py-2 font-semibold sticky left-0 bg-white z-10 whitespace-pre-line">
-                                    {row.period.replace(' - ', '\n')}
-                                </td>
-
-                                {/* Placeholder columns - Google Analytics (empty for now) */}
-                                <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
-                                <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
-                                <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
-                                <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
-                                <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
-                                <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
-
-                                {/* EUR - Calculated total revenue with green highlight */}
-                                <td className="border border-gray-300 px-4 py-2 text-right font-semibold bg-nests-green/10 text-nests-green">
-                                    {formatRevenue(
-                                        row.totals.revenue,
-                                        row.totals.netRevenue > 0 ? row.totals.netRevenue : null,
-                                        row.totals.totalTaxes > 0 ? row.totals.totalTaxes : null,
-                                        showTaxBreakdown
-                                    )}
-                                </td>
-
-                                {/* Placeholder columns - Traffic, Funnel, Manual (empty for now) */}
-                                <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
-                                <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
-                                <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
-                                <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
-                                <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
-
-                                {/* Hostel conversions - nested table with teal highlight */}
-                                <td className="border border-gray-300 px-2 py-2 bg-nests-teal/10">
-                                    <NestedHostelTable
-                                        hostels={row.hostels}
-                                        totals={row.totals}
-                                        showTaxBreakdown={showTaxBreakdown}
-                                    />
-                                </td>
-
-                                {/* Placeholder columns - Manual entry fields (empty for now) */}
-                                <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
-                                <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
+            {analysisMode === 'booking' && (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full border-collapse text-sm font-body">
+                        <thead>
+                            <tr className="bg-nests-gradient text-white">
+                                {/* Sticky period column */}
+                                <th className="border border-gray-300 px-4 py-2 text-left sticky left-0 bg-nests-dark-teal z-10 font-heading min-w-[140px]">
+                                    PERIODO
+                                </th>
+
+                                {/* Placeholder columns - Google Analytics metrics */}
+                                <th className="border border-gray-300 px-4 py-2 font-heading min-w-[100px]">
+                                    USUARIOS
+                                </th>
+                                <th className="border border-gray-300 px-4 py-2 font-heading min-w-[100px]">
+                                    SESIONES
+                                </th>
+                                <th className="border border-gray-300 px-4 py-2 font-heading min-w-[120px]">
+                                    CONVERSIONS
+                                </th>
+                                <th className="border border-gray-300 px-4 py-2 font-heading min-w-[100px]">
+                                    CONV RT
+                                </th>
+                                <th className="border border-gray-300 px-4 py-2 font-heading min-w-[120px]">
+                                    BOUNCE RATE
+                                </th>
+                                <th className="border border-gray-300 px-4 py-2 font-heading min-w-[100px]">
+                                    AVG Time
+                                </th>
+
+                                {/* EUR - Calculated from booking data */}
+                                <th className="border border-gray-300 px-4 py-2 bg-nests-green text-white font-heading min-w-[120px]">
+                                    EUR
+                                </th>
+
+                                {/* Target - Attainment of the period totals vs hostel targets */}
+                                {hasTargetData && (
+                                    <th className="border border-gray-300 px-4 py-2 font-heading min-w-[170px]">
+                                        OBJETIVO
+                                    </th>
+                                )}
+
+                                {/* Occupancy - Calculated from stay nights and hostel inventory */}
+                                {hasCapacityData && (
+                                    <>
+                                        <th className="border border-gray-300 px-4 py-2 font-heading min-w-[110px]">
+                                            OCUPACIÓN
+                                        </th>
+                                        <th className="border border-gray-300 px-4 py-2 font-heading min-w-[120px]">
+                                            REVPAR
+                                        </th>
+                                    </>
+                                )}
+
+                                {/* Room categories - Calculated from booking room types */}
+                                {hasRoomTypeData && (
+                                    <>
+                                        <th className="border border-gray-300 px-4 py-2 font-heading min-w-[130px]">
+                                            DORMITORIOS
+                                        </th>
+                                        <th className="border border-gray-300 px-4 py-2 font-heading min-w-[130px]">
+                                            PRIVADAS
+                                        </th>
+                                        <th className="border border-gray-300 px-4 py-2 font-heading min-w-[320px]">
+                                            POR TIPO DE HABITACIÓN
+                                        </th>
+                                    </>
+                                )}
+
+                                {/* Placeholder - Traffic source */}
+                                <th className="border border-gray-300 px-4 py-2 font-heading min-w-[140px]">
+                                    TOP TRAFICO
+                                </th>
+
+                                {/* Placeholder - Funnel metrics */}
+                                <th className="border border-gray-300 px-4 py-2 font-heading min-w-[140px]">
+                                    BOOKING ENGINE
+                                </th>
+                                <th className="border border-gray-300 px-4 py-2 font-heading min-w-[140px]">
+                                    ADD TO CART
+                                </th>
+                                <th className="border border-gray-300 px-4 py-2 font-heading min-w-[120px]">
+                                    CHECK-OUT
+                                </th>
+                                <th className="border border-gray-300 px-4 py-2 font-heading min-w-[120px]">
+                                    PURCHASE
+                                </th>
+
+                                {/* Hostel data - nested table (calculated from booking data) */}
+                                <th className="border border-gray-300 px-4 py-2 bg-nests-teal text-white font-heading min-w-[400px]">
+                                    CONVERSIONES POR HOSTAL
+                                </th>
+
+                                {/* Placeholder - Manual entry fields */}
+                                <th className="border border-gray-300 px-4 py-2 font-heading min-w-[140px]">
+                                    PICOS/CAÍDAS
+                                </th>
+                                <th className="border border-gray-300 px-4 py-2 font-heading min-w-[140px]">
+                                    TOP 3 países
+                                </th>
                             </tr>
-                        ))}
-                    </tbody>
-                </table>
-            </div>
+                        </thead>
+                        <tbody>
+                            {rowData.map((row, index) => (
+                                <tr key={index} className="hover:bg-gray-50 transition-colors">
+                                    {/* Period - sticky column with line break for date range */}
+                                    <td className="border border-gray-300 px-4 py-2 font-semibold sticky left-0 bg-white z-10 whitespace-pre-line">
+                                        {row.period.replace(' - ', '\n')}
+                                    </td>
+
+                                    {/* Placeholder columns - Google Analytics (empty for now) */}
+                                    <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
+                                    <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
+                                    <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
+                                    <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
+                                    <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
+                                    <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
+
+                                    {/* EUR - Calculated total revenue with green highlight */}
+                                    <td className="border border-gray-300 px-4 py-2 text-right font-semibold bg-nests-green/10 text-nests-green">
+                                        {formatRevenue(
+                                            row.totals.revenue,
+                                            row.totals.netRevenue > 0 ? row.totals.netRevenue : null,
+                                            row.totals.totalTaxes > 0 ? row.totals.totalTaxes : null,
+                                            showTaxBreakdown
+                                        )}
+                                    </td>
+
+                                    {/* Revenue / direct bookings vs target */}
+                                    {hasTargetData && (
+                                        <td className="border border-gray-300 px-4 py-2">
+                                            {targetMetrics.some(metric => row.totals.targets[metric.id]) ? (
+                                                targetMetrics.filter(metric => row.totals.targets[metric.id]).map(metric => (
+                                                    <div key={metric.id} className="mb-1">
+                                                        <div className="text-xs text-gray-500">{metric.name}</div>
+                                                        <TargetAttainment attainment={row.totals.targets[metric.id]} metric={metric.id} />
+                                                    </div>
+                                                ))
+                                            ) : '-'}
+                                        </td>
+                                    )}
+
+                                    {/* Occupancy / RevPAR of the stay nights in the period */}
+                                    {hasCapacityData && (
+                                        <>
+                                            <td className="border border-gray-300 px-4 py-2 text-center font-semibold">
+                                                {renderOccupancy(row.totals.capacity)}
+                                            </td>
+                                            <td className="border border-gray-300 px-4 py-2 text-right">
+                                                {renderRevPAR(row.totals.capacity)}
+                                            </td>
+                                        </>
+                                    )}
+
+                                    {/* Room categories and per-hostel room types */}
+                                    {hasRoomTypeData && (
+                                        <>
+                                            <td className="border border-gray-300 px-4 py-2 text-center">
+                                                {renderRoomMetrics(row.totals.roomCategories.dorm)}
+                                            </td>
+                                            <td className="border border-gray-300 px-4 py-2 text-center">
+                                                {renderRoomMetrics(row.totals.roomCategories.private)}
+                                            </td>
+                                            <td className="border border-gray-300 px-2 py-2">
+                                                <table className="min-w-full text-xs border-collapse">
+                                                    <thead>
+                                                        <tr className="bg-gray-100">
+                                                            <th className="border border-gray-300 px-2 py-1 text-left font-heading">Hostel</th>
+                                                            <th className="border border-gray-300 px-2 py-1 text-left font-heading">Tipo</th>
+                                                            <th className="border border-gray-300 px-2 py-1 font-heading">Res.</th>
+                                                            <th className="border border-gray-300 px-2 py-1 font-heading">Noches</th>
+                                                            <th className="border border-gray-300 px-2 py-1 text-right font-heading">EUR</th>
+                                                            <th className="border border-gray-300 px-2 py-1 text-right font-heading">ADR</th>
+                                                        </tr>
+                                                    </thead>
+                                                    <tbody>
+                                                        {row.hostels.flatMap(({ name, data }) => (
+                                                            Object.entries(data.roomTypes || {}).map(([key, roomType]) => (
+                                                                <tr key={`${name}-${key}`}>
+                                                                    <td className="border border-gray-300 px-2 py-1 font-medium">{name}</td>
+                                                                    <td className="border border-gray-300 px-2 py-1">{roomType.name}</td>
+                                                                    <td className="border border-gray-300 px-2 py-1 text-center">{roomType.valid}</td>
+                                                                    <td className="border border-gray-300 px-2 py-1 text-center">{roomType.nights}</td>
+                                                                    <td className="border border-gray-300 px-2 py-1 text-right">{formatCurrency(roomType.revenue)}</td>
+                                                                    <td className="border border-gray-300 px-2 py-1 text-right">{formatCurrency(roomType.adr)}</td>
+                                                                </tr>
+                                                            ))
+                                                        ))}
+                                                    </tbody>
+                                                </table>
+                                            </td>
+                                        </>
+                                    )}
+
+                                    {/* Placeholder columns - Traffic, Funnel, Manual (empty for now) */}
+                                    <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
+                                    <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
+                                    <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
+                                    <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
+                                    <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
+
+                                    {/* Hostel conversions - nested table with teal highlight */}
+                                    <td className="border border-gray-300 px-2 py-2 bg-nests-teal/10">
+                                        <NestedHostelTable
+                                            hostels={row.hostels}
+                                            totals={row.totals}
+                                            showTaxBreakdown={showTaxBreakdown}
+                                            period={row.period}
+                                            anomalies={anomalies}
+                                        />
+                                    </td>
+
+                                    {/* Placeholder columns - Manual entry fields (empty for now) */}
+                                    <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
+                                    <td className="border border-gray-300 px-4 py-2 text-center bg-gray-50">-</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
 
             {/* Legend explaining placeholder columns */}
             <div className="mt-4 text-xs text-gray-500 border-t border-gray-200 pt-4 font-body">
@@ -204,6 +471,18 @@ const ExcelStyleView = ({ weeklyData, showTaxBreakdown = false }) => {
                     <span className="font-semibold">Note:</span> Gray columns with "-" are placeholders for future data integration
                     (Google Analytics, funnel metrics, manual entries). <span className="text-nests-green font-semibold">EUR</span> and{' '}
                     <span className="text-nests-teal font-semibold">CONVERSIONES POR HOSTAL</span> show calculated data from uploaded bookings.
+                    {hasRoomTypeData && (
+                        <> Room type columns count direct bookings; bookings without a room type (not enriched yet) are listed as &quot;No room type&quot;.</>
+                    )}
+                    {hasTargetData && (
+                        <> OBJETIVO compares direct revenue and bookings with the hostel targets; * = prorated from monthly targets.</>
+                    )}
+                    {anomalies?.list.length > 0 && (
+                        <> Red / green hostel cells deviate from their rolling baseline (bad / good news; hover the badge for the expected value).</>
+                    )}
+                    {hasCapacityLowerBounds && (
+                        <> ≥ marks occupancy / RevPAR lower bounds: data is loaded by booking date, so stays booked outside the loaded periods are missing.</>
+                    )}
                 </p>
             </div>
         </div>
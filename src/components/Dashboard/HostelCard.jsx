@@ -1,12 +1,21 @@
 import React from 'react';
 import { formatCurrency, formatRevenue } from '../../utils/formatters';
+import { getCapacityBoundPrefix, formatOccupancy, CAPACITY_COVERAGE_NOTE } from '../../utils/capacity';
+import { targetMetrics } from '../../config/targetConfig';
+import MetricChange from './MetricChange';
+import TargetAttainment from './TargetAttainment';
 
-const HostelCard = ({ hostel, data, showTaxBreakdown = false }) => {
+// `changes` ({ count, revenue }, optional) are the deltas of the selected comparison mode
+// `targets` ({ revenue, directBookings }, optional) are the attainments of getHostelTargetAttainment()
+const HostelCard = ({ hostel, data, showTaxBreakdown = false, changes, targets }) => {
     return (
         <div className="bg-gradient-to-r from-green-50 to-emerald-50 rounded-xl p-4 sm:p-6 border border-green-200">
             <h3 className="font-bold text-lg text-gray-800 mb-2 truncate">{hostel}</h3>
             <div className="text-2xl sm:text-3xl font-bold text-green-600 mb-1">{data.count}</div>
-            <div className="text-xs sm:text-sm text-gray-600 mb-3">Total reservations</div>
+            <div className="text-xs sm:text-sm text-gray-600 mb-3">
+                Total reservations
+                {changes?.count && <MetricChange changes={changes.count} />}
+            </div>
 
             {data.cancelled > 0 && (
                 <div className="text-xs text-red-600 mb-2">
@@ -14,6 +23,16 @@ const HostelCard = ({ hostel, data, showTaxBreakdown = false }) => {
                 </div>
             )}
 
+            {/* Cancellation rate and lost revenue (all channels) */}
+            {data.cancellations?.cancelled > 0 && (
+                <div className="text-xs text-red-600 mb-2">
+                    {data.cancellations.rate}% cancellation rate | {formatCurrency(data.cancellations.lostRevenue)} lost
+                    {data.cancellations.withLostRevenue < data.cancellations.cancelled &&
+                        ` (${data.cancellations.withLostRevenue}/${data.cancellations.cancelled} enriched)`}
+                    {data.cancellations.avgLeadTime != null && ` | ${data.cancellations.avgLeadTime} days before arrival`}
+                </div>
+            )}
+
             {/* Nest Pass Display */}
             {data.nestPass > 0 && (
                 <div className="text-xs text-blue-600 mb-2">
@@ -29,15 +48,44 @@ const HostelCard = ({ hostel, data, showTaxBreakdown = false }) => {
                         {formatRevenue(data.revenue, data.netRevenue, data.totalTaxes, showTaxBreakdown)}
                     </span>
                 </div>
+                {changes?.revenue && !changes.revenue.isNew && <MetricChange changes={changes.revenue} isCurrency={true} />}
                 <div className="flex justify-between">
                     <span>ADR:</span>
                     <span className="font-semibold">{formatCurrency(data.adr)}</span>
                 </div>
+                {data.capacity?.occupancy != null && (
+                    <div className="flex justify-between" title={data.capacity.isComplete === false ? CAPACITY_COVERAGE_NOTE : undefined}>
+                        <span>Occupancy:</span>
+                        <span className="font-semibold">{formatOccupancy(data.capacity)}</span>
+                    </div>
+                )}
+                {data.capacity?.revPAR != null && (
+                    <div className="flex justify-between">
+                        <span>RevPAR:</span>
+                        <span className="font-semibold">{getCapacityBoundPrefix(data.capacity)}{formatCurrency(data.capacity.revPAR)}</span>
+                    </div>
+                )}
                 <div className="flex justify-between">
                     <span>Lead time:</span>
-                    <span className="font-semibold">{data.avgLeadTime || 0} days</span>
+                    <span className="font-semibold">
+                        {data.leadTime?.median != null
+                            ? `${data.leadTime.median} days median (avg ${data.avgLeadTime || 0})`
+                            : `${data.avgLeadTime || 0} days`}
+                    </span>
                 </div>
             </div>
+
+            {/* Attainment vs target (hostels with a target for the period) */}
+            {targets && targetMetrics.some(metric => targets[metric.id]) && (
+                <div className="space-y-1 text-xs text-gray-500 border-t border-green-200 pt-2 mt-2">
+                    {targetMetrics.filter(metric => targets[metric.id]).map(metric => (
+                        <div key={metric.id}>
+                            <span>{metric.name} target:</span>
+                            <TargetAttainment attainment={targets[metric.id]} metric={metric.id} />
+                        </div>
+                    ))}
+                </div>
+            )}
         </div>
     );
 };
@@ -1,17 +1,23 @@
 import React from 'react';
 import { Calendar } from 'lucide-react';
 import HostelCard from './HostelCard';
+import { getPeriodTypeInfo } from '../../utils/dateUtils';
+import { calculateHostelComparisonChange, getComparisonModeInfo } from '../../utils/periodComparison';
+import { getHostelTargetAttainment } from '../../utils/targets';
+import { targetMetrics } from '../../config/targetConfig';
 
-const LatestWeekSummary = ({ weeklyData, showTaxBreakdown = false }) => {
+const LatestWeekSummary = ({ weeklyData, showTaxBreakdown = false, comparison = { mode: 'wow' }, targets = [] }) => {
     if (!weeklyData || weeklyData.length === 0) return null;
 
-    const latestWeek = weeklyData[weeklyData.length - 1];
+    const latestIndex = weeklyData.length - 1;
+    const latestWeek = weeklyData[latestIndex];
 
     return (
         <div className="bg-white rounded-2xl shadow-xl p-6 sm:p-8 mb-8">
-            <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center gap-2">
+            <h2 className="text-2xl font-bold text-gray-800 mb-6 flex flex-wrap items-center gap-2">
                 <Calendar className="text-green-600" />
-                Latest Week: {latestWeek?.week}
+                Latest {getPeriodTypeInfo(latestWeek?.periodType).label}: {latestWeek?.week}
+                <span className="text-sm font-normal text-gray-500">({getComparisonModeInfo(comparison.mode).label})</span>
             </h2>
 
             <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 sm:gap-6">
@@ -21,6 +27,13 @@ const LatestWeekSummary = ({ weeklyData, showTaxBreakdown = false }) => {
                         hostel={hostel}
                         data={data}
                         showTaxBreakdown={showTaxBreakdown}
+                        changes={{
+                            count: calculateHostelComparisonChange(weeklyData, latestIndex, hostel, 'count', comparison),
+                            revenue: calculateHostelComparisonChange(weeklyData, latestIndex, hostel, 'revenue', comparison)
+                        }}
+                        targets={Object.fromEntries(targetMetrics.map(metric => (
+                            [metric.id, getHostelTargetAttainment(targets, latestWeek, hostel, metric.id)]
+                        )))}
                     />
                 ))}
             </div>
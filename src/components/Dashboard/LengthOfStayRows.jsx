@@ -0,0 +1,103 @@
+import React from 'react';
+import { Moon, ChevronDown, ChevronRight } from 'lucide-react';
+import { formatCurrency } from '../../utils/formatters';
+import { calculateComparisonChange, calculateHostelComparisonChange } from '../../utils/periodComparison';
+import { lengthOfStayTierOrder } from '../../utils/lengthOfStay';
+import { nestPassMinNights, monthlyMinNights } from '../../config/lengthOfStayConfig';
+import MetricChange from './MetricChange';
+
+/**
+ * LengthOfStayRows Component
+ *
+ * Expandable length of stay sub-table of one hostel in PerformanceTable: a
+ * summary row with the Nest Pass / Monthly long stays and the tier split of each
+ * period and, when expanded, one row per LOS tier with bookings, share, revenue
+ * and ADR. Tiers come from calculateHostelMetrics().lengthOfStay (valid direct bookings).
+ *
+ * @param {Array} weeklyData - Periods to show as columns
+ * @param {string} hostel - Hostel name
+ * @param {boolean} isExpanded - Whether the per-tier rows are shown
+ * @param {Function} onToggle - Expand / collapse the tier rows
+ * @param {object} [comparison] - Comparison mode of the Nest Pass delta (see calculateComparisonChange)
+ */
+const LengthOfStayRows = ({ weeklyData, hostel, isExpanded, onToggle, comparison }) => (
+    <>
+        {/* Long stays and tier split per period */}
+        <tr className="border-b border-gray-200 hover:bg-gray-50 bg-purple-50 cursor-pointer" onClick={onToggle}>
+            <td className="py-2 px-2 sm:px-4 pl-8 text-sm text-gray-600 flex items-center gap-1">
+                {isExpanded ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+                <Moon className="w-3 h-3" />
+                Length of stay
+            </td>
+            {weeklyData.map((week, weekIndex) => {
+                const data = week.hostels[hostel];
+                const nestPass = data?.nestPass || 0;
+                const monthly = data?.monthly || 0;
+                const valid = data?.valid || 0;
+                const percentage = valid > 0 ? Math.round((nestPass / valid) * 100) : 0;
+                const changes = calculateHostelComparisonChange(weeklyData, weekIndex, hostel, 'nestPass', comparison);
+                const tiers = data?.lengthOfStay || {};
+
+                return (
+                    <td key={week.week} className="py-2 px-2 sm:px-4 text-center">
+                        <div className="text-md font-medium text-purple-700">
+                            {nestPass} Nest Pass ({percentage}%)
+                            {monthly > 0 && <span className="text-xs"> | {monthly} Monthly</span>}
+                        </div>
+                        {valid > 0 && (
+                            <div className="flex h-1.5 mt-1 rounded overflow-hidden" title="Bookings per length of stay tier">
+                                {lengthOfStayTierOrder.filter(tier => tiers[tier.id]?.share > 0).map(tier => (
+                                    <div key={tier.id} style={{ width: `${tiers[tier.id].share}%`, backgroundColor: tier.color }} />
+                                ))}
+                            </div>
+                        )}
+                        <MetricChange changes={changes} />
+                    </td>
+                );
+            })}
+        </tr>
+
+        {/* One row per LOS tier */}
+        {isExpanded && lengthOfStayTierOrder.map(tier => (
+            <tr key={tier.id} className="border-b border-gray-50 hover:bg-gray-50">
+                <td className="py-2 px-2 sm:px-4 pl-12 text-sm text-gray-600 flex items-center gap-2">
+                    <span className="w-2 h-2 rounded-full" style={{ backgroundColor: tier.color }} />
+                    {tier.name}
+                </td>
+                {weeklyData.map((week, weekIndex) => {
+                    const metrics = week.hostels[hostel]?.lengthOfStay?.[tier.id];
+                    const changes = calculateComparisonChange(weeklyData, weekIndex, period => period.hostels[hostel]?.lengthOfStay?.[tier.id]?.count, comparison);
+
+                    return (
+                        <td key={week.week} className="py-2 px-2 sm:px-4 text-center text-sm">
+                            {metrics?.count > 0 ? (
+                                <>
+                                    <div className="font-medium text-gray-800">
+                                        {metrics.count} <span className="text-xs text-gray-500">({metrics.share}%)</span>
+                                    </div>
+                                    <div className="text-xs text-green-700">
+                                        {formatCurrency(metrics.revenue)} <span className="text-gray-500">({metrics.revenueShare}%)</span>
+                                    </div>
+                                    <div className="text-xs text-blue-700">ADR {formatCurrency(metrics.adr)}</div>
+                                    {(weekIndex > 0 || !changes.isNew) && <MetricChange changes={changes} />}
+                                </>
+                            ) : (
+                                <span className="text-gray-300">-</span>
+                            )}
+                        </td>
+                    );
+                })}
+            </tr>
+        ))}
+
+        {isExpanded && (
+            <tr className="border-b border-gray-200">
+                <td colSpan={weeklyData.length + 1} className="py-1 px-2 sm:px-4 pl-12 text-xs text-gray-500">
+                    Nest Pass = {nestPassMinNights}+ nights, Monthly = {monthlyMinNights}+ nights
+                </td>
+            </tr>
+        )}
+    </>
+);
+
+export default LengthOfStayRows;
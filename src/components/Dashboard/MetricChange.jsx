@@ -2,10 +2,20 @@ import React from 'react';
 import { TrendingUp, TrendingDown } from 'lucide-react';
 import { formatCurrency } from '../../utils/formatters';
 
+// Text shown when a comparison has no baseline, per comparison mode (see periodComparison.js)
+const noBaselineText = {
+    wow: 'First Week',
+    yoy: 'No last-year data',
+    avg4: 'No history'
+};
+
 // Render metric change (DRY component)
+// `changes.mode` (calculateComparisonChange) labels what the change is compared with
 const MetricChange = ({ changes, isCurrency = false }) => {
-    if (changes.isNew) return <div className="text-sm text-blue-600">First Week</div>;
-    if (changes.change === 0) return <div className="text-sm text-gray-500">No change</div>;
+    if (changes.isNew) return <div className="text-sm text-blue-600">{noBaselineText[changes.mode] || noBaselineText.wow}</div>;
+
+    const modeLabel = changes.mode === 'yoy' ? ' YoY' : changes.mode === 'avg4' ? ' vs avg' : '';
+    if (changes.change === 0) return <div className="text-sm text-gray-500">No change{modeLabel}</div>;
 
     const colorClass = changes.change > 0 ? 'text-green-600' : 'text-red-600';
     const Icon = changes.change > 0 ? TrendingUp : TrendingDown;
@@ -15,7 +25,7 @@ const MetricChange = ({ changes, isCurrency = false }) => {
     return (
         <div className={`text-sm flex items-center justify-center gap-1 ${colorClass}`}>
             <Icon className="w-3 h-3" />
-            <span className="text-xs">{prefix}{value} ({prefix}{changes.percentage}%)</span>
+            <span className="text-xs">{prefix}{value} ({prefix}{changes.percentage}%){modeLabel}</span>
         </div>
     );
 };
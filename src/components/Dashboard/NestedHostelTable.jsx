@@ -1,5 +1,8 @@
 import React from 'react';
 import { formatCurrency, formatRevenue } from '../../utils/formatters';
+import { getAnomaly, getAnomalyCellClass } from '../../utils/anomalies';
+import { formatOccupancy } from '../../utils/capacity';
+import AnomalyBadge from './AnomalyBadge';
 
 /**
  * NestedHostelTable Component
@@ -8,10 +11,15 @@ import { formatCurrency, formatRevenue } from '../../utils/formatters';
  * Used within the Excel-style view to show per-hostel metrics for each week.
  *
  * @param {Array} hostels - Array of hostel objects with name and data
- * @param {Object} totals - Total counts across all hostels (count, revenue, nestPass)
+ * @param {Object} totals - Total counts across all hostels (count, revenue, nestPass, capacity)
  * @param {boolean} showTaxBreakdown - Whether to show tax breakdown in revenue display
+ * @param {string} period - Period label (week.week), to look up anomalies
+ * @param {object} anomalies - detectAnomalies() result (count / revenue cells are highlighted)
  */
-const NestedHostelTable = ({ hostels, totals, showTaxBreakdown = false }) => {
+const NestedHostelTable = ({ hostels, totals, showTaxBreakdown = false, period, anomalies = null }) => {
+    // Occupancy column once some hostel inventory is known
+    const hasCapacity = hostels.some(({ data }) => data.capacity);
+
     return (
         <div className="overflow-hidden">
             <table className="min-w-full text-xs border-collapse font-body">
@@ -29,27 +37,44 @@ const NestedHostelTable = ({ hostels, totals, showTaxBreakdown = false }) => {
                         <th className="border border-gray-300 px-2 py-1 text-center font-heading min-w-[80px]">
                             Nest Pass
                         </th>
+                        {hasCapacity && (
+                            <th className="border border-gray-300 px-2 py-1 text-center font-heading min-w-[70px]">
+                                Ocup.
+                            </th>
+                        )}
                     </tr>
                 </thead>
                 <tbody>
-                    {hostels.map(({ name, data }) => (
-                        <tr key={name} className="hover:bg-gray-50 transition-colors">
-                            <td className="border border-gray-300 px-2 py-1 font-medium">
-                                {name}
-                            </td>
-                            <td className="border border-gray-300 px-2 py-1 text-center">
-                                {data.count !== undefined ? data.count : 0}
-                            </td>
-                            <td className="border border-gray-300 px-2 py-1 text-right">
-                                {data.count > 0 && data.revenue
-                                    ? formatRevenue(data.revenue, data.netRevenue, data.totalTaxes, showTaxBreakdown)
-                                    : '-'}
-                            </td>
-                            <td className="border border-gray-300 px-2 py-1 text-center">
-                                {data.count > 0 && data.nestPass ? data.nestPass : '-'}
-                            </td>
-                        </tr>
-                    ))}
+                    {hostels.map(({ name, data }) => {
+                        const countAnomaly = getAnomaly(anomalies, period, name, 'count');
+                        const revenueAnomaly = getAnomaly(anomalies, period, name, 'revenue');
+
+                        return (
+                            <tr key={name} className="hover:bg-gray-50 transition-colors">
+                                <td className="border border-gray-300 px-2 py-1 font-medium">
+                                    {name}
+                                </td>
+                                <td className={`border border-gray-300 px-2 py-1 text-center ${getAnomalyCellClass(countAnomaly)}`}>
+                                    {data.count !== undefined ? data.count : 0}
+                                    <AnomalyBadge anomaly={countAnomaly} />
+                                </td>
+                                <td className={`border border-gray-300 px-2 py-1 text-right ${getAnomalyCellClass(revenueAnomaly)}`}>
+                                    {data.count > 0 && data.revenue
+                                        ? formatRevenue(data.revenue, data.netRevenue, data.totalTaxes, showTaxBreakdown)
+                                        : '-'}
+                                    <AnomalyBadge anomaly={revenueAnomaly} />
+                                </td>
+                                <td className="border border-gray-300 px-2 py-1 text-center">
+                                    {data.count > 0 && data.nestPass ? data.nestPass : '-'}
+                                </td>
+                                {hasCapacity && (
+                                    <td className="border border-gray-300 px-2 py-1 text-center">
+                                        {formatOccupancy(data.capacity)}
+                                    </td>
+                                )}
+                            </tr>
+                        );
+                    })}
 
                     {/* TOTAL Row - highlighted with yellow background */}
                     <tr className="bg-nests-yellow/20 font-bold">
@@ -70,6 +95,11 @@ const NestedHostelTable = ({ hostels, totals, showTaxBreakdown = false }) => {
                         <td className="border border-gray-300 px-2 py-1 text-center">
                             {totals.nestPass}
                         </td>
+                        {hasCapacity && (
+                            <td className="border border-gray-300 px-2 py-1 text-center">
+                                {formatOccupancy(totals.capacity)}
+                            </td>
+                        )}
                     </tr>
                 </tbody>
             </table>
@@ -0,0 +1,79 @@
+import React from 'react';
+import { Percent } from 'lucide-react';
+import { formatCurrency } from '../../utils/formatters';
+import { calculateMetricChange } from '../../utils/metricsCalculator';
+import { combineCapacityMetrics, getCapacityBoundPrefix, formatOccupancy, CAPACITY_COVERAGE_NOTE } from '../../utils/capacity';
+import MetricChange from './MetricChange';
+
+/**
+ * OccupancyRow Component
+ *
+ * Occupancy %, RevPAR and RevPAB per period, from the `capacity` metrics added by
+ * addCapacityMetrics(). Shows one hostel, or the total over all hostels with known
+ * inventory when `hostel` is omitted. Renders nothing until some inventory is known.
+ * Lower bounds (stays possibly booked outside the loaded periods) are marked "≥".
+ *
+ * @param {Array} weeklyData - Periods to show as columns
+ * @param {string} [hostel] - Hostel name (omit for the totals row)
+ */
+const OccupancyRow = ({ weeklyData, hostel }) => {
+    const getCapacity = (week) => (hostel
+        ? week.hostels[hostel]?.capacity
+        : combineCapacityMetrics(Object.values(week.hostels).map(h => h.capacity)));
+
+    const capacities = weeklyData.map(getCapacity);
+    if (!capacities.some(Boolean)) return null;
+
+    const hasLowerBounds = capacities.some(capacity => capacity?.isComplete === false);
+
+    return (
+        <tr className={hostel ? 'border-b border-gray-200 hover:bg-gray-50 bg-teal-50' : 'bg-teal-100 font-bold'}>
+            <td className={hostel
+                ? 'py-2 px-2 sm:px-4 pl-8 text-sm text-gray-600 flex items-center gap-1'
+                : 'py-4 px-2 sm:px-4 font-bold text-gray-800 flex items-center gap-1'}
+            >
+                <Percent className={hostel ? 'w-3 h-3' : 'w-4 h-4'} />
+                {hostel ? 'Occupancy' : 'TOTAL OCCUPANCY'}
+                {hasLowerBounds && <span className="text-xs font-normal text-gray-500 cursor-help" title={CAPACITY_COVERAGE_NOTE}>(≥ ?)</span>}
+            </td>
+            {weeklyData.map((week, weekIndex) => {
+                const capacity = capacities[weekIndex];
+                const previous = weekIndex > 0 ? capacities[weekIndex - 1] : null;
+                // Change in percentage points (rounded like the occupancy itself)
+                const changes = previous?.occupancy != null && capacity?.occupancy != null
+                    ? calculateMetricChange(capacity.occupancy, previous.occupancy)
+                    : null;
+
+                return (
+                    <td
+                        key={week.week}
+                        className={`${hostel ? 'py-2' : 'py-4'} px-2 sm:px-4 text-center`}
+                        title={capacity?.isComplete === false ? CAPACITY_COVERAGE_NOTE : undefined}
+                    >
+                        {capacity?.occupancy != null || capacity?.revPAB != null ? (
+                            <>
+                                {capacity.occupancy != null && (
+                                    <div className={`${hostel ? 'text-md font-medium' : 'text-xl font-bold'} text-teal-700`}>
+                                        {formatOccupancy(capacity)}
+                                    </div>
+                                )}
+                                <div className="text-xs text-gray-600 font-normal">
+                                    {capacity.revPAR != null && <>RevPAR {getCapacityBoundPrefix(capacity)}{formatCurrency(capacity.revPAR)}</>}
+                                    {capacity.revPAR != null && capacity.revPAB != null && ' | '}
+                                    {capacity.revPAB != null && <>RevPAB {getCapacityBoundPrefix(capacity)}{formatCurrency(capacity.revPAB)}</>}
+                                </div>
+                                {changes && (
+                                    <MetricChange changes={{ ...changes, change: Math.round(changes.change * 10) / 10 }} />
+                                )}
+                            </>
+                        ) : (
+                            <span className="text-gray-300">-</span>
+                        )}
+                    </td>
+                );
+            })}
+        </tr>
+    );
+};
+
+export default OccupancyRow;
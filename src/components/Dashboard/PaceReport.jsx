@@ -0,0 +1,147 @@
+import React, { useMemo, useState } from 'react';
+import { CalendarClock } from 'lucide-react';
+import { formatCurrency } from '../../utils/formatters';
+import { formatDateISO } from '../../utils/dateUtils';
+import { buildPaceReport } from '../../utils/pace';
+import PickupCurveChart from '../Charts/PickupCurveChart';
+
+/**
+ * PaceReport Component
+ *
+ * On-the-books pace for future arrivals: per stay month, the room-nights,
+ * revenue and bookings on the books today, the pickup of the last 7 days and
+ * the difference with the same days before arrival last year, plus the pickup
+ * curve of the selected month. All channels; see pace.js for how past
+ * on-the-books figures are taken from snapshots or reconstructed.
+ * Comparisons rebuilt from the loaded bookings are marked with "*".
+ *
+ * @param {Array} weeklyData - Loaded periods (incl. last year's for the comparison)
+ * @param {Array} allHostels - Hostel names for the hostel filter
+ * @param {Array} snapshots - Stored daily on-the-books snapshots
+ * @param {Function} [onTakeSnapshot] - Take today's snapshot from a forward fetch (button hidden when omitted)
+ * @param {boolean} [isFetching=false] - Whether a fetch is running
+ */
+const PaceReport = ({ weeklyData, allHostels, snapshots = [], onTakeSnapshot, isFetching = false }) => {
+    // '' = all hostels combined
+    const [hostel, setHostel] = useState('');
+    const [selectedMonth, setSelectedMonth] = useState(null);
+
+    const rows = useMemo(
+        () => buildPaceReport(weeklyData, { hostel: hostel || undefined, snapshots }),
+        [weeklyData, hostel, snapshots]
+    );
+
+    if (!weeklyData || weeklyData.length === 0) return null;
+    if (!rows.some(row => row.current.bookings > 0 || row.lastWeek.bookings > 0)) return null;
+
+    const monthKey = selectedMonth || rows.find(row => row.daysBeforeArrival > 0)?.month.key || rows[0].month.key;
+
+    const hasSnapshotToday = snapshots.some(snapshot => snapshot.date === formatDateISO(new Date()));
+
+    // Signed room-nights / revenue difference (* = both sides rebuilt from the loaded bookings)
+    const renderDelta = (delta) => {
+        if (!delta) return <span className="text-gray-300">-</span>;
+        const colorClass = delta.roomNights > 0 ? 'text-green-600' : delta.roomNights < 0 ? 'text-red-600' : 'text-gray-500';
+        const sign = (value) => (value > 0 ? '+' : value < 0 ? '-' : '');
+
+        return (
+            <div className={`text-sm ${colorClass}`}>
+                <div className="font-medium">
+                    {sign(delta.roomNights)}{Math.abs(delta.roomNights)} RN{delta.source === 'reconstructed' && '*'}
+                </div>
+                <div className="text-xs">{sign(delta.revenue)}{formatCurrency(Math.abs(delta.revenue))}</div>
+            </div>
+        );
+    };
+
+    return (
+        <div className="bg-white rounded-2xl shadow-xl p-6 sm:p-8 mb-8">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
+                <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
+                    <CalendarClock className="text-teal-600" />
+                    On-the-Books Pace
+                </h2>
+                <div className="flex items-center gap-2">
+                    {onTakeSnapshot && (
+                        <button
+                            onClick={onTakeSnapshot}
+                            disabled={isFetching}
+                            className="px-3 py-1 rounded-lg text-sm font-medium border-2 border-nests-teal text-nests-teal hover:bg-teal-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {hasSnapshotToday ? 'Retake today\'s snapshot' : 'Take today\'s snapshot'}
+                        </button>
+                    )}
+                    <select
+                        value={hostel}
+                        onChange={(e) => setHostel(e.target.value)}
+                        className="border border-gray-300 rounded-lg px-3 py-1 text-sm"
+                    >
+                        <option value="">All hostels</option>
+                        {allHostels.map(name => (
+                            <option key={name} value={name}>{name}</option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            <div className="overflow-x-auto">
+                <table className="w-full">
+                    <thead>
+                        <tr className="border-b-2 border-gray-200">
+                            <th className="text-left py-3 px-2 sm:px-4 font-bold text-gray-800">Stay month</th>
+                            <th className="text-center py-3 px-2 sm:px-4 font-bold text-gray-800">Days to arrival</th>
+                            <th className="text-center py-3 px-2 sm:px-4 font-bold text-gray-800">On the books</th>
+                            <th className="text-center py-3 px-2 sm:px-4 font-bold text-gray-800">Pickup (7 days)</th>
+                            <th className="text-center py-3 px-2 sm:px-4 font-bold text-gray-800">vs Last year</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(row => (
+                            <tr
+                                key={row.month.key}
+                                onClick={() => setSelectedMonth(row.month.key)}
+                                className={`border-b border-gray-100 hover:bg-gray-50 cursor-pointer ${row.month.key === monthKey ? 'bg-teal-50' : ''}`}
+                            >
+                                <td className="py-3 px-2 sm:px-4 font-semibold text-gray-700">{row.month.label}</td>
+                                <td className="py-3 px-2 sm:px-4 text-center text-sm text-gray-600">
+                                    {row.daysBeforeArrival > 0 ? row.daysBeforeArrival : 'In progress'}
+                                </td>
+                                <td className="py-3 px-2 sm:px-4 text-center">
+                                    <div className="text-lg font-bold text-gray-800">{row.current.roomNights} RN</div>
+                                    <div className="text-xs text-green-700">{formatCurrency(row.current.revenue)}</div>
+                                    <div className="text-xs text-gray-500">{row.current.bookings} bookings</div>
+                                </td>
+                                <td className="py-3 px-2 sm:px-4 text-center">{renderDelta(row.pickup)}</td>
+                                <td className="py-3 px-2 sm:px-4 text-center">
+                                    {renderDelta(row.vsLastYear)}
+                                    {row.lastYear && (
+                                        <div className="text-xs text-gray-500">
+                                            {row.lastYear.month.label}: {row.lastYear.roomNights} RN
+                                        </div>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {/* Pickup curve of the selected stay month */}
+            <div className="mt-6 p-6 bg-gray-50 rounded-xl">
+                <h3 className="text-lg font-semibold text-gray-800 mb-4">
+                    Pickup curve: {rows.find(row => row.month.key === monthKey)?.month.label}
+                </h3>
+                <PickupCurveChart weeklyData={weeklyData} monthKey={monthKey} hostel={hostel} />
+            </div>
+
+            <p className="text-xs text-gray-500 mt-2">
+                All channels, room-nights by check-in / check-out. Snapshots are taken from a forward fetch of every reservation by stay
+                date ({snapshots.length} stored). A comparison uses snapshots when both days have one;
+                otherwise both sides are rebuilt from the booking and cancellation dates of the loaded periods (*), which misses stays booked
+                outside them. Last year needs last year&apos;s bookings to be loaded (e.g. &quot;Fetch last year&quot; in the comparison modes).
+            </p>
+        </div>
+    );
+};
+
+export default PaceReport;
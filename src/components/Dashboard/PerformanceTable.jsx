@@ -1,9 +1,23 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { TrendingUp, Brain, LineChart, ChevronUp, ChevronDown, DollarSign } from 'lucide-react';
 import { formatCurrency, formatRevenue } from '../../utils/formatters';
-import { calculateMetricChange, calculateProgressiveMetricChanges } from '../../utils/metricsCalculator';
+import { calculateHostelComparisonChange, calculateTotalComparisonChange } from '../../utils/periodComparison';
+import { getDataPeriodInfo } from '../../utils/dateUtils';
+import { getAnomaly, getAnomalyCellClass } from '../../utils/anomalies';
 import MetricChange from './MetricChange';
+import AnomalyBadge from './AnomalyBadge';
+import AnalysisModeToggle from './AnalysisModeToggle';
+import ComparisonModeToggle from './ComparisonModeToggle';
+import StayDateTable from './StayDateTable';
+import ChannelMixTable from './ChannelMixTable';
+import RoomTypeRows from './RoomTypeRows';
+import LengthOfStayRows from './LengthOfStayRows';
+import OccupancyRow from './OccupancyRow';
+import TargetRow from './TargetRow';
+import SourceMarketTable from './SourceMarketTable';
+import CancellationSection from './CancellationSection';
 import ReservationChart from '../Charts/ReservationChart';
+import LeadTimeHistogram from '../Charts/LeadTimeHistogram';
 
 const PerformanceTable = ({
     weeklyData,
@@ -11,23 +25,65 @@ const PerformanceTable = ({
     showCharts,
     setShowCharts,
     chartData,
+    channelChartData = [],
+    chartChannels = [],
     colors,
     chartType,
     setChartType,
     getAIAnalysis,
     isAnalyzing,
-    showTaxBreakdown = false
+    showTaxBreakdown = false,
+    analysisMode = 'booking',   // 'booking' (by booking date) or 'stay' (by stay night)
+    setAnalysisMode,
+    stayData = [],
+    comparison = { mode: 'wow' },  // { mode: 'wow' | 'yoy' | 'avg4', reference } (see periodComparison.js)
+    setComparisonMode,
+    missingLastYear = 0,           // Last-year periods not loaded (YoY mode)
+    onFetchLastYear,
+    isFetching = false,
+    targets = [],                  // Revenue / direct booking targets (see targets.js)
+    anomalies = null               // detectAnomalies() result over weeklyData (see anomalies.js)
 }) => {
+    // Hostels whose room type sub-table is expanded
+    const [expandedRoomTypes, setExpandedRoomTypes] = useState({});
+    // Hostels whose length of stay tiers are expanded
+    const [expandedLengthOfStay, setExpandedLengthOfStay] = useState({});
+
     if (!weeklyData || weeklyData.length === 0) return null;
 
+    const toggleRoomTypes = (hostel) => {
+        setExpandedRoomTypes(prev => ({ ...prev, [hostel]: !prev[hostel] }));
+    };
+
+    const toggleLengthOfStay = (hostel) => {
+        setExpandedLengthOfStay(prev => ({ ...prev, [hostel]: !prev[hostel] }));
+    };
+
+    const periodInfo = getDataPeriodInfo(weeklyData);
+
+    // Totals hide the missing "previous period" delta of the first column, like before comparison modes
+    const showTotalChange = (changes, weekIndex) => weekIndex > 0 || !changes.isNew || comparison.mode !== 'wow';
+
     return (
         <div className="bg-white rounded-2xl shadow-xl p-6 sm:p-8 mb-8">
             <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
                 <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
                     <TrendingUp className="text-purple-600" />
-                    Weekly Performance Comparison
+                    {periodInfo.adjective} Performance Comparison
                 </h2>
-                <div className="flex gap-2">
+                <div className="flex flex-wrap gap-2">
+                    {setAnalysisMode && (
+                        <AnalysisModeToggle analysisMode={analysisMode} setAnalysisMode={setAnalysisMode} />
+                    )}
+                    {setComparisonMode && (
+                        <ComparisonModeToggle
+                            comparisonMode={comparison.mode}
+                            setComparisonMode={setComparisonMode}
+                            missingLastYear={missingLastYear}
+                            onFetchLastYear={onFetchLastYear}
+                            isFetching={isFetching}
+                        />
+                    )}
                     <button
                         onClick={() => setShowCharts(!showCharts)}
                         className="bg-purple-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-purple-700 transition-colors flex items-center gap-2"
@@ -50,6 +106,8 @@ const PerformanceTable = ({
             {/* Charts */}
             <ReservationChart
                 chartData={chartData}
+                channelChartData={channelChartData}
+                chartChannels={chartChannels}
                 allHostels={allHostels}
                 colors={colors}
                 chartType={chartType}
@@ -57,180 +115,207 @@ const PerformanceTable = ({
                 showCharts={showCharts}
             />
 
+            {/* Booking window distribution (booking date) */}
+            {analysisMode === 'booking' && (
+                <LeadTimeHistogram weeklyData={weeklyData} allHostels={allHostels} colors={colors} showCharts={showCharts} />
+            )}
+
+            {/* Stay-date table (nights sold per stay period) */}
+            {analysisMode === 'stay' && (
+                <StayDateTable stayData={stayData} allHostels={allHostels} showTaxBreakdown={showTaxBreakdown} comparisonMode={comparison.mode} />
+            )}
+
             {/* Table */}
-            <div className="overflow-x-auto">
-                <table className="w-full">
-                    <thead>
-                        <tr className="border-b-2 border-gray-200">
-                            <th className="text-left py-4 px-2 sm:px-4 font-bold text-gray-800">Hostel / Metric</th>
-                            {weeklyData.map(week => (
-                                <th key={week.week} className="text-center py-4 px-2 sm:px-4 font-bold text-gray-800 min-w-32">
-                                    <div className="text-sm">{week.week}</div>
-                                </th>
+            {analysisMode === 'booking' && (
+                <div className="overflow-x-auto">
+                    <table className="w-full">
+                        <thead>
+                            <tr className="border-b-2 border-gray-200">
+                                <th className="text-left py-4 px-2 sm:px-4 font-bold text-gray-800">Hostel / Metric</th>
+                                {weeklyData.map(week => (
+                                    <th key={week.week} className="text-center py-4 px-2 sm:px-4 font-bold text-gray-800 min-w-32">
+                                        <div className="text-sm">{week.week}</div>
+                                    </th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {allHostels.map(hostel => (
+                                <React.Fragment key={hostel}>
+                                    {/* Bookings */}
+                                    <tr className="border-b border-gray-100 hover:bg-gray-50">
+                                        <td className="py-4 px-2 sm:px-4 font-semibold text-gray-700">{hostel}</td>
+                                        {weeklyData.map((week, weekIndex) => {
+                                            const data = week.hostels[hostel];
+                                            const count = data?.count || 0;
+                                            const cancelled = data?.cancelled || 0;
+                                            const changes = calculateHostelComparisonChange(weeklyData, weekIndex, hostel, 'count', comparison);
+                                            const anomaly = getAnomaly(anomalies, week.week, hostel, 'count');
+                                            const cancelledAnomaly = getAnomaly(anomalies, week.week, hostel, 'cancelled');
+
+                                            return (
+                                                <td key={week.week} className={`py-4 px-2 sm:px-4 text-center ${getAnomalyCellClass(anomaly)}`}>
+                                                    <div className="text-xl font-bold text-gray-800">{count}</div>
+                                                    {cancelled > 0 && <div className="text-xs text-red-600">({cancelled} cancelled)</div>}
+                                                    <MetricChange changes={changes} />
+                                                    <AnomalyBadge anomaly={anomaly} />
+                                                    <AnomalyBadge anomaly={cancelledAnomaly} />
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+
+                                    {/* Revenue */}
+                                    <tr className="border-b border-gray-50 hover:bg-gray-50 bg-green-50">
+                                        <td className="py-2 px-2 sm:px-4 pl-8 text-sm text-gray-600 flex items-center gap-1">
+                                            <DollarSign className="w-3 h-3" />
+                                            Revenue
+                                        </td>
+                                        {weeklyData.map((week, weekIndex) => {
+                                            const hostelData = week.hostels[hostel];
+                                            const revenue = hostelData?.revenue || 0;
+                                            const netRevenue = hostelData?.netRevenue;
+                                            const totalTaxes = hostelData?.totalTaxes;
+                                            const changes = calculateHostelComparisonChange(weeklyData, weekIndex, hostel, 'revenue', comparison);
+                                            const anomaly = getAnomaly(anomalies, week.week, hostel, 'revenue');
+
+                                            return (
+                                                <td key={week.week} className={`py-2 px-2 sm:px-4 text-center ${getAnomalyCellClass(anomaly)}`}>
+                                                    <div className="text-lg font-semibold text-green-700">
+                                                        {formatRevenue(revenue, netRevenue, totalTaxes, showTaxBreakdown)}
+                                                    </div>
+                                                    <MetricChange changes={changes} isCurrency={true} />
+                                                    <AnomalyBadge anomaly={anomaly} />
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+
+                                    {/* ADR */}
+                                    <tr className="border-b border-gray-200 hover:bg-gray-50 bg-blue-50">
+                                        <td className="py-2 px-2 sm:px-4 pl-8 text-sm text-gray-600">ADR</td>
+                                        {weeklyData.map((week) => {
+                                            const adr = week.hostels[hostel]?.adr || 0;
+                                            const anomaly = getAnomaly(anomalies, week.week, hostel, 'adr');
+
+                                            return (
+                                                <td key={week.week} className={`py-2 px-2 sm:px-4 text-center ${getAnomalyCellClass(anomaly)}`}>
+                                                    <div className="text-md font-medium text-blue-700">{formatCurrency(adr)}</div>
+                                                    <AnomalyBadge anomaly={anomaly} />
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+
+                                    {/* Length of stay (Nest Pass / Monthly, LOS tiers), expandable */}
+                                    <LengthOfStayRows
+                                        weeklyData={weeklyData}
+                                        hostel={hostel}
+                                        isExpanded={Boolean(expandedLengthOfStay[hostel])}
+                                        comparison={comparison}
+                                        onToggle={() => toggleLengthOfStay(hostel)}
+                                    />
+
+                                    {/* Occupancy / RevPAR / RevPAB (hostels with known inventory) */}
+                                    <OccupancyRow weeklyData={weeklyData} hostel={hostel} />
+
+                                    {/* Revenue / direct bookings vs target (hostels with targets) */}
+                                    <TargetRow weeklyData={weeklyData} targets={targets} hostel={hostel} />
+
+                                    {/* Room types (dorm vs private), expandable */}
+                                    <RoomTypeRows
+                                        weeklyData={weeklyData}
+                                        hostel={hostel}
+                                        isExpanded={Boolean(expandedRoomTypes[hostel])}
+                                        onToggle={() => toggleRoomTypes(hostel)}
+                                    />
+                                </React.Fragment>
                             ))}
-                        </tr>
-                    </thead>
-                    <tbody>
-                        {allHostels.map(hostel => (
-                            <React.Fragment key={hostel}>
-                                {/* Bookings */}
-                                <tr className="border-b border-gray-100 hover:bg-gray-50">
-                                    <td className="py-4 px-2 sm:px-4 font-semibold text-gray-700">{hostel}</td>
-                                    {weeklyData.map((week, weekIndex) => {
-                                        const data = week.hostels[hostel];
-                                        const count = data?.count || 0;
-                                        const cancelled = data?.cancelled || 0;
-                                        const changes = calculateProgressiveMetricChanges(weeklyData, weekIndex, hostel, 'count');
-
-                                        return (
-                                            <td key={week.week} className="py-4 px-2 sm:px-4 text-center">
-                                                <div className="text-xl font-bold text-gray-800">{count}</div>
-                                                {cancelled > 0 && <div className="text-xs text-red-600">({cancelled} cancelled)</div>}
-                                                <MetricChange changes={changes} />
-                                            </td>
-                                        );
-                                    })}
-                                </tr>
-
-                                {/* Revenue */}
-                                <tr className="border-b border-gray-50 hover:bg-gray-50 bg-green-50">
-                                    <td className="py-2 px-2 sm:px-4 pl-8 text-sm text-gray-600 flex items-center gap-1">
-                                        <DollarSign className="w-3 h-3" />
-                                        Revenue
-                                    </td>
-                                    {weeklyData.map((week, weekIndex) => {
-                                        const hostelData = week.hostels[hostel];
-                                        const revenue = hostelData?.revenue || 0;
-                                        const netRevenue = hostelData?.netRevenue;
-                                        const totalTaxes = hostelData?.totalTaxes;
-                                        const changes = calculateProgressiveMetricChanges(weeklyData, weekIndex, hostel, 'revenue');
-
-                                        return (
-                                            <td key={week.week} className="py-2 px-2 sm:px-4 text-center">
-                                                <div className="text-lg font-semibold text-green-700">
-                                                    {formatRevenue(revenue, netRevenue, totalTaxes, showTaxBreakdown)}
-                                                </div>
-                                                <MetricChange changes={changes} isCurrency={true} />
-                                            </td>
-                                        );
-                                    })}
-                                </tr>
-
-                                {/* ADR */}
-                                <tr className="border-b border-gray-200 hover:bg-gray-50 bg-blue-50">
-                                    <td className="py-2 px-2 sm:px-4 pl-8 text-sm text-gray-600">ADR</td>
-                                    {weeklyData.map((week) => {
-                                        const adr = week.hostels[hostel]?.adr || 0;
-
-                                        return (
-                                            <td key={week.week} className="py-2 px-2 sm:px-4 text-center">
-                                                <div className="text-md font-medium text-blue-700">{formatCurrency(adr)}</div>
-                                            </td>
-                                        );
-                                    })}
-                                </tr>
-
-                                {/* Nest Pass Row */}
-                                <tr className="border-b border-gray-200 hover:bg-gray-50 bg-purple-50">
-                                    <td className="py-2 px-2 sm:px-4 pl-8 text-sm text-gray-600">Nest Pass</td>
-                                    {weeklyData.map((week, weekIndex) => {
-                                        const nestPass = week.hostels[hostel]?.nestPass || 0;
-                                        const monthly = week.hostels[hostel]?.monthly || 0;
-                                        const valid = week.hostels[hostel]?.valid || 1;
-                                        const percentage = valid > 0 ? Math.round((nestPass / valid) * 100) : 0;
-                                        const changes = calculateProgressiveMetricChanges(weeklyData, weekIndex, hostel, 'nestPass');
-
-                                        return (
-                                            <td key={week.week} className="py-2 px-2 sm:px-4 text-center">
-                                                <div className="text-md font-medium text-purple-700">
-                                                    {nestPass} ({percentage}%)
-                                                    {monthly > 0 && <span className="text-xs"> | {monthly} Monthly</span>}
-                                                </div>
-                                                <MetricChange changes={changes} />
-                                            </td>
-                                        );
-                                    })}
-                                </tr>
-                            </React.Fragment>
-                        ))}
-
-                        {/* Totals */}
-                        <tr className="border-t-2 border-gray-300 bg-gray-100 font-bold">
-                            <td className="py-4 px-2 sm:px-4 font-bold text-gray-800">TOTAL BOOKINGS</td>
-                            {weeklyData.map((week, weekIndex) => {
-                                const total = Object.values(week.hostels).reduce((sum, h) => sum + h.count, 0);
-                                const cancelled = Object.values(week.hostels).reduce((sum, h) => sum + (h.cancelled || 0), 0);
-
-                                const prevTotal = weekIndex > 0
-                                    ? Object.values(weeklyData[weekIndex - 1].hostels).reduce((sum, h) => sum + h.count, 0)
-                                    : 0;
-                                const changes = calculateMetricChange(total, prevTotal);
-
-                                return (
-                                    <td key={week.week} className="py-4 px-2 sm:px-4 text-center">
-                                        <div className="text-xl font-bold text-gray-800">{total}</div>
-                                        {cancelled > 0 && <div className="text-xs text-red-600">({cancelled} cancelled)</div>}
-                                        {weekIndex > 0 && <MetricChange changes={changes} />}
-                                    </td>
-                                );
-                            })}
-                        </tr>
-
-                        <tr className="bg-green-100 font-bold">
-                            <td className="py-4 px-2 sm:px-4 font-bold text-gray-800 flex items-center gap-1">
-                                <DollarSign className="w-4 h-4" />
-                                TOTAL REVENUE
-                            </td>
-                            {weeklyData.map((week, weekIndex) => {
-                                const total = Object.values(week.hostels).reduce((sum, h) => sum + (h.revenue || 0), 0);
-                                const totalNet = Object.values(week.hostels).reduce((sum, h) => sum + (h.netRevenue || 0), 0);
-                                const totalTax = Object.values(week.hostels).reduce((sum, h) => sum + (h.totalTaxes || 0), 0);
-
-                                const prevTotal = weekIndex > 0
-                                    ? Object.values(weeklyData[weekIndex - 1].hostels).reduce((sum, h) => sum + (h.revenue || 0), 0)
-                                    : 0;
-                                const changes = calculateMetricChange(total, prevTotal);
-
-                                return (
-                                    <td key={week.week} className="py-4 px-2 sm:px-4 text-center">
-                                        <div className="text-xl font-bold text-green-700">
-                                            {formatRevenue(total, totalNet > 0 ? totalNet : null, totalTax > 0 ? totalTax : null, showTaxBreakdown)}
-                                        </div>
-                                        {weekIndex > 0 && <MetricChange changes={changes} isCurrency={true} />}
-                                    </td>
-                                );
-                            })}
-                        </tr>
-
-                        <tr className="bg-purple-100 font-bold">
-                            <td className="py-4 px-2 sm:px-4 font-bold text-gray-800">
-                                TOTAL NEST PASS
-                            </td>
-                            {weeklyData.map((week, weekIndex) => {
-                                const totalNestPass = Object.values(week.hostels).reduce((sum, h) => sum + (h.nestPass || 0), 0);
-                                const totalMonthly = Object.values(week.hostels).reduce((sum, h) => sum + (h.monthly || 0), 0);
-                                const totalValid = Object.values(week.hostels).reduce((sum, h) => sum + (h.valid || 0), 0);
-                                const percentage = totalValid > 0 ? ((totalNestPass / totalValid) * 100).toFixed(1) : 0;
-
-                                const prevNestPass = weekIndex > 0
-                                    ? Object.values(weeklyData[weekIndex - 1].hostels).reduce((sum, h) => sum + (h.nestPass || 0), 0)
-                                    : 0;
-                                const changes = calculateMetricChange(totalNestPass, prevNestPass);
-
-                                return (
-                                    <td key={week.week} className="py-4 px-2 sm:px-4 text-center">
-                                        <div className="text-xl font-bold text-purple-700">
-                                            {totalNestPass} ({percentage}%)
-                                            {totalMonthly > 0 && <div className="text-sm">({totalMonthly} Monthly)</div>}
-                                        </div>
-                                        {weekIndex > 0 && <MetricChange changes={changes} />}
-                                    </td>
-                                );
-                            })}
-                        </tr>
-                    </tbody>
-                </table>
-            </div>
+
+                            {/* Totals */}
+                            <tr className="border-t-2 border-gray-300 bg-gray-100 font-bold">
+                                <td className="py-4 px-2 sm:px-4 font-bold text-gray-800">TOTAL BOOKINGS</td>
+                                {weeklyData.map((week, weekIndex) => {
+                                    const total = Object.values(week.hostels).reduce((sum, h) => sum + h.count, 0);
+                                    const cancelled = Object.values(week.hostels).reduce((sum, h) => sum + (h.cancelled || 0), 0);
+                                    const changes = calculateTotalComparisonChange(weeklyData, weekIndex, 'count', comparison);
+
+                                    return (
+                                        <td key={week.week} className="py-4 px-2 sm:px-4 text-center">
+                                            <div className="text-xl font-bold text-gray-800">{total}</div>
+                                            {cancelled > 0 && <div className="text-xs text-red-600">({cancelled} cancelled)</div>}
+                                            {showTotalChange(changes, weekIndex) && <MetricChange changes={changes} />}
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+
+                            <tr className="bg-green-100 font-bold">
+                                <td className="py-4 px-2 sm:px-4 font-bold text-gray-800 flex items-center gap-1">
+                                    <DollarSign className="w-4 h-4" />
+                                    TOTAL REVENUE
+                                </td>
+                                {weeklyData.map((week, weekIndex) => {
+                                    const total = Object.values(week.hostels).reduce((sum, h) => sum + (h.revenue || 0), 0);
+                                    const totalNet = Object.values(week.hostels).reduce((sum, h) => sum + (h.netRevenue || 0), 0);
+                                    const totalTax = Object.values(week.hostels).reduce((sum, h) => sum + (h.totalTaxes || 0), 0);
+                                    const changes = calculateTotalComparisonChange(weeklyData, weekIndex, 'revenue', comparison);
+
+                                    return (
+                                        <td key={week.week} className="py-4 px-2 sm:px-4 text-center">
+                                            <div className="text-xl font-bold text-green-700">
+                                                {formatRevenue(total, totalNet > 0 ? totalNet : null, totalTax > 0 ? totalTax : null, showTaxBreakdown)}
+                                            </div>
+                                            {showTotalChange(changes, weekIndex) && <MetricChange changes={changes} isCurrency={true} />}
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+
+                            <tr className="bg-purple-100 font-bold">
+                                <td className="py-4 px-2 sm:px-4 font-bold text-gray-800">
+                                    TOTAL NEST PASS
+                                </td>
+                                {weeklyData.map((week, weekIndex) => {
+                                    const totalNestPass = Object.values(week.hostels).reduce((sum, h) => sum + (h.nestPass || 0), 0);
+                                    const totalMonthly = Object.values(week.hostels).reduce((sum, h) => sum + (h.monthly || 0), 0);
+                                    const totalValid = Object.values(week.hostels).reduce((sum, h) => sum + (h.valid || 0), 0);
+                                    const percentage = totalValid > 0 ? ((totalNestPass / totalValid) * 100).toFixed(1) : 0;
+                                    const changes = calculateTotalComparisonChange(weeklyData, weekIndex, 'nestPass', comparison);
+
+                                    return (
+                                        <td key={week.week} className="py-4 px-2 sm:px-4 text-center">
+                                            <div className="text-xl font-bold text-purple-700">
+                                                {totalNestPass} ({percentage}%)
+                                                {totalMonthly > 0 && <div className="text-sm">({totalMonthly} Monthly)</div>}
+                                            </div>
+                                            {showTotalChange(changes, weekIndex) && <MetricChange changes={changes} />}
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+
+                            <OccupancyRow weeklyData={weeklyData} />
+                            <TargetRow weeklyData={weeklyData} targets={targets} />
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {/* Channel mix (booking date) */}
+            {analysisMode === 'booking' && (
+                <ChannelMixTable weeklyData={weeklyData} allHostels={allHostels} />
+            )}
+
+            {/* Source markets (booking date) */}
+            {analysisMode === 'booking' && (
+                <SourceMarketTable weeklyData={weeklyData} allHostels={allHostels} />
+            )}
+
+            {/* Cancellations (booking date) */}
+            {analysisMode === 'booking' && (
+                <CancellationSection weeklyData={weeklyData} allHostels={allHostels} />
+            )}
         </div>
     );
 };
@@ -0,0 +1,57 @@
+import React from 'react';
+import { Layers } from 'lucide-react';
+import { periodTypes } from '../../utils/dateUtils';
+import { bucketDateFields } from '../../utils/periodAggregator';
+
+// Granularities offered for re-bucketing ('loaded' = periods exactly as fetched/uploaded)
+const granularityOptions = [
+    { value: 'loaded', label: 'As Loaded' },
+    ...periodTypes.filter(p => p.value !== 'custom').map(p => ({ value: p.value, label: p.label }))
+];
+
+/**
+ * PeriodGroupingControls Component
+ *
+ * Toggles how loaded bookings are grouped for display: as loaded, or regrouped
+ * into weeks/months/quarters/years by booking date, check-in date or stay night.
+ * Regrouping happens in memory from raw bookings (no refetch).
+ *
+ * @param {string} granularity - 'loaded' | 'week' | 'month' | 'quarter' | 'year'
+ * @param {Function} setGranularity - Update granularity
+ * @param {string} dateField - 'bookingDate' | 'checkin' | 'stayNight'
+ * @param {Function} setDateField - Update date field
+ */
+const PeriodGroupingControls = ({ granularity, setGranularity, dateField, setDateField }) => {
+    return (
+        <div className="flex flex-wrap items-center justify-center gap-2 text-sm">
+            <Layers className="w-4 h-4 text-nests-teal" />
+            <span className="font-semibold text-gray-700">Group by:</span>
+            {granularityOptions.map(option => (
+                <button
+                    key={option.value}
+                    onClick={() => setGranularity(option.value)}
+                    className={`px-3 py-1 rounded-lg font-medium transition-colors ${granularity === option.value
+                        ? 'bg-nests-teal text-white'
+                        : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                        }`}
+                >
+                    {option.label}
+                </button>
+            ))}
+
+            {granularity !== 'loaded' && (
+                <select
+                    value={dateField}
+                    onChange={(e) => setDateField(e.target.value)}
+                    className="ml-2 px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-nests-teal focus:border-transparent"
+                >
+                    {bucketDateFields.map(field => (
+                        <option key={field.value} value={field.value}>by {field.label}</option>
+                    ))}
+                </select>
+            )}
+        </div>
+    );
+};
+
+export default PeriodGroupingControls;
@@ -0,0 +1,104 @@
+import React from 'react';
+import { BedDouble, ChevronDown, ChevronRight } from 'lucide-react';
+import { formatCurrency } from '../../utils/formatters';
+import { roomCategoryOrder } from '../../utils/roomTypeClassifier';
+
+/**
+ * RoomTypeRows Component
+ *
+ * Expandable room type sub-table of one hostel in PerformanceTable: a summary
+ * row with the dorm / private split of each period and, when expanded, one row
+ * per room type with bookings, nights, revenue and ADR. Room types come from
+ * calculateHostelMetrics().roomTypes (direct bookings, like the rows above).
+ *
+ * @param {Array} weeklyData - Periods to show as columns
+ * @param {string} hostel - Hostel name
+ * @param {boolean} isExpanded - Whether the per-room-type rows are shown
+ * @param {Function} onToggle - Expand / collapse the room type rows
+ */
+const RoomTypeRows = ({ weeklyData, hostel, isExpanded, onToggle }) => {
+    // Room types seen for the hostel in any period: categories in config order, then by name
+    const roomTypes = new Map();
+    weeklyData.forEach(week => {
+        Object.entries(week.hostels[hostel]?.roomTypes || {}).forEach(([key, metrics]) => {
+            if (!roomTypes.has(key)) roomTypes.set(key, metrics);
+        });
+    });
+
+    // Nothing to break down until bookings carry room types (enrichment or Excel room column)
+    if (![...roomTypes.keys()].some(key => key !== 'none')) return null;
+
+    const categoryIndex = (category) => roomCategoryOrder.findIndex(c => c.id === category);
+    const sortedRoomTypes = [...roomTypes.entries()].sort(([keyA, a], [keyB, b]) => (
+        (keyA === 'none') - (keyB === 'none') ||
+        categoryIndex(a.category) - categoryIndex(b.category) ||
+        a.name.localeCompare(b.name)
+    ));
+
+    return (
+        <>
+            {/* Dorm / private split per period */}
+            <tr className="border-b border-gray-200 hover:bg-gray-50 bg-amber-50 cursor-pointer" onClick={onToggle}>
+                <td className="py-2 px-2 sm:px-4 pl-8 text-sm text-gray-600 flex items-center gap-1">
+                    {isExpanded ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+                    <BedDouble className="w-3 h-3" />
+                    Room types
+                </td>
+                {weeklyData.map(week => {
+                    const categories = week.hostels[hostel]?.roomCategories || {};
+                    const valid = Object.values(categories).reduce((sum, c) => sum + c.valid, 0);
+
+                    return (
+                        <td key={week.week} className="py-2 px-2 sm:px-4 text-center text-xs">
+                            {valid > 0 ? roomCategoryOrder.filter(category => categories[category.id]?.valid > 0).map(category => (
+                                <div key={category.id} className="flex items-center justify-center gap-1 text-gray-700">
+                                    <span className="w-2 h-2 rounded-full" style={{ backgroundColor: category.color }} />
+                                    {category.name} {Math.round((categories[category.id].valid / valid) * 100)}%
+                                </div>
+                            )) : (
+                                <span className="text-gray-300">-</span>
+                            )}
+                        </td>
+                    );
+                })}
+            </tr>
+
+            {/* One row per room type */}
+            {isExpanded && sortedRoomTypes.map(([key, roomType]) => {
+                const color = roomCategoryOrder.find(c => c.id === roomType.category)?.color;
+
+                return (
+                    <tr key={key} className="border-b border-gray-50 hover:bg-gray-50">
+                        <td className="py-2 px-2 sm:px-4 pl-12 text-sm text-gray-600 flex items-center gap-2">
+                            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: color }} />
+                            {roomType.name}
+                        </td>
+                        {weeklyData.map(week => {
+                            const metrics = week.hostels[hostel]?.roomTypes?.[key];
+
+                            return (
+                                <td key={week.week} className="py-2 px-2 sm:px-4 text-center text-sm">
+                                    {metrics ? (
+                                        <>
+                                            <div className="font-medium text-gray-800">
+                                                {metrics.valid}
+                                                {metrics.cancelled > 0 && <span className="text-xs text-red-600"> (+{metrics.cancelled} cancelled)</span>}
+                                            </div>
+                                            <div className="text-xs text-gray-500">{metrics.nights} nights</div>
+                                            <div className="text-xs text-green-700">{formatCurrency(metrics.revenue)}</div>
+                                            <div className="text-xs text-blue-700">ADR {formatCurrency(metrics.adr)}</div>
+                                        </>
+                                    ) : (
+                                        <span className="text-gray-300">-</span>
+                                    )}
+                                </td>
+                            );
+                        })}
+                    </tr>
+                );
+            })}
+        </>
+    );
+};
+
+export default RoomTypeRows;
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { Globe } from 'lucide-react';
+import { formatCurrency } from '../../utils/formatters';
+import { calculateMetricChange } from '../../utils/metricsCalculator';
+import { getTopMarkets } from '../../utils/sourceMarkets';
+import MetricChange from './MetricChange';
+
+/**
+ * SourceMarketTable Component
+ *
+ * Top source markets (guest country) over the shown periods: one row per
+ * country with valid bookings (and change vs the previous period), nights and
+ * revenue, plus its rank in the latest period and movement since the previous
+ * one. Covers all channels; countries come from calculateHostelMetrics().countries.
+ *
+ * @param {Array} weeklyData - Periods to show as columns
+ * @param {Array} allHostels - Hostel names for the hostel filter
+ */
+const SourceMarketTable = ({ weeklyData, allHostels }) => {
+    // '' = all hostels combined
+    const [hostel, setHostel] = useState('');
+
+    const { markets, unknown } = getTopMarkets(weeklyData, { hostel: hostel || undefined });
+    const hasCountryData = getTopMarkets(weeklyData).hasData;
+    if (!hasCountryData) return null;
+
+    // Rank movement in the latest period ("▲2", "▼1", "new")
+    const renderMovement = ({ rank, previousRank }) => {
+        if (rank == null) return null;
+        if (previousRank == null) return <span className="text-xs text-blue-600">new</span>;
+        const moved = previousRank - rank;
+        if (moved > 0) return <span className="text-xs text-green-600">▲{moved}</span>;
+        if (moved < 0) return <span className="text-xs text-red-600">▼{-moved}</span>;
+        return <span className="text-xs text-gray-400">=</span>;
+    };
+
+    const renderCell = (periods, weekIndex) => {
+        const metrics = periods[weekIndex];
+        if (!metrics) return <span className="text-gray-300">-</span>;
+
+        const previous = weekIndex > 0 ? periods[weekIndex - 1] : null;
+
+        return (
+            <>
+                <div className="font-medium text-gray-800">
+                    {metrics.valid}
+                    {metrics.cancelled > 0 && <span className="text-xs text-red-600"> (+{metrics.cancelled} cancelled)</span>}
+                </div>
+                <div className="text-xs text-gray-500">{metrics.nights} nights</div>
+                <div className="text-xs text-green-700">{formatCurrency(metrics.revenue)}</div>
+                {weekIndex > 0 && <MetricChange changes={calculateMetricChange(metrics.valid, previous?.valid || 0)} />}
+            </>
+        );
+    };
+
+    return (
+        <div className="mt-8">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4 gap-2">
+                <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+                    <Globe className="w-5 h-5 text-nests-teal" />
+                    Top Source Markets
+                </h3>
+                <select
+                    value={hostel}
+                    onChange={(e) => setHostel(e.target.value)}
+                    className="border border-gray-300 rounded-lg px-3 py-1 text-sm"
+                >
+                    <option value="">All hostels</option>
+                    {allHostels.map(name => (
+                        <option key={name} value={name}>{name}</option>
+                    ))}
+                </select>
+            </div>
+            <div className="overflow-x-auto">
+                <table className="w-full">
+                    <thead>
+                        <tr className="border-b-2 border-gray-200">
+                            <th className="text-left py-4 px-2 sm:px-4 font-bold text-gray-800">Country</th>
+                            {weeklyData.map(week => (
+                                <th key={week.week} className="text-center py-4 px-2 sm:px-4 font-bold text-gray-800 min-w-32">
+                                    <div className="text-sm">{week.week}</div>
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {markets.map(market => (
+                            <tr key={market.market} className="border-b border-gray-50 hover:bg-gray-50">
+                                <td className="py-2 px-2 sm:px-4 text-sm text-gray-700">
+                                    <div className="flex items-center gap-2">
+                                        <span className="w-6 text-right text-xs text-gray-400">{market.rank ? `#${market.rank}` : ''}</span>
+                                        <span className="font-medium">{market.name}</span>
+                                        {renderMovement(market)}
+                                    </div>
+                                </td>
+                                {weeklyData.map((week, weekIndex) => (
+                                    <td key={week.week} className="py-2 px-2 sm:px-4 text-center text-sm">
+                                        {renderCell(market.periods, weekIndex)}
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+
+                        {/* Bookings without a country (not enriched yet / no country column) */}
+                        {unknown.some(Boolean) && (
+                            <tr className="border-t border-gray-200 bg-gray-50">
+                                <td className="py-2 px-2 sm:px-4 pl-10 text-sm text-gray-500">Unknown country</td>
+                                {weeklyData.map((week, weekIndex) => (
+                                    <td key={week.week} className="py-2 px-2 sm:px-4 text-center text-sm">
+                                        {renderCell(unknown, weekIndex)}
+                                    </td>
+                                ))}
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+            {markets.length === 0 && (
+                <div className="text-center py-4 text-sm text-gray-500">No guest countries for {hostel} yet.</div>
+            )}
+        </div>
+    );
+};
+
+export default SourceMarketTable;
@@ -0,0 +1,158 @@
+import React from 'react';
+import { BedDouble, DollarSign } from 'lucide-react';
+import { formatCurrency, formatRevenue } from '../../utils/formatters';
+import { calculateHostelComparisonChange, calculateTotalComparisonChange } from '../../utils/periodComparison';
+import MetricChange from './MetricChange';
+import OccupancyRow from './OccupancyRow';
+
+/**
+ * StayDateTable Component
+ *
+ * Stay-date view of the performance table: stay periods as columns, hostels as
+ * row groups with room-nights sold, stay revenue and ADR for nights falling in
+ * each period (bookings exploded night by night, revenue = total / nights),
+ * plus occupancy / RevPAR / RevPAB for hostels with known inventory.
+ *
+ * @param {Array} stayData - Output of buildStayDateData()
+ * @param {Array} allHostels - Hostel names to show as row groups
+ * @param {boolean} showTaxBreakdown - Whether to show tax breakdown in revenue display
+ * @param {string} [comparisonMode='wow'] - Delta baseline: 'wow', 'yoy' (last-year stay periods in stayData) or 'avg4'
+ */
+const StayDateTable = ({ stayData, allHostels, showTaxBreakdown = false, comparisonMode = 'wow' }) => {
+    if (!stayData || stayData.length === 0) {
+        return (
+            <div className="text-center py-8 text-gray-500">
+                No stay nights found in the loaded bookings (check-in/check-out dates are needed).
+            </div>
+        );
+    }
+
+    const sumHostels = (period, key) => Object.values(period.hostels).reduce((sum, h) => sum + (h[key] || 0), 0);
+    const comparison = { mode: comparisonMode };
+    const showTotalChange = (changes, periodIndex) => periodIndex > 0 || !changes.isNew || comparisonMode !== 'wow';
+
+    return (
+        <div className="overflow-x-auto">
+            <table className="w-full">
+                <thead>
+                    <tr className="border-b-2 border-gray-200">
+                        <th className="text-left py-4 px-2 sm:px-4 font-bold text-gray-800">Hostel / Stay Period</th>
+                        {stayData.map(period => (
+                            <th key={period.week} className="text-center py-4 px-2 sm:px-4 font-bold text-gray-800 min-w-32">
+                                <div className="text-sm">{period.week}</div>
+                            </th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {allHostels.map(hostel => (
+                        <React.Fragment key={hostel}>
+                            {/* Room-nights sold */}
+                            <tr className="border-b border-gray-100 hover:bg-gray-50">
+                                <td className="py-4 px-2 sm:px-4 font-semibold text-gray-700">
+                                    {hostel}
+                                    <div className="text-xs font-normal text-gray-500">Room-nights</div>
+                                </td>
+                                {stayData.map((period, periodIndex) => {
+                                    const data = period.hostels[hostel];
+                                    const changes = calculateHostelComparisonChange(stayData, periodIndex, hostel, 'roomNights', comparison);
+
+                                    return (
+                                        <td key={period.week} className="py-4 px-2 sm:px-4 text-center">
+                                            <div className="text-xl font-bold text-gray-800">{data?.roomNights || 0}</div>
+                                            {data?.arrivals > 0 && <div className="text-xs text-gray-500">({data.arrivals} arrivals)</div>}
+                                            <MetricChange changes={changes} />
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+
+                            {/* Stay revenue */}
+                            <tr className="border-b border-gray-50 hover:bg-gray-50 bg-green-50">
+                                <td className="py-2 px-2 sm:px-4 pl-8 text-sm text-gray-600 flex items-center gap-1">
+                                    <DollarSign className="w-3 h-3" />
+                                    Stay Revenue
+                                </td>
+                                {stayData.map((period, periodIndex) => {
+                                    const data = period.hostels[hostel];
+                                    const changes = calculateHostelComparisonChange(stayData, periodIndex, hostel, 'revenue', comparison);
+
+                                    return (
+                                        <td key={period.week} className="py-2 px-2 sm:px-4 text-center">
+                                            <div className="text-lg font-semibold text-green-700">
+                                                {formatRevenue(data?.revenue || 0, data?.netRevenue || null, data?.totalTaxes || null, showTaxBreakdown)}
+                                            </div>
+                                            <MetricChange changes={changes} isCurrency={true} />
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+
+                            {/* Stay ADR */}
+                            <tr className="border-b border-gray-200 hover:bg-gray-50 bg-blue-50">
+                                <td className="py-2 px-2 sm:px-4 pl-8 text-sm text-gray-600">ADR</td>
+                                {stayData.map(period => (
+                                    <td key={period.week} className="py-2 px-2 sm:px-4 text-center">
+                                        <div className="text-md font-medium text-blue-700">
+                                            {formatCurrency(period.hostels[hostel]?.adr || 0)}
+                                        </div>
+                                    </td>
+                                ))}
+                            </tr>
+
+                            {/* Occupancy / RevPAR / RevPAB */}
+                            <OccupancyRow weeklyData={stayData} hostel={hostel} />
+                        </React.Fragment>
+                    ))}
+
+                    {/* Totals */}
+                    <tr className="border-t-2 border-gray-300 bg-gray-100 font-bold">
+                        <td className="py-4 px-2 sm:px-4 font-bold text-gray-800 flex items-center gap-1">
+                            <BedDouble className="w-4 h-4" />
+                            TOTAL ROOM-NIGHTS
+                        </td>
+                        {stayData.map((period, periodIndex) => {
+                            const total = sumHostels(period, 'roomNights');
+                            const changes = calculateTotalComparisonChange(stayData, periodIndex, 'roomNights', comparison);
+
+                            return (
+                                <td key={period.week} className="py-4 px-2 sm:px-4 text-center">
+                                    <div className="text-xl font-bold text-gray-800">{total}</div>
+                                    {showTotalChange(changes, periodIndex) && <MetricChange changes={changes} />}
+                                </td>
+                            );
+                        })}
+                    </tr>
+
+                    <tr className="bg-green-100 font-bold">
+                        <td className="py-4 px-2 sm:px-4 font-bold text-gray-800 flex items-center gap-1">
+                            <DollarSign className="w-4 h-4" />
+                            TOTAL STAY REVENUE
+                        </td>
+                        {stayData.map((period, periodIndex) => {
+                            const total = sumHostels(period, 'revenue');
+                            const totalNet = sumHostels(period, 'netRevenue');
+                            const totalTax = sumHostels(period, 'totalTaxes');
+                            const roomNights = sumHostels(period, 'roomNights');
+                            const changes = calculateTotalComparisonChange(stayData, periodIndex, 'revenue', comparison);
+
+                            return (
+                                <td key={period.week} className="py-4 px-2 sm:px-4 text-center">
+                                    <div className="text-xl font-bold text-green-700">
+                                        {formatRevenue(total, totalNet > 0 ? totalNet : null, totalTax > 0 ? totalTax : null, showTaxBreakdown)}
+                                    </div>
+                                    <div className="text-xs text-blue-700">ADR {formatCurrency(roomNights > 0 ? total / roomNights : 0)}</div>
+                                    {showTotalChange(changes, periodIndex) && <MetricChange changes={changes} isCurrency={true} />}
+                                </td>
+                            );
+                        })}
+                    </tr>
+
+                    <OccupancyRow weeklyData={stayData} />
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default StayDateTable;
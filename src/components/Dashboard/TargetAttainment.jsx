@@ -0,0 +1,32 @@
+import React from 'react';
+import { formatCurrency } from '../../utils/formatters';
+import { getTargetMetricInfo, getAttainmentColor } from '../../utils/targets';
+
+// Format a target metric value (currency or count)
+const formatValue = (value, isCurrency) => (isCurrency ? formatCurrency(value) : Math.round(value));
+
+// Render attainment vs target (DRY component)
+// `attainment` comes from getHostelTargetAttainment() / getTotalTargetAttainment()
+const TargetAttainment = ({ attainment, metric }) => {
+    if (!attainment) return null;
+
+    const { isCurrency } = getTargetMetricInfo(metric);
+    const prefix = attainment.variance >= 0 ? '+' : '-';
+
+    return (
+        <div className="text-xs">
+            <span className={`font-bold ${getAttainmentColor(attainment.attainment)}`}>{attainment.attainment ?? '-'}%</span>
+            <span className="text-gray-500">
+                {' '}of {formatValue(attainment.target, isCurrency)}{attainment.prorated ? '*' : ''}
+                {' '}({prefix}{formatValue(Math.abs(attainment.variance), isCurrency)})
+            </span>
+            {attainment.status === 'in-progress' && attainment.pace != null && (
+                <div className={getAttainmentColor(attainment.pace)}>
+                    Pace {attainment.pace}% → {formatValue(attainment.projected, isCurrency)}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TargetAttainment;
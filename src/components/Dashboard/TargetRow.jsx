@@ -0,0 +1,57 @@
+import React from 'react';
+import { Target } from 'lucide-react';
+import { targetMetrics } from '../../config/targetConfig';
+import { getHostelTargetAttainment, getTotalTargetAttainment } from '../../utils/targets';
+import TargetAttainment from './TargetAttainment';
+
+/**
+ * TargetRow Component
+ *
+ * Revenue and direct booking attainment vs target per period: attainment %,
+ * target, variance and, for the period in progress, pace and projected result.
+ * Shows one hostel, or the total over the hostels with a target when `hostel`
+ * is omitted. Renders nothing when no shown period has a target.
+ *
+ * @param {Array} weeklyData - Periods to show as columns
+ * @param {Array} targets - Stored target records (see targets.js)
+ * @param {string} [hostel] - Hostel name (omit for the totals row)
+ */
+const TargetRow = ({ weeklyData, targets, hostel }) => {
+    if (!targets || targets.length === 0) return null;
+
+    const attainments = weeklyData.map(week => Object.fromEntries(targetMetrics.map(metric => [
+        metric.id,
+        hostel
+            ? getHostelTargetAttainment(targets, week, hostel, metric.id)
+            : getTotalTargetAttainment(targets, week, metric.id)
+    ])));
+    if (!attainments.some(period => Object.values(period).some(Boolean))) return null;
+
+    return (
+        <tr className={hostel ? 'border-b border-gray-200 hover:bg-gray-50 bg-amber-50' : 'bg-amber-100 font-bold'}>
+            <td className={hostel
+                ? 'py-2 px-2 sm:px-4 pl-8 text-sm text-gray-600 flex items-center gap-1'
+                : 'py-4 px-2 sm:px-4 font-bold text-gray-800 flex items-center gap-1'}
+            >
+                <Target className={hostel ? 'w-3 h-3' : 'w-4 h-4'} />
+                {hostel ? 'vs Target' : 'TOTAL VS TARGET'}
+            </td>
+            {weeklyData.map((week, weekIndex) => (
+                <td key={week.week} className={`${hostel ? 'py-2' : 'py-4'} px-2 sm:px-4 text-center font-normal`}>
+                    {targetMetrics.some(metric => attainments[weekIndex][metric.id]) ? (
+                        targetMetrics.filter(metric => attainments[weekIndex][metric.id]).map(metric => (
+                            <div key={metric.id} className="mb-1">
+                                <div className="text-xs text-gray-500">{metric.name}</div>
+                                <TargetAttainment attainment={attainments[weekIndex][metric.id]} metric={metric.id} />
+                            </div>
+                        ))
+                    ) : (
+                        <span className="text-gray-300">-</span>
+                    )}
+                </td>
+            ))}
+        </tr>
+    );
+};
+
+export default TargetRow;
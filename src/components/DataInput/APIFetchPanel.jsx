@@ -11,9 +11,14 @@
  * - Real-time progress display with timing
  * - Cancel functionality for long operations
  * - Warning modal before overwriting existing data
+ * - Backfill mode: fetch a range of periods (or the last N) in one action
+ * - Incremental sync: pull only reservations modified since the last sync, with per-hostel "last synced" times
+ * - Bed/room inventory loading (occupancy, RevPAR, RevPAB) with per-hostel inventory
  * - Revenue enrichment button (after API fetch completes)
  * - Enrichment progress display with real-time updates
  * - Cancel enrichment with rate-limited API calls
+ * - Resume / "Retry failed" for persisted enrichment jobs, with a failure report
+ * - Enrichment cache size and manual "Clear cache"
  *
  * Data Flow:
  * User selects week + hostel(s) → Click "Fetch" → Parent callback triggered →
@@ -25,12 +30,28 @@
  * @author Artur Mamedov & Claude
  * @since 2026-01-12
  * @updated 2026-01-13 - Added revenue enrichment feature
+ * @updated 2026-10-18 - Added month/quarter/year/custom period selection
+ * @updated 2026-10-18 - Added multi-period backfill
+ * @updated 2026-10-18 - Added incremental sync
+ * @updated 2026-10-18 - Added enrichment cache info and invalidation
+ * @updated 2026-10-18 - Added resumable enrichment jobs (resume, retry failed, failure report)
+ * @updated 2026-10-18 - Added bed/room inventory loading
  */
 
-import React, { useState, useCallback } from 'react';
-import { Loader, Download, AlertCircle, DollarSign, X } from 'lucide-react';
+import React, { useState, useCallback, useMemo } from 'react';
+import { Loader, Download, AlertCircle, DollarSign, X, RefreshCw, BedDouble } from 'lucide-react';
 import WeekSelector from './WeekSelector';
 import { hostelConfig } from '../../config/hostelConfig';
+import {
+  calculatePeriod,
+  getPeriodTypeInfo,
+  periodTypes,
+  listPeriodsBetween,
+  getLastPeriods,
+  dateConfig
+} from '../../utils/dateUtils';
+import { getErrorHint } from '../../utils/cloudbedsErrors';
+import { getHostelInventory } from '../../utils/capacity';
 
 /**
  * APIFetchPanel Component
@@ -38,27 +59,53 @@ import { hostelConfig } from '../../config/hostelConfig';
  * @param {object} props
  * @param {Date} props.selectedWeekStart - Currently selected week start date
  * @param {Function} props.setSelectedWeekStart - Callback to update week
+ * @param {object} props.periodConfig - Period type configuration (week/month/quarter/year/custom)
+ * @param {Function} props.setPeriodConfig - Callback to update period configuration
  * @param {Function} props.onFetchStart - Called when fetch begins
+ * @param {Function} props.onBackfillStart - Called with { mode, hostelName, periods, force } to backfill many periods
+ * @param {Function} props.onSyncStart - Called with { mode, hostelName } to sync changes since the last sync
+ * @param {object} props.lastSyncedAt - Last successful sync per hostel ({ [hostelName]: Date })
+ * @param {Function} props.onInventoryFetch - Called to load bed/room inventory of all hostels
+ * @param {object} props.inventory - Fetched inventory per hostel ({ [hostelName]: { rooms, beds, fetchedAt } })
  * @param {boolean} props.isUploading - Global loading state from parent
  * @param {object} props.apiFetchProgress - PHASE 4: Progress tracking state
+ * @param {Function} props.onFetchCancel - Called to cancel the running fetch
  * @param {boolean} props.canEnrichRevenue - Whether enrichment is available
  * @param {boolean} props.isEnriching - Whether enrichment is in progress
  * @param {object} props.enrichmentProgress - Enrichment progress state
  * @param {Function} props.onEnrichStart - Called when enrichment begins
- * @param {Function} props.onEnrichCancel - Called to cancel enrichment
+ * @param {Function} props.onEnrichCancel - Called to cancel enrichment (pauses the job)
+ * @param {Function} props.onEnrichResume - Called to resume a paused enrichment job
+ * @param {Function} props.onEnrichRetryFailed - Called to re-run only the failed bookings
+ * @param {Function} props.onEnrichDismiss - Called to close the enrichment report
+ * @param {number} props.enrichmentCacheSize - Number of reservations with cached enriched revenue
+ * @param {Function} props.onClearEnrichmentCache - Called to invalidate the enrichment cache
  */
 const APIFetchPanel = ({
   selectedWeekStart,
   setSelectedWeekStart,
+  periodConfig = dateConfig,
+  setPeriodConfig,
   onFetchStart,
+  onBackfillStart,
+  onSyncStart,
+  lastSyncedAt = {},
+  onInventoryFetch,
+  inventory = {},
   isUploading,
   apiFetchProgress,  // PHASE 4: Real-time progress tracking
+  onFetchCancel,
   // Revenue enrichment props
   canEnrichRevenue,
   isEnriching,
   enrichmentProgress,
   onEnrichStart,
-  onEnrichCancel
+  onEnrichCancel,
+  onEnrichResume,
+  onEnrichRetryFailed,
+  onEnrichDismiss,
+  enrichmentCacheSize = 0,
+  onClearEnrichmentCache
 }) => {
   // ============================================================
   // STATE MANAGEMENT
@@ -70,6 +117,16 @@ const APIFetchPanel = ({
   // Selected hostel name (only used in 'single' mode)
   const [selectedHostel, setSelectedHostel] = useState(null);
 
+  // Fetch scope: 'period' (one selected period) or 'backfill' (many periods in one action)
+  const [fetchScope, setFetchScope] = useState('period');
+
+  // Backfill range: 'range' (from/to dates) or 'last' (last N periods up to today)
+  const [backfillRange, setBackfillRange] = useState('last');
+  const [backfillFrom, setBackfillFrom] = useState('');
+  const [backfillTo, setBackfillTo] = useState('');
+  const [backfillCount, setBackfillCount] = useState(12);
+  const [forceRefetch, setForceRefetch] = useState(false);  // Re-fetch periods already loaded
+
   // PHASE 5: Warning modal state
   const [showWarningModal, setShowWarningModal] = useState(false);
   const [warningData, setWarningData] = useState(null);  // Stores {existingWeek, weekRange, params}
@@ -90,12 +147,32 @@ const APIFetchPanel = ({
 
   // Get list of all hostel names from config
   const hostelList = Object.keys(hostelConfig);
+  const knownInventoryCount = hostelList.filter(name => getHostelInventory(name, inventory)).length;
   console.log('[APIFetchPanel] Available hostels:', hostelList.length, hostelList);
 
+  // Selected period info (custom ranges need an end date before fetching)
+  const periodInfo = getPeriodTypeInfo(periodConfig.type);
+  const hasCompletePeriod = selectedWeekStart && (periodConfig.type !== 'custom' || periodConfig.customEnd);
+  const selectedPeriod = hasCompletePeriod ? calculatePeriod(new Date(selectedWeekStart), periodConfig) : null;
+
+  // Backfill steps by the selected period type (custom ranges step by week)
+  const backfillConfig = periodConfig.type === 'custom' ? { ...periodConfig, type: 'week' } : periodConfig;
+  const backfillInfo = getPeriodTypeInfo(backfillConfig.type);
+  const backfillPeriods = useMemo(() => {
+    const config = periodConfig.type === 'custom' ? { ...periodConfig, type: 'week' } : periodConfig;
+    if (backfillRange === 'last') {
+      return backfillCount > 0 ? getLastPeriods(backfillCount, config) : [];
+    }
+    return backfillFrom && backfillTo && backfillFrom <= backfillTo
+      ? listPeriodsBetween(new Date(backfillFrom), new Date(backfillTo), config)
+      : [];
+  }, [periodConfig, backfillRange, backfillCount, backfillFrom, backfillTo]);
+  const hostelCount = fetchMode === 'all' ? hostelList.length : 1;
+
   // Check if fetch button should be enabled
-  const canFetch = selectedWeekStart &&
-    !isUploading &&
-    (fetchMode === 'all' || (fetchMode === 'single' && selectedHostel));
+  const hasHostelSelection = fetchMode === 'all' || (fetchMode === 'single' && selectedHostel);
+  const canFetch = !isUploading && hasHostelSelection &&
+    (fetchScope === 'backfill' ? backfillPeriods.length > 0 : hasCompletePeriod);
 
   console.log('[APIFetchPanel] Can fetch?', canFetch, {
     hasWeek: !!selectedWeekStart,
@@ -117,14 +194,16 @@ const APIFetchPanel = ({
     console.log('[APIFetchPanel] Fetch params:', {
       mode: fetchMode,
       hostelName: fetchMode === 'single' ? selectedHostel : 'all (11 hostels)',
-      weekStart: selectedWeekStart
+      weekStart: selectedWeekStart,
+      periodType: periodConfig.type
     });
 
     // Call parent callback with fetch parameters
     const result = await onFetchStart({
       mode: fetchMode,              // 'all' or 'single'
       hostelName: fetchMode === 'single' ? selectedHostel : null,
-      weekStart: selectedWeekStart
+      weekStart: selectedWeekStart,
+      periodConfig                  // week/month/quarter/year/custom
     });
 
     // PHASE 5: Check if confirmation is required
@@ -133,7 +212,40 @@ const APIFetchPanel = ({
       setWarningData(result);
       setShowWarningModal(true);
     }
-  }, [fetchMode, selectedHostel, selectedWeekStart, onFetchStart]);
+  }, [fetchMode, selectedHostel, selectedWeekStart, periodConfig, onFetchStart]);
+
+  /**
+   * Handle backfill button click
+   * Already loaded period × hostel combinations are skipped by the parent unless forced,
+   * so no duplicate confirmation is needed here.
+   */
+  const handleBackfill = useCallback(async () => {
+    console.log('[APIFetchPanel] 🚀 Backfill button clicked', {
+      mode: fetchMode,
+      periods: backfillPeriods.length,
+      force: forceRefetch
+    });
+
+    await onBackfillStart({
+      mode: fetchMode,
+      hostelName: fetchMode === 'single' ? selectedHostel : null,
+      periods: backfillPeriods,
+      force: forceRefetch
+    });
+  }, [fetchMode, selectedHostel, backfillPeriods, forceRefetch, onBackfillStart]);
+
+  /**
+   * Handle sync button click
+   * Syncs the selected hostel, or every hostel in 'all' mode
+   */
+  const handleSync = useCallback(async () => {
+    console.log('[APIFetchPanel] 🔄 Sync button clicked', { mode: fetchMode, hostel: selectedHostel });
+
+    await onSyncStart({
+      mode: fetchMode,
+      hostelName: fetchMode === 'single' ? selectedHostel : null
+    });
+  }, [fetchMode, selectedHostel, onSyncStart]);
 
   /**
    * PHASE 5: Handle confirmation - proceed with fetch
@@ -202,29 +314,140 @@ const APIFetchPanel = ({
       </div>
 
       <p className="text-sm text-gray-600 mb-4">
-        Fetch reservation data directly from CloudBeds for the selected week.
-        Only direct bookings (source: "Website/Booking Engine") will be included.
+        Fetch reservation data directly from CloudBeds for the selected period.
+        Bookings from all sources are loaded; metrics count direct channels only (see sourceConfig.js).
       </p>
 
+      {/* ============================================================ */}
+      {/* FETCH SCOPE TOGGLE */}
+      {/* ============================================================ */}
+
+      {onBackfillStart && (
+        <div className="grid grid-cols-2 gap-2">
+          {[
+            { value: 'period', label: 'Single Period', hint: '(one period)' },
+            { value: 'backfill', label: 'Backfill', hint: '(many periods)' }
+          ].map(scope => (
+            <button
+              key={scope.value}
+              onClick={() => setFetchScope(scope.value)}
+              disabled={isUploading}
+              className={`px-4 py-3 rounded-lg font-medium transition-all ${fetchScope === scope.value
+                ? 'bg-nests-teal text-white shadow-md'
+                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                } ${isUploading ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+              <div className="text-sm">{scope.label}</div>
+              <div className="text-xs opacity-75">{scope.hint}</div>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* ============================================================ */}
+      {/* BACKFILL RANGE */}
+      {/* ============================================================ */}
+
+      {fetchScope === 'backfill' && (
+        <div className="space-y-3">
+          <label className="block text-sm font-medium text-gray-700">
+            📅 Backfill Range
+          </label>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <select
+              value={backfillConfig.type}
+              onChange={(e) => setPeriodConfig({ ...periodConfig, type: e.target.value })}
+              disabled={isUploading}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-nests-teal focus:border-transparent"
+            >
+              {periodTypes.filter(type => type.value !== 'custom').map(type => (
+                <option key={type.value} value={type.value}>{type.label}s</option>
+              ))}
+            </select>
+            <select
+              value={backfillRange}
+              onChange={(e) => setBackfillRange(e.target.value)}
+              disabled={isUploading}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-nests-teal focus:border-transparent"
+            >
+              <option value="last">Last N</option>
+              <option value="range">From / to</option>
+            </select>
+
+            {backfillRange === 'last' ? (
+              <input
+                type="number"
+                min="1"
+                max="104"
+                value={backfillCount}
+                onChange={(e) => setBackfillCount(Math.max(0, parseInt(e.target.value) || 0))}
+                disabled={isUploading}
+                className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-nests-teal focus:border-transparent"
+              />
+            ) : (
+              <>
+                <input
+                  type="date"
+                  value={backfillFrom}
+                  onChange={(e) => setBackfillFrom(e.target.value)}
+                  disabled={isUploading}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-nests-teal focus:border-transparent"
+                />
+                <span className="text-gray-600">to</span>
+                <input
+                  type="date"
+                  value={backfillTo}
+                  min={backfillFrom || undefined}
+                  onChange={(e) => setBackfillTo(e.target.value)}
+                  disabled={isUploading}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-nests-teal focus:border-transparent"
+                />
+              </>
+            )}
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={forceRefetch}
+              onChange={(e) => setForceRefetch(e.target.checked)}
+              disabled={isUploading}
+            />
+            Re-fetch loaded periods (otherwise periods already loaded for a hostel are skipped)
+          </label>
+
+          {backfillPeriods.length > 0 && (
+            <p className="text-xs text-gray-500">
+              {backfillPeriods.length} {backfillInfo.label.toLowerCase()}(s): {backfillPeriods[0].label}
+              {backfillPeriods.length > 1 && ` → ${backfillPeriods[backfillPeriods.length - 1].label}`}
+              {' '}• up to {backfillPeriods.length * hostelCount} fetches
+            </p>
+          )}
+        </div>
+      )}
+
       {/* ============================================================ */}
       {/* WEEK SELECTOR */}
       {/* ============================================================ */}
 
+      {fetchScope === 'period' && (
       <div>
         <label className="block text-sm font-medium text-gray-700 mb-2">
-          📅 Select Week
+          📅 Select Period
         </label>
         <WeekSelector
           selectedWeekStart={selectedWeekStart}
           setSelectedWeekStart={setSelectedWeekStart}
+          periodConfig={periodConfig}
+          setPeriodConfig={setPeriodConfig}
         />
-        {selectedWeekStart && (
+        {selectedPeriod && (
           <p className="text-xs text-gray-500 mt-1">
-            Selected: {new Date(selectedWeekStart).toLocaleDateString('en-GB', {
+            Selected: {selectedPeriod.start.toLocaleDateString('en-GB', {
               day: '2-digit',
               month: 'short',
               year: 'numeric'
-            })} - {new Date(new Date(selectedWeekStart).getTime() + 6 * 24 * 60 * 60 * 1000).toLocaleDateString('en-GB', {
+            })} - {selectedPeriod.end.toLocaleDateString('en-GB', {
               day: '2-digit',
               month: 'short',
               year: 'numeric'
@@ -232,6 +455,7 @@ const APIFetchPanel = ({
           </p>
         )}
       </div>
+      )}
 
       {/* ============================================================ */}
       {/* FETCH MODE TOGGLE */}
@@ -322,7 +546,7 @@ const APIFetchPanel = ({
       {/* ============================================================ */}
 
       <button
-        onClick={handleFetch}
+        onClick={fetchScope === 'backfill' ? handleBackfill : handleFetch}
         disabled={!canFetch}
         className={`w-full px-6 py-3 rounded-lg font-medium flex items-center justify-center gap-2 transition-all ${canFetch
           ? 'bg-nests-teal hover:bg-nests-teal-dark text-white shadow-md hover:shadow-lg'
@@ -338,28 +562,112 @@ const APIFetchPanel = ({
           <>
             <Download className="w-5 h-5" />
             <span>
-              {fetchMode === 'all'
-                ? 'Fetch All Hostels'
-                : selectedHostel
-                  ? `Fetch ${selectedHostel}`
-                  : 'Select Hostel to Fetch'}
+              {fetchMode === 'single' && !selectedHostel
+                ? 'Select Hostel to Fetch'
+                : fetchScope === 'backfill'
+                  ? `Backfill ${backfillPeriods.length} ${backfillInfo.label}(s) × ${fetchMode === 'all' ? 'All Hostels' : selectedHostel}`
+                  : fetchMode === 'all'
+                    ? 'Fetch All Hostels'
+                    : `Fetch ${selectedHostel}`}
             </span>
           </>
         )}
       </button>
 
       {/* Button helper text */}
-      {!selectedWeekStart && (
+      {fetchScope === 'backfill' && backfillPeriods.length === 0 && (
+        <p className="text-xs text-center text-gray-500">
+          Choose a range above to enable backfilling
+        </p>
+      )}
+      {fetchScope === 'period' && !hasCompletePeriod && (
         <p className="text-xs text-center text-gray-500">
-          Select a week above to enable fetching
+          Select a {periodInfo.label.toLowerCase()} above to enable fetching
         </p>
       )}
-      {fetchMode === 'single' && selectedWeekStart && !selectedHostel && (
+      {fetchMode === 'single' && (hasCompletePeriod || fetchScope === 'backfill') && !selectedHostel && (
         <p className="text-xs text-center text-gray-500">
           Select a hostel to enable fetching
         </p>
       )}
 
+      {/* ============================================================ */}
+      {/* INCREMENTAL SYNC */}
+      {/* ============================================================ */}
+
+      {onSyncStart && (
+        <div className="mt-4 pt-4 border-t border-gray-200 space-y-2">
+          <button
+            onClick={handleSync}
+            disabled={isUploading || !hasHostelSelection}
+            className="w-full px-6 py-2 rounded-lg font-medium flex items-center justify-center gap-2 border-2 border-nests-teal text-nests-teal hover:bg-teal-50 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <RefreshCw className="w-4 h-4" />
+            <span>
+              {fetchMode === 'all' ? 'Sync Changes (All Hostels)' : `Sync Changes${selectedHostel ? ` (${selectedHostel})` : ''}`}
+            </span>
+          </button>
+          <p className="text-xs text-center text-gray-600">
+            Fetches only reservations modified since the last sync (cancellations, date changes, new bookings) and updates the loaded periods
+          </p>
+
+          <details className="text-xs text-gray-600">
+            <summary className="cursor-pointer text-center">Last synced</summary>
+            <div className="mt-2 grid grid-cols-2 gap-x-4 gap-y-1 font-mono">
+              {hostelList.map(name => (
+                <div key={name} className="flex justify-between">
+                  <span>{name}</span>
+                  <span className={lastSyncedAt[name] ? 'text-gray-700' : 'text-gray-400'}>
+                    {lastSyncedAt[name]
+                      ? lastSyncedAt[name].toLocaleString('en-GB', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' })
+                      : 'never'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </details>
+        </div>
+      )}
+
+      {/* ============================================================ */}
+      {/* BED/ROOM INVENTORY */}
+      {/* ============================================================ */}
+
+      {onInventoryFetch && (
+        <div className="mt-4 pt-4 border-t border-gray-200 space-y-2">
+          <button
+            onClick={onInventoryFetch}
+            disabled={isUploading}
+            className="w-full px-6 py-2 rounded-lg font-medium flex items-center justify-center gap-2 border-2 border-nests-teal text-nests-teal hover:bg-teal-50 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <BedDouble className="w-4 h-4" />
+            <span>Load Inventory (All Hostels)</span>
+          </button>
+          <p className="text-xs text-center text-gray-600">
+            Fetches room types and bed counts for occupancy, RevPAR and RevPAB ({knownInventoryCount}/{hostelList.length} hostels known)
+          </p>
+
+          <details className="text-xs text-gray-600">
+            <summary className="cursor-pointer text-center">Inventory</summary>
+            <div className="mt-2 grid grid-cols-2 gap-x-4 gap-y-1 font-mono">
+              {hostelList.map(name => {
+                const hostelInventory = getHostelInventory(name, inventory);
+                return (
+                  <div key={name} className="flex justify-between">
+                    <span>{name}</span>
+                    <span className={hostelInventory ? 'text-gray-700' : 'text-gray-400'}>
+                      {hostelInventory
+                        ? `${hostelInventory.rooms ?? '?'} units / ${hostelInventory.beds ?? '?'} beds`
+                        : 'unknown'}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          </details>
+        </div>
+      )}
+
       {/* ============================================================ */}
       {/* REVENUE ENRICHMENT BUTTON */}
       {/* ============================================================ */}
@@ -392,6 +700,21 @@ const APIFetchPanel = ({
         </div>
       )}
 
+      {/* Enrichment cache: refetched bookings reuse cached revenue */}
+      {enrichmentCacheSize > 0 && !isUploading && !isEnriching && (
+        <div className="flex items-center justify-center gap-2 text-xs text-gray-600">
+          <span>💾 {enrichmentCacheSize} enriched reservation(s) cached - refetches reuse them</span>
+          {onClearEnrichmentCache && (
+            <button
+              onClick={onClearEnrichmentCache}
+              className="text-red-600 hover:text-red-700 font-semibold underline"
+            >
+              Clear cache
+            </button>
+          )}
+        </div>
+      )}
+
       {/* ============================================================ */}
       {/* LOADING STATE INFO */}
       {/* ============================================================ */}
@@ -416,8 +739,19 @@ const APIFetchPanel = ({
       {isUploading && apiFetchProgress && (
         <div className="border-2 border-nests-teal rounded-lg p-4 bg-gray-50 space-y-3">
           {/* Header */}
-          <div className="text-sm font-mono text-gray-700 font-semibold">
-            🔧 FETCHING DATA FROM CLOUDBEDS API...
+          <div className="flex items-center justify-between">
+            <div className="text-sm font-mono text-gray-700 font-semibold">
+              {apiFetchProgress.mode === 'sync' ? '🔄 SYNCING CHANGES FROM CLOUDBEDS API...' : '🔧 FETCHING DATA FROM CLOUDBEDS API...'}
+            </div>
+            {onFetchCancel && (
+              <button
+                onClick={onFetchCancel}
+                className="text-red-600 hover:text-red-700 font-semibold text-xs flex items-center gap-1 px-2 py-1 rounded hover:bg-red-50 transition-colors"
+              >
+                <X className="w-4 h-4" />
+                Cancel
+              </button>
+            )}
           </div>
 
           {/* Progress Bar */}
@@ -435,7 +769,44 @@ const APIFetchPanel = ({
             </div>
           </div>
 
+          {/* Backfill: per-period status list */}
+          {apiFetchProgress.mode === 'backfill' && (
+            <div className="max-h-64 overflow-y-auto space-y-1 font-mono text-xs">
+              {apiFetchProgress.weeks.map((week) => (
+                <div
+                  key={week.week}
+                  className={`flex items-center justify-between p-2 rounded ${week.status === 'success' ? 'bg-green-50' :
+                    week.status === 'error' ? 'bg-red-50' :
+                      week.status === 'loading' ? 'bg-blue-50' :
+                        'bg-gray-50'
+                    }`}
+                >
+                  <div className="flex items-center gap-2">
+                    {week.status === 'success' && <span className="text-green-600">✓</span>}
+                    {week.status === 'error' && <span className="text-red-600">✗</span>}
+                    {week.status === 'loading' && <span className="text-blue-600">⏳</span>}
+                    {week.status === 'pending' && <span className="text-gray-400">⏸</span>}
+                    {week.status === 'skipped' && <span className="text-gray-400">↷</span>}
+                    {week.status === 'cancelled' && <span className="text-gray-400">⏹</span>}
+                    <span className="font-medium">{week.week}</span>
+                  </div>
+
+                  <div className="flex items-center gap-3 text-xs">
+                    {week.total > 0 && (
+                      <span className={week.status === 'loading' ? 'text-blue-600' : 'text-gray-600'}>
+                        {week.done}/{week.total} hostels
+                      </span>
+                    )}
+                    {week.failed > 0 && <span className="text-red-600">{week.failed} failed</span>}
+                    {week.skipped > 0 && <span className="text-gray-400">{week.skipped} skipped</span>}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Hostel Status List */}
+          {apiFetchProgress.mode !== 'backfill' && (
           <div className="max-h-64 overflow-y-auto space-y-1 font-mono text-xs">
             {apiFetchProgress.hostels.map((hostel) => (
               <div
@@ -451,36 +822,55 @@ const APIFetchPanel = ({
                   {hostel.status === 'error' && <span className="text-red-600">✗</span>}
                   {hostel.status === 'loading' && <span className="text-blue-600">⏳</span>}
                   {hostel.status === 'pending' && <span className="text-gray-400">⏸</span>}
+                  {hostel.status === 'cancelled' && <span className="text-gray-400">⏹</span>}
                   <span className="w-28 font-medium">{hostel.name}</span>
                 </div>
 
                 <div className="flex items-center gap-3 text-xs">
                   {hostel.status === 'success' && (
                     <>
-                      <span className="text-gray-600">{hostel.bookingCount} bookings</span>
+                      <span className="text-gray-600">
+                        {hostel.bookingCount} {apiFetchProgress.mode === 'sync' ? 'changed' : 'bookings'}
+                      </span>
                       <span className="text-gray-500">{(hostel.elapsedTime / 1000).toFixed(1)}s</span>
                     </>
                   )}
                   {hostel.status === 'error' && (
-                    <span className="text-red-600">{hostel.error}</span>
+                    <span className="text-red-600" title={getErrorHint({ code: hostel.errorCode })}>{hostel.error}</span>
                   )}
                   {hostel.status === 'loading' && (
-                    <span className="text-blue-600 animate-pulse">Fetching...</span>
+                    <span className="text-blue-600 animate-pulse">
+                      {hostel.totalPages > 1
+                        ? `Fetching page ${hostel.page}/${hostel.totalPages} (${hostel.bookingCount} so far)...`
+                        : 'Fetching...'}
+                    </span>
                   )}
                   {hostel.status === 'pending' && (
                     <span className="text-gray-400">Queued</span>
                   )}
+                  {hostel.status === 'cancelled' && (
+                    <span className="text-gray-400">Cancelled</span>
+                  )}
                 </div>
               </div>
             ))}
           </div>
+          )}
 
           {/* Summary */}
           <div className="flex items-center justify-between text-sm pt-2 border-t">
-            <div className="text-gray-700 font-mono">
-              ⚡ {apiFetchProgress.hostels.filter(h => h.status === 'success').length} successful,{' '}
-              {apiFetchProgress.hostels.filter(h => h.status === 'error').length} failed
-            </div>
+            {apiFetchProgress.mode === 'backfill' ? (
+              <div className="text-gray-700 font-mono">
+                ⚡ {apiFetchProgress.weeks.filter(w => w.status === 'success').length}/{apiFetchProgress.weeks.length} periods complete,{' '}
+                {apiFetchProgress.weeks.reduce((sum, w) => sum + w.failed, 0)} fetches failed
+                {apiFetchProgress.skipped > 0 && `, ${apiFetchProgress.skipped} skipped`}
+              </div>
+            ) : (
+              <div className="text-gray-700 font-mono">
+                ⚡ {apiFetchProgress.hostels.filter(h => h.status === 'success').length} successful,{' '}
+                {apiFetchProgress.hostels.filter(h => h.status === 'error').length} failed
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -494,7 +884,10 @@ const APIFetchPanel = ({
           {/* Header */}
           <div className="flex items-center justify-between">
             <div className="text-sm font-mono text-gray-700 font-semibold">
-              {isEnriching ? '💰 ENRICHING REVENUE DATA...' : '✅ ENRICHMENT COMPLETE'}
+              {isEnriching ? '💰 ENRICHING REVENUE DATA...' :
+                enrichmentProgress.status !== 'finished' ? '⏸️ ENRICHMENT PAUSED' :
+                enrichmentProgress.counts.failed > 0 ? '⚠️ ENRICHMENT FINISHED WITH ERRORS' :
+                '✅ ENRICHMENT COMPLETE'}
             </div>
             <div className="flex items-center gap-2">
               {isEnriching && (
@@ -506,6 +899,31 @@ const APIFetchPanel = ({
                   Cancel
                 </button>
               )}
+              {!isEnriching && !isUploading && enrichmentProgress.counts.pending > 0 && onEnrichResume && (
+                <button
+                  onClick={onEnrichResume}
+                  className="text-nests-teal hover:text-nests-green font-semibold text-xs flex items-center gap-1 px-2 py-1 rounded hover:bg-teal-50 transition-colors"
+                >
+                  ▶ Resume
+                </button>
+              )}
+              {!isEnriching && !isUploading && enrichmentProgress.counts.failed > 0 && onEnrichRetryFailed && (
+                <button
+                  onClick={onEnrichRetryFailed}
+                  className="text-nests-teal hover:text-nests-green font-semibold text-xs flex items-center gap-1 px-2 py-1 rounded hover:bg-teal-50 transition-colors"
+                >
+                  <RefreshCw className="w-3 h-3" />
+                  Retry failed
+                </button>
+              )}
+              {!isEnriching && onEnrichDismiss && (
+                <button
+                  onClick={onEnrichDismiss}
+                  className="text-gray-500 hover:text-gray-700 font-semibold text-xs flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-100 transition-colors"
+                >
+                  Dismiss
+                </button>
+              )}
               <button
                 onClick={() => setEnrichmentCollapsed(!enrichmentCollapsed)}
                 className="text-nests-teal hover:text-nests-green font-semibold text-xs flex items-center gap-1 px-2 py-1 rounded hover:bg-teal-50 transition-colors"
@@ -547,6 +965,7 @@ const APIFetchPanel = ({
                   booking.status === 'success' ? 'bg-green-50' :
                   booking.status === 'error' ? 'bg-red-50' :
                   booking.status === 'loading' ? 'bg-blue-50' :
+                  booking.status === 'skipped' ? 'bg-yellow-50' :
                   'bg-gray-50'
                 }`}
               >
@@ -555,6 +974,8 @@ const APIFetchPanel = ({
                   {booking.status === 'error' && <span className="text-red-600">✗</span>}
                   {booking.status === 'loading' && <span className="text-blue-600">⏳</span>}
                   {booking.status === 'pending' && <span className="text-gray-400">⏸</span>}
+                  {booking.status === 'cancelled' && <span className="text-gray-400">⏹</span>}
+                  {booking.status === 'skipped' && <span className="text-yellow-600">↷</span>}
                   <span className="w-24 font-medium truncate">{booking.name}</span>
                   <span className="text-gray-500">#{booking.reservationID}</span>
                 </div>
@@ -563,6 +984,7 @@ const APIFetchPanel = ({
                   {booking.status === 'success' && booking.total != null && (
                     <span className="text-green-600 font-semibold">
                       Enriched: €{booking.total.toFixed(2)} (net: €{booking.netPrice?.toFixed(2)}, taxes: €{booking.taxes?.toFixed(2)})
+                      {booking.fromCache && <span className="text-gray-500 font-normal"> (cached)</span>}
                     </span>
                   )}
                   {booking.status === 'error' && (
@@ -574,22 +996,45 @@ const APIFetchPanel = ({
                   {booking.status === 'pending' && (
                     <span className="text-gray-400">Queued</span>
                   )}
+                  {booking.status === 'cancelled' && (
+                    <span className="text-gray-400">Cancelled</span>
+                  )}
+                  {booking.status === 'skipped' && (
+                    <span className="text-yellow-700">{booking.error || 'Skipped'}</span>
+                  )}
                 </div>
               </div>
             ))}
           </div>
 
+          {/* Failure Report (once the run is over) */}
+          {!isEnriching && enrichmentProgress.counts.failed > 0 && (
+            <div className="border border-red-200 rounded p-2 bg-red-50 space-y-1 text-xs">
+              <div className="font-semibold text-red-700">
+                ❌ {enrichmentProgress.counts.failed} reservation(s) could not be enriched:
+              </div>
+              {enrichmentProgress.hostels.filter(h => h.status === 'error').map((booking, idx) => (
+                <div key={`failed-${booking.name}-${booking.reservationID}-${idx}`} className="text-red-700">
+                  <span className="font-medium">{booking.name}</span> #{booking.reservationID}: {booking.error || 'Failed'}
+                  <span className="text-gray-500"> - {getErrorHint({ code: booking.errorCode })}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Summary */}
           <div className="flex items-center justify-between text-sm pt-2 border-t">
             <div className="text-gray-700 font-mono">
-              ⚡ {enrichmentProgress.hostels.filter(h => h.status === 'success').length} enriched,{' '}
-              {enrichmentProgress.hostels.filter(h => h.status === 'error').length} failed
+              ⚡ {enrichmentProgress.counts.done} enriched,{' '}
+              {enrichmentProgress.counts.failed} failed
+              {enrichmentProgress.counts.skipped > 0 && `, ${enrichmentProgress.counts.skipped} skipped`}
+              {enrichmentProgress.counts.pending > 0 && !isEnriching && `, ${enrichmentProgress.counts.pending} pending`}
             </div>
           </div>
 
           {/* Rate Limit Notice */}
           <div className="text-xs text-gray-500 text-center pt-2 border-t">
-            ⏱️ 100ms delay between calls (CloudBeds allows 10 requests/second)
+            ⏱️ Parallel calls share one rate limit (CloudBeds allows 10 requests/second)
           </div>
             </>
           )}
@@ -606,12 +1051,12 @@ const APIFetchPanel = ({
             {/* Header */}
             <div className="flex items-center gap-2 text-yellow">
               <AlertCircle className="w-6 h-6" />
-              <h3 className="text-lg font-semibold">Week Data Already Exists</h3>
+              <h3 className="text-lg font-semibold">Period Data Already Exists</h3>
             </div>
 
             {/* Content */}
             <div className="text-sm text-gray-700 space-y-2">
-              <p><strong>Week:</strong> {warningData.weekRange}</p>
+              <p><strong>{getPeriodTypeInfo(warningData.params.periodConfig?.type).label}:</strong> {warningData.weekRange}</p>
               <p><strong>Existing data contains:</strong></p>
               <ul className="list-disc list-inside pl-4 space-y-1">
                 <li>{Object.keys(warningData.existingWeek.hostels).length} hostel(s) already loaded:
@@ -630,7 +1075,7 @@ const APIFetchPanel = ({
                 </p>
                 <p className="text-xs text-gray-600">
                   Fetching new data will <strong>update only the hostels you fetch</strong>.
-                  Other hostels in this week will remain unchanged.
+                  Other hostels in this period will remain unchanged.
                 </p>
                 {warningData.params.mode === 'single' && (
                   <p className="text-xs text-gray-600 mt-1">
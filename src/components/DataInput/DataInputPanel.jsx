@@ -9,6 +9,8 @@ const DataInputPanel = ({
     setInputMethod,
     selectedWeekStart,
     setSelectedWeekStart,
+    periodConfig,         // Period type (week/month/quarter/year/custom)
+    setPeriodConfig,
     handleDrop,
     handleDragOver,
     handleFileInput,
@@ -19,13 +21,24 @@ const DataInputPanel = ({
     processPastedData,
     isUploading,
     onAPIFetchStart,      // NEW: Callback for API fetch
+    onBackfillStart,      // Multi-period backfill
+    onSyncStart,          // Incremental sync (modified since last sync)
+    lastSyncedAt,         // { [hostelName]: Date } of the last successful sync
+    onInventoryFetch,     // Load bed/room inventory (capacity metrics)
+    inventory,            // { [hostelName]: { rooms, beds, fetchedAt } } fetched from CloudBeds
     apiFetchProgress,     // PHASE 4: Progress tracking state
+    onAPIFetchCancel,
     // Revenue enrichment props
     canEnrichRevenue,
     isEnriching,
     enrichmentProgress,
     onEnrichStart,
-    onEnrichCancel
+    onEnrichCancel,
+    onEnrichResume,       // Resume a paused / interrupted enrichment job
+    onEnrichRetryFailed,  // Re-run only the failed bookings of the job
+    onEnrichDismiss,      // Close the enrichment report
+    enrichmentCacheSize,  // Reservations with cached enriched revenue
+    onClearEnrichmentCache
 }) => {
     return (
         <div className="bg-white rounded-2xl shadow-xl p-6 mb-8">
@@ -68,6 +81,8 @@ const DataInputPanel = ({
                 <WeekSelector
                     selectedWeekStart={selectedWeekStart}
                     setSelectedWeekStart={setSelectedWeekStart}
+                    periodConfig={periodConfig}
+                    setPeriodConfig={setPeriodConfig}
                 />
             )}
 
@@ -189,15 +204,28 @@ const DataInputPanel = ({
                 <APIFetchPanel
                     selectedWeekStart={selectedWeekStart}
                     setSelectedWeekStart={setSelectedWeekStart}
+                    periodConfig={periodConfig}
+                    setPeriodConfig={setPeriodConfig}
                     onFetchStart={onAPIFetchStart}
+                    onBackfillStart={onBackfillStart}
+                    onSyncStart={onSyncStart}
+                    lastSyncedAt={lastSyncedAt}
+                    onInventoryFetch={onInventoryFetch}
+                    inventory={inventory}
                     isUploading={isUploading}
                     apiFetchProgress={apiFetchProgress}
+                    onFetchCancel={onAPIFetchCancel}
                     // Revenue enrichment props
                     canEnrichRevenue={canEnrichRevenue}
                     isEnriching={isEnriching}
                     enrichmentProgress={enrichmentProgress}
                     onEnrichStart={onEnrichStart}
                     onEnrichCancel={onEnrichCancel}
+                    onEnrichResume={onEnrichResume}
+                    onEnrichRetryFailed={onEnrichRetryFailed}
+                    onEnrichDismiss={onEnrichDismiss}
+                    enrichmentCacheSize={enrichmentCacheSize}
+                    onClearEnrichmentCache={onClearEnrichmentCache}
                 />
             )}
 
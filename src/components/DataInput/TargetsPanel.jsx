@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { Target, ChevronDown, ChevronRight, Upload, Trash2 } from 'lucide-react';
+import { hostelConfig } from '../../config/hostelConfig';
+import { targetMetrics, targetPeriodTypes } from '../../config/targetConfig';
+import { getPeriodTypeInfo, formatDateISO } from '../../utils/dateUtils';
+import { getTargetKey, getTargetPeriodStart } from '../../utils/targets';
+
+/**
+ * TargetsPanel Component
+ *
+ * Collapsible editor of the revenue / direct booking targets per hostel for one
+ * week or month, plus an Excel import (see parseTargetSheet for the sheet layout).
+ * Edits are applied as they are typed; an empty field removes the target.
+ *
+ * @param {Array} targets - Stored target records (see targets.js)
+ * @param {Function} onTargetChange - Set one target ({ hostel, periodType, date, metric, value })
+ * @param {Function} onTargetsImport - Import an Excel target sheet (File)
+ * @param {Function} onTargetsClear - Delete every target
+ */
+const TargetsPanel = ({ targets, onTargetChange, onTargetsImport, onTargetsClear }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [periodType, setPeriodType] = useState('month');
+    const [periodDate, setPeriodDate] = useState(formatDateISO(new Date()));
+
+    // <input type="month"> works with "YYYY-MM", the date input with "YYYY-MM-DD"
+    const date = new Date(`${periodType === 'month' ? `${periodDate.slice(0, 7)}-01` : periodDate}T00:00:00`);
+    const start = getTargetPeriodStart(periodType, date);
+
+    const getValue = (hostel, metricId) => {
+        const record = targets.find(t => t.key === getTargetKey(hostel, periodType, start));
+        return record?.[metricId] ?? '';
+    };
+
+    const handleImport = (e) => {
+        const file = e.target.files?.[0];
+        if (file) onTargetsImport(file);
+        e.target.value = ''; // Allow importing the same file again
+    };
+
+    return (
+        <div className="bg-white rounded-2xl shadow-xl p-6 mb-8">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-full flex items-center justify-between text-left"
+            >
+                <span className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+                    <Target className="w-5 h-5 text-nests-teal" />
+                    Targets
+                    <span className="text-sm font-normal text-gray-500">({targets.length} hostel period(s) set)</span>
+                </span>
+                {isOpen ? <ChevronDown className="w-5 h-5 text-gray-500" /> : <ChevronRight className="w-5 h-5 text-gray-500" />}
+            </button>
+
+            {isOpen && (
+                <div className="mt-4">
+                    <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+                        <select
+                            value={periodType}
+                            onChange={(e) => setPeriodType(e.target.value)}
+                            className="px-3 py-2 border border-gray-300 rounded-lg"
+                        >
+                            {targetPeriodTypes.map(type => (
+                                <option key={type} value={type}>{getPeriodTypeInfo(type).adjective}</option>
+                            ))}
+                        </select>
+                        <input
+                            type={periodType === 'month' ? 'month' : 'date'}
+                            value={periodType === 'month' ? periodDate.slice(0, 7) : periodDate}
+                            onChange={(e) => e.target.value && setPeriodDate(periodType === 'month' ? `${e.target.value}-01` : e.target.value)}
+                            className="px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                        {periodType === 'week' && <span className="text-gray-500">Week starting {start}</span>}
+
+                        <label className="ml-auto flex items-center gap-2 px-4 py-2 rounded-lg font-semibold bg-gray-200 text-gray-700 hover:bg-gray-300 cursor-pointer">
+                            <Upload className="w-4 h-4" />
+                            Import Excel
+                            <input type="file" accept=".xlsx,.xls" onChange={handleImport} className="hidden" />
+                        </label>
+                        {targets.length > 0 && (
+                            <button
+                                onClick={onTargetsClear}
+                                className="flex items-center gap-2 px-4 py-2 rounded-lg font-semibold bg-gray-200 text-gray-700 hover:bg-red-100 hover:text-red-700"
+                            >
+                                <Trash2 className="w-4 h-4" />
+                                Clear Targets
+                            </button>
+                        )}
+                    </div>
+
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="border-b-2 border-gray-200">
+                                    <th className="text-left py-2 px-2 sm:px-4 font-bold text-gray-800">Hostel</th>
+                                    {targetMetrics.map(metric => (
+                                        <th key={metric.id} className="text-left py-2 px-2 sm:px-4 font-bold text-gray-800">
+                                            {metric.name}{metric.isCurrency ? ' (€)' : ''}
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {Object.keys(hostelConfig).map(hostel => (
+                                    <tr key={hostel} className="border-b border-gray-100">
+                                        <td className="py-2 px-2 sm:px-4 font-medium text-gray-700">{hostel}</td>
+                                        {targetMetrics.map(metric => (
+                                            <td key={metric.id} className="py-2 px-2 sm:px-4">
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    step={metric.isCurrency ? '100' : '1'}
+                                                    value={getValue(hostel, metric.id)}
+                                                    onChange={(e) => onTargetChange({ hostel, periodType, date, metric: metric.id, value: e.target.value })}
+                                                    className="w-32 px-2 py-1 border border-gray-300 rounded-lg"
+                                                />
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <p className="text-xs text-gray-500 mt-3">
+                        Revenue and direct bookings count valid direct reservations by booking date. Periods without their own
+                        target (weeks, quarters, regrouped periods) use the monthly targets prorated by days.
+                        Excel sheet columns: Hostel, Period type (week / month, default month), Start, Revenue, Direct bookings.
+                    </p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TargetsPanel;
@@ -1,21 +1,68 @@
 import React from 'react';
-import { calculatePeriod, formatPeriodRange } from '../../utils/dateUtils';
+import { calculatePeriod, formatPeriodRange, periodTypes, getPeriodTypeInfo, dateConfig } from '../../utils/dateUtils';
+
+/**
+ * WeekSelector Component
+ *
+ * Date picker for the period to load. Without `setPeriodConfig` it behaves as a
+ * plain week picker; with it, a period type dropdown (week, month, quarter,
+ * year, custom range) is shown and custom ranges get an end date input.
+ *
+ * @param {string} selectedWeekStart - Selected date ("YYYY-MM-DD"), any day inside the period
+ * @param {Function} setSelectedWeekStart - Callback to update the selected date
+ * @param {object} periodConfig - Period configuration (see dateConfig)
+ * @param {Function} setPeriodConfig - Callback to update the period configuration (optional)
+ */
+const WeekSelector = ({ selectedWeekStart, setSelectedWeekStart, periodConfig = dateConfig, setPeriodConfig }) => {
+    const periodInfo = getPeriodTypeInfo(periodConfig.type);
+    const isCustom = periodConfig.type === 'custom';
 
-const WeekSelector = ({ selectedWeekStart, setSelectedWeekStart }) => {
     return (
         <div className="mb-6 p-4 bg-gray-50 rounded-lg">
             <label className="block text-sm font-medium text-gray-700 mb-2">
-                Select Week (optional - will auto-detect if not specified)
+                Select {periodInfo.label} (optional - will auto-detect if not specified)
             </label>
-            <input
-                type="date"
-                value={selectedWeekStart}
-                onChange={(e) => setSelectedWeekStart(e.target.value)}
-                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-            />
-            {selectedWeekStart && (
+            <div className="flex flex-wrap items-center gap-2">
+                {setPeriodConfig && (
+                    <select
+                        value={periodConfig.type}
+                        onChange={(e) => setPeriodConfig({ ...periodConfig, type: e.target.value })}
+                        className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                        {periodTypes.map(type => (
+                            <option key={type.value} value={type.value}>{type.label}</option>
+                        ))}
+                    </select>
+                )}
+                <input
+                    type="date"
+                    value={selectedWeekStart}
+                    onChange={(e) => setSelectedWeekStart(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+                {isCustom && setPeriodConfig && (
+                    <>
+                        <span className="text-sm text-gray-600">to</span>
+                        <input
+                            type="date"
+                            value={periodConfig.customEnd || ''}
+                            min={selectedWeekStart || undefined}
+                            onChange={(e) => setPeriodConfig({ ...periodConfig, customEnd: e.target.value || null })}
+                            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        />
+                    </>
+                )}
+            </div>
+            {selectedWeekStart && (!isCustom || periodConfig.customEnd) && (
                 <p className="text-sm text-gray-600 mt-2">
-                    Week: {formatPeriodRange(...Object.values(calculatePeriod(new Date(selectedWeekStart))))}
+                    {periodInfo.label}: {(() => {
+                        const period = calculatePeriod(new Date(selectedWeekStart), periodConfig);
+                        const label = formatPeriodRange(period.start, period.end, periodConfig);
+                        // Month/quarter/year labels don't show the dates, so add them
+                        return ['week', 'custom'].includes(periodConfig.type)
+                            ? label
+                            : `${label} (${formatPeriodRange(period.start, period.end, { ...periodConfig, type: 'custom' })})`;
+                    })()}
                 </p>
             )}
         </div>
@@ -1,33 +1,104 @@
-import React, { useState, useCallback } from 'react';
-import { BarChart3, Table, Brain, Receipt } from 'lucide-react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { BarChart3, Table, Brain, Receipt, Trash2 } from 'lucide-react';
 import * as XLSX from 'xlsx';
 
 // Utility imports
 import {
+    dateConfig,
     calculatePeriod,
     formatPeriodRange,
+    formatDateISO,
     parseExcelDate,
     detectWeekFromBookings,
     validateWeekMatch,
     parsePrice,
     calculateHostelMetrics,
+    classifyBooking,                 // Booking source → channel classification
+    channelOrder,
+    parseRoomTypes,                  // Excel room type column (dorm vs private breakdown)
+    findRoomTypeColumn,
+    normalizeCountry,                // Source markets (guest nationality)
+    findCountryColumn,
+    findCancellationDateColumn,      // Cancellation analytics (cancellation lead time)
+    formatMarketSummary,
     detectHostelFromData,
     parsePastedData,
     sortWeeklyData,
+    rebucketWeeklyData,              // Re-bucket raw bookings into any period
+    buildStayDateData,               // Night-by-night stay-date analysis
+    getDataPeriodInfo,
     fetchReservationsFromCloudBeds,  // CloudBeds API utility
-    enrichBookingRevenue             // NEW: Revenue enrichment utility
+    fetchModifiedReservations,       // Incremental sync (modified-since)
+    fetchReservationsByStayDates,    // Forward on-the-books (pace snapshots)
+    fetchPropertyInventory,          // Bed/room inventory (capacity metrics)
+    addCapacityMetrics,
+    applyReservationUpdates,
+    getEarliestLoadedDate,
+    enrichBookingRevenue,            // NEW: Revenue enrichment utility
+    createEnrichmentEntry,           // Enrichment cache (reuse revenue across refetches)
+    applyEnrichmentCache,
+    applyEnrichmentCacheToWeeks,
+    ENRICHMENT_JOB_ID,               // Resumable enrichment jobs
+    createEnrichmentJob,
+    updateJobItem,
+    getJobCounts,
+    retryFailedItems,
+    resetInterruptedItems,
+    getJobProgress,
+    AuthenticationError,             // Typed CloudBeds errors
+    CancelledError,
+    runWithConcurrency,              // Bounded-concurrency task pool
+    getErrorHint,
+    saveWeeklyData,                  // IndexedDB persistence
+    loadWeeklyData,
+    saveComparisonWeeks,
+    loadComparisonWeeks,
+    saveLastSynced,
+    loadLastSynced,
+    saveInventory,
+    loadInventory,
+    saveTargets,                     // Budget / target tracking
+    loadTargets,
+    savePaceSnapshot,                // On-the-books pace (daily snapshots)
+    loadPaceSnapshots,
+    createPaceSnapshot,
+    getSnapshotStayRange,
+    getSnapshotCutoff,
+    setTargetValue,
+    mergeTargets,
+    parseTargetSheet,
+    saveEnrichmentEntries,
+    loadEnrichmentCache,
+    clearEnrichmentCache,
+    saveEnrichmentJob,
+    loadEnrichmentJob,
+    clearEnrichmentJob,
+    clearStoredData,
+    getMissingLastYearPeriods,       // Period comparison (WoW / YoY / 4-period average)
+    detectAnomalies,                 // Rolling-baseline anomaly detection
+    summarizePeriodsForAnalysis      // Aggregate-only periods for the AI prompt
 } from '../utils';
 
 // Config imports
 import { hostelConfig } from '../config/hostelConfig';
+import { nestPassMinNights, monthlyMinNights } from '../config/lengthOfStayConfig';
+import { paceSnapshotRetentionDays } from '../config/paceConfig';
 
 // Component imports
 import WarningBanner from './DataInput/WarningBanner';
 import DataInputPanel from './DataInput/DataInputPanel';
+import TargetsPanel from './DataInput/TargetsPanel';
 import LatestWeekSummary from './Dashboard/LatestWeekSummary';
 import PerformanceTable from './Dashboard/PerformanceTable';
+import PaceReport from './Dashboard/PaceReport';
+import AnomalyPanel from './Dashboard/AnomalyPanel';
 import AIAnalysisPanel from './Analysis/AIAnalysisPanel';
 import ExcelStyleView from './Dashboard/ExcelStyleView';
+import PeriodGroupingControls from './Dashboard/PeriodGroupingControls';
+
+// Parallel CloudBeds work (requests are still paced by the shared rate limiter)
+const FETCH_CONCURRENCY = parseInt(import.meta.env.VITE_CLOUDBEDS_FETCH_CONCURRENCY) || 4;
+const ENRICH_CONCURRENCY = parseInt(import.meta.env.VITE_CLOUDBEDS_ENRICH_CONCURRENCY) || 4;
 
 const HostelAnalytics = () => {
     // State management
@@ -41,33 +112,328 @@ const HostelAnalytics = () => {
     const [selectedHostel, setSelectedHostel] = useState('');
     const [inputMethod, setInputMethod] = useState('file');
     const [selectedWeekStart, setSelectedWeekStart] = useState('');
+    const [periodConfig, setPeriodConfig] = useState(dateConfig); // Period type: week/month/quarter/year/custom
     const [warnings, setWarnings] = useState([]);
     const [viewMode, setViewMode] = useState('dashboard'); // 'dashboard' or 'excel'
 
     // API fetch progress tracking (Phase 4: Progress UI Enhancement)
-    // Structure: { mode, current, total, startTime, hostels: [{ name, status, bookingCount, elapsedTime, error }, ...] }
+    // Structure: { mode, current, total, startTime, hostels: [{ name, status, bookingCount, elapsedTime, error, page, totalPages }, ...] }
     const [apiFetchProgress, setApiFetchProgress] = useState(null);
+    const fetchAbortRef = useRef(null); // AbortController of the running fetch (for Cancel)
+
+    // Last successful incremental sync per hostel ({ [hostelName]: Date }, persisted in IndexedDB)
+    const [lastSyncedAt, setLastSyncedAt] = useState({});
+
+    // Bed/room inventory fetched from CloudBeds ({ [hostelName]: { rooms, beds, fetchedAt } }, persisted in IndexedDB)
+    // hostelConfig values take precedence (see getHostelInventory)
+    const [inventory, setInventory] = useState({});
 
     // Revenue enrichment state (Phase 6: Revenue Enrichment)
     const [isEnriching, setIsEnriching] = useState(false);
-    const [enrichmentProgress, setEnrichmentProgress] = useState(null);
-    const [enrichmentCancelled, setEnrichmentCancelled] = useState(false);
-    // Structure of enrichmentProgress:
+    const enrichAbortRef = useRef(null); // AbortController of the running enrichment (for Cancel)
+
+    // Enrichment job (persisted in IndexedDB, see enrichmentJob.js): one item per booking with
+    // pending/done/failed/skipped status, so enrichment resumes after a reload or cancel.
+    // The ref is what parallel workers update; the state copy drives the progress display.
+    const enrichmentJobRef = useRef(null);
+    const [enrichmentJob, setEnrichmentJob] = useState(null);
+    const [autoResumeEnrichment, setAutoResumeEnrichment] = useState(false); // Job was interrupted by a reload
+    const jobSaveTimeoutRef = useRef(null);
+
+    // Structure of enrichmentProgress (derived from the job, see getJobProgress):
     // {
     //   mode: 'enrichment',
+    //   status: 'running'|'paused'|'finished',
     //   current: 23,
     //   total: 100,
     //   startTime: Date.now(),
+    //   counts: { pending, loading, done, failed, skipped, total },
     //   hostels: [
-    //     { name: 'Flamingo', reservationID: '123', status: 'loading'|'success'|'error', error: null }
+    //     { name: 'Flamingo', reservationID: '123', status: 'pending'|'loading'|'success'|'error'|'skipped', error: null }
     //   ]
     // }
+    const enrichmentProgress = useMemo(() => getJobProgress(enrichmentJob), [enrichmentJob]);
+
+    // Enriched revenue per "propertyID:reservationID" (persisted in IndexedDB, see enrichmentCache.js)
+    // Kept in a ref: parallel fetch/enrichment workers read and write it without re-rendering
+    const enrichmentCacheRef = useRef(new Map());
+    const [enrichmentCacheSize, setEnrichmentCacheSize] = useState(0);
 
     // Tax breakdown toggle state (Phase 6: Tax Breakdown Display)
     // When true, shows revenue as "€52.73 + (€6.92 taxes)" format
     // When false, shows only total revenue "€59.65"
     const [showTaxBreakdown, setShowTaxBreakdown] = useState(false);
 
+    // Display grouping: 'loaded' shows periods as fetched/uploaded; otherwise all raw
+    // bookings are regrouped by week/month/quarter/year using the chosen date field
+    const [viewGranularity, setViewGranularity] = useState('loaded');
+    const [bucketDateField, setBucketDateField] = useState('bookingDate');
+
+    // Data shown in dashboard views (weeklyData itself stays the source of truth for fetch/enrich)
+    // Hostels with known inventory get occupancy / RevPAR / RevPAB for each period
+    const displayData = useMemo(() => {
+        const periods = viewGranularity === 'loaded'
+            ? weeklyData
+            : rebucketWeeklyData(weeklyData, { granularity: viewGranularity, dateField: bucketDateField });
+        return addCapacityMetrics(periods, weeklyData, inventory);
+    }, [weeklyData, viewGranularity, bucketDateField, inventory]);
+
+    // Revenue / direct booking targets per hostel and week / month (see targets.js)
+    const [targets, setTargets] = useState([]);
+
+    // Comparison mode of the dashboard deltas: 'wow' (previous period), 'yoy' (same period
+    // last year) or 'avg4' (average of the previous 4 periods)
+    const [comparisonMode, setComparisonMode] = useState('wow');
+
+    // Last-year periods fetched only for the YoY comparison (never shown as columns)
+    const [comparisonWeeks, setComparisonWeeks] = useState([]);
+
+    // Periods searched for last year's values: loaded + comparison periods, grouped like displayData
+    const comparisonReference = useMemo(() => {
+        if (comparisonMode !== 'yoy') return displayData;
+        const loadedLabels = new Set(weeklyData.map(w => w.week));
+        const merged = [...weeklyData, ...comparisonWeeks.filter(w => !loadedLabels.has(w.week))];
+        return viewGranularity === 'loaded'
+            ? sortWeeklyData(merged)
+            : rebucketWeeklyData(merged, { granularity: viewGranularity, dateField: bucketDateField });
+    }, [comparisonMode, displayData, weeklyData, comparisonWeeks, viewGranularity, bucketDateField]);
+
+    const comparison = useMemo(() => ({ mode: comparisonMode, reference: comparisonReference }), [comparisonMode, comparisonReference]);
+
+    // Last-year periods of the shown periods that are not loaded yet (YoY "Fetch last year")
+    const missingLastYear = useMemo(() => (
+        comparisonMode === 'yoy' ? getMissingLastYearPeriods(displayData, comparisonReference) : []
+    ), [comparisonMode, displayData, comparisonReference]);
+
+    // On-the-books pace: loaded + last-year comparison bookings (loaded periods win for duplicates)
+    const paceData = useMemo(() => [...comparisonWeeks, ...weeklyData], [comparisonWeeks, weeklyData]);
+
+    // Daily on-the-books snapshots (see pace.js), one per day the dashboard was used
+    const [paceSnapshots, setPaceSnapshots] = useState([]);
+
+    // Anomaly detection method: 'mad' (median / MAD) or 'zscore' (mean / std dev)
+    const [anomalyMethod, setAnomalyMethod] = useState('mad');
+
+    // Hostel metrics deviating from their rolling baseline in the shown periods (see anomalies.js)
+    const anomalies = useMemo(() => detectAnomalies(displayData, { method: anomalyMethod }), [displayData, anomalyMethod]);
+
+    // Analysis mode: 'booking' (bucketed by booking date) or 'stay' (nights sold per stay period)
+    const [analysisMode, setAnalysisMode] = useState('booking');
+
+    // Stay-date data uses the selected granularity, or the loaded period type (week for custom/mixed data)
+    const stayData = useMemo(() => {
+        if (analysisMode !== 'stay') return [];
+        const loadedType = getDataPeriodInfo(weeklyData).value;
+        const granularity = viewGranularity !== 'loaded'
+            ? viewGranularity
+            : (['month', 'quarter', 'year'].includes(loadedType) ? loadedType : 'week');
+        return addCapacityMetrics(buildStayDateData(weeklyData, granularity), weeklyData, inventory);
+    }, [weeklyData, analysisMode, viewGranularity, inventory]);
+
+    // Persistence state: true once stored data has been restored from IndexedDB.
+    // Saving is skipped until then so the initial empty state never overwrites stored data.
+    const [isStorageLoaded, setIsStorageLoaded] = useState(false);
+
+    // Restore weeklyData (incl. raw + enriched bookings) and the YoY comparison periods from IndexedDB on mount
+    useEffect(() => {
+        let isMounted = true;
+
+        // Recalculate metrics from the stored bookings so weeks saved by older
+        // versions get newer breakdowns (e.g. room types) too
+        const recalculateWeeks = (storedWeeks) => storedWeeks.map(week => ({
+            ...week,
+            hostels: Object.fromEntries(Object.entries(week.hostels).map(([hostelName, hostelData]) => (
+                [hostelName, hostelData.bookings ? calculateHostelMetrics(hostelData.bookings) : hostelData]
+            )))
+        }));
+
+        Promise.all([loadWeeklyData(), loadComparisonWeeks()])
+            .then(([storedWeeks, storedComparisonWeeks]) => {
+                if (!isMounted) return;
+                if (storedWeeks.length > 0) {
+                    console.log(`[HostelAnalytics] 📂 Restored ${storedWeeks.length} week(s) from local storage`);
+                    setWeeklyData(recalculateWeeks(storedWeeks));
+                }
+                if (storedComparisonWeeks.length > 0) {
+                    console.log(`[HostelAnalytics] 📂 Restored ${storedComparisonWeeks.length} comparison period(s) from local storage`);
+                    setComparisonWeeks(recalculateWeeks(storedComparisonWeeks));
+                }
+            })
+            .then(() => true)
+            .catch(error => {
+                console.error('[HostelAnalytics] ❌ Could not restore stored data:', error);
+                if (isMounted) setWarnings(prev => [...prev, `Stored data could not be loaded: ${error.message}`]);
+                // Blocked by another tab: don't save the empty state over the stored data once it unblocks
+                return error.name !== 'StorageBlockedError';
+            })
+            .then(canSave => {
+                if (isMounted && canSave) setIsStorageLoaded(true);
+            });
+
+        loadLastSynced()
+            .then(stored => {
+                if (isMounted) setLastSyncedAt(stored);
+            })
+            .catch(error => {
+                console.error('[HostelAnalytics] ❌ Could not restore sync times:', error);
+            });
+
+        loadInventory()
+            .then(stored => {
+                if (isMounted) setInventory(stored);
+            })
+            .catch(error => {
+                console.error('[HostelAnalytics] ❌ Could not restore inventory:', error);
+            });
+
+        loadTargets()
+            .then(stored => {
+                if (isMounted) setTargets(stored);
+            })
+            .catch(error => {
+                console.error('[HostelAnalytics] ❌ Could not restore targets:', error);
+            });
+
+        loadPaceSnapshots()
+            .then(stored => {
+                if (isMounted) setPaceSnapshots(stored);
+            })
+            .catch(error => {
+                console.error('[HostelAnalytics] ❌ Could not restore pace snapshots:', error);
+            });
+
+        loadEnrichmentCache()
+            .then(cache => {
+                if (!isMounted) return;
+                enrichmentCacheRef.current = cache;
+                setEnrichmentCacheSize(cache.size);
+            })
+            .catch(error => {
+                console.error('[HostelAnalytics] ❌ Could not restore enrichment cache:', error);
+            })
+            // Job restored after the cache, so a resumed job can skip everything already cached
+            .then(() => loadEnrichmentJob(ENRICHMENT_JOB_ID))
+            .then(storedJob => {
+                if (!isMounted || !storedJob) return;
+                const job = resetInterruptedItems(storedJob);
+                enrichmentJobRef.current = job;
+                setEnrichmentJob(job);
+                if (job.status === 'running') {
+                    console.log('[HostelAnalytics] 🔁 Interrupted enrichment job found - resuming');
+                    setAutoResumeEnrichment(true);
+                }
+            })
+            .catch(error => {
+                console.error('[HostelAnalytics] ❌ Could not restore enrichment job:', error);
+            });
+
+        return () => {
+            isMounted = false;
+        };
+    }, []);
+
+    // Save weeklyData to IndexedDB whenever it changes (debounced: enrichment updates state per booking)
+    useEffect(() => {
+        if (!isStorageLoaded) return;
+
+        const saveTimeoutId = setTimeout(() => {
+            saveWeeklyData(weeklyData).catch(error => {
+                console.error('[HostelAnalytics] ❌ Could not save data locally:', error);
+            });
+        }, 500);
+
+        return () => clearTimeout(saveTimeoutId);
+    }, [weeklyData, isStorageLoaded]);
+
+    // Save targets whenever they change (debounced: the targets panel updates state per keystroke)
+    useEffect(() => {
+        if (!isStorageLoaded) return;
+
+        const saveTimeoutId = setTimeout(() => {
+            saveTargets(targets).catch(error => {
+                console.error('[HostelAnalytics] ❌ Could not save targets locally:', error);
+            });
+        }, 500);
+
+        return () => clearTimeout(saveTimeoutId);
+    }, [targets, isStorageLoaded]);
+
+    // Save the YoY comparison periods (only change when "Fetch last year" completes)
+    useEffect(() => {
+        if (!isStorageLoaded) return;
+
+        saveComparisonWeeks(comparisonWeeks).catch(error => {
+            console.error('[HostelAnalytics] ❌ Could not save comparison periods locally:', error);
+        });
+    }, [comparisonWeeks, isStorageLoaded]);
+
+    /**
+     * Clear all locally stored data (IndexedDB) and reset the dashboard
+     */
+    const handleClearStoredData = useCallback(async () => {
+        if (!window.confirm('Delete all stored data from this browser?\n\nFetched weeks and enriched revenue will need to be loaded again.')) {
+            return;
+        }
+
+        try {
+            await clearStoredData();
+            setWeeklyData([]);
+            setComparisonWeeks([]);
+            setTargets([]);
+            setPaceSnapshots([]);
+            setLastSyncedAt({});
+            setInventory({});
+            enrichmentCacheRef.current = new Map();
+            setEnrichmentCacheSize(0);
+            enrichmentJobRef.current = null;
+            setEnrichmentJob(null);
+            setAnalysisReport('');
+            console.log('[HostelAnalytics] 🗑️  Stored data cleared');
+        } catch (error) {
+            console.error('[HostelAnalytics] ❌ Could not clear stored data:', error);
+            alert(`Error clearing stored data: ${error.message}`);
+        }
+    }, []);
+
+    /**
+     * Set or clear one hostel target from the targets panel
+     * @param {object} change - { hostel, periodType, date, metric, value } (see setTargetValue)
+     */
+    const handleTargetChange = useCallback((change) => {
+        setTargets(prev => setTargetValue(prev, change));
+    }, []);
+
+    /**
+     * Import targets from an Excel sheet (first sheet, one row per hostel and period)
+     * Imported values replace stored ones for the same hostel, period and metric.
+     * @param {File} file - Excel file
+     */
+    const handleTargetsImport = useCallback(async (file) => {
+        try {
+            const workbook = XLSX.read(await file.arrayBuffer());
+            const sheet = workbook.Sheets[workbook.SheetNames[0]];
+            const { targets: imported, errors } = parseTargetSheet(XLSX.utils.sheet_to_json(sheet, { header: 1 }));
+
+            setTargets(prev => mergeTargets(prev, imported));
+            console.log(`[HostelAnalytics] 🎯 Imported ${imported.length} target record(s) from ${file.name}`);
+
+            const errorList = errors.slice(0, 10).join('\n') + (errors.length > 10 ? `\n...and ${errors.length - 10} more` : '');
+            alert(`${errors.length === 0 ? '✅' : '⚠️ '} Imported ${imported.length} hostel period target(s) from ${file.name}` +
+                (errors.length > 0 ? `\n\n${errors.length} row(s) skipped:\n${errorList}` : ''));
+        } catch (error) {
+            console.error('[HostelAnalytics] ❌ Target import error:', error);
+            alert(`❌ Error importing targets:\n\n${error.message}`);
+        }
+    }, []);
+
+    /**
+     * Delete every target
+     */
+    const handleTargetsClear = useCallback(() => {
+        if (!window.confirm('Delete all revenue and direct booking targets?')) return;
+        setTargets([]);
+    }, []);
+
     // Process pasted data
     const processPastedData = () => {
         if (!pasteData.trim()) {
@@ -95,32 +461,35 @@ const HostelAnalytics = () => {
                 return;
             }
 
-            // Determine week (user selection or auto-detect)
+            // Determine period (user selection or auto-detect)
             let weekRange = '';
+            let periodStart = new Date();
             if (selectedWeekStart) {
-                const period = calculatePeriod(new Date(selectedWeekStart));
-                weekRange = formatPeriodRange(period.start, period.end);
+                const period = calculatePeriod(new Date(selectedWeekStart), periodConfig);
+                weekRange = formatPeriodRange(period.start, period.end, periodConfig);
+                periodStart = period.start;
             } else {
-                weekRange = detectWeekFromBookings(reservations);
+                weekRange = detectWeekFromBookings(reservations, periodConfig);
             }
 
             if (!weekRange) {
-                alert('Could not determine week. Please select a week date.');
+                alert('Could not determine period. Please select a date.');
                 setIsUploading(false);
                 return;
             }
 
-            // Validate week match
-            const weekWarnings = validateWeekMatch(reservations, weekRange);
+            // Validate period match
+            const weekWarnings = validateWeekMatch(reservations, weekRange, periodConfig);
             setWarnings(weekWarnings);
 
             // Calculate metrics
             const metrics = calculateHostelMetrics(reservations);
 
-            // Add new week data
+            // Add new period data
             const newWeekData = {
                 week: weekRange,
-                date: selectedWeekStart ? new Date(selectedWeekStart) : new Date(),
+                date: periodStart,
+                periodType: periodConfig.type,
                 hostels: { [detectedHostel]: metrics }
             };
 
@@ -148,6 +517,37 @@ const HostelAnalytics = () => {
         }
     };
 
+    /**
+     * Build an onProgress callback for fetchReservationsFromCloudBeds
+     * Writes page progress into the matching hostel row of apiFetchProgress.
+     *
+     * @param {string} hostelName - Hostel row to update
+     * @returns {Function} Callback receiving { page, totalPages, fetched, total }
+     */
+    const updateHostelPageProgress = (hostelName) => ({ page, totalPages, fetched }) => {
+        setApiFetchProgress(prev => prev ? {
+            ...prev,
+            hostels: prev.hostels.map(h =>
+                h.name === hostelName ? { ...h, page, totalPages, bookingCount: fetched } : h
+            )
+        } : null);
+    };
+
+    /**
+     * Restore cached enriched revenue on freshly fetched bookings of one property
+     *
+     * @param {Array} bookings - Bookings from CloudBeds
+     * @param {string} propertyID - CloudBeds property ID
+     * @returns {Array} Bookings with cached enriched fields (revenue + details) applied where fresh
+     */
+    const withCachedRevenue = (bookings, propertyID) => {
+        const { bookings: applied, hits } = applyEnrichmentCache(bookings, propertyID, enrichmentCacheRef.current);
+        if (hits > 0) {
+            console.log(`[HostelAnalytics] 💾 Restored enriched revenue for ${hits}/${bookings.length} booking(s) of property ${propertyID} from cache`);
+        }
+        return applied;
+    };
+
     /**
      * Handle CloudBeds API fetch
      * Fetches reservation data from CloudBeds API for selected hostel(s) and week.
@@ -156,11 +556,12 @@ const HostelAnalytics = () => {
      * @param {object} params - Fetch parameters
      * @param {string} params.mode - 'single' or 'all'
      * @param {string} params.hostelName - Hostel name (for single mode)
-     * @param {Date} params.weekStart - Week start date
+     * @param {Date} params.weekStart - Any date inside the period (start date for custom ranges)
+     * @param {object} params.periodConfig - Period type configuration (defaults to week)
      * @param {boolean} params.confirmed - PHASE 5: If true, skip duplicate check
      */
-    const handleAPIFetchStart = useCallback(async ({ mode, hostelName, weekStart, confirmed = false }) => {
-        console.log('[HostelAnalytics] 🚀 API Fetch Started', { mode, hostelName, weekStart, confirmed });
+    const handleAPIFetchStart = useCallback(async ({ mode, hostelName, weekStart, periodConfig = dateConfig, confirmed = false }) => {
+        console.log('[HostelAnalytics] 🚀 API Fetch Started', { mode, hostelName, weekStart, periodType: periodConfig.type, confirmed });
 
         // Convert string date to Date object if needed (weekStart can be string or Date)
         const weekStartDate = weekStart instanceof Date ? weekStart : new Date(weekStart);
@@ -171,9 +572,9 @@ const HostelAnalytics = () => {
         // ============================================================
 
         if (!confirmed) {
-            // Calculate week range to check for duplicates
-            const period = calculatePeriod(weekStartDate);
-            const weekRange = formatPeriodRange(period.start, period.end);
+            // Calculate period range to check for duplicates
+            const period = calculatePeriod(weekStartDate, periodConfig);
+            const weekRange = formatPeriodRange(period.start, period.end, periodConfig);
 
             // Check if this week already has data
             const existingWeek = weeklyData.find(w => w.week === weekRange);
@@ -187,7 +588,7 @@ const HostelAnalytics = () => {
                     requiresConfirmation: true,
                     existingWeek: existingWeek,
                     weekRange: weekRange,
-                    params: { mode, hostelName, weekStart }
+                    params: { mode, hostelName, weekStart, periodConfig }
                 };
             }
 
@@ -203,6 +604,9 @@ const HostelAnalytics = () => {
         setIsUploading(true);
         setWarnings([]);
 
+        const controller = new AbortController();
+        fetchAbortRef.current = controller;
+
         try {
 
             // ============================================================
@@ -215,19 +619,40 @@ const HostelAnalytics = () => {
                 const propertyID = hostelConfig[hostelName].id;
                 console.log(`[HostelAnalytics] 🏨 Property ID: ${propertyID}`);
 
-                // Calculate week date range (Mon-Sun)
-                const period = calculatePeriod(weekStartDate);
-                const weekRange = formatPeriodRange(period.start, period.end);
-                console.log(`[HostelAnalytics] 📅 Week range: ${weekRange}`);
+                // Calculate period date range (Mon-Sun for weeks)
+                const period = calculatePeriod(weekStartDate, periodConfig);
+                const weekRange = formatPeriodRange(period.start, period.end, periodConfig);
+                console.log(`[HostelAnalytics] 📅 Period range: ${weekRange}`);
 
                 // Format dates for API (YYYY-MM-DD)
-                const startDate = formatDateForAPI(period.start);
-                const endDate = formatDateForAPI(period.end);
+                const startDate = formatDateISO(period.start);
+                const endDate = formatDateISO(period.end);
                 console.log(`[HostelAnalytics] 📆 API dates: ${startDate} to ${endDate}`);
 
-                // Fetch from CloudBeds API
+                // Initialize progress tracking (single row, used for page progress)
+                const hostelStartTime = Date.now();
+                setApiFetchProgress({
+                    mode: 'single',
+                    current: 1,
+                    total: 1,
+                    startTime: hostelStartTime,
+                    hostels: [{
+                        name: hostelName,
+                        status: 'loading',
+                        bookingCount: 0,
+                        elapsedTime: 0,
+                        error: null,
+                        page: 0,
+                        totalPages: null
+                    }]
+                });
+
+                // Fetch from CloudBeds API (walks every page, reports page progress)
                 console.log(`[HostelAnalytics] 🌐 Fetching from CloudBeds API...`);
-                const bookings = await fetchReservationsFromCloudBeds(propertyID, startDate, endDate);
+                const bookings = withCachedRevenue(await fetchReservationsFromCloudBeds(propertyID, startDate, endDate, {
+                    onProgress: updateHostelPageProgress(hostelName),
+                    signal: controller.signal
+                }), propertyID);
                 console.log(`[HostelAnalytics] ✅ Fetched ${bookings.length} direct bookings for ${hostelName}`);
 
                 // Calculate metrics (reuse existing function! DRY principle)
@@ -238,7 +663,8 @@ const HostelAnalytics = () => {
                 // Create week data structure
                 const newWeekData = {
                     week: weekRange,
-                    date: weekStartDate,
+                    date: period.start,
+                    periodType: periodConfig.type,
                     hostels: {
                         [hostelName]: metrics
                     }
@@ -260,12 +686,24 @@ const HostelAnalytics = () => {
                     }
                 });
 
+                setApiFetchProgress(prev => prev ? {
+                    ...prev,
+                    hostels: prev.hostels.map(h => ({
+                        ...h,
+                        status: 'success',
+                        bookingCount: metrics.count,
+                        elapsedTime: Date.now() - hostelStartTime
+                    }))
+                } : null);
+
                 console.log(`[HostelAnalytics] ✨ Success! ${hostelName} data updated`);
                 alert(`✅ Successfully fetched ${metrics.count} bookings for ${hostelName}\n\n` +
                     `Revenue: €${metrics.revenue.toFixed(2)}\n` +
                     `Valid Bookings: ${metrics.valid}\n` +
-                    `Nest Pass (7+ nights): ${metrics.nestPass}\n` +
-                    `Monthly (28+ nights): ${metrics.monthly}`);
+                    `Nest Pass (${nestPassMinNights}+ nights): ${metrics.nestPass}\n` +
+                    `Monthly (${monthlyMinNights}+ nights): ${metrics.monthly}`);
+
+                setApiFetchProgress(null);
             }
 
             // ============================================================
@@ -274,14 +712,14 @@ const HostelAnalytics = () => {
             else if (mode === 'all') {
                 console.log('[HostelAnalytics] 🏨🏨🏨 All hostels mode: Fetching 11 properties!');
 
-                // Calculate week date range
-                const period = calculatePeriod(weekStartDate);
-                const weekRange = formatPeriodRange(period.start, period.end);
-                console.log(`[HostelAnalytics] 📅 Week range: ${weekRange}`);
+                // Calculate period date range
+                const period = calculatePeriod(weekStartDate, periodConfig);
+                const weekRange = formatPeriodRange(period.start, period.end, periodConfig);
+                console.log(`[HostelAnalytics] 📅 Period range: ${weekRange}`);
 
                 // Format dates for API
-                const startDate = formatDateForAPI(period.start);
-                const endDate = formatDateForAPI(period.end);
+                const startDate = formatDateISO(period.start);
+                const endDate = formatDateISO(period.end);
                 console.log(`[HostelAnalytics] 📆 API dates: ${startDate} to ${endDate}`);
 
                 // Get all hostel names from config
@@ -300,7 +738,9 @@ const HostelAnalytics = () => {
                         status: 'pending',
                         bookingCount: 0,
                         elapsedTime: 0,
-                        error: null
+                        error: null,
+                        page: 0,
+                        totalPages: null
                     }))
                 });
                 console.log(`[HostelAnalytics] 📊 Progress tracking initialized for ${hostelList.length} hostels`);
@@ -310,19 +750,17 @@ const HostelAnalytics = () => {
                 let errorCount = 0;
                 const errors = [];
 
-                // Loop through all 11 hostels
-                console.log(`[HostelAnalytics] 🔄 Starting sequential fetch for ${hostelList.length} hostels...`);
+                // Fetch hostels in parallel (bounded), all sharing the CloudBeds rate limit
+                console.log(`[HostelAnalytics] 🔄 Starting parallel fetch for ${hostelList.length} hostels (${FETCH_CONCURRENCY} at a time)...`);
 
-                for (let i = 0; i < hostelList.length; i++) {
-                    const hostelName = hostelList[i];
+                await runWithConcurrency(hostelList, async (hostelName) => {
                     const hostelStartTime = Date.now();
 
-                    console.log(`[HostelAnalytics] [${i + 1}/${hostelList.length}] 🏨 Fetching ${hostelName}...`);
+                    console.log(`[HostelAnalytics] 🏨 Fetching ${hostelName}...`);
 
                     // PHASE 4: Update progress - mark hostel as 'loading'
                     setApiFetchProgress(prev => prev ? {
                         ...prev,
-                        current: i + 1,
                         hostels: prev.hostels.map(h =>
                             h.name === hostelName ? { ...h, status: 'loading' } : h
                         )
@@ -331,13 +769,16 @@ const HostelAnalytics = () => {
                     try {
                         // Get property ID
                         const propertyID = hostelConfig[hostelName].id;
-                        console.log(`[HostelAnalytics] [${i + 1}/${hostelList.length}] 🆔 Property ID: ${propertyID}`);
+                        console.log(`[HostelAnalytics] 🆔 ${hostelName} property ID: ${propertyID}`);
 
-                        // Fetch from CloudBeds API
-                        const bookings = await fetchReservationsFromCloudBeds(propertyID, startDate, endDate);
+                        // Fetch from CloudBeds API (all pages)
+                        const bookings = withCachedRevenue(await fetchReservationsFromCloudBeds(propertyID, startDate, endDate, {
+                            onProgress: updateHostelPageProgress(hostelName),
+                            signal: controller.signal
+                        }), propertyID);
                         const elapsedTime = Date.now() - hostelStartTime;
 
-                        console.log(`[HostelAnalytics] [${i + 1}/${hostelList.length}] ✅ ${hostelName}: ${bookings.length} bookings (${(elapsedTime / 1000).toFixed(1)}s)`);
+                        console.log(`[HostelAnalytics] ✅ ${hostelName}: ${bookings.length} bookings (${(elapsedTime / 1000).toFixed(1)}s)`);
 
                         // Calculate metrics
                         const metrics = calculateHostelMetrics(bookings);
@@ -349,6 +790,7 @@ const HostelAnalytics = () => {
                         // PHASE 4: Update progress - mark hostel as 'success'
                         setApiFetchProgress(prev => prev ? {
                             ...prev,
+                            current: prev.current + 1,
                             hostels: prev.hostels.map(h =>
                                 h.name === hostelName
                                     ? { ...h, status: 'success', bookingCount: metrics.count, elapsedTime }
@@ -356,35 +798,49 @@ const HostelAnalytics = () => {
                             )
                         } : null);
 
-                        // Small delay to avoid potential rate limiting (500ms)
-                        if (i < hostelList.length - 1) { // Don't delay after last hostel
-                            console.log(`[HostelAnalytics] [${i + 1}/${hostelList.length}] ⏱️  Waiting 500ms before next fetch...`);
-                            await new Promise(resolve => setTimeout(resolve, 500));
-                        }
-
                     } catch (error) {
                         const elapsedTime = Date.now() - hostelStartTime;
-                        console.error(`[HostelAnalytics] [${i + 1}/${hostelList.length}] ❌ ${hostelName} failed:`, error.message, `(${(elapsedTime / 1000).toFixed(1)}s)`);
-
-                        errorCount++;
-                        errors.push({
-                            hostelName,
-                            error: error.message
-                        });
+                        const cancelled = error instanceof CancelledError;
 
-                        // PHASE 4: Update progress - mark hostel as 'error'
+                        // PHASE 4: Update progress - mark hostel as 'error' (or 'cancelled')
                         setApiFetchProgress(prev => prev ? {
                             ...prev,
+                            current: prev.current + 1,
                             hostels: prev.hostels.map(h =>
                                 h.name === hostelName
-                                    ? { ...h, status: 'error', error: error.message, elapsedTime }
+                                    ? { ...h, status: cancelled ? 'cancelled' : 'error', error: error.message, errorCode: error.code, elapsedTime }
                                     : h
                             )
                         } : null);
 
-                        // CONTINUE to next hostel (don't stop on error!)
-                        console.log(`[HostelAnalytics] [${i + 1}/${hostelList.length}] ⏩ Continuing to next hostel...`);
+                        if (cancelled) return;
+
+                        console.error(`[HostelAnalytics] ❌ ${hostelName} failed:`, error.message, `(${(elapsedTime / 1000).toFixed(1)}s)`);
+
+                        errorCount++;
+                        errors.push({
+                            hostelName,
+                            error: error.message,
+                            code: error.code
+                        });
+
+                        // Auth errors affect every hostel - stop instead of failing the rest one by one
+                        if (error instanceof AuthenticationError) {
+                            console.error(`[HostelAnalytics] 🔒 Authentication failed - cancelling remaining hostels`);
+                            controller.abort();
+                        }
                     }
+                }, { concurrency: FETCH_CONCURRENCY, signal: controller.signal });
+
+                // Hostels never started (cancelled batch) stay 'pending' - mark them
+                setApiFetchProgress(prev => prev ? {
+                    ...prev,
+                    hostels: prev.hostels.map(h => h.status === 'pending' ? { ...h, status: 'cancelled' } : h)
+                } : null);
+
+                const wasCancelled = controller.signal.aborted && errors.every(e => e.code !== 'auth');
+                if (wasCancelled) {
+                    console.log(`[HostelAnalytics] ⏹️  Fetch cancelled - keeping ${successCount} completed hostel(s)`);
                 }
 
                 // Update state with all successful results
@@ -407,7 +863,8 @@ const HostelAnalytics = () => {
                             console.log(`[HostelAnalytics] ➕ New week - adding ${successCount} hostels`);
                             return sortWeeklyData([...prev, {
                                 week: weekRange,
-                                date: weekStartDate,
+                                date: period.start,
+                                periodType: periodConfig.type,
                                 hostels: results
                             }]);
                         }
@@ -423,18 +880,22 @@ const HostelAnalytics = () => {
                     failed: errorCount
                 });
 
-                if (errorCount === 0) {
+                if (wasCancelled) {
+                    alert(`⏹️  Fetch cancelled\n\n` +
+                        `${successCount}/${hostelList.length} hostels were fetched before cancelling and have been kept.`);
+                } else if (errorCount === 0) {
                     console.log(`[HostelAnalytics] 🎉 All ${hostelList.length} hostels fetched successfully!`);
                     const totalBookings = Object.values(results).reduce((sum, h) => sum + h.count, 0);
                     alert(`✅ Success! All ${hostelList.length} hostels fetched!\n\n` +
                         `Total Bookings: ${totalBookings}\n` +
-                        `Week: ${weekRange}`);
+                        `Period: ${weekRange}`);
                 } else {
                     console.warn(`[HostelAnalytics] ⚠️  Completed with ${errorCount} error(s)`);
                     const errorList = errors.map(e => `- ${e.hostelName}: ${e.error}`).join('\n');
+                    const hints = [...new Set(errors.map(e => getErrorHint(e)))].join('\n');
                     alert(`⚠️  Fetched ${successCount}/${hostelList.length} hostels successfully\n\n` +
                         `${errorCount} hostel(s) failed:\n${errorList}\n\n` +
-                        `Check console for details.`);
+                        `${hints}`);
                 }
 
                 // PHASE 4: Clear progress after 2 seconds (give user time to see final state)
@@ -451,16 +912,508 @@ const HostelAnalytics = () => {
             // PHASE 4: Clear progress on error
             setApiFetchProgress(null);
 
-            alert(`❌ Error fetching from CloudBeds:\n\n${error.message}\n\nPlease check:\n` +
-                `- Your .env file has valid API credentials\n` +
-                `- You restarted the dev server after adding .env\n` +
-                `- Your internet connection is working`);
+            if (error instanceof CancelledError) {
+                alert('⏹️  Fetch cancelled');
+            } else {
+                alert(`❌ Error fetching from CloudBeds:\n\n${error.message}\n\n${getErrorHint(error)}`);
+            }
         } finally {
+            fetchAbortRef.current = null;
             setIsUploading(false);
             console.log('[HostelAnalytics] 🏁 API Fetch Complete');
         }
     }, [weeklyData]);  // PHASE 5: Added weeklyData dependency for duplicate detection
 
+    /**
+     * Handle CloudBeds backfill (many periods in one action)
+     * Queues every period × hostel combination, fetches them through the shared task pool
+     * and merges all results into weeklyData in a single update.
+     *
+     * Period × hostel combinations already in weeklyData are skipped unless `force` is set,
+     * so a backfill can be re-run to fill gaps (failed or cancelled fetches).
+     *
+     * @param {object} params - Backfill parameters
+     * @param {string} params.mode - 'single' or 'all'
+     * @param {string} params.hostelName - Hostel name (for single mode)
+     * @param {Array<{start: Date, end: Date, label: string, periodType: string}>} params.periods - Periods to fetch (see listPeriodsBetween)
+     * @param {boolean} params.force - Re-fetch combinations that are already loaded
+     * @param {string} params.target - 'weekly' (dashboard periods) or 'comparison' (last-year periods for YoY)
+     */
+    const handleBackfillStart = useCallback(async ({ mode, hostelName, periods, force = false, target = 'weekly' }) => {
+        const hostelList = mode === 'single' ? [hostelName] : Object.keys(hostelConfig);
+        const targetData = target === 'comparison' ? comparisonWeeks : weeklyData;
+        const setTargetData = target === 'comparison' ? setComparisonWeeks : setWeeklyData;
+        console.log('[HostelAnalytics] 🚀 Backfill Started', { mode, periods: periods.length, hostels: hostelList.length, force, target });
+
+        // ============================================================
+        // BUILD QUEUE (skip combinations already loaded)
+        // ============================================================
+
+        const tasks = [];
+        const weeks = periods.map(period => {
+            const existingWeek = targetData.find(w => w.week === period.label);
+            const queued = hostelList.filter(name => force || !existingWeek?.hostels[name]);
+            queued.forEach(name => tasks.push({ period, hostelName: name }));
+
+            return {
+                week: period.label,
+                total: queued.length,
+                done: 0,
+                failed: 0,
+                skipped: hostelList.length - queued.length,
+                status: queued.length > 0 ? 'pending' : 'skipped'
+            };
+        });
+        const skippedCount = weeks.reduce((sum, w) => sum + w.skipped, 0);
+
+        if (tasks.length === 0) {
+            alert(`ℹ️  Nothing to fetch\n\n` +
+                `All ${periods.length} period(s) are already loaded for the selected hostel(s).\n` +
+                `Tick "Re-fetch loaded periods" to fetch them again.`);
+            return;
+        }
+
+        console.log(`[HostelAnalytics] 📋 Backfill queue: ${tasks.length} fetch(es), ${skippedCount} skipped (already loaded)`);
+
+        setIsUploading(true);
+        setWarnings([]);
+
+        const controller = new AbortController();
+        fetchAbortRef.current = controller;
+
+        // Per-week progress row update (done/failed counters, status once every hostel finished)
+        const updateWeekProgress = (weekLabel, failed) => {
+            setApiFetchProgress(prev => prev ? {
+                ...prev,
+                current: prev.current + 1,
+                weeks: prev.weeks.map(w => {
+                    if (w.week !== weekLabel) return w;
+                    const updated = { ...w, done: w.done + 1, failed: w.failed + (failed ? 1 : 0) };
+                    if (updated.done === updated.total) {
+                        updated.status = updated.failed > 0 ? 'error' : 'success';
+                    }
+                    return updated;
+                })
+            } : null);
+        };
+
+        try {
+            setApiFetchProgress({
+                mode: 'backfill',
+                current: 0,
+                total: tasks.length,
+                skipped: skippedCount,
+                startTime: Date.now(),
+                hostels: [],
+                weeks
+            });
+
+            // results[weekLabel] = { period, hostels: { [hostelName]: metrics } }
+            const results = {};
+            let successCount = 0;
+            const errors = [];
+
+            await runWithConcurrency(tasks, async ({ period, hostelName }) => {
+                setApiFetchProgress(prev => prev ? {
+                    ...prev,
+                    weeks: prev.weeks.map(w =>
+                        w.week === period.label && w.status === 'pending' ? { ...w, status: 'loading' } : w
+                    )
+                } : null);
+
+                try {
+                    const propertyID = hostelConfig[hostelName].id;
+                    const bookings = withCachedRevenue(await fetchReservationsFromCloudBeds(
+                        propertyID,
+                        formatDateISO(period.start),
+                        formatDateISO(period.end),
+                        { signal: controller.signal }
+                    ), propertyID);
+                    const metrics = calculateHostelMetrics(bookings);
+
+                    if (!results[period.label]) results[period.label] = { period, hostels: {} };
+                    results[period.label].hostels[hostelName] = metrics;
+                    successCount++;
+
+                    console.log(`[HostelAnalytics] ✅ ${period.label} / ${hostelName}: ${metrics.count} bookings`);
+                    updateWeekProgress(period.label, false);
+                } catch (error) {
+                    if (error instanceof CancelledError) return;
+
+                    console.error(`[HostelAnalytics] ❌ ${period.label} / ${hostelName} failed:`, error.message);
+                    errors.push({ week: period.label, hostelName, error: error.message, code: error.code });
+                    updateWeekProgress(period.label, true);
+
+                    // Auth errors affect every request - stop instead of failing the rest one by one
+                    if (error instanceof AuthenticationError) {
+                        console.error(`[HostelAnalytics] 🔒 Authentication failed - cancelling remaining backfill`);
+                        controller.abort();
+                    }
+                }
+            }, { concurrency: FETCH_CONCURRENCY, signal: controller.signal });
+
+            // Weeks not finished when cancelled
+            setApiFetchProgress(prev => prev ? {
+                ...prev,
+                weeks: prev.weeks.map(w =>
+                    ['pending', 'loading'].includes(w.status) ? { ...w, status: 'cancelled' } : w
+                )
+            } : null);
+
+            // Merge every fetched period in one update (smart merge per hostel, like single fetches)
+            if (successCount > 0) {
+                setTargetData(prev => {
+                    const updated = [...prev];
+                    Object.values(results).forEach(({ period, hostels }) => {
+                        const existingWeekIndex = updated.findIndex(w => w.week === period.label);
+                        if (existingWeekIndex >= 0) {
+                            updated[existingWeekIndex] = {
+                                ...updated[existingWeekIndex],
+                                hostels: { ...updated[existingWeekIndex].hostels, ...hostels }
+                            };
+                        } else {
+                            updated.push({
+                                week: period.label,
+                                date: period.start,
+                                periodType: period.periodType,
+                                hostels
+                            });
+                        }
+                    });
+                    return sortWeeklyData(updated);
+                });
+                console.log(`[HostelAnalytics] 💾 Backfill merged ${successCount} fetch(es) into ${Object.keys(results).length} period(s)`);
+            }
+
+            const wasCancelled = controller.signal.aborted && errors.every(e => e.code !== 'auth');
+            const summary = `${successCount}/${tasks.length} fetches completed` +
+                (skippedCount > 0 ? `, ${skippedCount} skipped (already loaded)` : '');
+
+            if (wasCancelled) {
+                alert(`⏹️  Backfill cancelled\n\n${summary}. Completed fetches have been kept.`);
+            } else if (errors.length === 0) {
+                const totalBookings = Object.values(results)
+                    .reduce((sum, w) => sum + Object.values(w.hostels).reduce((s, h) => s + h.count, 0), 0);
+                alert(`✅ Backfill complete!\n\n${summary}\n` +
+                    `Periods: ${periods.length}\n` +
+                    `Total Bookings: ${totalBookings}`);
+            } else {
+                const errorList = errors.slice(0, 10).map(e => `- ${e.week} / ${e.hostelName}: ${e.error}`).join('\n');
+                const more = errors.length > 10 ? `\n...and ${errors.length - 10} more` : '';
+                const hints = [...new Set(errors.map(e => getErrorHint(e)))].join('\n');
+                alert(`⚠️  Backfill finished with ${errors.length} error(s)\n\n${summary}\n\n` +
+                    `${errorList}${more}\n\n${hints}\n\nRun the backfill again to retry only the missing periods.`);
+            }
+
+            setTimeout(() => setApiFetchProgress(null), 2000);
+        } catch (error) {
+            console.error('[HostelAnalytics] ❌ Backfill error:', error);
+            setApiFetchProgress(null);
+            alert(`❌ Error during backfill:\n\n${error.message}\n\n${getErrorHint(error)}`);
+        } finally {
+            fetchAbortRef.current = null;
+            setIsUploading(false);
+            console.log('[HostelAnalytics] 🏁 Backfill Complete');
+        }
+    }, [weeklyData, comparisonWeeks]);
+
+    /**
+     * Fetch the last-year periods missing for the YoY comparison (all hostels)
+     */
+    const handleFetchLastYear = useCallback(() => {
+        if (missingLastYear.length === 0) return;
+        handleBackfillStart({ mode: 'all', periods: missingLastYear, target: 'comparison' });
+    }, [missingLastYear, handleBackfillStart]);
+
+    /**
+     * Handle CloudBeds incremental sync
+     * Asks CloudBeds for reservations modified since each hostel's last successful sync
+     * (or since its earliest loaded period on the first sync), then updates, cancels or adds
+     * the matching bookings in the stored periods and recomputes their metrics.
+     *
+     * Only hostels with loaded data are synced. The sync window start is recorded as the
+     * new "last synced" time only for hostels that succeeded.
+     *
+     * @param {object} params - Sync parameters
+     * @param {string} params.mode - 'single' or 'all'
+     * @param {string} params.hostelName - Hostel name (for single mode)
+     */
+    const handleSyncStart = useCallback(async ({ mode, hostelName }) => {
+        const requestedHostels = mode === 'single' ? [hostelName] : Object.keys(hostelConfig);
+        const hostelList = requestedHostels.filter(name => getEarliestLoadedDate(weeklyData, name));
+        console.log('[HostelAnalytics] 🔄 Incremental Sync Started', { mode, hostels: hostelList });
+
+        if (hostelList.length === 0) {
+            alert('ℹ️  Nothing to sync\n\nFetch some periods first - sync only updates data that is already loaded.');
+            return;
+        }
+
+        setIsUploading(true);
+        setWarnings([]);
+
+        const controller = new AbortController();
+        fetchAbortRef.current = controller;
+
+        // Window end = sync start, so changes made while syncing are picked up next time
+        const syncStartTime = new Date();
+
+        try {
+            setApiFetchProgress({
+                mode: 'sync',
+                current: 0,
+                total: hostelList.length,
+                startTime: syncStartTime.getTime(),
+                hostels: hostelList.map(name => ({
+                    name,
+                    status: 'pending',
+                    bookingCount: 0,
+                    elapsedTime: 0,
+                    error: null,
+                    page: 0,
+                    totalPages: null
+                }))
+            });
+
+            const changesByHostel = {};
+            const errors = [];
+
+            await runWithConcurrency(hostelList, async (name) => {
+                const hostelStartTime = Date.now();
+                const since = lastSyncedAt[name] || getEarliestLoadedDate(weeklyData, name);
+
+                setApiFetchProgress(prev => prev ? {
+                    ...prev,
+                    hostels: prev.hostels.map(h => h.name === name ? { ...h, status: 'loading' } : h)
+                } : null);
+
+                try {
+                    const changed = withCachedRevenue(await fetchModifiedReservations(hostelConfig[name].id, since, {
+                        modifiedUntil: syncStartTime,
+                        onProgress: updateHostelPageProgress(name),
+                        signal: controller.signal
+                    }), hostelConfig[name].id);
+                    changesByHostel[name] = changed;
+
+                    console.log(`[HostelAnalytics] ✅ ${name}: ${changed.length} modified reservation(s) since ${since.toLocaleString()}`);
+                    setApiFetchProgress(prev => prev ? {
+                        ...prev,
+                        current: prev.current + 1,
+                        hostels: prev.hostels.map(h =>
+                            h.name === name
+                                ? { ...h, status: 'success', bookingCount: changed.length, elapsedTime: Date.now() - hostelStartTime }
+                                : h
+                        )
+                    } : null);
+                } catch (error) {
+                    const cancelled = error instanceof CancelledError;
+
+                    setApiFetchProgress(prev => prev ? {
+                        ...prev,
+                        current: prev.current + 1,
+                        hostels: prev.hostels.map(h =>
+                            h.name === name
+                                ? { ...h, status: cancelled ? 'cancelled' : 'error', error: error.message, errorCode: error.code, elapsedTime: Date.now() - hostelStartTime }
+                                : h
+                        )
+                    } : null);
+
+                    if (cancelled) return;
+
+                    console.error(`[HostelAnalytics] ❌ ${name} sync failed:`, error.message);
+                    errors.push({ hostelName: name, error: error.message, code: error.code });
+
+                    if (error instanceof AuthenticationError) {
+                        console.error(`[HostelAnalytics] 🔒 Authentication failed - cancelling remaining hostels`);
+                        controller.abort();
+                    }
+                }
+            }, { concurrency: FETCH_CONCURRENCY, signal: controller.signal });
+
+            setApiFetchProgress(prev => prev ? {
+                ...prev,
+                hostels: prev.hostels.map(h => h.status === 'pending' ? { ...h, status: 'cancelled' } : h)
+            } : null);
+
+            const syncedHostels = Object.keys(changesByHostel);
+
+            // Totals for the summary (computed on the current snapshot; state is updated below)
+            const totals = { updated: 0, cancelled: 0, added: 0, periods: 0 };
+            syncedHostels.reduce((data, name) => {
+                const { weeklyData: next, stats } = applyReservationUpdates(data, name, changesByHostel[name]);
+                Object.keys(totals).forEach(key => { totals[key] += stats[key]; });
+                return next;
+            }, weeklyData);
+
+            if (syncedHostels.length > 0) {
+                setWeeklyData(prev => syncedHostels.reduce(
+                    (data, name) => applyReservationUpdates(data, name, changesByHostel[name]).weeklyData,
+                    prev
+                ));
+
+                setLastSyncedAt(prev => {
+                    const next = { ...prev };
+                    syncedHostels.forEach(name => { next[name] = syncStartTime; });
+                    return next;
+                });
+                await Promise.all(syncedHostels.map(name => saveLastSynced(name, syncStartTime)))
+                    .catch(error => console.error('[HostelAnalytics] ❌ Could not save sync times:', error));
+            }
+
+            console.log('[HostelAnalytics] 📊 Sync Summary:', totals);
+
+            const summary = `Updated: ${totals.updated}\n` +
+                `Cancelled: ${totals.cancelled}\n` +
+                `New: ${totals.added}\n` +
+                `Periods recalculated: ${totals.periods}`;
+
+            if (controller.signal.aborted && errors.every(e => e.code !== 'auth')) {
+                alert(`⏹️  Sync cancelled\n\n${syncedHostels.length}/${hostelList.length} hostels were synced before cancelling.\n\n${summary}`);
+            } else if (errors.length === 0) {
+                alert(`✅ Synced ${syncedHostels.length} hostel(s)\n\n${summary}`);
+            } else {
+                const errorList = errors.map(e => `- ${e.hostelName}: ${e.error}`).join('\n');
+                const hints = [...new Set(errors.map(e => getErrorHint(e)))].join('\n');
+                alert(`⚠️  Synced ${syncedHostels.length}/${hostelList.length} hostels\n\n${summary}\n\n` +
+                    `${errors.length} hostel(s) failed:\n${errorList}\n\n${hints}`);
+            }
+
+            setTimeout(() => setApiFetchProgress(null), 2000);
+        } catch (error) {
+            console.error('[HostelAnalytics] ❌ Sync error:', error);
+            setApiFetchProgress(null);
+            alert(`❌ Error syncing with CloudBeds:\n\n${error.message}\n\n${getErrorHint(error)}`);
+        } finally {
+            fetchAbortRef.current = null;
+            setIsUploading(false);
+            console.log('[HostelAnalytics] 🏁 Sync Complete');
+        }
+    }, [weeklyData, lastSyncedAt]);
+
+    /**
+     * Load bed/room inventory of every hostel from CloudBeds (getRoomTypes)
+     *
+     * Needed for occupancy, RevPAR and RevPAB. Hostels with `rooms` / `beds` set in
+     * hostelConfig keep those values (see getHostelInventory).
+     */
+    const handleInventoryFetch = useCallback(async () => {
+        const hostelList = Object.keys(hostelConfig);
+        console.log('[HostelAnalytics] 🛏️  Loading inventory for', hostelList);
+
+        setIsUploading(true);
+
+        const controller = new AbortController();
+        fetchAbortRef.current = controller;
+
+        const loaded = {};
+        const errors = [];
+
+        try {
+            await runWithConcurrency(hostelList, async (name) => {
+                try {
+                    const { rooms, beds } = await fetchPropertyInventory(hostelConfig[name].id, { signal: controller.signal });
+                    loaded[name] = { rooms, beds, fetchedAt: new Date() };
+                    await saveInventory(name, { rooms, beds })
+                        .catch(error => console.error('[HostelAnalytics] ❌ Could not save inventory:', error));
+                } catch (error) {
+                    if (error instanceof CancelledError) return;
+
+                    console.error(`[HostelAnalytics] ❌ ${name} inventory failed:`, error.message);
+                    errors.push({ hostelName: name, error: error.message, code: error.code });
+
+                    if (error instanceof AuthenticationError) controller.abort();
+                }
+            }, { concurrency: FETCH_CONCURRENCY, signal: controller.signal });
+
+            setInventory(prev => ({ ...prev, ...loaded }));
+
+            const summary = Object.entries(loaded)
+                .map(([name, { rooms, beds }]) => `- ${name}: ${rooms} rooms/dorm beds, ${beds} beds`)
+                .join('\n');
+
+            if (errors.length === 0) {
+                alert(`✅ Inventory loaded for ${Object.keys(loaded).length} hostel(s)\n\n${summary}`);
+            } else {
+                const errorList = errors.map(e => `- ${e.hostelName}: ${e.error}`).join('\n');
+                const hints = [...new Set(errors.map(e => getErrorHint(e)))].join('\n');
+                alert(`⚠️  Inventory loaded for ${Object.keys(loaded).length}/${hostelList.length} hostels\n\n${summary}\n\n` +
+                    `${errors.length} hostel(s) failed:\n${errorList}\n\n${hints}`);
+            }
+        } finally {
+            fetchAbortRef.current = null;
+            setIsUploading(false);
+        }
+    }, []);
+
+    /**
+     * Take today's on-the-books snapshot from a forward fetch by stay date
+     *
+     * Fetches every reservation staying in the snapshot range (getSnapshotStayRange)
+     * for every hostel. The snapshot is only saved when all hostels succeeded,
+     * so it never records a partial book; it replaces today's snapshot and prunes
+     * the ones past the retention period.
+     */
+    const handlePaceSnapshotFetch = useCallback(async () => {
+        const hostelList = Object.keys(hostelConfig);
+        const coverage = getSnapshotStayRange();
+        console.log('[HostelAnalytics] 📸 Taking on-the-books snapshot', coverage);
+
+        setIsUploading(true);
+
+        const controller = new AbortController();
+        fetchAbortRef.current = controller;
+
+        const bookingsByHostel = {};
+        const errors = [];
+
+        try {
+            await runWithConcurrency(hostelList, async (name) => {
+                try {
+                    const propertyID = hostelConfig[name].id;
+                    bookingsByHostel[name] = withCachedRevenue(await fetchReservationsByStayDates(propertyID, coverage.startDate, coverage.endDate, {
+                        signal: controller.signal
+                    }), propertyID);
+                } catch (error) {
+                    if (error instanceof CancelledError) return;
+
+                    console.error(`[HostelAnalytics] ❌ ${name} on-the-books fetch failed:`, error.message);
+                    errors.push({ hostelName: name, error: error.message, code: error.code });
+
+                    if (error instanceof AuthenticationError) controller.abort();
+                }
+            }, { concurrency: FETCH_CONCURRENCY, signal: controller.signal });
+
+            if (controller.signal.aborted || errors.length > 0) {
+                const errorList = errors.map(e => `- ${e.hostelName}: ${e.error}`).join('\n');
+                const hints = [...new Set(errors.map(e => getErrorHint(e)))].join('\n');
+                alert(`⚠️  No snapshot taken: on-the-books loaded for ${Object.keys(bookingsByHostel).length}/${hostelList.length} hostels` +
+                    (errors.length > 0 ? `\n\n${errors.length} hostel(s) failed:\n${errorList}\n\n${hints}` : ''));
+                return;
+            }
+
+            const snapshot = createPaceSnapshot(bookingsByHostel, coverage);
+            await savePaceSnapshot(snapshot, getSnapshotCutoff(paceSnapshotRetentionDays))
+                .catch(error => console.error('[HostelAnalytics] ❌ Could not save pace snapshot:', error));
+            setPaceSnapshots(prev => [...prev.filter(s => s.date !== snapshot.date), snapshot]);
+
+            const bookingCount = Object.values(bookingsByHostel).reduce((sum, bookings) => sum + bookings.length, 0);
+            alert(`✅ On-the-books snapshot of ${snapshot.date} taken\n\n${bookingCount} reservations staying ${coverage.startDate} to ${coverage.endDate} (${hostelList.length} hostels)`);
+        } finally {
+            fetchAbortRef.current = null;
+            setIsUploading(false);
+        }
+    }, []);
+
+    /**
+     * Cancel the running CloudBeds fetch
+     *
+     * Aborts requests in flight and stops queued hostels from starting.
+     * Hostels that already finished are kept.
+     */
+    const cancelAPIFetch = useCallback(() => {
+        console.log('[HostelAnalytics] ⏹️  Cancelling API fetch...');
+        fetchAbortRef.current?.abort();
+    }, []);
+
     /**
      * Check if data has bookings that can be enriched
      *
@@ -502,141 +1455,160 @@ const HostelAnalytics = () => {
     }, [weeklyData]);
 
     /**
-     * Enrich API-fetched bookings with detailed revenue breakdown
+     * Publish an enrichment job update
      *
-     * This function performs background enrichment of booking data by making
-     * individual API calls to getReservation endpoint for each booking.
+     * Workers update the ref (always current), the state copy re-renders the progress
+     * display, and the job is written to IndexedDB - debounced while items finish,
+     * immediately at start and end of a run. Results themselves are safe in the
+     * enrichment cache, so an item lost from a debounced save is simply found there on resume.
+     *
+     * @param {object} job - New job state
+     * @param {object} [options]
+     * @param {boolean} [options.immediate=false] - Save now instead of debounced
+     */
+    const publishEnrichmentJob = (job, { immediate = false } = {}) => {
+        enrichmentJobRef.current = job;
+        setEnrichmentJob(job);
+
+        const save = () => {
+            if (!enrichmentJobRef.current) return; // Dismissed in the meantime
+            saveEnrichmentJob(enrichmentJobRef.current).catch(error => {
+                console.error('[HostelAnalytics] ❌ Could not save enrichment job:', error);
+            });
+        };
+
+        clearTimeout(jobSaveTimeoutRef.current);
+        if (immediate) {
+            save();
+        } else {
+            jobSaveTimeoutRef.current = setTimeout(save, 500);
+        }
+    };
+
+    /**
+     * Run every pending item of an enrichment job
+     *
+     * Makes individual API calls to the getReservation endpoint for each pending
+     * booking and merges the detailed revenue into weeklyData.
      *
      * **Process:**
-     * 1. Collect all bookings with reservationID (from API fetch)
-     * 2. Initialize progress tracking
-     * 3. Loop through each booking sequentially
-     * 4. Call enrichBookingRevenue() for detailed revenue
-     * 5. Update booking with: { total, netPrice, taxes }
-     * 6. Show real-time progress
-     * 7. Respect CloudBeds rate limit (10 requests/second)
-     * 8. Allow user cancellation
+     * 1. Apply fresh cached revenue (enrichment cache) - those bookings need no API call
+     * 2. Reconcile pending items with loaded bookings (gone → 'skipped', already enriched → 'done')
+     * 3. Run ENRICH_CONCURRENCY items in parallel via enrichBookingRevenue()
+     * 4. Update booking with: { total, netPrice, taxes } plus booking details (room types,
+     *    guests, country, rate plan, paid/outstanding, payment method) and cache them
+     * 5. Mark each item done/failed (job persisted, see publishEnrichmentJob)
+     * 6. Finish as 'paused' (items still pending: cancelled or auth error) or 'finished'
      *
      * **Rate Limiting:**
      * - CloudBeds allows 10 requests per second
-     * - 100ms delay between calls (VITE_CLOUDBEDS_API_DELAY_MS, default: 100)
-     * - For 100 bookings: ~10 seconds total
+     * - Every call waits for the shared rate limiter (VITE_CLOUDBEDS_API_REQUESTS_PER_SECOND, default: 8)
+     * - For 100 bookings: ~13 seconds total
      *
      * **User Experience:**
      * - Shows progress: "Enriching 23/100 bookings (2s elapsed)"
      * - Updates data incrementally (see changes in real-time)
-     * - Cancel button available
+     * - Cancel pauses the job; Resume / Retry failed continue it
+     *
+     * @param {object} startJob - Job to run (new, resumed or with failed items reset)
      */
-    const enrichWithRevenueDetails = useCallback(async () => {
+    const runEnrichmentJob = useCallback(async (startJob) => {
         console.log('[HostelAnalytics] 🔄 Starting revenue enrichment...');
 
         setIsEnriching(true);
-        setEnrichmentCancelled(false);
+
+        const controller = new AbortController();
+        enrichAbortRef.current = controller;
 
         // ============================================================
-        // STEP 1: Collect all bookings that need enrichment
+        // STEP 1: Restore what the enrichment cache already knows
         // ============================================================
 
-        const allBookings = [];
-        weeklyData.forEach(week => {
-            Object.entries(week.hostels).forEach(([hostelName, hostelData]) => {
-                const hostelID = hostelConfig[hostelName]?.id;
-                if (hostelID && hostelData.bookings) {
-                    hostelData.bookings.forEach(booking => {
-                        // Only enrich if has reservationID and not already enriched
-                        if (booking.reservation && booking.total == null) {
-                            allBookings.push({
-                                ...booking,
-                                hostelName,
-                                hostelID,
-                                weekRange: week.week
-                            });
-                        }
-                    });
-                }
-            });
-        });
-
-        const totalBookings = allBookings.length;
-
-        if (totalBookings === 0) {
-            alert('No bookings to enrich.\n\nMake sure you have fetched data from CloudBeds API first.');
-            setIsEnriching(false);
-            return;
+        const { weeklyData: cachedWeeks, hits: cacheHits } = applyEnrichmentCacheToWeeks(weeklyData, enrichmentCacheRef.current);
+        if (cacheHits > 0) {
+            console.log(`[HostelAnalytics] 💾 ${cacheHits} booking(s) enriched from cache`);
+            setWeeklyData(prev => applyEnrichmentCacheToWeeks(prev, enrichmentCacheRef.current).weeklyData);
         }
 
-        console.log(`[HostelAnalytics] 📊 Found ${totalBookings} bookings to enrich`);
-
         // ============================================================
-        // STEP 2: Initialize progress tracking
+        // STEP 2: Reconcile pending items with the loaded bookings
         // ============================================================
 
-        setEnrichmentProgress({
-            mode: 'enrichment',
-            current: 0,
-            total: totalBookings,
+        const pendingBookings = new Map(); // item key → booking still needing the API
+        const job = {
+            ...startJob,
+            status: 'running',
             startTime: Date.now(),
-            hostels: allBookings.map(b => ({
-                name: b.hostelName,
-                reservationID: b.reservation,
-                status: 'pending',
-                error: null
-            }))
-        });
+            items: startJob.items.map(item => {
+                if (item.status !== 'pending') return item;
 
-        // Get rate limit delay from .env (default 100ms = 10 requests/second)
-        const rateLimitMs = parseInt(import.meta.env.VITE_CLOUDBEDS_API_DELAY_MS) || 100;
-        console.log(`[HostelAnalytics] ⏱️  Rate limit delay: ${rateLimitMs}ms between calls`);
+                const booking = cachedWeeks
+                    .find(w => w.week === item.weekRange)?.hostels[item.hostelName]?.bookings
+                    ?.find(b => String(b.reservation) === item.reservationID);
+
+                if (!booking) {
+                    return { ...item, status: 'skipped', error: 'Booking is no longer loaded' };
+                }
+                if (booking.total != null) {
+                    return { ...item, status: 'done', fromCache: true, total: booking.total, netPrice: booking.netPrice, taxes: booking.taxes };
+                }
+
+                pendingBookings.set(item.key, booking);
+                return item;
+            })
+        };
+        publishEnrichmentJob(job, { immediate: true });
+
+        const queue = job.items.filter(item => pendingBookings.has(item.key));
+        console.log(`[HostelAnalytics] 📊 ${queue.length} booking(s) to enrich via API (${job.items.length} in job)`);
+
+        const updateItem = (key, changes) => {
+            publishEnrichmentJob(updateJobItem(enrichmentJobRef.current, key, changes));
+        };
 
         // ============================================================
-        // STEP 3: Enrich each booking sequentially
+        // STEP 3: Enrich bookings in parallel (bounded, rate limited)
         // ============================================================
 
-        // Track successful enrichments with local variable (not state)
-        // This avoids stale closure issues when reading state at the end
-        let successfulEnrichments = 0;
+        let enrichmentError = null; // Error that stopped the run early (e.g., invalid API key)
 
-        for (let i = 0; i < allBookings.length; i++) {
-            // Check if user cancelled
-            if (enrichmentCancelled) {
-                console.log('[HostelAnalytics] ⏹️  Enrichment cancelled by user');
-                break;
-            }
-
-            const booking = allBookings[i];
+        await runWithConcurrency(queue, async (item, i) => {
+            const booking = pendingBookings.get(item.key);
             const bookingStartTime = Date.now();
 
-            // Update progress - mark as loading
-            setEnrichmentProgress(prev => prev ? {
-                ...prev,
-                current: i + 1,
-                hostels: prev.hostels.map((h, idx) =>
-                    idx === i ? { ...h, status: 'loading' } : h
-                )
-            } : null);
+            updateItem(item.key, { status: 'loading', attempts: item.attempts + 1 });
 
             try {
-                console.log(`[HostelAnalytics] [${i + 1}/${totalBookings}] Enriching ${booking.hostelName} - ${booking.reservation}`);
+                console.log(`[HostelAnalytics] [${i + 1}/${queue.length}] Enriching ${item.hostelName} - ${item.reservationID}`);
 
-                // Fetch detailed revenue
-                const { total, netPrice, taxes } = await enrichBookingRevenue(booking.hostelID, booking.reservation);
+                // Fetch detailed revenue and booking details
+                const enriched = await enrichBookingRevenue(item.hostelID, item.reservationID, {
+                    signal: controller.signal
+                });
+                const { total, netPrice, taxes } = enriched;
 
                 const elapsed = Date.now() - bookingStartTime;
                 console.log(`[HostelAnalytics] ✅ Success: €${total} (net: €${netPrice}, taxes: €${taxes}) (${(elapsed / 1000).toFixed(1)}s)`);
 
+                // Cache the result so refetches of this reservation don't need the API again
+                const cacheEntry = createEnrichmentEntry(item.hostelID, booking, enriched);
+                enrichmentCacheRef.current.set(cacheEntry.key, cacheEntry);
+                setEnrichmentCacheSize(enrichmentCacheRef.current.size);
+                saveEnrichmentEntries([cacheEntry]).catch(error => {
+                    console.error('[HostelAnalytics] ❌ Could not cache enrichment:', error);
+                });
+
                 // Update booking in state AND recalculate metrics
                 setWeeklyData(prev => {
                     return prev.map(week => {
-                        if (week.week !== booking.weekRange) return week;
+                        if (week.week !== item.weekRange || !week.hostels[item.hostelName]?.bookings) return week;
 
                         // Update the bookings array with enriched data
-                        const updatedBookings = week.hostels[booking.hostelName].bookings.map(b => {
-                            if (b.reservation !== booking.reservation) return b;
+                        const updatedBookings = week.hostels[item.hostelName].bookings.map(b => {
+                            if (String(b.reservation) !== item.reservationID) return b;
                             return {
                                 ...b,
-                                total: total,
-                                netPrice: netPrice,
-                                taxes: taxes
+                                ...enriched
                             };
                         });
 
@@ -644,103 +1616,173 @@ const HostelAnalytics = () => {
                         // This ensures netRevenue and totalTaxes are aggregated correctly
                         const recalculatedMetrics = calculateHostelMetrics(updatedBookings);
 
-                        console.log(`[HostelAnalytics] 📊 Recalculated metrics for ${booking.hostelName}:`, {
-                            revenue: recalculatedMetrics.revenue,
-                            netRevenue: recalculatedMetrics.netRevenue,
-                            totalTaxes: recalculatedMetrics.totalTaxes
-                        });
-
                         return {
                             ...week,
                             hostels: {
                                 ...week.hostels,
-                                [booking.hostelName]: recalculatedMetrics  // Use NEW metrics, not old ones
+                                [item.hostelName]: recalculatedMetrics  // Use NEW metrics, not old ones
                             }
                         };
                     });
                 });
 
-                // Update progress - mark as success with enriched amounts
-                setEnrichmentProgress(prev => prev ? {
-                    ...prev,
-                    hostels: prev.hostels.map((h, idx) =>
-                        idx === i ? {
-                            ...h,
-                            status: 'success',
-                            total: total,
-                            netPrice: netPrice,
-                            taxes: taxes
-                        } : h
-                    )
-                } : null);
-
-                // Increment success counter
-                successfulEnrichments++;
+                updateItem(item.key, { status: 'done', total, netPrice, taxes, error: null, errorCode: null });
 
-                // Rate limiting: Wait before next call (except for last booking)
-                if (i < allBookings.length - 1 && !enrichmentCancelled) {
-                    console.log(`[HostelAnalytics] ⏱️  Waiting ${rateLimitMs}ms...`);
-                    await new Promise(resolve => setTimeout(resolve, rateLimitMs));
+            } catch (error) {
+                // Cancelled calls go back to the queue (the job is resumable)
+                if (error instanceof CancelledError) {
+                    updateItem(item.key, { status: 'pending' });
+                    return;
                 }
 
-            } catch (error) {
-                console.error(`[HostelAnalytics] ❌ Failed to enrich ${booking.reservation}:`, error);
+                console.error(`[HostelAnalytics] ❌ Failed to enrich ${item.reservationID}:`, error);
+                updateItem(item.key, { status: 'failed', error: error.message, errorCode: error.code });
 
-                // Update progress - mark as error
-                setEnrichmentProgress(prev => prev ? {
-                    ...prev,
-                    hostels: prev.hostels.map((h, idx) =>
-                        idx === i ? { ...h, status: 'error', error: error.message } : h
-                    )
-                } : null);
+                // Auth errors affect every remaining booking - stop enrichment
+                if (error instanceof AuthenticationError) {
+                    console.error('[HostelAnalytics] 🔒 Authentication failed - stopping enrichment');
+                    enrichmentError = error;
+                    controller.abort();
+                }
             }
-        }
+        }, { concurrency: ENRICH_CONCURRENCY, signal: controller.signal });
 
         // ============================================================
-        // STEP 4: Complete enrichment
+        // STEP 4: Complete (or pause) the job
         // ============================================================
 
-        // Use local variable count instead of reading state (avoids stale closure)
-        const successCount = successfulEnrichments;
+        const counts = getJobCounts(enrichmentJobRef.current);
+        const finalStatus = counts.pending > 0 ? 'paused' : 'finished';
+        publishEnrichmentJob({ ...enrichmentJobRef.current, status: finalStatus }, { immediate: true });
 
+        enrichAbortRef.current = null;
         setIsEnriching(false);
 
-        console.log(`[HostelAnalytics] 🏁 Enrichment complete: ${successCount}/${totalBookings} successful`);
+        const fromCache = enrichmentJobRef.current.items.filter(item => item.status === 'done' && item.fromCache).length;
+        const summary = `Enriched: ${counts.done}` + (fromCache > 0 ? ` (${fromCache} from cache)` : '') +
+            `\nFailed: ${counts.failed}\nSkipped: ${counts.skipped}\nPending: ${counts.pending}`;
+
+        console.log(`[HostelAnalytics] 🏁 Enrichment ${finalStatus}:`, counts);
 
-        if (successCount > 0) {
-            alert(`✅ Revenue enrichment complete!\n\n${successCount}/${totalBookings} bookings enriched successfully.`);
+        if (enrichmentError) {
+            alert(`❌ Enrichment stopped.\n\n${enrichmentError.message}\n\n${getErrorHint(enrichmentError)}\n\n${summary}\n\n` +
+                'Use "Resume" once the problem is fixed.');
+        } else if (finalStatus === 'paused') {
+            alert(`⏸️  Enrichment paused\n\n${summary}\n\nUse "Resume" to continue where it stopped.`);
+        } else if (counts.failed > 0) {
+            alert(`⚠️  Enrichment finished with errors\n\n${summary}\n\n` +
+                'See the report in the CloudBeds API panel - "Retry failed" tries only those again.');
         } else {
-            alert(`❌ Enrichment failed.\n\nNo bookings were enriched successfully. Check console for errors.`);
+            alert(`✅ Revenue enrichment complete!\n\n${summary}`);
         }
 
-        // Note: Progress display stays open - user can collapse/expand it manually
+        // Note: Progress display stays open - user can collapse/expand or dismiss it manually
 
-    }, [weeklyData, enrichmentCancelled]);
-    // Note: enrichmentProgress removed from deps to avoid recreating function on each progress update
+    }, [weeklyData]);
+    // Note: the job is read through enrichmentJobRef so progress updates don't recreate this function
+
+    /**
+     * Start a new enrichment job for every API-fetched booking without revenue details
+     * (replaces a paused/finished job - its pending bookings are collected again)
+     */
+    const enrichWithRevenueDetails = useCallback(async () => {
+        const allBookings = [];
+        weeklyData.forEach(week => {
+            Object.entries(week.hostels).forEach(([hostelName, hostelData]) => {
+                const hostelID = hostelConfig[hostelName]?.id;
+                if (hostelID && hostelData.bookings) {
+                    hostelData.bookings.forEach(booking => {
+                        // Only enrich if has reservationID and not already enriched
+                        if (booking.reservation && booking.total == null) {
+                            allBookings.push({
+                                ...booking,
+                                hostelName,
+                                hostelID,
+                                weekRange: week.week
+                            });
+                        }
+                    });
+                }
+            });
+        });
+
+        if (allBookings.length === 0) {
+            alert('No bookings to enrich.\n\nMake sure you have fetched data from CloudBeds API first.');
+            return;
+        }
+
+        console.log(`[HostelAnalytics] 📊 Found ${allBookings.length} bookings to enrich`);
+        await runEnrichmentJob(createEnrichmentJob(allBookings));
+    }, [weeklyData, runEnrichmentJob]);
+
+    /**
+     * Resume the paused (or interrupted) enrichment job
+     */
+    const resumeEnrichment = useCallback(async () => {
+        if (!enrichmentJobRef.current) return;
+        console.log('[HostelAnalytics] ▶️  Resuming enrichment job');
+        await runEnrichmentJob(enrichmentJobRef.current);
+    }, [runEnrichmentJob]);
+
+    /**
+     * Re-run only the failed items of the enrichment job
+     */
+    const retryFailedEnrichment = useCallback(async () => {
+        if (!enrichmentJobRef.current) return;
+        console.log('[HostelAnalytics] 🔁 Retrying failed enrichments');
+        await runEnrichmentJob(retryFailedItems(enrichmentJobRef.current));
+    }, [runEnrichmentJob]);
+
+    /**
+     * Close the enrichment report and forget the job
+     * Enriched bookings (and the enrichment cache) are kept.
+     */
+    const dismissEnrichmentJob = useCallback(() => {
+        clearTimeout(jobSaveTimeoutRef.current);
+        enrichmentJobRef.current = null;
+        setEnrichmentJob(null);
+        clearEnrichmentJob(ENRICHMENT_JOB_ID).catch(error => {
+            console.error('[HostelAnalytics] ❌ Could not delete enrichment job:', error);
+        });
+    }, []);
+
+    // Resume a job interrupted by a reload once stored data is back
+    useEffect(() => {
+        if (!autoResumeEnrichment || !isStorageLoaded || isEnriching) return;
+        setAutoResumeEnrichment(false);
+        resumeEnrichment();
+    }, [autoResumeEnrichment, isStorageLoaded, isEnriching, resumeEnrichment]);
+
+    /**
+     * Invalidate the enrichment cache
+     * Already enriched bookings keep their values; only future refetches/enrichments are affected.
+     */
+    const handleClearEnrichmentCache = useCallback(async () => {
+        if (!window.confirm(`Clear ${enrichmentCacheRef.current.size} cached enrichment(s)?\n\nRefetched bookings will need to be enriched again via the API.`)) {
+            return;
+        }
+
+        try {
+            await clearEnrichmentCache();
+            enrichmentCacheRef.current = new Map();
+            setEnrichmentCacheSize(0);
+        } catch (error) {
+            console.error('[HostelAnalytics] ❌ Could not clear enrichment cache:', error);
+            alert(`Error clearing enrichment cache: ${error.message}`);
+        }
+    }, []);
 
     /**
      * Cancel ongoing enrichment process
      *
-     * Sets cancellation flag which will be checked before next API call.
-     * Current API call will complete, but no new calls will be made.
+     * Aborts the calls in flight and stops queued bookings from starting.
+     * Bookings already enriched are kept; the job is paused and can be resumed.
      */
     const cancelEnrichment = useCallback(() => {
         console.log('[HostelAnalytics] ⏹️  Cancelling enrichment...');
-        setEnrichmentCancelled(true);
+        enrichAbortRef.current?.abort();
     }, []);
 
-    /**
-     * Helper: Format Date object to "YYYY-MM-DD" for API
-     * @param {Date} date - Date object
-     * @returns {string} Formatted date string
-     */
-    const formatDateForAPI = (date) => {
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        return `${year}-${month}-${day}`;
-    };
-
     // Process uploaded files (now supports folders)
     const processFiles = async (files) => {
         setIsUploading(true);
@@ -771,18 +1813,22 @@ const HostelAnalytics = () => {
                 // Skip header row and process reservations
                 const reservations = jsonData.slice(1).filter(row => row.length > 0);
 
-                // Filter for direct bookings
-                const directBookings = reservations.filter(row => {
-                    const source = row[33];
-                    return source && source.includes('Sitio web');
-                });
+                // Room type, country and cancellation date columns are found by header (position differs between export settings)
+                const roomTypeColumn = findRoomTypeColumn(jsonData[0]);
+                const countryColumn = findCountryColumn(jsonData[0]);
+                const cancellationDateColumn = findCancellationDateColumn(jsonData[0]);
 
-                const bookings = directBookings.map(row => ({
+                // Keep every source; metrics only count direct channels (see sourceConfig.js)
+                const bookings = reservations.map(row => classifyBooking({
                     bookingDate: row[32],
                     arrivalDate: row[23],
                     status: row[35],
+                    source: row[33],
                     nights: parseInt(row[25]),
                     price: parseFloat(row[27]) || 0,
+                    roomTypes: roomTypeColumn >= 0 ? parseRoomTypes(row[roomTypeColumn]) : [],
+                    guestCountry: countryColumn >= 0 ? normalizeCountry(row[countryColumn]) : null,
+                    cancellationDate: cancellationDateColumn >= 0 ? row[cancellationDateColumn] || null : null,
                     leadTime: (() => {
                         const bookDate = parseExcelDate(row[32]);
                         const arrDate = parseExcelDate(row[23]);
@@ -796,11 +1842,13 @@ const HostelAnalytics = () => {
                 weekReservations[hostelName] = calculateHostelMetrics(bookings);
             }
 
-            // Determine week (user selection or auto-detect)
+            // Determine period (user selection or auto-detect)
             let weekRange = '';
+            let periodStart = new Date();
             if (selectedWeekStart) {
-                const period = calculatePeriod(new Date(selectedWeekStart));
-                weekRange = formatPeriodRange(period.start, period.end);
+                const period = calculatePeriod(new Date(selectedWeekStart), periodConfig);
+                weekRange = formatPeriodRange(period.start, period.end, periodConfig);
+                periodStart = period.start;
             } else {
                 // Auto-detect from first file's data
                 const allBookingDates = Object.values(weekReservations)
@@ -809,20 +1857,23 @@ const HostelAnalytics = () => {
                     .sort((a, b) => a - b);
 
                 if (allBookingDates.length > 0) {
-                    const period = calculatePeriod(allBookingDates[0]);
-                    weekRange = formatPeriodRange(period.start, period.end);
+                    // Custom ranges can't be auto-detected: fall back to the containing week
+                    const detectConfig = periodConfig.type === 'custom' ? dateConfig : periodConfig;
+                    const period = calculatePeriod(allBookingDates[0], detectConfig);
+                    weekRange = formatPeriodRange(period.start, period.end, detectConfig);
                 }
             }
 
             if (!weekRange) {
-                alert('Could not determine week. Please select a week date.');
+                alert('Could not determine period. Please select a date.');
                 setIsUploading(false);
                 return;
             }
 
             const newWeekData = {
                 week: weekRange,
-                date: selectedWeekStart ? new Date(selectedWeekStart) : new Date(),
+                date: periodStart,
+                periodType: periodConfig.type,
                 hostels: weekReservations
             };
 
@@ -930,16 +1981,21 @@ const HostelAnalytics = () => {
         setIsAnalyzing(true);
 
         try {
+            // Aggregates only: raw bookings would blow up the prompt and send guest data
+            const marketSummary = formatMarketSummary(displayData);
             const prompt = `Analyze this hostel reservation data and provide insights on performance trends and reasons for changes:
 
-${JSON.stringify(weeklyData, null, 2)}
-
+${JSON.stringify(summarizePeriodsForAnalysis(displayData))}
+${marketSummary ? `
+Top source markets (guest country, all channels and hostels; bookings, nights and revenue per period):
+${marketSummary}
+` : ''}
 Please provide:
 1. Key performance insights
 2. Trends by hostel
 3. Possible reasons for week-over-week changes
 4. Recommendations for improvement
-5. Notable patterns in booking behavior and ADR
+5. Notable patterns in booking behavior and ADR${marketSummary ? '\n6. Source market shifts (which countries are growing or shrinking)' : ''}
 
 Format your response in a clear, actionable report.`;
 
@@ -970,7 +2026,7 @@ Format your response in a clear, actionable report.`;
     // Get all unique hostels
     const getAllHostels = () => {
         const hostelSet = new Set();
-        weeklyData.forEach(week => {
+        displayData.forEach(week => {
             Object.keys(week.hostels).forEach(hostel => hostelSet.add(hostel));
         });
         return Array.from(hostelSet).sort();
@@ -980,7 +2036,7 @@ Format your response in a clear, actionable report.`;
     const prepareChartData = () => {
         const allHostels = getAllHostels();
 
-        return weeklyData.map(week => {
+        return displayData.map(week => {
             const dataPoint = { week: week.week };
             allHostels.forEach(hostel => {
                 dataPoint[hostel] = week.hostels[hostel]?.count || 0;
@@ -989,8 +2045,23 @@ Format your response in a clear, actionable report.`;
         });
     };
 
+    // Prepare channel mix chart data (valid reservations per channel, all hostels combined)
+    const prepareChannelChartData = () => {
+        return displayData.map(week => {
+            const dataPoint = { week: week.week };
+            Object.values(week.hostels).forEach(hostelData => {
+                Object.entries(hostelData.channels || {}).forEach(([channel, metrics]) => {
+                    dataPoint[channel] = (dataPoint[channel] || 0) + metrics.valid;
+                });
+            });
+            return dataPoint;
+        });
+    };
+
     const allHostels = getAllHostels();
     const chartData = prepareChartData();
+    const channelChartData = prepareChannelChartData();
+    const chartChannels = channelOrder.filter(channel => channelChartData.some(point => point[channel.id] > 0));
     const colors = ['#3B82F6', '#EF4444', '#10B981', '#F59E0B', '#8B5CF6', '#EC4899', '#06B6D4', '#84CC16', '#F97316', '#6366F1', '#14B8A6'];
 
     return (
@@ -1045,6 +2116,23 @@ Format your response in a clear, actionable report.`;
                                 {showTaxBreakdown ? 'Hide Tax Breakdown' : 'Show Tax Breakdown'}
                             </button>
                         )}
+
+                        {/* Period Grouping - regroup raw bookings without refetching */}
+                        <PeriodGroupingControls
+                            granularity={viewGranularity}
+                            setGranularity={setViewGranularity}
+                            dateField={bucketDateField}
+                            setDateField={setBucketDateField}
+                        />
+
+                        {/* Clear Stored Data - removes IndexedDB copy and resets dashboard */}
+                        <button
+                            onClick={handleClearStoredData}
+                            className="flex items-center gap-2 px-4 py-2 rounded-lg font-semibold text-sm transition-colors bg-gray-200 text-gray-700 hover:bg-red-100 hover:text-red-700"
+                        >
+                            <Trash2 className="w-4 h-4" />
+                            Clear Stored Data
+                        </button>
                     </div>
                 )}
 
@@ -1057,6 +2145,8 @@ Format your response in a clear, actionable report.`;
                     setInputMethod={setInputMethod}
                     selectedWeekStart={selectedWeekStart}
                     setSelectedWeekStart={setSelectedWeekStart}
+                    periodConfig={periodConfig}
+                    setPeriodConfig={setPeriodConfig}
                     handleDrop={handleDrop}
                     handleDragOver={handleDragOver}
                     handleFileInput={handleFileInput}
@@ -1067,13 +2157,32 @@ Format your response in a clear, actionable report.`;
                     processPastedData={processPastedData}
                     isUploading={isUploading}
                     onAPIFetchStart={handleAPIFetchStart}
+                    onBackfillStart={handleBackfillStart}
+                    onSyncStart={handleSyncStart}
+                    lastSyncedAt={lastSyncedAt}
+                    onInventoryFetch={handleInventoryFetch}
+                    inventory={inventory}
                     apiFetchProgress={apiFetchProgress}
+                    onAPIFetchCancel={cancelAPIFetch}
                     // Revenue enrichment props
                     canEnrichRevenue={canEnrichRevenue()}
                     isEnriching={isEnriching}
                     enrichmentProgress={enrichmentProgress}
                     onEnrichStart={enrichWithRevenueDetails}
                     onEnrichCancel={cancelEnrichment}
+                    onEnrichResume={resumeEnrichment}
+                    onEnrichRetryFailed={retryFailedEnrichment}
+                    onEnrichDismiss={dismissEnrichmentJob}
+                    enrichmentCacheSize={enrichmentCacheSize}
+                    onClearEnrichmentCache={handleClearEnrichmentCache}
+                />
+
+                {/* Revenue / direct booking targets (edit or import from Excel) */}
+                <TargetsPanel
+                    targets={targets}
+                    onTargetChange={handleTargetChange}
+                    onTargetsImport={handleTargetsImport}
+                    onTargetsClear={handleTargetsClear}
                 />
 
                 {/* Conditional View Rendering - Dashboard or Excel */}
@@ -1081,23 +2190,54 @@ Format your response in a clear, actionable report.`;
                     <>
                         {/* Current Week Summary - Responsive Grid */}
                         <LatestWeekSummary
-                            weeklyData={weeklyData}
+                            weeklyData={displayData}
                             showTaxBreakdown={showTaxBreakdown}
+                            comparison={comparison}
+                            targets={targets}
+                        />
+
+                        {/* Anomalies of the latest period */}
+                        <AnomalyPanel
+                            weeklyData={displayData}
+                            anomalies={anomalies}
+                            method={anomalyMethod}
+                            setMethod={setAnomalyMethod}
                         />
 
                         {/* Weekly Comparison Table */}
                         <PerformanceTable
-                            weeklyData={weeklyData}
+                            weeklyData={displayData}
                             allHostels={allHostels}
                             showCharts={showCharts}
                             setShowCharts={setShowCharts}
                             chartData={chartData}
+                            channelChartData={channelChartData}
+                            chartChannels={chartChannels}
                             colors={colors}
                             chartType={chartType}
                             setChartType={setChartType}
                             getAIAnalysis={getAIAnalysis}
                             isAnalyzing={isAnalyzing}
                             showTaxBreakdown={showTaxBreakdown}
+                            analysisMode={analysisMode}
+                            setAnalysisMode={setAnalysisMode}
+                            stayData={stayData}
+                            comparison={comparison}
+                            setComparisonMode={setComparisonMode}
+                            missingLastYear={missingLastYear.length}
+                            onFetchLastYear={handleFetchLastYear}
+                            isFetching={isUploading}
+                            targets={targets}
+                            anomalies={anomalies}
+                        />
+
+                        {/* On-the-books pace for future arrivals */}
+                        <PaceReport
+                            weeklyData={paceData}
+                            allHostels={allHostels}
+                            snapshots={paceSnapshots}
+                            onTakeSnapshot={handlePaceSnapshotFetch}
+                            isFetching={isUploading}
                         />
 
                         {/* AI Analysis */}
@@ -1107,8 +2247,13 @@ Format your response in a clear, actionable report.`;
                     <>
                         {/* Excel-Style View */}
                         <ExcelStyleView
-                            weeklyData={weeklyData}
+                            weeklyData={displayData}
                             showTaxBreakdown={showTaxBreakdown}
+                            analysisMode={analysisMode}
+                            setAnalysisMode={setAnalysisMode}
+                            stayData={stayData}
+                            targets={targets}
+                            anomalies={anomalies}
                         />
 
                         {/* AI Analysis Button for Excel view */}
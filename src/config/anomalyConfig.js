@@ -0,0 +1,32 @@
+// Anomaly detection settings
+// Metrics checked per hostel and period; `metricKey` is the calculateHostelMetrics() field,
+// `higherIsBetter` decides whether a drop or a rise is the adverse direction; `ignoreZero` skips
+// periods where the metric is 0 (ADR is 0 without bookings, which says nothing about the rate)
+export const anomalyMetrics = [
+    { id: 'count', name: 'Direct bookings', metricKey: 'count', isCurrency: false, higherIsBetter: true },
+    { id: 'revenue', name: 'Revenue', metricKey: 'revenue', isCurrency: true, higherIsBetter: true },
+    { id: 'adr', name: 'ADR', metricKey: 'adr', isCurrency: true, higherIsBetter: true, ignoreZero: true },
+    { id: 'cancelled', name: 'Cancellations', metricKey: 'cancelled', isCurrency: false, higherIsBetter: false }
+];
+
+// Baseline methods: robust median / MAD (default, not thrown off by earlier outliers) or mean / standard deviation
+export const anomalyMethods = [
+    { id: 'mad', name: 'Median / MAD', description: 'Robust z-score: 0.6745 × (value − median) ÷ median absolute deviation' },
+    { id: 'zscore', name: 'Mean / Std dev', description: 'z-score: (value − mean) ÷ standard deviation' }
+];
+
+// Rolling baseline: up to `anomalyWindow` preceding periods, at least `anomalyMinHistory` of them
+export const anomalyWindow = 8;
+export const anomalyMinHistory = 4;
+
+// Spread floor: a share of the baseline center and an absolute minimum, so a near-constant
+// history doesn't turn tiny changes into outliers
+export const anomalyMinRelativeSpread = 0.1;
+export const anomalyMinSpread = 1;
+
+// Severities by absolute score, checked in order (first match wins); below the last one is normal
+export const anomalySeverities = [
+    { id: 'critical', name: 'Critical', minScore: 3.5, color: '#DC2626' },
+    { id: 'high', name: 'High', minScore: 3, color: '#EA580C' },
+    { id: 'moderate', name: 'Moderate', minScore: 2, color: '#D97706' }
+];
@@ -0,0 +1,15 @@
+// Cancellation analytics settings
+// Buckets are checked in order, first match wins (`max` is inclusive, omitted = no upper bound);
+// cancellations by length of stay use the tiers of lengthOfStayConfig.js
+
+// Days between cancellation and arrival
+export const cancellationLeadTimeBuckets = [
+    { id: 'same-day', name: 'Same day', max: 0 },
+    { id: '1-3', name: '1-3 days', max: 3 },
+    { id: '4-7', name: '4-7 days', max: 7 },
+    { id: '8-30', name: '8-30 days', max: 30 },
+    { id: '31+', name: '31+ days' }
+];
+
+// Excel export headers holding the cancellation date, matched case-insensitively
+export const cancellationDateColumnHeaders = ['cancellation date', 'cancelled date', 'date cancelled', 'cancelled on', 'fecha de cancelación', 'fecha de cancelacion', 'fecha cancelación', 'fecha cancelacion'];
@@ -1,14 +1,19 @@
 // Hostel configuration with CloudBeds IDs
+// Inventory (for occupancy, RevPAR and RevPAB):
+// - rooms: sellable units as CloudBeds counts them (dorm beds + private rooms)
+// - beds: total beds (dorm beds + beds in private rooms)
+// null = not set here; "Load inventory" in the CloudBeds panel fetches it from the
+// getRoomTypes endpoint. Values set here take precedence (e.g. to leave out blocked beds)
 export const hostelConfig = {
-    'Flamingo': { id: '6733', name: 'Flamingo' },
-    'Puerto': { id: '316328', name: 'Puerto' },
-    'Arena': { id: '315588', name: 'Arena' },
-    'Duque': { id: '316438', name: 'Duque' },
-    'Las Palmas': { id: '316428', name: 'Las Palmas' },
-    'Aguere': { id: '316437', name: 'Aguere' },
-    'Medano': { id: '316440', name: 'Medano' },
-    'Los Amigos': { id: '316443', name: 'Los Amigos' },
-    'Cisne': { id: '316442', name: 'Cisne' },
-    'Ashavana': { id: '316441', name: 'Ashavana' },
-    'Las Eras': { id: '316439', name: 'Las Eras' },
+    'Flamingo': { id: '6733', name: 'Flamingo', rooms: null, beds: null },
+    'Puerto': { id: '316328', name: 'Puerto', rooms: null, beds: null },
+    'Arena': { id: '315588', name: 'Arena', rooms: null, beds: null },
+    'Duque': { id: '316438', name: 'Duque', rooms: null, beds: null },
+    'Las Palmas': { id: '316428', name: 'Las Palmas', rooms: null, beds: null },
+    'Aguere': { id: '316437', name: 'Aguere', rooms: null, beds: null },
+    'Medano': { id: '316440', name: 'Medano', rooms: null, beds: null },
+    'Los Amigos': { id: '316443', name: 'Los Amigos', rooms: null, beds: null },
+    'Cisne': { id: '316442', name: 'Cisne', rooms: null, beds: null },
+    'Ashavana': { id: '316441', name: 'Ashavana', rooms: null, beds: null },
+    'Las Eras': { id: '316439', name: 'Las Eras', rooms: null, beds: null },
 };
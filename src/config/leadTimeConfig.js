@@ -0,0 +1,15 @@
+// Booking window (lead time) distribution settings
+// Buckets are checked in order, first match wins (`max` is inclusive in days, omitted = no upper bound);
+// negative lead times (booked after arrival, e.g. data entry at check-in) count as same-day
+export const bookingWindowBuckets = [
+    { id: 'same-day', name: 'Same day', max: 0 },
+    { id: '1-3', name: '1-3 days', max: 3 },
+    { id: '4-7', name: '4-7 days', max: 7 },
+    { id: '8-14', name: '8-14 days', max: 14 },
+    { id: '15-30', name: '15-30 days', max: 30 },
+    { id: '31-90', name: '31-90 days', max: 90 },
+    { id: '90+', name: '90+ days' }
+];
+
+// Percentiles reported next to the median (p25 / p75 / p90)
+export const leadTimePercentiles = [25, 75, 90];
@@ -0,0 +1,15 @@
+// Length of stay (LOS) settings
+// Tiers are checked in order, first match wins (`max` is inclusive in nights, omitted = no upper bound).
+// `color` is used by the length of stay breakdowns
+export const lengthOfStayTiers = [
+    { id: '1', name: '1 night', max: 1, color: '#93C5FD' },
+    { id: '2-3', name: '2-3 nights', max: 3, color: '#60A5FA' },
+    { id: '4-6', name: '4-6 nights', max: 6, color: '#3B82F6' },
+    { id: '7-13', name: '7-13 nights', max: 13, color: '#A78BFA' },
+    { id: '14-27', name: '14-27 nights', max: 27, color: '#8B5CF6' },
+    { id: '28+', name: '28+ nights', color: '#6D28D9' }
+];
+
+// Long-stay products: minimum nights of a Nest Pass and a Monthly stay
+export const nestPassMinNights = 7;
+export const monthlyMinNights = 28;
@@ -0,0 +1,7 @@
+// Source market (guest nationality) report settings
+
+// Excel export headers holding the guest country, matched case-insensitively
+export const countryColumnHeaders = ['country', 'guest country', 'nationality', 'país', 'pais', 'país del huésped', 'pais del huesped', 'nacionalidad'];
+
+// Number of countries shown in the top markets table (and sent to the AI analysis)
+export const topMarketsCount = 10;
@@ -0,0 +1,11 @@
+// On-the-books pace report settings
+
+// Future stay months shown in the pace report (current month included)
+export const paceMonthsAhead = 6;
+
+// Pickup curves: days before arrival plotted (from `pickupCurveDays` down to 0, every `pickupCurveStep` days)
+export const pickupCurveDays = 180;
+export const pickupCurveStep = 7;
+
+// Daily on-the-books snapshots older than this are deleted (a bit over a year, for same-time-last-year)
+export const paceSnapshotRetentionDays = 400;
@@ -0,0 +1,14 @@
+// Room type classification (CloudBeds room type names / Excel "room type" column)
+// Rules are checked in order, first match wins. Patterns are case-insensitive substrings,
+// so both English and Spanish CloudBeds locales are covered ("Mixed Dorm" / "Dormitorio mixto").
+// `color` is used by the room type breakdowns
+export const roomCategories = [
+    { id: 'dorm', name: 'Dorm', color: '#0F766E', patterns: ['dorm', 'bed in', 'cama en', 'compartid', 'shared', 'bunk', 'litera'] },
+    { id: 'private', name: 'Private', color: '#7C3AED', patterns: ['private', 'privad', 'double', 'doble', 'twin', 'single', 'individual', 'suite', 'studio', 'estudio', 'apartment', 'apartamento'] }
+];
+
+// Fallback for room types that match no rule, bookings mixing categories and bookings without a room type
+export const unknownRoomCategory = { id: 'other', name: 'Other', color: '#9CA3AF' };
+
+// Excel export headers holding the booked room type(s), matched case-insensitively
+export const roomTypeColumnHeaders = ['room type', 'tipo de habitación', 'tipo de habitacion', 'tipos de habitación', 'tipos de habitacion', 'accommodation type', 'tipo de alojamiento'];
@@ -0,0 +1,24 @@
+// Booking source classification (CloudBeds "source" / "Origen" field)
+// Rules are checked in order, first match wins. Patterns are case-insensitive substrings,
+// so both English and Spanish CloudBeds locales are covered ("Website" / "Sitio web").
+// Categories: 'direct', 'ota', 'walkin', 'phone', 'email', 'other'
+// `color` is used by the channel mix chart
+export const sourceChannels = [
+    { id: 'website', name: 'Website', category: 'direct', color: '#0F766E', patterns: ['website', 'sitio web', 'booking engine', 'motor de reservas'] },
+    { id: 'bookingcom', name: 'Booking.com', category: 'ota', color: '#1D4ED8', patterns: ['booking.com', 'bookingcom'] },
+    { id: 'hostelworld', name: 'Hostelworld', category: 'ota', color: '#F97316', patterns: ['hostelworld'] },
+    { id: 'expedia', name: 'Expedia', category: 'ota', color: '#FACC15', patterns: ['expedia', 'hotels.com'] },
+    { id: 'airbnb', name: 'Airbnb', category: 'ota', color: '#EC4899', patterns: ['airbnb'] },
+    { id: 'hostelsclub', name: 'Hostelsclub', category: 'ota', color: '#8B5CF6', patterns: ['hostelsclub'] },
+    { id: 'agoda', name: 'Agoda', category: 'ota', color: '#EF4444', patterns: ['agoda'] },
+    { id: 'walkin', name: 'Walk-In', category: 'walkin', color: '#10B981', patterns: ['walk-in', 'walk in', 'walkin', 'sin reserva'] },
+    { id: 'phone', name: 'Phone', category: 'phone', color: '#06B6D4', patterns: ['phone', 'teléfono', 'telefono'] },
+    { id: 'email', name: 'Email', category: 'email', color: '#84CC16', patterns: ['email', 'e-mail', 'correo'] }
+];
+
+// Fallback for sources that match no rule
+export const unknownChannel = { id: 'other', name: 'Other', category: 'other', color: '#9CA3AF' };
+
+// Categories counted as "direct" in the dashboard's main metrics
+// (website only by default, matching the old "Sitio web" filter; add 'phone' / 'email' to widen it)
+export const directCategories = ['direct'];
@@ -0,0 +1,33 @@
+// Budget / target tracking settings
+// Targets are set per hostel, per week or month and per metric; `metricKey` is the
+// calculateHostelMetrics() field compared with the target
+export const targetMetrics = [
+    { id: 'revenue', name: 'Revenue', metricKey: 'revenue', isCurrency: true },
+    { id: 'directBookings', name: 'Direct bookings', metricKey: 'valid', isCurrency: false }
+];
+
+// Period types a target can be set for (other periods are prorated from monthly targets)
+export const targetPeriodTypes = ['week', 'month'];
+
+// Attainment % from which a target counts as met / nearly met (colors in the dashboard)
+export const targetThresholds = {
+    met: 100,
+    close: 90
+};
+
+// Excel target sheet headers, matched case-insensitively
+// One row per hostel and period: Hostel | Period type | Start | Revenue | Direct bookings
+// Period type is optional (defaults to month); Start is any date in the period ("2026-01" works for months)
+export const targetSheetColumns = {
+    hostel: ['hostel', 'hostal', 'property'],
+    periodType: ['period type', 'type', 'tipo', 'tipo de periodo'],
+    start: ['start', 'start date', 'period', 'date', 'month', 'week', 'periodo', 'fecha', 'inicio', 'mes', 'semana'],
+    revenue: ['revenue', 'revenue target', 'target revenue', 'ingresos', 'objetivo ingresos'],
+    directBookings: ['direct bookings', 'direct bookings target', 'bookings', 'reservas', 'reservas directas', 'objetivo reservas']
+};
+
+// Period type values accepted in the Excel sheet
+export const targetPeriodTypeAliases = {
+    week: ['week', 'weekly', 'semana', 'semanal'],
+    month: ['month', 'monthly', 'mes', 'mensual']
+};
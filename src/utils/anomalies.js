@@ -0,0 +1,163 @@
+import {
+    anomalyMetrics,
+    anomalyMethods,
+    anomalyWindow,
+    anomalyMinHistory,
+    anomalyMinRelativeSpread,
+    anomalyMinSpread,
+    anomalySeverities
+} from '../config/anomalyConfig';
+import { formatCurrency } from './formatters';
+import { getStoredPeriodBounds } from './dateUtils';
+
+/**
+ * Anomaly Detection
+ *
+ * Every hostel and metric of a period is scored against a rolling baseline of
+ * the preceding periods where the hostel has data (up to `anomalyWindow`, at
+ * least `anomalyMinHistory`):
+ * - 'mad':    robust z-score = 0.6745 × (value − median) ÷ MAD
+ * - 'zscore': z-score = (value − mean) ÷ standard deviation
+ *
+ * Both are expressed as value − center over a standard-deviation-like spread
+ * (MAD ÷ 0.6745 for 'mad'), floored by anomalyMinRelativeSpread / anomalyMinSpread.
+ * Scores from the lowest severity threshold up are anomalies; `isAdverse` tells
+ * whether the move is bad news for the metric (a drop, or a rise in cancellations).
+ *
+ * Periods that have not ended yet (usually the latest one) are neither scored nor
+ * part of any baseline: their partial totals would read as drops.
+ */
+
+// MAD of normally distributed data ≈ 0.6745 × standard deviation
+const MAD_SCALE = 0.6745;
+
+// Display info of a detection method (falls back to the first one)
+export const getAnomalyMethodInfo = (method) => anomalyMethods.find(m => m.id === method) || anomalyMethods[0];
+
+// Display info of an anomaly metric
+export const getAnomalyMetricInfo = (metricId) => anomalyMetrics.find(m => m.id === metricId);
+
+// Display info of a severity level
+export const getAnomalySeverityInfo = (severity) => anomalySeverities.find(s => s.id === severity);
+
+// Severity of an absolute score, null below the lowest threshold
+export const getAnomalySeverity = (score) => (
+    anomalySeverities.find(s => Math.abs(score) >= s.minScore)?.id || null
+);
+
+// Median of unsorted values (not rounded, unlike calculatePercentile)
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Baseline center and spread of a metric's history
+ *
+ * @param {Array<number>} values - Preceding values
+ * @param {string} [method='mad'] - 'mad' | 'zscore'
+ * @returns {{ center: number, spread: number }} spread in standard deviation units (before flooring)
+ */
+export const calculateBaseline = (values, method = 'mad') => {
+    if (method === 'zscore') {
+        const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+        const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+        return { center: mean, spread: Math.sqrt(variance) };
+    }
+
+    const center = median(values);
+    const mad = median(values.map(v => Math.abs(v - center)));
+    return { center, spread: mad / MAD_SCALE };
+};
+
+// Whether a period has ended (custom ranges count as ended, like in calculateTargetAttainment)
+export const isCompletePeriod = (week, now = new Date()) => {
+    const bounds = getStoredPeriodBounds(week);
+    return !bounds || now > bounds.end;
+};
+
+// Key of an anomaly in the lookup
+const getAnomalyKey = (week, hostel, metricId) => `${week}|${hostel}|${metricId}`;
+
+/**
+ * Detect anomalies in every period, hostel and metric
+ *
+ * @param {Array} weeklyData - Periods in chronological order
+ * @param {object} [options]
+ * @param {string} [options.method='mad'] - 'mad' | 'zscore'
+ * @param {number} [options.window] - Preceding periods in the baseline
+ * @param {number} [options.minHistory] - Preceding periods needed to score a period
+ * @param {Date} [options.now=new Date()] - Periods ending after this are skipped (still in progress)
+ * @returns {{ list: Array, lookup: object }} Anomalies, most severe first, and by "week|hostel|metric"
+ *   Each: { week, hostel, metric, value, expected, score, severity, direction: 'drop' | 'rise', isAdverse }
+ */
+export const detectAnomalies = (weeklyData, { method = 'mad', window = anomalyWindow, minHistory = anomalyMinHistory, now = new Date() } = {}) => {
+    const list = [];
+    const completeData = (weeklyData || []).filter(week => isCompletePeriod(week, now));
+    if (completeData.length <= minHistory) return { list, lookup: {} };
+
+    const hostels = [...new Set(completeData.flatMap(week => Object.keys(week.hostels || {})))];
+
+    hostels.forEach(hostel => {
+        anomalyMetrics.forEach(metric => {
+            // Values of the periods where the hostel has data (and the metric is meaningful)
+            const series = completeData
+                .filter(week => week.hostels?.[hostel])
+                .map(week => ({ week: week.week, value: week.hostels[hostel][metric.metricKey] || 0 }))
+                .filter(point => !metric.ignoreZero || point.value !== 0);
+
+            series.forEach((point, i) => {
+                if (i < minHistory) return;
+
+                const history = series.slice(Math.max(0, i - window), i).map(p => p.value);
+                const { center, spread } = calculateBaseline(history, method);
+                const floor = Math.max(Math.abs(center) * anomalyMinRelativeSpread, anomalyMinSpread);
+                const score = (point.value - center) / Math.max(spread, floor);
+                const severity = getAnomalySeverity(score);
+                if (!severity) return;
+
+                const direction = score < 0 ? 'drop' : 'rise';
+                list.push({
+                    week: point.week,
+                    hostel,
+                    metric: metric.id,
+                    value: point.value,
+                    expected: center,
+                    score: Math.round(score * 10) / 10,
+                    severity,
+                    direction,
+                    isAdverse: (direction === 'drop') === metric.higherIsBetter
+                });
+            });
+        });
+    });
+
+    // Most severe first, then largest score
+    const severityRank = (anomaly) => anomalySeverities.findIndex(s => s.id === anomaly.severity);
+    list.sort((a, b) => severityRank(a) - severityRank(b) || Math.abs(b.score) - Math.abs(a.score));
+
+    const lookup = Object.fromEntries(list.map(anomaly => [getAnomalyKey(anomaly.week, anomaly.hostel, anomaly.metric), anomaly]));
+    return { list, lookup };
+};
+
+// Anomaly of a hostel and metric in a period, null when normal (or not scored)
+export const getAnomaly = (anomalies, week, hostel, metricId) => (
+    anomalies?.lookup[getAnomalyKey(week, hostel, metricId)] || null
+);
+
+// Anomalies of one period (most severe first)
+export const getPeriodAnomalies = (anomalies, week) => (
+    anomalies?.list.filter(anomaly => anomaly.week === week) || []
+);
+
+// Format an anomaly metric value or baseline (currency or count)
+export const formatAnomalyValue = (value, metricId) => (
+    getAnomalyMetricInfo(metricId)?.isCurrency ? formatCurrency(value) : Math.round(value * 10) / 10
+);
+
+// Tailwind background of a table cell with an anomaly (red = adverse, green = favourable)
+export const getAnomalyCellClass = (anomaly) => {
+    if (!anomaly) return '';
+    return anomaly.isAdverse ? 'bg-red-100' : 'bg-emerald-100';
+};
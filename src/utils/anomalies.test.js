@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { detectAnomalies, getPeriodAnomalies } from './anomalies';
+
+// Monday-starting weeks from 7 Sep 2026, Flamingo with `count` direct bookings each
+const weeks = (counts) => counts.map((count, i) => ({
+    week: `W${i + 1}`,
+    date: new Date(2026, 8, 7 + i * 7),
+    periodType: 'week',
+    hostels: { Flamingo: { count, revenue: count * 50, adr: 50, cancelled: 0 } }
+}));
+
+describe('detectAnomalies', () => {
+    it('does not score the period still in progress', () => {
+        // W6 (12-18 Oct) is two days in: its partial count would read as a critical drop
+        const data = weeks([20, 21, 19, 20, 22, 6]);
+        const anomalies = detectAnomalies(data, { now: new Date(2026, 9, 13, 12) });
+
+        expect(getPeriodAnomalies(anomalies, 'W6')).toEqual([]);
+    });
+
+    it('scores the same period once it has ended', () => {
+        const data = weeks([20, 21, 19, 20, 22, 6]);
+        const anomalies = detectAnomalies(data, { now: new Date(2026, 9, 19) });
+
+        expect(getPeriodAnomalies(anomalies, 'W6')[0]).toMatchObject({ metric: 'count', severity: 'critical', direction: 'drop' });
+    });
+});
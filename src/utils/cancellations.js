@@ -0,0 +1,191 @@
+import { cancellationLeadTimeBuckets, cancellationDateColumnHeaders } from '../config/cancellationConfig';
+import { lengthOfStayTiers } from '../config/lengthOfStayConfig';
+import { findColumnIndex } from './dataParser';
+import { parseBookingDate } from './dateUtils';
+import { getBookingChannel, channelOrder } from './sourceClassifier';
+import { getStayLength, getLengthOfStayTier } from './lengthOfStay';
+
+/**
+ * Cancellation Analytics
+ *
+ * Cancellation rate, lost revenue, cancellation lead time (days before arrival)
+ * and breakdowns by channel, length of stay and rate plan. Covers all channels
+ * (unlike the direct-only `cancelled` count of calculateHostelMetrics), so the
+ * breakdowns can be compared. Per-hostel metrics live in
+ * calculateHostelMetrics().cancellations.
+ *
+ * Cancellation dates come from the CloudBeds API (last modification of a
+ * cancelled reservation) or the Excel export's cancellation date column;
+ * bookings without one are left out of the lead time figures only.
+ *
+ * Lost revenue only counts the booking value (`total`, from revenue enrichment):
+ * `price` is the outstanding balance, not what the booking was worth. Cancelled
+ * bookings without a total are left out of it; `withLostRevenue` counts the ones
+ * included, like `withLeadTime` for the lead time.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whether a booking is cancelled (CloudBeds "canceled", Excel "Cancelled" / "Cancelada")
+export const isCancelledBooking = (booking) => Boolean(booking.status?.toLowerCase().includes('cancel'));
+
+// Index of the cancellation date column in an Excel header row, or -1
+export const findCancellationDateColumn = (headerRow) => findColumnIndex(headerRow, cancellationDateColumnHeaders);
+
+// Days between cancellation and arrival (0 = cancelled on the arrival day, negative = after), null when unknown
+export const getCancellationLeadTime = (booking) => {
+    const cancelledOn = parseBookingDate(booking.cancellationDate);
+    const arrival = parseBookingDate(booking.checkin ?? booking.arrivalDate);
+    if (!cancelledOn || !arrival) return null;
+    return Math.round((arrival - cancelledOn) / DAY_MS);
+};
+
+// First bucket whose `max` is >= value (the last bucket has no upper bound)
+const findBucket = (buckets, value) => buckets.find(bucket => bucket.max == null || value <= bucket.max);
+
+// Cancellation rate in % (one decimal) of `cancelled` out of `count` bookings
+const cancellationRate = (cancelled, count) => (count > 0 ? Math.round((cancelled / count) * 1000) / 10 : 0);
+
+// Empty { count, cancelled, lostRevenue, withLostRevenue, lostNights } group
+const emptyGroup = () => ({ count: 0, cancelled: 0, lostRevenue: 0, withLostRevenue: 0, lostNights: 0 });
+
+// Count one booking into a group (lost revenue only from enriched totals)
+const addToGroup = (group, booking, isCancelled) => {
+    group.count++;
+    if (!isCancelled) return;
+
+    group.cancelled++;
+    group.lostNights += booking.nights || 1;
+    if (booking.total != null) {
+        group.lostRevenue += booking.total;
+        group.withLostRevenue++;
+    }
+};
+
+// Group fields summed when groups are combined
+const GROUP_SUM_FIELDS = ['count', 'cancelled', 'lostRevenue', 'withLostRevenue', 'lostNights'];
+
+const finishGroups = (groups) => {
+    Object.values(groups).forEach(group => {
+        group.rate = cancellationRate(group.cancelled, group.count);
+    });
+    return groups;
+};
+
+/**
+ * Calculate cancellation metrics over bookings of all channels
+ *
+ * @param {Array} bookings - Bookings of one hostel and period (all channels)
+ * @returns {object} {
+ *   count, cancelled, rate (%), lostRevenue, withLostRevenue (cancellations with an enriched total), lostNights,
+ *   avgLeadTime (days before arrival, null without cancellation dates), withLeadTime, leadTimeDays,
+ *   leadTimeBuckets: { bucketId: { name, cancelled } },
+ *   byChannel: { channelId: { name, isDirect, count, cancelled, lostRevenue, withLostRevenue, lostNights, rate } },
+ *   byLengthOfStay: { bucketId: { name, ...same counts, rate } },
+ *   byRatePlan: { ratePlan: { name, ...same counts, rate } } (enriched bookings only)
+ * }
+ */
+export const calculateCancellationMetrics = (bookings) => {
+    const leadTimeBuckets = Object.fromEntries(cancellationLeadTimeBuckets.map(bucket => [bucket.id, { name: bucket.name, cancelled: 0 }]));
+    const byChannel = {};
+    const byLengthOfStay = {};
+    const byRatePlan = {};
+    const leadTimes = [];
+
+    bookings.forEach(b => {
+        const isCancelled = isCancelledBooking(b);
+
+        if (isCancelled) {
+            const leadTime = getCancellationLeadTime(b);
+            if (leadTime != null) {
+                leadTimes.push(leadTime);
+                leadTimeBuckets[findBucket(cancellationLeadTimeBuckets, leadTime).id].cancelled++;
+            }
+        }
+
+        const { channel, channelName, isDirect } = getBookingChannel(b);
+        if (!byChannel[channel]) byChannel[channel] = { name: channelName, isDirect, ...emptyGroup() };
+        addToGroup(byChannel[channel], b, isCancelled);
+
+        const stayTier = getLengthOfStayTier(getStayLength(b));
+        if (!byLengthOfStay[stayTier.id]) byLengthOfStay[stayTier.id] = { name: stayTier.name, ...emptyGroup() };
+        addToGroup(byLengthOfStay[stayTier.id], b, isCancelled);
+
+        if (b.ratePlan) {
+            if (!byRatePlan[b.ratePlan]) byRatePlan[b.ratePlan] = { name: b.ratePlan, ...emptyGroup() };
+            addToGroup(byRatePlan[b.ratePlan], b, isCancelled);
+        }
+    });
+
+    // Every booking is in exactly one channel group: the totals are their sum
+    const totals = Object.values(byChannel).reduce((sum, group) => {
+        GROUP_SUM_FIELDS.forEach(field => { sum[field] += group[field]; });
+        return sum;
+    }, emptyGroup());
+
+    return {
+        ...totals,
+        rate: cancellationRate(totals.cancelled, totals.count),
+        avgLeadTime: leadTimes.length > 0 ? Math.round(leadTimes.reduce((sum, days) => sum + days, 0) / leadTimes.length) : null,
+        withLeadTime: leadTimes.length,
+        leadTimeDays: leadTimes.reduce((sum, days) => sum + days, 0),
+        leadTimeBuckets,
+        byChannel: finishGroups(byChannel),
+        byLengthOfStay: finishGroups(byLengthOfStay),
+        byRatePlan: finishGroups(byRatePlan)
+    };
+};
+
+/**
+ * Combine the cancellation metrics of several hostels (e.g. period totals)
+ *
+ * @param {Array<object>} metricsList - calculateCancellationMetrics() results (missing ones are ignored)
+ * @returns {object|null} Same shape as calculateCancellationMetrics(), null when the list is empty
+ */
+export const combineCancellationMetrics = (metricsList) => {
+    const known = metricsList.filter(Boolean);
+    if (known.length === 0) return null;
+
+    // Sum the numeric fields of each group, keeping its name / isDirect
+    const mergeGroups = (key) => {
+        const groups = {};
+        known.forEach(metrics => {
+            Object.entries(metrics[key] || {}).forEach(([id, group]) => {
+                if (!groups[id]) {
+                    groups[id] = { ...group };
+                    return;
+                }
+                GROUP_SUM_FIELDS.forEach(field => {
+                    if (field in group) groups[id][field] += group[field];
+                });
+            });
+        });
+        return groups;
+    };
+
+    const sum = (key) => known.reduce((total, metrics) => total + (metrics[key] || 0), 0);
+    const withLeadTime = sum('withLeadTime');
+
+    return {
+        count: sum('count'),
+        cancelled: sum('cancelled'),
+        rate: cancellationRate(sum('cancelled'), sum('count')),
+        lostRevenue: sum('lostRevenue'),
+        withLostRevenue: sum('withLostRevenue'),
+        lostNights: sum('lostNights'),
+        avgLeadTime: withLeadTime > 0 ? Math.round(sum('leadTimeDays') / withLeadTime) : null,
+        withLeadTime,
+        leadTimeDays: sum('leadTimeDays'),
+        leadTimeBuckets: mergeGroups('leadTimeBuckets'),
+        byChannel: finishGroups(mergeGroups('byChannel')),
+        byLengthOfStay: finishGroups(mergeGroups('byLengthOfStay')),
+        byRatePlan: finishGroups(mergeGroups('byRatePlan'))
+    };
+};
+
+// Channels, length-of-stay buckets and rate plans of a cancellation breakdown in display order
+export const breakdownOrder = {
+    byChannel: channelOrder.map(channel => channel.id),
+    byLengthOfStay: lengthOfStayTiers.map(tier => tier.id),
+    leadTimeBuckets: cancellationLeadTimeBuckets.map(bucket => bucket.id)
+};
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { calculateCancellationMetrics, combineCancellationMetrics } from './cancellations';
+
+const bookings = [
+    { reservation: '1', status: 'confirmed', source: 'Website', nights: 2, price: 0, total: 100 },
+    { reservation: '2', status: 'canceled', source: 'Website', nights: 3, price: 40, total: 150 },
+    // Not enriched: price is the outstanding balance, not the booking value
+    { reservation: '3', status: 'canceled', source: 'Booking.com', nights: 1, price: 25 }
+];
+
+describe('calculateCancellationMetrics', () => {
+    it('counts only enriched totals as lost revenue', () => {
+        const metrics = calculateCancellationMetrics(bookings);
+
+        expect(metrics).toMatchObject({ count: 3, cancelled: 2, lostRevenue: 150, withLostRevenue: 1, lostNights: 4 });
+    });
+
+    it('sums the channel groups into the totals', () => {
+        const metrics = calculateCancellationMetrics(bookings);
+        const groups = Object.values(metrics.byChannel);
+
+        expect(groups.reduce((sum, group) => sum + group.cancelled, 0)).toBe(metrics.cancelled);
+        expect(groups.reduce((sum, group) => sum + group.lostRevenue, 0)).toBe(metrics.lostRevenue);
+    });
+
+    it('combines the enriched counts of several hostels', () => {
+        const metrics = calculateCancellationMetrics(bookings);
+        expect(combineCancellationMetrics([metrics, metrics])).toMatchObject({ cancelled: 4, lostRevenue: 300, withLostRevenue: 2 });
+    });
+});
@@ -0,0 +1,174 @@
+import { hostelConfig } from '../config/hostelConfig';
+import { getStoredPeriodBounds } from './dateUtils';
+import { collectBookingsByHostel, explodeBookingNights } from './periodAggregator';
+
+/**
+ * Capacity Metrics (occupancy, RevPAR, RevPAB)
+ *
+ * Stay-night based: for each period, every loaded booking (all channels,
+ * de-duplicated) contributes the nights that fall inside the period, times the
+ * units it occupies (`roomCount` from enrichment, 1 otherwise). Inventory comes
+ * from hostelConfig (`rooms` / `beds`) or, when not set there, from CloudBeds
+ * (fetchPropertyInventory).
+ *
+ * - occupancy = sold room-nights ÷ (rooms × days)
+ * - RevPAR    = stay revenue ÷ (rooms × days)   (rooms = dorm beds + private rooms)
+ * - RevPAB    = stay revenue ÷ (beds × days)
+ *
+ * Coverage: bookings are loaded by booking (creation) date, so a stay period only
+ * has all its nights when the loaded periods cover every day its guests could have
+ * booked on: from the period start minus the longest lead time seen for the hostel
+ * up to the period end (or today). Otherwise `isComplete` is false and the figures
+ * are lower bounds (shown with "≥", see formatOccupancy).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Inventory of a hostel ({ rooms, beds }, null when unknown); hostelConfig values win over fetched ones
+export const getHostelInventory = (hostelName, fetchedInventory = {}) => {
+    const config = hostelConfig[hostelName] || {};
+    const fetched = fetchedInventory[hostelName] || {};
+    const rooms = config.rooms ?? fetched.rooms ?? null;
+    const beds = config.beds ?? fetched.beds ?? null;
+    return rooms || beds ? { rooms, beds } : null;
+};
+
+// Capacity metrics from sold room-nights and stay revenue (null ratios when the inventory part is unknown)
+// `isComplete` = false marks figures missing nights of bookings made outside the loaded periods
+export const calculateCapacityMetrics = ({ soldRoomNights, stayRevenue, days, inventory, isComplete = true }) => {
+    const availableRoomNights = inventory?.rooms ? inventory.rooms * days : null;
+    const availableBedNights = inventory?.beds ? inventory.beds * days : null;
+
+    return {
+        days,
+        soldRoomNights,
+        stayRevenue,
+        availableRoomNights,
+        availableBedNights,
+        occupancy: availableRoomNights ? Math.round((soldRoomNights / availableRoomNights) * 1000) / 10 : null,
+        revPAR: availableRoomNights ? stayRevenue / availableRoomNights : null,
+        revPAB: availableBedNights ? stayRevenue / availableBedNights : null,
+        isComplete
+    };
+};
+
+// Combine the capacity metrics of several hostels (e.g. period totals); null when none has capacity
+// Each ratio only covers hostels whose inventory part (rooms / beds) is known
+export const combineCapacityMetrics = (capacities) => {
+    const known = capacities.filter(Boolean);
+    if (known.length === 0) return null;
+
+    const sum = (list, key) => list.reduce((total, c) => total + (c[key] || 0), 0);
+    const withRooms = known.filter(c => c.availableRoomNights);
+    const withBeds = known.filter(c => c.availableBedNights);
+    const availableRoomNights = sum(withRooms, 'availableRoomNights');
+    const availableBedNights = sum(withBeds, 'availableBedNights');
+
+    return {
+        days: known[0].days,
+        soldRoomNights: sum(known, 'soldRoomNights'),
+        stayRevenue: sum(known, 'stayRevenue'),
+        availableRoomNights: availableRoomNights || null,
+        availableBedNights: availableBedNights || null,
+        occupancy: availableRoomNights ? Math.round((sum(withRooms, 'soldRoomNights') / availableRoomNights) * 1000) / 10 : null,
+        revPAR: availableRoomNights ? sum(withRooms, 'stayRevenue') / availableRoomNights : null,
+        revPAB: availableBedNights ? sum(withBeds, 'stayRevenue') / availableBedNights : null,
+        isComplete: known.every(c => c.isComplete !== false)
+    };
+};
+
+// "≥" for capacity figures that are lower bounds (see isComplete), '' otherwise
+export const getCapacityBoundPrefix = (capacity) => (capacity?.isComplete === false ? '≥' : '');
+
+// Caveat shown next to capacity figures marked with "≥"
+export const CAPACITY_COVERAGE_NOTE = '≥ = lower bound: stays in this period may have been booked outside the loaded periods (data is loaded by booking date), so their nights are missing';
+
+// Occupancy label ("≥" marks a lower bound), '-' when unknown
+export const formatOccupancy = (capacity) => (
+    capacity?.occupancy == null ? '-' : `${getCapacityBoundPrefix(capacity)}${capacity.occupancy}%`
+);
+
+// Booking-date ranges loaded for a hostel, merged into sorted non-overlapping { start, end } (ms)
+const getLoadedBookingRanges = (weeklyData, hostelName) => {
+    const ranges = weeklyData
+        .filter(week => week.hostels[hostelName])
+        .map(getStoredPeriodBounds)
+        .filter(Boolean)
+        .map(bounds => ({ start: bounds.start.getTime(), end: bounds.end.getTime() }))
+        .sort((a, b) => a.start - b.start);
+
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        // Consecutive periods (end 23:59:59, next start 00:00) join into one range
+        if (last && range.start <= last.end + DAY_MS) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+        return merged;
+    }, []);
+};
+
+// Whether one merged range covers [from, to] (ms)
+const isRangeCovered = (ranges, from, to) => ranges.some(range => range.start <= from && range.end >= to);
+
+/**
+ * Add `capacity` metrics to every hostel of every period
+ *
+ * Periods without known bounds (custom ranges) and hostels without inventory are
+ * returned unchanged. Loaded custom ranges count as not covering any booking dates.
+ *
+ * @param {Array} periods - Periods to annotate (displayData or stayData shape: { date, periodType, hostels })
+ * @param {Array} weeklyData - All loaded periods (source of the stay nights)
+ * @param {Object<string, {rooms: number, beds: number}>} fetchedInventory - Inventory fetched from CloudBeds
+ * @returns {Array} Periods with hostels[name].capacity = calculateCapacityMetrics() result
+ */
+export const addCapacityMetrics = (periods, weeklyData, fetchedInventory = {}) => {
+    const inventories = {};
+    const nightsByHostel = {};
+    const loadedRanges = {};
+    const maxLeadDays = {};
+
+    Object.entries(collectBookingsByHostel(weeklyData)).forEach(([hostelName, bookings]) => {
+        const inventory = getHostelInventory(hostelName, fetchedInventory);
+        if (!inventory) return;
+
+        inventories[hostelName] = inventory;
+        loadedRanges[hostelName] = getLoadedBookingRanges(weeklyData, hostelName);
+        maxLeadDays[hostelName] = bookings.reduce((max, booking) => Math.max(max, booking.leadTime || 0), 0);
+        nightsByHostel[hostelName] = bookings.flatMap(booking => explodeBookingNights(booking).map(night => ({
+            time: night.date.getTime(),
+            revenue: night.revenue,
+            units: booking.roomCount || 1
+        })));
+    });
+
+    if (Object.keys(inventories).length === 0) return periods;
+
+    return periods.map(period => {
+        const bounds = getStoredPeriodBounds(period);
+        if (!bounds) return period;
+
+        const start = bounds.start.getTime();
+        const end = bounds.end.getTime();
+        const days = Math.round((end - start) / DAY_MS);
+        const bookedUntil = Math.min(end, Date.now());
+
+        const hostels = Object.fromEntries(Object.entries(period.hostels).map(([hostelName, data]) => {
+            if (!inventories[hostelName]) return [hostelName, data];
+
+            const nights = nightsByHostel[hostelName].filter(night => night.time >= start && night.time <= end);
+            const capacity = calculateCapacityMetrics({
+                soldRoomNights: nights.reduce((sum, night) => sum + night.units, 0),
+                stayRevenue: nights.reduce((sum, night) => sum + night.revenue, 0),
+                days,
+                inventory: inventories[hostelName],
+                isComplete: isRangeCovered(loadedRanges[hostelName], start - maxLeadDays[hostelName] * DAY_MS, bookedUntil)
+            });
+
+            return [hostelName, { ...data, capacity }];
+        }));
+
+        return { ...period, hostels };
+    });
+};
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { addCapacityMetrics, formatOccupancy } from './capacity';
+
+const inventory = { Flamingo: { rooms: 10, beds: 10 } };
+
+// Booked in January (30 days ahead) for two nights in February
+const booking = {
+    reservation: '1001',
+    checkin: '2026-02-10',
+    checkout: '2026-02-12',
+    price: 100,
+    leadTime: 30
+};
+
+// Booked in February (30 days ahead) for a night in March
+const marchBooking = { reservation: '1002', checkin: '2026-03-05', checkout: '2026-03-06', price: 50, leadTime: 30 };
+
+const january = { week: 'Jan 2026', date: new Date(2026, 0, 1), periodType: 'month', hostels: { Flamingo: { bookings: [booking] } } };
+const february = { week: 'Feb 2026', date: new Date(2026, 1, 1), periodType: 'month', hostels: { Flamingo: { bookings: [marchBooking] } } };
+
+describe('addCapacityMetrics', () => {
+    it('marks occupancy complete when the loaded booking dates cover the stay period', () => {
+        const [, feb] = addCapacityMetrics([january, february], [january, february], inventory);
+        expect(feb.hostels.Flamingo.capacity.isComplete).toBe(true);
+        expect(formatOccupancy(feb.hostels.Flamingo.capacity)).toBe('0.7%');
+    });
+
+    it('marks occupancy as a lower bound when earlier booking dates are not loaded', () => {
+        const [feb] = addCapacityMetrics([february], [february], inventory);
+        expect(feb.hostels.Flamingo.capacity.isComplete).toBe(false);
+        expect(formatOccupancy(feb.hostels.Flamingo.capacity)).toBe('≥0%');
+    });
+});
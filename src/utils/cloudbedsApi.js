@@ -6,21 +6,46 @@
  *
  * Authentication: Bearer token (from .env)
  * Endpoint: GET /getReservations
- * Filtering: Only "Website/Booking Engine" source (direct bookings)
+ * Filtering: None - every source is returned and classified (see sourceConfig.js)
  *
  * Data Flow:
  * 1. Make HTTP request to CloudBeds API with property ID and date range
- * 2. Receive reservation data in CloudBeds JSON format
- * 3. Transform each reservation to internal booking format
- * 4. Filter for direct bookings only (source contains "website")
- * 5. Return array of transformed bookings
+ * 2. Request further pages (pageNumber/pageSize) until `total` is reached
+ * 3. Merge pages and de-duplicate by reservationID
+ * 4. Transform each reservation to internal booking format
+ * 5. Classify each booking's source into a channel (direct, OTA, ...)
+ * 6. Return array of transformed bookings
+ *
+ * Every HTTP call goes through cloudbedsRequest(), which retries timeouts,
+ * network errors, 429 and 5xx responses with exponential backoff and throws
+ * typed errors from cloudbedsErrors.js.
  *
  * @module cloudbedsApi
  * @requires fetch (native browser API)
  * @author Artur Mamedov & Claude
  * @since 2026-01-12
+ * @updated 2026-10-18 - Return all sources, classified via sourceClassifier
+ * @updated 2026-10-18 - Shared request helper with retries, backoff and typed errors
+ * @updated 2026-10-18 - All requests go through a shared token-bucket rate limiter
+ * @updated 2026-10-18 - fetchModifiedReservations() for incremental sync
  */
 
+import { classifyBooking } from './sourceClassifier';
+import { classifyRoomType } from './roomTypeClassifier';
+import { createRateLimiter } from './rateLimiter';
+import {
+  CloudBedsError,
+  AuthenticationError,
+  NotFoundError,
+  RateLimitError,
+  TimeoutError,
+  NetworkError,
+  ServerError,
+  SchemaError,
+  TooManyResultsError,
+  CancelledError
+} from './cloudbedsErrors';
+
 // ============================================================
 // CONFIGURATION
 // ============================================================
@@ -31,6 +56,28 @@ const API_KEY = import.meta.env.VITE_CLOUDBEDS_API_KEY;
 const BASE_URL = import.meta.env.VITE_CLOUDBEDS_API_BASE_URL || 'https://api.cloudbeds.com/api/v1.3';
 const TIMEOUT = parseInt(import.meta.env.VITE_CLOUDBEDS_API_TIMEOUT) || 10000; // Default 10 seconds
 
+// Pagination for getReservations (CloudBeds maximum page size is 100)
+const PAGE_SIZE = 100;
+const MAX_PAGES = 200; // Safety stop: 20,000 reservations per request (enough for a yearly period)
+
+// Retries for timeouts, network errors, 429 and 5xx responses (exponential backoff with jitter)
+const MAX_RETRIES = parseInt(import.meta.env.VITE_CLOUDBEDS_API_MAX_RETRIES ?? 3) || 0; // 0 disables retries
+const RETRY_BASE_DELAY_MS = parseInt(import.meta.env.VITE_CLOUDBEDS_API_RETRY_BASE_MS) || 500;
+const RETRY_MAX_DELAY_MS = 30000; // Never wait longer than 30s between attempts
+
+// Request budget shared by every CloudBeds call (CloudBeds allows 10 requests per second)
+// VITE_CLOUDBEDS_API_DELAY_MS (old per-call pause) is still honoured when no rate is set
+const LEGACY_DELAY_MS = parseInt(import.meta.env.VITE_CLOUDBEDS_API_DELAY_MS);
+const REQUESTS_PER_SECOND = parseFloat(import.meta.env.VITE_CLOUDBEDS_API_REQUESTS_PER_SECOND)
+  || (LEGACY_DELAY_MS > 0 ? 1000 / LEGACY_DELAY_MS : 8); // Default stays a little under the documented limit
+const RATE_LIMIT_BURST = parseInt(import.meta.env.VITE_CLOUDBEDS_API_BURST) || 2;
+
+// One limiter for the whole app: concurrent fetches and enrichment share the same budget
+const cloudbedsLimiter = createRateLimiter({
+  requestsPerSecond: REQUESTS_PER_SECOND,
+  burst: RATE_LIMIT_BURST
+});
+
 // ============================================================
 // HELPER FUNCTIONS (Internal Use Only)
 // ============================================================
@@ -56,6 +103,24 @@ const formatDateTimeForAPI = (date, isEndDate = false) => {
   return `${date} ${time}`;
 };
 
+/**
+ * Format a Date object to CloudBeds API datetime format (local time)
+ *
+ * Used for modifiedFrom/modifiedTo, where the exact time of day matters.
+ *
+ * @private
+ * @param {Date} date - Timestamp to format
+ * @returns {string} Formatted datetime string "YYYY-MM-DD HH:MM:SS"
+ *
+ * @example
+ * formatTimestampForAPI(new Date(2026, 0, 5, 9, 3, 7)) // Returns: "2026-01-05 09:03:07"
+ */
+const formatTimestampForAPI = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
 /**
  * Calculate number of nights between two dates
  *
@@ -125,6 +190,8 @@ const calculateLeadTime = (bookingDateTime, checkinDate) => {
  * - balance             → price (⚠️ Note: may be 0 for checked-out bookings)
  * - status              → status
  * - sourceName          → source
+ * - dateModified        → dateModified (last change, "YYYY-MM-DD HH:MM:SS"; invalidates cached enrichment)
+ * - dateModified        → cancellationDate (cancelled reservations only; their last change is the cancellation)
  * - [calculated]        → nights (endDate - startDate)
  * - [calculated]        → leadTime (startDate - dateCreated in days)
  *
@@ -150,7 +217,7 @@ const calculateLeadTime = (bookingDateTime, checkinDate) => {
  * // Returns: { reservation: "3954551056305", bookingDate: "2026-01-11",
  * //            checkin: "2026-01-11", checkout: "2026-01-12", nights: 1,
  * //            price: 321.33, status: "confirmed", source: "Website/Booking Engine",
- * //            leadTime: 0 }
+ * //            leadTime: 0, cancellationDate: null, dateModified: null }
  */
 const transformReservation = (cbReservation) => {
   try {
@@ -163,6 +230,12 @@ const transformReservation = (cbReservation) => {
     // Calculate lead time (days between booking and check-in)
     const leadTime = calculateLeadTime(cbReservation.dateCreated, cbReservation.startDate);
 
+    // getReservations has no cancellation timestamp; the last modification of a cancelled reservation is its cancellation
+    const isCancelled = cbReservation.status?.toLowerCase().includes('cancel');
+    const cancellationDate = isCancelled && cbReservation.dateModified
+      ? cbReservation.dateModified.split(' ')[0]
+      : null;
+
     // Return transformed booking object (matches format from Excel/Paste parsers)
     return {
       reservation: cbReservation.reservationID,
@@ -173,7 +246,9 @@ const transformReservation = (cbReservation) => {
       price: parseFloat(cbReservation.balance) || 0, // Handle null/undefined/string, default to 0
       status: cbReservation.status,
       source: cbReservation.sourceName,
-      leadTime: leadTime
+      leadTime: leadTime,
+      cancellationDate: cancellationDate,
+      dateModified: cbReservation.dateModified || null
     };
   } catch (error) {
     // Log error for debugging but don't crash - return null to skip this booking
@@ -186,6 +261,381 @@ const transformReservation = (cbReservation) => {
   }
 };
 
+/**
+ * Parse a Retry-After header into milliseconds
+ *
+ * The header is either a number of seconds ("120") or an HTTP date.
+ *
+ * @private
+ * @param {string|null} header - Retry-After header value
+ * @returns {number|null} Delay in milliseconds, or null if missing/unparseable
+ *
+ * @example
+ * parseRetryAfter("2")                              // Returns: 2000
+ * parseRetryAfter("Wed, 21 Oct 2026 07:28:00 GMT")  // Returns: ms until that date
+ */
+const parseRetryAfter = (header) => {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Wait before a retry, cancellable
+ *
+ * @private
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Rejects with CancelledError (and clears the timer) as soon as it aborts
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new CancelledError());
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timeoutId);
+    reject(new CancelledError());
+  };
+  const timeoutId = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Delay before the next retry attempt
+ *
+ * Exponential backoff (base, 2x base, 4x base, ...) with "full jitter" (a random
+ * delay between 0 and the backoff) so parallel callers don't retry in lockstep.
+ * A Retry-After delay sent with a 429 response takes precedence.
+ *
+ * @private
+ * @param {number} attempt - 0-based index of the attempt that just failed
+ * @param {CloudBedsError} error - Error of the failed attempt
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempt, error) => {
+  if (error instanceof RateLimitError && error.retryAfterMs != null) {
+    return Math.min(error.retryAfterMs, RETRY_MAX_DELAY_MS);
+  }
+  const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS);
+  return Math.round(Math.random() * backoff);
+};
+
+/**
+ * Perform one HTTP GET request to the CloudBeds API (no retries)
+ *
+ * Maps every failure to a typed error from cloudbedsErrors.js.
+ *
+ * @private
+ * @async
+ * @param {string} url - Full request URL
+ * @param {string} notFoundMessage - Message for 404 responses (what wasn't found)
+ * @param {AbortSignal} [signal] - Caller's cancellation signal
+ * @returns {Promise<object>} Parsed JSON body with `success: true`
+ * @throws {CloudBedsError} Typed error (auth, not found, rate limited, timeout, network, server, schema, cancelled)
+ */
+const requestOnce = async (url, notFoundMessage, signal) => {
+  // Create AbortController for timeout functionality (also aborted when the caller cancels)
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), TIMEOUT);
+  const abortFromCaller = () => controller.abort();
+  signal?.addEventListener('abort', abortFromCaller, { once: true });
+
+  let response;
+  try {
+    // Make HTTP GET request with Bearer token authentication
+    response = await fetch(url, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${API_KEY}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      signal: controller.signal // Enable abort on timeout
+    });
+  } catch (error) {
+    // Cancelled by the caller, or timeout (AbortController.abort() was called)
+    if (error.name === 'AbortError') {
+      if (signal?.aborted) throw new CancelledError();
+      throw new TimeoutError(`Request timeout after ${TIMEOUT}ms. CloudBeds API is taking too long to respond.`);
+    }
+    // Network error (no internet, DNS failure, etc.)
+    throw new NetworkError('Network error. Please check your internet connection.');
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', abortFromCaller);
+  }
+
+  console.log(`[CloudBeds API] ✅ HTTP ${response.status} ${response.statusText}`);
+
+  // ============================================================
+  // Handle HTTP Errors
+  // ============================================================
+
+  if (!response.ok) {
+    // Authentication errors (401 Unauthorized, 403 Forbidden)
+    if (response.status === 401 || response.status === 403) {
+      throw new AuthenticationError('Invalid API key. Please check VITE_CLOUDBEDS_API_KEY in your .env file.', response.status);
+    }
+
+    // Not found errors (404 - invalid property or reservation ID)
+    if (response.status === 404) {
+      throw new NotFoundError(notFoundMessage);
+    }
+
+    // Rate limited (429 - too many requests)
+    if (response.status === 429) {
+      const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+      throw new RateLimitError('CloudBeds API rate limit reached. Too many requests.', retryAfterMs);
+    }
+
+    // Server errors (500+)
+    if (response.status >= 500) {
+      throw new ServerError(`CloudBeds API error: ${response.status} ${response.statusText}`, response.status);
+    }
+
+    throw new CloudBedsError(`CloudBeds API error: ${response.status} ${response.statusText}`, { status: response.status });
+  }
+
+  // ============================================================
+  // Parse and Validate JSON Response
+  // ============================================================
+
+  let data;
+  try {
+    data = await response.json();
+  } catch {
+    throw new SchemaError('Invalid response from CloudBeds API (not JSON). API may have changed.');
+  }
+
+  if (!data || !data.success) {
+    console.error('[CloudBeds API] ❌ Invalid response structure:', data);
+    throw new SchemaError('Invalid response from CloudBeds API. API may have changed.');
+  }
+
+  return data;
+};
+
+/**
+ * Shared request helper: GET a CloudBeds endpoint with retries
+ *
+ * Used by every call to the API. Each attempt first waits for a token from the
+ * shared rate limiter, so any number of concurrent callers stay within
+ * REQUESTS_PER_SECOND. Retries timeouts, network errors, 429 and 5xx responses up
+ * to `retries` times with exponential backoff and jitter, honouring the
+ * Retry-After header on 429 (which also pauses the limiter for every caller).
+ * Auth, not-found and schema errors fail immediately. Aborting `signal` stops
+ * waiting (for a token or a retry) and aborts the request in flight.
+ *
+ * @private
+ * @async
+ * @param {string} endpoint - Endpoint name (e.g., "getReservations")
+ * @param {object} params - Query parameters (values are URL-encoded)
+ * @param {object} [options]
+ * @param {string} [options.notFoundMessage] - Message for 404 responses
+ * @param {number} [options.retries=MAX_RETRIES] - Retry attempts after the first failure
+ * @param {AbortSignal} [options.signal] - Cancels the request (throws CancelledError)
+ * @returns {Promise<object>} Parsed JSON body with `success: true`
+ * @throws {CloudBedsError} Last typed error once retries are exhausted (or a non-retryable error)
+ *
+ * @example
+ * const data = await cloudbedsRequest('getReservation', { propertyID: '6733', reservationID: '123' });
+ */
+const cloudbedsRequest = async (endpoint, params, options = {}) => {
+  const { notFoundMessage = `CloudBeds ${endpoint}: not found`, retries = MAX_RETRIES, signal } = options;
+
+  const query = Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+  const url = `${BASE_URL}/${endpoint}?${query}`;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      // The limiter only rejects when `signal` aborts while waiting for a token
+      await cloudbedsLimiter.acquire(signal).catch(() => {
+        throw new CancelledError();
+      });
+      return await requestOnce(url, notFoundMessage, signal);
+    } catch (error) {
+      if (!error.retryable || attempt >= retries) {
+        console.error(`[CloudBeds API] ❌ ${endpoint} failed (${error.name}):`, error.message);
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, error);
+
+      // CloudBeds says we're over budget: hold every caller, not just this one
+      if (error instanceof RateLimitError) {
+        cloudbedsLimiter.pause(delay);
+      }
+
+      console.warn(`[CloudBeds API] 🔁 ${endpoint} ${error.name} - retry ${attempt + 1}/${retries} in ${delay}ms`);
+      await sleep(delay, signal);
+    }
+  }
+};
+
+/**
+ * Fetch a single page of reservations from the getReservations endpoint
+ *
+ * CloudBeds paginates getReservations: each response contains at most `pageSize`
+ * reservations (`count`) plus the `total` number of reservations matching the
+ * query. This helper fetches exactly one page (with retries) and returns the
+ * raw, validated response body. Looping over pages is done by the caller.
+ *
+ * @private
+ * @async
+ * @param {string} propertyID - CloudBeds property ID (e.g., "6733" for Flamingo)
+ * @param {object} filters - Date filters, e.g. { resultsFrom, resultsTo } or { modifiedFrom, modifiedTo }
+ *   (datetimes in "YYYY-MM-DD HH:MM:SS" format), or { checkOutFrom, checkInTo } ("YYYY-MM-DD")
+ * @param {number} pageNumber - 1-based page number to request
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<{success: boolean, data: Array, count: number, total: number}>} Raw API response
+ * @throws {CloudBedsError} Typed error (see cloudbedsErrors.js)
+ *
+ * @example
+ * const page = await fetchReservationsPage("6733", { resultsFrom: "2026-01-05 00:00:00", resultsTo: "2026-01-11 23:59:59" }, 2);
+ * // page = { success: true, data: [...100 reservations], count: 100, total: 243 }
+ */
+const fetchReservationsPage = async (propertyID, filters, pageNumber, signal) => {
+  console.log(`[CloudBeds API] 📡 GET ${BASE_URL}/getReservations (page ${pageNumber}, pageSize ${PAGE_SIZE})`);
+
+  const data = await cloudbedsRequest('getReservations', {
+    propertyID,
+    ...filters,
+    pageNumber,
+    pageSize: PAGE_SIZE
+  }, {
+    notFoundMessage: `Property ID ${propertyID} not found. Check hostelConfig.js.`,
+    signal
+  });
+
+  console.log(`[CloudBeds API] 📦 Received page ${pageNumber}:`, {
+    success: data.success,
+    count: data.count,
+    total: data.total
+  });
+
+  return data;
+};
+
+/**
+ * Fetch every page of getReservations for the given filters
+ *
+ * Shared by fetchReservationsFromCloudBeds() (booking date range),
+ * fetchModifiedReservations() (modification time range) and
+ * fetchReservationsByStayDates() (stay date range): walks all pages,
+ * de-duplicates by reservationID, transforms and classifies the bookings.
+ *
+ * @private
+ * @async
+ * @param {string} propertyID - CloudBeds property ID
+ * @param {object} filters - Date filters passed to getReservations (see fetchReservationsPage)
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] - Called after each page with { page, totalPages, fetched, total }
+ * @param {AbortSignal} [options.signal] - Cancels the fetch (throws CancelledError)
+ * @returns {Promise<Array>} Transformed, classified bookings
+ * @throws {CloudBedsError} Typed error (see cloudbedsErrors.js); TooManyResultsError past MAX_PAGES pages
+ */
+const fetchAllReservationPages = async (propertyID, filters, options = {}) => {
+  const { onProgress, signal } = options;
+
+  // ============================================================
+  // STEP 1: Walk Every Page Until `total` Is Reached
+  // ============================================================
+
+  // Map keyed by reservationID: merges pages and drops duplicates in one pass
+  const reservationsByID = new Map();
+  let pageNumber = 1;
+  let total = 0;
+  let totalPages = 1;
+
+  while (pageNumber <= MAX_PAGES) {
+    const page = await fetchReservationsPage(propertyID, filters, pageNumber, signal);
+    const pageData = page.data || [];
+
+    pageData.forEach(reservation => {
+      reservationsByID.set(reservation.reservationID, reservation);
+    });
+
+    // `total` is authoritative for the whole query; fall back to what we've seen
+    total = parseInt(page.total) || reservationsByID.size;
+    totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+    console.log(`[CloudBeds API] 📄 Page ${pageNumber}/${totalPages}: ${pageData.length} reservations (${reservationsByID.size}/${total} collected)`);
+
+    if (onProgress) {
+      onProgress({ page: pageNumber, totalPages, fetched: reservationsByID.size, total });
+    }
+
+    // Done when we have everything, or the API ran out of results early
+    if (reservationsByID.size >= total || pageData.length < PAGE_SIZE) break;
+
+    pageNumber++;
+  }
+
+  // Never hand back a truncated list: callers store it as the complete period
+  if (pageNumber > MAX_PAGES) {
+    console.error(`[CloudBeds API] ❌ Stopped after ${MAX_PAGES} pages (${reservationsByID.size}/${total} collected)`);
+    throw new TooManyResultsError(
+      `More than ${MAX_PAGES} pages of reservations (${reservationsByID.size} of ${total} received). Fetch a shorter date range.`,
+      { fetched: reservationsByID.size, total }
+    );
+  }
+
+  if (reservationsByID.size < total) {
+    console.warn(`[CloudBeds API] ⚠️  Received ${reservationsByID.size} unique reservations but API reported total ${total}`);
+  }
+
+  // ============================================================
+  // STEP 2: Handle Empty Results (Not an Error!)
+  // ============================================================
+
+  if (reservationsByID.size === 0) {
+    console.log('[CloudBeds API] ℹ️  No reservations found for these filters');
+    return []; // Return empty array (not an error condition)
+  }
+
+  console.log(`[CloudBeds API] 🔄 Transforming ${reservationsByID.size} reservations...`);
+
+  // ============================================================
+  // STEP 3: Transform Each Reservation
+  // ============================================================
+
+  const bookings = [...reservationsByID.values()]
+    .map(transformReservation)             // Transform CloudBeds format → internal format
+    .filter(booking => booking !== null);  // Remove invalid bookings (where transformation failed)
+
+  console.log(`[CloudBeds API] ✅ Transformed ${bookings.length} valid bookings`);
+
+  // ============================================================
+  // STEP 4: Classify Booking Sources
+  // ============================================================
+
+  // Every source is kept; metrics decide what counts as direct (see sourceConfig.js)
+  const classifiedBookings = bookings.map(classifyBooking);
+  const directCount = classifiedBookings.filter(b => b.isDirect).length;
+
+  console.log(`[CloudBeds API] 🎯 Classified sources: ${directCount} direct, ${classifiedBookings.length - directCount} other channels`);
+
+  // Log sources that match no configured channel (helpful for extending sourceConfig.js)
+  const unmatchedSources = [...new Set(classifiedBookings.filter(b => b.channel === 'other').map(b => b.source))];
+  if (unmatchedSources.length > 0) {
+    console.log(`[CloudBeds API] 📊 Sources not matched by sourceConfig:`, unmatchedSources);
+  }
+
+  console.log(`[CloudBeds API] ✨ Successfully fetched ${classifiedBookings.length} bookings for property ${propertyID}`);
+
+  return classifiedBookings;
+};
+
 // ============================================================
 // MAIN EXPORT FUNCTION
 // ============================================================
@@ -194,37 +644,50 @@ const transformReservation = (cbReservation) => {
  * Fetch reservations from CloudBeds API for a specific property and date range
  *
  * This is the main function used by the UI to fetch booking data from CloudBeds.
- * It handles authentication, API communication, data transformation, and filtering.
+ * It handles authentication, pagination, data transformation, and source classification.
  *
  * Process:
  * 1. Validate API key is configured
  * 2. Format dates to CloudBeds API datetime format
- * 3. Build API URL with query parameters
- * 4. Make HTTP GET request with Bearer token authentication
- * 5. Handle HTTP errors (401 auth, 404 not found, 500 server error, timeout)
- * 6. Parse JSON response
- * 7. Transform each reservation to internal booking format
- * 8. Filter for direct bookings only (source contains "website")
- * 9. Return array of transformed, filtered bookings
+ * 3. Request page 1, read `total` and derive the number of pages
+ * 4. Request remaining pages until `total` reservations have been received
+ * 5. Merge all pages and de-duplicate by reservationID
+ * 6. Transform each reservation to internal booking format
+ * 7. Classify each booking's source into a channel (patterns in src/config/sourceConfig.js)
+ * 8. Return array of transformed, classified bookings (every channel)
+ *
+ * Pagination:
+ * getReservations returns at most PAGE_SIZE (100) reservations per call. Busy
+ * properties can exceed that in a single week, so every page is requested until
+ * the merged count reaches `total`. The loop also stops on an empty or short page
+ * (defensive: `total` may shift if reservations are created during the fetch).
+ * Reservations can move between pages while paging, so results are de-duplicated
+ * by reservationID (last occurrence wins).
+ *
+ * Progress Reporting:
+ * If `options.onProgress` is given, it is called after every page with
+ * `{ page, totalPages, fetched, total }` so the UI can show "page 2/3".
  *
  * Authentication:
  * Uses Bearer token from VITE_CLOUDBEDS_API_KEY environment variable.
  * Token must be set in .env file and server must be restarted after changes.
  *
- * Filtering:
- * Only returns bookings where sourceName contains "website" (case-insensitive).
- * This filters out OTA bookings (Booking.com, Hostelworld, etc.) to match
- * the Excel export behavior which only includes "Sitio web" (Website) source.
+ * Source Classification:
+ * Returns bookings from every source. Each booking gets `channel`, `channelName`,
+ * `sourceCategory` and `isDirect` from classifySource() (patterns live in
+ * src/config/sourceConfig.js). Dashboard metrics only count direct bookings;
+ * the others are kept for channel-mix analysis.
  *
  * Error Handling:
- * Throws descriptive errors for:
- * - Missing API key
- * - Network errors
- * - Authentication failures (401/403)
- * - Not found errors (404)
- * - Server errors (500)
- * - Timeout errors
- * - Malformed responses
+ * Throws typed errors (see cloudbedsErrors.js):
+ * - AuthenticationError: Missing API key, 401/403
+ * - NotFoundError: Unknown property ID (404)
+ * - RateLimitError: 429 still returned after all retries
+ * - TimeoutError / NetworkError / ServerError: Still failing after all retries
+ * - SchemaError: Malformed responses
+ * - TooManyResultsError: More than MAX_PAGES pages (the range must be split)
+ * Each page is retried on its own; a page that still fails after all retries
+ * fails the whole fetch (partial weeks are never returned).
  *
  * Empty Results:
  * Returns empty array [] (not an error) if no reservations found in date range.
@@ -234,14 +697,23 @@ const transformReservation = (cbReservation) => {
  * @param {string} propertyID - CloudBeds property ID (e.g., "6733" for Flamingo)
  * @param {string} startDate - Start date in "YYYY-MM-DD" format
  * @param {string} endDate - End date in "YYYY-MM-DD" format
- * @returns {Promise<Array>} Promise resolving to array of transformed booking objects (direct bookings only)
- * @throws {Error} Network errors, auth errors, API errors, timeout, malformed responses
+ * @param {object} [options] - Optional settings
+ * @param {Function} [options.onProgress] - Called after each page with { page, totalPages, fetched, total }
+ * @param {AbortSignal} [options.signal] - Cancels the fetch (throws CancelledError)
+ * @returns {Promise<Array>} Promise resolving to array of transformed booking objects (all sources, with channel classification)
+ * @throws {CloudBedsError} Typed error (see cloudbedsErrors.js)
  *
  * @example
- * // Fetch all direct bookings for Flamingo in week of Jan 5-11, 2026
+ * // Fetch all bookings for Flamingo in week of Jan 5-11, 2026
  * const bookings = await fetchReservationsFromCloudBeds("6733", "2026-01-05", "2026-01-11");
- * console.log(`Fetched ${bookings.length} direct bookings`);
- * // bookings = [{ reservation, bookingDate, checkin, checkout, nights, price, status, source, leadTime }, ...]
+ * console.log(`Fetched ${bookings.filter(b => b.isDirect).length} direct bookings`);
+ * // bookings = [{ reservation, bookingDate, checkin, checkout, nights, price, status, source, leadTime, channel, isDirect, ... }, ...]
+ *
+ * @example
+ * // Track page progress
+ * const bookings = await fetchReservationsFromCloudBeds("6733", "2026-01-05", "2026-01-11", {
+ *   onProgress: ({ page, totalPages }) => console.log(`Page ${page}/${totalPages}`)
+ * });
  *
  * @example
  * // Handle errors
@@ -253,14 +725,16 @@ const transformReservation = (cbReservation) => {
  *   alert(`Error: ${error.message}`);
  * }
  */
-export const fetchReservationsFromCloudBeds = async (propertyID, startDate, endDate) => {
+export const fetchReservationsFromCloudBeds = async (propertyID, startDate, endDate, options = {}) => {
+  const { onProgress, signal } = options;
+
   // ============================================================
   // STEP 1: Validate API Key
   // ============================================================
 
   if (!API_KEY) {
     console.error('[CloudBeds API] ❌ API key not found in environment variables');
-    throw new Error('CloudBeds API key not found. Please check your .env file and restart the dev server.');
+    throw new AuthenticationError('CloudBeds API key not found. Please check your .env file and restart the dev server.');
   }
 
   // ============================================================
@@ -276,149 +750,228 @@ export const fetchReservationsFromCloudBeds = async (propertyID, startDate, endD
   console.log(`[CloudBeds API] 🕐 API datetime range: ${resultsFrom} to ${resultsTo}`);
 
   // ============================================================
-  // STEP 3: Build API URL
+  // STEP 3: Fetch, Transform and Classify Every Page
   // ============================================================
 
-  // Build URL with query parameters (properly encoded for URLs)
-  const url = `${BASE_URL}/getReservations?propertyID=${propertyID}&resultsFrom=${encodeURIComponent(resultsFrom)}&resultsTo=${encodeURIComponent(resultsTo)}`;
-
-  console.log(`[CloudBeds API] 🌐 API endpoint: ${BASE_URL}/getReservations`);
-  console.log(`[CloudBeds API] 📡 Making HTTP GET request...`);
-
-  // ============================================================
-  // STEP 4: Make HTTP Request with Timeout
-  // ============================================================
-
-  try {
-    // Create AbortController for timeout functionality
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), TIMEOUT);
-
-    // Make HTTP GET request with Bearer token authentication
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${API_KEY}`,
-        'Content-Type': 'application/x-www-form-urlencoded'
-      },
-      signal: controller.signal // Enable abort on timeout
-    });
-
-    clearTimeout(timeoutId); // Clear timeout if request completes
-
-    console.log(`[CloudBeds API] ✅ HTTP ${response.status} ${response.statusText}`);
-
-    // ============================================================
-    // STEP 5: Handle HTTP Errors
-    // ============================================================
-
-    if (!response.ok) {
-      // Authentication errors (401 Unauthorized, 403 Forbidden)
-      if (response.status === 401 || response.status === 403) {
-        console.error('[CloudBeds API] ❌ Authentication failed - Invalid API key');
-        throw new Error('Invalid API key. Please check your .env file.');
-      }
-
-      // Not found errors (404 - invalid property ID)
-      if (response.status === 404) {
-        console.error(`[CloudBeds API] ❌ Property ID ${propertyID} not found`);
-        throw new Error(`Property ID ${propertyID} not found. Check hostelConfig.js.`);
-      }
-
-      // Server errors (500+)
-      console.error(`[CloudBeds API] ❌ CloudBeds API error: ${response.status} ${response.statusText}`);
-      throw new Error(`CloudBeds API error: ${response.status} ${response.statusText}`);
-    }
+  return fetchAllReservationPages(propertyID, { resultsFrom, resultsTo }, { onProgress, signal });
+};
 
-    // ============================================================
-    // STEP 6: Parse JSON Response
-    // ============================================================
+// ============================================================
+// INCREMENTAL SYNC FUNCTION
+// ============================================================
 
-    const data = await response.json();
+/**
+ * Fetch reservations modified within a time window (incremental sync)
+ *
+ * Uses the modifiedFrom/modifiedTo filters of getReservations instead of
+ * resultsFrom/resultsTo, so it returns every reservation created or changed
+ * (status, dates, price...) since the last sync - whatever its booking date.
+ * The caller decides which stored periods each booking belongs to.
+ *
+ * Same pagination, transformation, classification and typed errors as
+ * fetchReservationsFromCloudBeds().
+ *
+ * @export
+ * @async
+ * @param {string} propertyID - CloudBeds property ID (e.g., "6733" for Flamingo)
+ * @param {Date} modifiedSince - Only reservations modified at or after this time
+ * @param {object} [options] - Optional settings
+ * @param {Date} [options.modifiedUntil=new Date()] - Upper bound of the window
+ * @param {Function} [options.onProgress] - Called after each page with { page, totalPages, fetched, total }
+ * @param {AbortSignal} [options.signal] - Cancels the fetch (throws CancelledError)
+ * @returns {Promise<Array>} Modified bookings (all sources, with channel classification)
+ * @throws {CloudBedsError} Typed error (see cloudbedsErrors.js)
+ *
+ * @example
+ * // Everything Flamingo changed since the last sync
+ * const changed = await fetchModifiedReservations("6733", lastSyncedAt);
+ * const cancellations = changed.filter(b => b.status === 'canceled');
+ */
+export const fetchModifiedReservations = async (propertyID, modifiedSince, options = {}) => {
+  const { modifiedUntil = new Date(), onProgress, signal } = options;
 
-    console.log(`[CloudBeds API] 📦 Received response:`, {
-      success: data.success,
-      count: data.count,
-      total: data.total
-    });
+  if (!API_KEY) {
+    console.error('[CloudBeds API] ❌ API key not found in environment variables');
+    throw new AuthenticationError('CloudBeds API key not found. Please check your .env file and restart the dev server.');
+  }
 
-    // ============================================================
-    // STEP 7: Validate Response Structure
-    // ============================================================
+  const modifiedFrom = formatTimestampForAPI(modifiedSince);
+  const modifiedTo = formatTimestampForAPI(modifiedUntil);
 
-    if (!data || !data.success) {
-      console.error('[CloudBeds API] ❌ Invalid response structure:', data);
-      throw new Error('Invalid response from CloudBeds API. API may have changed.');
-    }
+  console.log(`[CloudBeds API] 🔄 Fetching reservations modified for property ${propertyID}: ${modifiedFrom} to ${modifiedTo}`);
 
-    // ============================================================
-    // STEP 8: Handle Empty Results (Not an Error!)
-    // ============================================================
+  return fetchAllReservationPages(propertyID, { modifiedFrom, modifiedTo }, { onProgress, signal });
+};
 
-    if (!data.data || data.data.length === 0) {
-      console.log('[CloudBeds API] ℹ️  No reservations found in date range');
-      return []; // Return empty array (not an error condition)
-    }
+// ============================================================
+// STAY DATE FUNCTION
+// ============================================================
 
-    console.log(`[CloudBeds API] 🔄 Transforming ${data.data.length} reservations...`);
+/**
+ * Fetch every reservation staying within a date range (forward on-the-books)
+ *
+ * Uses the checkOutFrom/checkInTo filters of getReservations, so it returns
+ * every reservation with at least one night in [startDate, endDate] - whatever
+ * its booking date, cancelled ones included. Used for the daily on-the-books
+ * snapshot (see pace.js), which must not depend on which booking periods are loaded.
+ *
+ * Same pagination, transformation, classification and typed errors as
+ * fetchReservationsFromCloudBeds().
+ *
+ * @export
+ * @async
+ * @param {string} propertyID - CloudBeds property ID (e.g., "6733" for Flamingo)
+ * @param {string} startDate - First stay night in "YYYY-MM-DD" format
+ * @param {string} endDate - Last stay night in "YYYY-MM-DD" format
+ * @param {object} [options] - Optional settings
+ * @param {Function} [options.onProgress] - Called after each page with { page, totalPages, fetched, total }
+ * @param {AbortSignal} [options.signal] - Cancels the fetch (throws CancelledError)
+ * @returns {Promise<Array>} Bookings staying in the range (all sources, with channel classification)
+ * @throws {CloudBedsError} Typed error (see cloudbedsErrors.js)
+ *
+ * @example
+ * // Everything on the books for Flamingo from October 2026 to March 2027
+ * const onTheBooks = await fetchReservationsByStayDates("6733", "2026-10-01", "2027-03-31");
+ */
+export const fetchReservationsByStayDates = async (propertyID, startDate, endDate, options = {}) => {
+  const { onProgress, signal } = options;
 
-    // ============================================================
-    // STEP 9: Transform Each Reservation
-    // ============================================================
+  if (!API_KEY) {
+    console.error('[CloudBeds API] ❌ API key not found in environment variables');
+    throw new AuthenticationError('CloudBeds API key not found. Please check your .env file and restart the dev server.');
+  }
 
-    const bookings = data.data
-      .map(transformReservation)             // Transform CloudBeds format → internal format
-      .filter(booking => booking !== null);  // Remove invalid bookings (where transformation failed)
+  // A stay overlaps the range when it checks out after its first night and checks in by its last one
+  console.log(`[CloudBeds API] 🛏️  Fetching reservations staying ${startDate} to ${endDate} for property ${propertyID}`);
 
-    console.log(`[CloudBeds API] ✅ Transformed ${bookings.length} valid bookings`);
+  return fetchAllReservationPages(propertyID, { checkOutFrom: startDate, checkInTo: endDate }, { onProgress, signal });
+};
 
-    // ============================================================
-    // STEP 10: Filter for Direct Bookings (Website Source)
-    // ============================================================
+// ============================================================
+// INVENTORY FUNCTION
+// ============================================================
 
-    // Filter for bookings where source contains "website" (case-insensitive)
-    // This matches the Excel export behavior which only includes "Sitio web" source
-    const directBookings = bookings.filter(b =>
-      b.source && b.source.toLowerCase().includes('website')
-    );
+/**
+ * Whether a CloudBeds room type is private (one unit = one room of maxGuests beds)
+ *
+ * Uses the explicit `isPrivate` flag; when it is missing, falls back to the
+ * name-based classifier (roomTypeConfig.js). Unrecognized names count as shared,
+ * so a missing flag never inflates the bed count.
+ *
+ * @param {object} roomType - Raw getRoomTypes entry
+ * @returns {boolean}
+ *
+ * @example
+ * isPrivateRoomType({ isPrivate: 'true' })                          // Returns: true
+ * isPrivateRoomType({ roomTypeName: 'Bed in 6-Bed Mixed Dorm' })  // Returns: false
+ * isPrivateRoomType({ roomTypeName: 'Private Double Room' })      // Returns: true
+ */
+const isPrivateRoomType = (roomType) => {
+  if (roomType.isPrivate === true || roomType.isPrivate === 'true') return true;
+  if (roomType.isPrivate === false || roomType.isPrivate === 'false') return false;
+  return classifyRoomType(roomType.roomTypeName).category === 'private';
+};
 
-    console.log(`[CloudBeds API] 🎯 Filtered to ${directBookings.length} direct bookings (source contains "website")`);
+/**
+ * Fetch the bed/room inventory of a property (for occupancy, RevPAR and RevPAB)
+ *
+ * **API Endpoint:** GET /getRoomTypes
+ *
+ * CloudBeds counts each dorm bed as one unit of a shared room type, and each
+ * private room as one unit holding `maxGuests` beds:
+ * - `rooms`: sellable units (dorm beds + private rooms)
+ * - `beds`: dorm beds + private rooms × maxGuests
+ *
+ * A room type is private when CloudBeds says so (`isPrivate` true / "true");
+ * when the flag is missing, the room type name decides (see isPrivateRoomType).
+ *
+ * @export
+ * @async
+ * @param {string} propertyID - CloudBeds property ID (e.g., "6733")
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request (throws CancelledError)
+ * @returns {Promise<{rooms: number, beds: number, roomTypes: Array<{name: string, isPrivate: boolean, units: number, maxGuests: number}>}>}
+ * @throws {CloudBedsError} Typed error (see cloudbedsErrors.js)
+ *
+ * @example
+ * const { rooms, beds } = await fetchPropertyInventory('6733');
+ * // Returns: { rooms: 58, beds: 64, roomTypes: [{ name: "Bed in 6-Bed Mixed Dorm", isPrivate: false, units: 48, maxGuests: 1 }, ...] }
+ */
+export const fetchPropertyInventory = async (propertyID, options = {}) => {
+  if (!API_KEY) {
+    console.error('[CloudBeds API] ❌ API key not configured');
+    throw new AuthenticationError('CloudBeds API key not found in .env. Please add VITE_CLOUDBEDS_API_KEY.');
+  }
 
-    // Log sample of sources found (helpful for debugging filter issues)
-    const uniqueSources = [...new Set(bookings.map(b => b.source))];
-    console.log(`[CloudBeds API] 📊 Sources found in response:`, uniqueSources);
+  console.log(`[CloudBeds API] 🛏️  Fetching inventory for property ${propertyID}...`);
 
-    console.log(`[CloudBeds API] ✨ Successfully fetched ${directBookings.length} direct bookings for property ${propertyID}`);
+  const result = await cloudbedsRequest('getRoomTypes', { propertyIDs: propertyID }, {
+    notFoundMessage: `Property ${propertyID} not found`,
+    signal: options.signal
+  });
 
-    return directBookings;
+  if (!Array.isArray(result.data)) {
+    throw new SchemaError('Invalid API response structure (missing room types)');
+  }
 
-  } catch (error) {
-    // ============================================================
-    // ERROR HANDLING
-    // ============================================================
+  const roomTypes = result.data.map(roomType => ({
+    name: roomType.roomTypeName,
+    isPrivate: isPrivateRoomType(roomType),
+    units: parseInt(roomType.roomTypeUnits, 10) || 0,
+    maxGuests: parseInt(roomType.maxGuests, 10) || 1
+  }));
 
-    // Timeout error (AbortController.abort() was called)
-    if (error.name === 'AbortError') {
-      console.error('[CloudBeds API] ⏱️  Request timeout after', TIMEOUT, 'ms');
-      throw new Error('Request timeout. CloudBeds API is taking too long to respond. Try again.');
-    }
+  const rooms = roomTypes.reduce((sum, roomType) => sum + roomType.units, 0);
+  const beds = roomTypes.reduce((sum, roomType) => sum + roomType.units * (roomType.isPrivate ? roomType.maxGuests : 1), 0);
 
-    // Network error (no internet, DNS failure, etc.)
-    if (error instanceof TypeError) {
-      console.error('[CloudBeds API] 🌐 Network error:', error.message);
-      throw new Error('Network error. Please check your internet connection.');
-    }
+  console.log(`[CloudBeds API] ✅ Inventory: ${rooms} units, ${beds} beds (${roomTypes.length} room types)`);
 
-    // Re-throw other errors (auth, API, validation errors already handled above)
-    console.error('[CloudBeds API] ❌ Unexpected error:', error);
-    throw error;
-  }
+  return { rooms, beds, roomTypes };
 };
 
 // ============================================================
 // REVENUE ENRICHMENT FUNCTION
 // ============================================================
 
+/**
+ * Extract booking details from a getReservation payload
+ *
+ * Rooms come from both `assigned` and `unassigned` (beds not allocated yet).
+ * getReservation has no payment list, so the payment method falls back to the
+ * type of the first card on file.
+ *
+ * @private
+ * @param {object} reservation - `data` of the getReservation response
+ * @returns {object} Details stored on the booking (missing values are null)
+ *
+ * @example
+ * extractReservationDetails(result.data);
+ * // Returns: { roomTypes: ["Bed in 6-Bed Mixed Dorm"], roomCount: 1, adults: 1, children: 0,
+ * //            guestCountry: "ES", ratePlan: "Non-refundable", amountPaid: 59.1,
+ * //            balanceDue: 0, paymentMethod: "visa" }
+ */
+const extractReservationDetails = (reservation) => {
+  const rooms = [...(reservation.assigned || []), ...(reservation.unassigned || [])];
+  const guests = Object.values(reservation.guestList || {});
+  const mainGuest = guests.find(guest => guest.isMainGuest) || guests[0];
+
+  const unique = (values) => [...new Set(values.filter(Boolean))];
+  const sumRooms = (field) => rooms.reduce((sum, room) => sum + (parseInt(room[field], 10) || 0), 0);
+  const toAmount = (value) => (value == null || isNaN(parseFloat(value)) ? null : parseFloat(value));
+
+  return {
+    roomTypes: unique(rooms.map(room => room.roomTypeName)),
+    roomCount: rooms.length,
+    adults: rooms.length > 0 ? sumRooms('adults') : null,
+    children: rooms.length > 0 ? sumRooms('children') : null,
+    guestCountry: mainGuest?.guestCountry || null,
+    ratePlan: unique(rooms.map(room => room.ratePlanName)).join(', ') || null,
+    amountPaid: toAmount(reservation.balanceDetailed?.paid),
+    balanceDue: toAmount(reservation.balance),
+    paymentMethod: reservation.paymentMethod || reservation.cardsOnFile?.[0]?.cardType || null
+  };
+};
+
 /**
  * Enrich single booking with detailed revenue breakdown
  *
@@ -437,21 +990,32 @@ export const fetchReservationsFromCloudBeds = async (propertyID, startDate, endD
  * - `total`: Grand total with taxes (what guest pays)
  * - `netPrice`: Revenue without taxes (subTotal from balanceDetailed)
  * - `taxes`: Tax amount (taxesFees from balanceDetailed)
+ * - `roomTypes` / `roomCount`: Room (bed) types and number of rooms/beds booked
+ * - `adults` / `children`: Guests across all rooms
+ * - `guestCountry`: Country of the main guest
+ * - `ratePlan`: Rate plan name(s)
+ * - `amountPaid` / `balanceDue`: Paid and outstanding amounts
+ * - `paymentMethod`: Payment method (card type on file)
  *
  * **Rate Limiting:**
  * - CloudBeds allows 10 requests per second
- * - Caller should add ~100ms delays between calls
- * - Function uses TIMEOUT for request timeout (default 30 seconds)
+ * - Calls go through the shared rate limiter - no delays needed in the caller
+ * - Function uses TIMEOUT for request timeout (default 10 seconds)
+ * - 429, timeout, network and 5xx failures are retried with backoff (see cloudbedsRequest)
  *
  * @param {string} propertyID - CloudBeds property ID (e.g., "6733")
  * @param {string} reservationID - Reservation ID to enrich
- * @returns {Promise<{total: number, netPrice: number|null, taxes: number|null}>}
- * @throws {Error} If API call fails or credentials missing
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request (throws CancelledError)
+ * @returns {Promise<{total: number, netPrice: number|null, taxes: number|null, roomTypes: string[], roomCount: number,
+ *   adults: number|null, children: number|null, guestCountry: string|null, ratePlan: string|null,
+ *   amountPaid: number|null, balanceDue: number|null, paymentMethod: string|null}>}
+ * @throws {CloudBedsError} Typed error (e.g., NotFoundError for unknown reservation, AuthenticationError)
  *
  * @example
  * // Enrich a single booking
  * const revenue = await enrichBookingRevenue('6733', '9326721060388');
- * // Returns: { total: 59.1, netPrice: 52.73, taxes: 6.37 }
+ * // Returns: { total: 59.1, netPrice: 52.73, taxes: 6.37, roomTypes: [...], adults: 1, guestCountry: "ES", ... }
  *
  * @example
  * // With error handling
@@ -462,7 +1026,7 @@ export const fetchReservationsFromCloudBeds = async (propertyID, startDate, endD
  *   console.error('Failed to enrich:', error.message);
  * }
  */
-const enrichBookingRevenue = async (propertyID, reservationID) => {
+const enrichBookingRevenue = async (propertyID, reservationID, options = {}) => {
   console.log(`[CloudBeds API] 💰 Enriching booking ${reservationID} for property ${propertyID}...`);
 
   // ============================================================
@@ -471,113 +1035,64 @@ const enrichBookingRevenue = async (propertyID, reservationID) => {
 
   if (!API_KEY) {
     console.error('[CloudBeds API] ❌ API key not configured');
-    throw new Error('CloudBeds API key not found in .env. Please add VITE_CLOUDBEDS_API_KEY.');
+    throw new AuthenticationError('CloudBeds API key not found in .env. Please add VITE_CLOUDBEDS_API_KEY.');
   }
 
   // ============================================================
-  // STEP 2: Build API Request
+  // STEP 2: Request Reservation Details (with retries)
   // ============================================================
 
-  const url = `${BASE_URL}/getReservation?propertyID=${propertyID}&reservationID=${reservationID}`;
-  console.log(`[CloudBeds API] 🔗 GET ${url}`);
-
-  // Setup timeout controller
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), TIMEOUT);
-
-  try {
-    // ============================================================
-    // STEP 3: Make HTTP Request
-    // ============================================================
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${API_KEY}`,
-        'Content-Type': 'application/x-www-form-urlencoded'
-      },
-      signal: controller.signal
-    });
-
-    clearTimeout(timeoutId);
-
-    // ============================================================
-    // STEP 4: Handle HTTP Errors
-    // ============================================================
+  console.log(`[CloudBeds API] 🔗 GET ${BASE_URL}/getReservation?propertyID=${propertyID}&reservationID=${reservationID}`);
 
-    if (!response.ok) {
-      if (response.status === 401) {
-        throw new Error('Invalid API key. Check VITE_CLOUDBEDS_API_KEY in .env');
-      }
-      if (response.status === 404) {
-        throw new Error(`Reservation ${reservationID} not found`);
-      }
-      throw new Error(`API error ${response.status}: ${response.statusText}`);
-    }
-
-    // ============================================================
-    // STEP 5: Parse JSON Response
-    // ============================================================
-
-    const result = await response.json();
+  const result = await cloudbedsRequest('getReservation', { propertyID, reservationID }, {
+    notFoundMessage: `Reservation ${reservationID} not found`,
+    signal: options.signal
+  });
 
-    // DEBUG: Log full API response for debugging
-    console.info(`[CloudBeds API] 🔍 FULL API RESPONSE for reservation ${reservationID}:`, result);
-    console.info(`[CloudBeds API] 🔍 RESERVATION DATA:`, result.data);
+  // DEBUG: Log full API response for debugging
+  console.info(`[CloudBeds API] 🔍 FULL API RESPONSE for reservation ${reservationID}:`, result);
+  console.info(`[CloudBeds API] 🔍 RESERVATION DATA:`, result.data);
 
-    if (!result.success || !result.data) {
-      throw new Error('Invalid API response structure');
-    }
-
-    const reservation = result.data;
-
-    // ============================================================
-    // STEP 6: Extract Revenue Breakdown
-    // ============================================================
+  if (!result.data) {
+    throw new SchemaError('Invalid API response structure (missing reservation data)');
+  }
 
-    // DEBUG: Log balanceDetailed object to see what fields are available
-    console.info(`[CloudBeds API] 🔍 BALANCE DETAILED:`, reservation.balanceDetailed);
+  const reservation = result.data;
 
-    // total: Grand total with taxes (what guest pays)
-    const total = parseFloat(reservation.total) || 0;
+  // ============================================================
+  // STEP 3: Extract Revenue Breakdown
+  // ============================================================
 
-    // netPrice: Revenue without taxes (from balanceDetailed.subTotal)
-    const netPrice = parseFloat(reservation.balanceDetailed?.subTotal) || null;
+  // DEBUG: Log balanceDetailed object to see what fields are available
+  console.info(`[CloudBeds API] 🔍 BALANCE DETAILED:`, reservation.balanceDetailed);
 
-    // taxes: Tax amount (from balanceDetailed.taxesFees)
-    const taxes = parseFloat(reservation.balanceDetailed?.taxesFees) || null;
+  // total: Grand total with taxes (what guest pays)
+  const total = parseFloat(reservation.total) || 0;
 
-    console.info(`[CloudBeds API] 🔍 EXTRACTED VALUES:`, {
-      total: total,
-      netPrice: netPrice,
-      taxes: taxes,
-      rawTotal: reservation.total,
-      rawSubTotal: reservation.balanceDetailed?.subTotal,
-      rawTaxesFees: reservation.balanceDetailed?.taxesFees
-    });
+  // netPrice: Revenue without taxes (from balanceDetailed.subTotal)
+  const netPrice = parseFloat(reservation.balanceDetailed?.subTotal) || null;
 
-    console.log(`[CloudBeds API] ✅ Enriched: €${total} (net: €${netPrice}, taxes: €${taxes})`);
+  // taxes: Tax amount (from balanceDetailed.taxesFees)
+  const taxes = parseFloat(reservation.balanceDetailed?.taxesFees) || null;
 
-    return { total, netPrice, taxes };
+  console.info(`[CloudBeds API] 🔍 EXTRACTED VALUES:`, {
+    total: total,
+    netPrice: netPrice,
+    taxes: taxes,
+    rawTotal: reservation.total,
+    rawSubTotal: reservation.balanceDetailed?.subTotal,
+    rawTaxesFees: reservation.balanceDetailed?.taxesFees
+  });
 
-  } catch (error) {
-    // ============================================================
-    // ERROR HANDLING
-    // ============================================================
+  // ============================================================
+  // STEP 4: Extract Booking Details (rooms, guests, rate plan, payments)
+  // ============================================================
 
-    if (error.name === 'AbortError') {
-      console.error(`[CloudBeds API] ⏱️  Enrichment timeout after ${TIMEOUT}ms`);
-      throw new Error(`Request timeout after ${TIMEOUT}ms`);
-    }
+  const details = extractReservationDetails(reservation);
 
-    if (error instanceof TypeError) {
-      console.error('[CloudBeds API] 🌐 Network error during enrichment');
-      throw new Error('Network error. Check internet connection.');
-    }
+  console.log(`[CloudBeds API] ✅ Enriched: €${total} (net: €${netPrice}, taxes: €${taxes})`, details);
 
-    console.error(`[CloudBeds API] ❌ Enrichment failed:`, error);
-    throw error;
-  }
+  return { total, netPrice, taxes, ...details };
 };
 
 // ============================================================
@@ -0,0 +1,158 @@
+/**
+ * CloudBeds API Error Types
+ *
+ * Typed errors thrown by the CloudBeds client (cloudbedsApi.js) so callers can
+ * react differently per failure instead of parsing error messages:
+ * - Stop a multi-hostel fetch on an auth error (every hostel would fail)
+ * - Skip a single reservation on a not-found error
+ * - Tell the user to wait on a rate-limit error
+ *
+ * Every error extends CloudBedsError and carries:
+ * - `code`: Stable string identifier ('auth', 'not_found', 'rate_limited', 'timeout', 'network', 'server', 'schema', 'too_many_results', 'cancelled')
+ * - `status`: HTTP status code when the error came from a response (otherwise null)
+ * - `retryable`: Whether the request helper retries this error automatically
+ *
+ * @module cloudbedsErrors
+ * @author Artur Mamedov & Claude
+ * @since 2026-10-18
+ */
+
+// ============================================================
+// BASE ERROR
+// ============================================================
+
+/**
+ * Base class for all CloudBeds API errors
+ *
+ * @param {string} message - Human-readable message (shown in alerts and progress rows)
+ * @param {object} [details]
+ * @param {string} [details.code='unknown'] - Stable error identifier
+ * @param {number|null} [details.status=null] - HTTP status code
+ * @param {boolean} [details.retryable=false] - Whether retrying may succeed
+ */
+export class CloudBedsError extends Error {
+  constructor(message, { code = 'unknown', status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'CloudBedsError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+// ============================================================
+// ERROR TYPES
+// ============================================================
+
+// Missing or invalid API key (401/403) - never retried
+export class AuthenticationError extends CloudBedsError {
+  constructor(message, status = null) {
+    super(message, { code: 'auth', status, retryable: false });
+    this.name = 'AuthenticationError';
+  }
+}
+
+// Unknown property or reservation ID (404) - never retried
+export class NotFoundError extends CloudBedsError {
+  constructor(message) {
+    super(message, { code: 'not_found', status: 404, retryable: false });
+    this.name = 'NotFoundError';
+  }
+}
+
+// Too many requests (429) - retried after `retryAfterMs` (from Retry-After header when sent)
+export class RateLimitError extends CloudBedsError {
+  constructor(message, retryAfterMs = null) {
+    super(message, { code: 'rate_limited', status: 429, retryable: true });
+    this.name = 'RateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Request took longer than VITE_CLOUDBEDS_API_TIMEOUT - retried
+export class TimeoutError extends CloudBedsError {
+  constructor(message) {
+    super(message, { code: 'timeout', retryable: true });
+    this.name = 'TimeoutError';
+  }
+}
+
+// No connection, DNS failure, CORS rejection - retried
+export class NetworkError extends CloudBedsError {
+  constructor(message) {
+    super(message, { code: 'network', retryable: true });
+    this.name = 'NetworkError';
+  }
+}
+
+// CloudBeds server error (5xx) - retried
+export class ServerError extends CloudBedsError {
+  constructor(message, status) {
+    super(message, { code: 'server', status, retryable: true });
+    this.name = 'ServerError';
+  }
+}
+
+// Response body missing expected fields (API changed) - never retried
+export class SchemaError extends CloudBedsError {
+  constructor(message) {
+    super(message, { code: 'schema', retryable: false });
+    this.name = 'SchemaError';
+  }
+}
+
+// More reservations than the page limit allows (MAX_PAGES) - never retried, the data would be incomplete
+export class TooManyResultsError extends CloudBedsError {
+  constructor(message, { fetched = null, total = null } = {}) {
+    super(message, { code: 'too_many_results', retryable: false });
+    this.name = 'TooManyResultsError';
+    this.fetched = fetched;
+    this.total = total;
+  }
+}
+
+// Request aborted by the caller (user pressed Cancel) - never retried
+export class CancelledError extends CloudBedsError {
+  constructor(message = 'Request cancelled') {
+    super(message, { code: 'cancelled', retryable: false });
+    this.name = 'CancelledError';
+  }
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Troubleshooting hint for an error, for alerts shown to the user
+ *
+ * @param {Error} error - Any error (non-CloudBeds errors get a generic hint)
+ * @returns {string} One-line hint
+ *
+ * @example
+ * alert(`${error.message}\n\n${getErrorHint(error)}`);
+ */
+export const getErrorHint = (error) => {
+  switch (error?.code) {
+    case 'auth':
+      return 'Check VITE_CLOUDBEDS_API_KEY in your .env file and restart the dev server.';
+    case 'not_found':
+      return 'Check the property IDs in hostelConfig.js.';
+    case 'rate_limited':
+      return 'CloudBeds is rate limiting requests. Wait a minute and try again.';
+    case 'timeout':
+      return 'CloudBeds is responding slowly. Try again or raise VITE_CLOUDBEDS_API_TIMEOUT.';
+    case 'network':
+      return 'Check your internet connection.';
+    case 'server':
+      return 'CloudBeds is having problems. Try again later.';
+    case 'schema':
+      return 'The CloudBeds API response changed. The integration may need updating.';
+    case 'too_many_results':
+      return 'Too many reservations for one request. Fetch a shorter date range.';
+    case 'cancelled':
+      return 'The request was cancelled.';
+    default:
+      return 'Check the console for details.';
+  }
+};
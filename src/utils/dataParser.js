@@ -1,5 +1,6 @@
 import { parseExcelDate, calculateLeadTime } from './dateUtils';
 import { parsePrice } from './formatters';
+import { classifyBooking } from './sourceClassifier';
 import { hostelConfig } from '../config/hostelConfig';
 
 // Detect hostel from data
@@ -40,14 +41,14 @@ export const parsePastedData = (data) => {
                     const status = cells[10]?.textContent?.trim();
                     const source = cells[11]?.textContent?.trim();
 
-                    if (reservation && bookingDate && source?.includes('Sitio web')) {
-                        reservations.push({
+                    if (reservation && bookingDate) {
+                        reservations.push(classifyBooking({
                             reservation, bookingDate, checkin, checkout,
                             nights: parseInt(nights) || 1,
                             price: parsePrice(price),
                             status, source,
                             leadTime: calculateLeadTime(bookingDate, checkin)
-                        });
+                        }));
                     }
                 }
             });
@@ -67,14 +68,14 @@ export const parsePastedData = (data) => {
                     const status = cells[10]?.trim();
                     const source = cells[11]?.trim();
 
-                    if (reservation && bookingDate && source?.includes('Sitio web')) {
-                        reservations.push({
+                    if (reservation && bookingDate) {
+                        reservations.push(classifyBooking({
                             reservation, bookingDate, checkin, checkout,
                             nights: parseInt(nights) || 1,
                             price: parsePrice(price),
                             status, source,
                             leadTime: calculateLeadTime(bookingDate, checkin)
-                        });
+                        }));
                     }
                 }
             });
@@ -86,6 +87,11 @@ export const parsePastedData = (data) => {
     return reservations;
 };
 
+// Index of the first header (case-insensitive, trimmed) found in an Excel header row, or -1
+export const findColumnIndex = (headerRow = [], headers) => headerRow.findIndex(header => (
+    headers.includes((header || '').toString().trim().toLowerCase())
+));
+
 // Sort weekly data chronologically (oldest to newest)
 export const sortWeeklyData = (data) => {
     return [...data].sort((a, b) => a.date - b.date);
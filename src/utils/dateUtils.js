@@ -1,8 +1,31 @@
 // Extensible date period configuration
 export const dateConfig = {
-    type: 'week', // Can be changed to 'month', 'custom', etc.
+    type: 'week', // 'week' | 'month' | 'quarter' | 'year' | 'custom'
     weekStartDay: 1, // Monday = 1, Sunday = 0
-    weekLength: 7 // Days in a week
+    weekLength: 7, // Days in a week
+    customEnd: null // End date for 'custom' periods (start is the selected date)
+};
+
+// Supported period types (used by period selectors and table titles)
+export const periodTypes = [
+    { value: 'week', label: 'Week', adjective: 'Weekly' },
+    { value: 'month', label: 'Month', adjective: 'Monthly' },
+    { value: 'quarter', label: 'Quarter', adjective: 'Quarterly' },
+    { value: 'year', label: 'Year', adjective: 'Yearly' },
+    { value: 'custom', label: 'Custom Range', adjective: 'Custom' }
+];
+
+// Get display info for a period type (falls back to week)
+export const getPeriodTypeInfo = (type) => {
+    return periodTypes.find(p => p.value === type) || periodTypes[0];
+};
+
+// Get display info for the periods in weeklyData (entries without periodType are weeks)
+// Returns a generic "Period" entry when different period types are mixed
+export const getDataPeriodInfo = (weeklyData) => {
+    const types = new Set(weeklyData.map(w => w.periodType || 'week'));
+    if (types.size > 1) return { value: 'mixed', label: 'Period', adjective: 'Period' };
+    return getPeriodTypeInfo([...types][0]);
 };
 
 // Helper function to parse Excel dates
@@ -20,31 +43,64 @@ export const parseExcelDate = (value) => {
     return null;
 };
 
-// Calculate week boundaries from any date (extensible for future periods)
+// Parse any booking date value (API "YYYY-MM-DD[ HH:MM:SS]", Excel serial/"DD/MM/YYYY", or Date)
+// ISO dates are parsed as local dates so they land in the same period as Excel dates
+export const parseBookingDate = (value) => {
+    if (value instanceof Date) return isNaN(value) ? null : value;
+    if (typeof value === 'string') {
+        const isoMatch = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (isoMatch) {
+            return new Date(Number(isoMatch[1]), Number(isoMatch[2]) - 1, Number(isoMatch[3]));
+        }
+    }
+    return parseExcelDate(value);
+};
+
+// Calculate period boundaries (week, month, quarter, year or custom range) from any date
 export const calculatePeriod = (date, config = dateConfig) => {
     const targetDate = new Date(date);
+    let start;
+    let end;
 
     if (config.type === 'week') {
         // Find Monday of the week containing this date
         const dayOfWeek = targetDate.getDay();
         const diff = dayOfWeek === 0 ? -6 : config.weekStartDay - dayOfWeek; // Handle Sunday
 
-        const weekStart = new Date(targetDate);
-        weekStart.setDate(targetDate.getDate() + diff);
-        weekStart.setHours(0, 0, 0, 0);
-
-        const weekEnd = new Date(weekStart);
-        weekEnd.setDate(weekStart.getDate() + config.weekLength - 1);
-        weekEnd.setHours(23, 59, 59, 999);
-
-        return { start: weekStart, end: weekEnd };
+        start = new Date(targetDate);
+        start.setDate(targetDate.getDate() + diff);
+
+        end = new Date(start);
+        end.setDate(start.getDate() + config.weekLength - 1);
+    } else if (config.type === 'month') {
+        start = new Date(targetDate.getFullYear(), targetDate.getMonth(), 1);
+        end = new Date(targetDate.getFullYear(), targetDate.getMonth() + 1, 0); // Day 0 = last day of month
+    } else if (config.type === 'quarter') {
+        const quarterStartMonth = Math.floor(targetDate.getMonth() / 3) * 3;
+        start = new Date(targetDate.getFullYear(), quarterStartMonth, 1);
+        end = new Date(targetDate.getFullYear(), quarterStartMonth + 3, 0);
+    } else if (config.type === 'year') {
+        start = new Date(targetDate.getFullYear(), 0, 1);
+        end = new Date(targetDate.getFullYear(), 11, 31);
+    } else if (config.type === 'custom' && config.customEnd) {
+        // Custom range: selected date is the start, config.customEnd the (inclusive) end
+        const customEnd = new Date(config.customEnd);
+        start = targetDate <= customEnd ? new Date(targetDate) : customEnd;
+        end = targetDate <= customEnd ? customEnd : new Date(targetDate);
+    } else {
+        // Unknown type or custom range without end: single-day period
+        start = new Date(targetDate);
+        end = new Date(targetDate);
     }
 
-    // Future: Add month, custom period calculations here
-    return { start: targetDate, end: targetDate };
+    start.setHours(0, 0, 0, 0);
+    end.setHours(23, 59, 59, 999);
+
+    return { start, end };
 };
 
-// Format period range for display (extensible)
+// Format period range for display
+// week/custom: "5 Jan 2026 - 11 Jan 2026", month: "Jan 2026", quarter: "Q1 2026", year: "2026"
 export const formatPeriodRange = (start, end, config = dateConfig) => {
     const formatDate = (date) => {
         const day = date.getDate();
@@ -53,14 +109,104 @@ export const formatPeriodRange = (start, end, config = dateConfig) => {
         return `${day} ${month} ${year}`;
     };
 
-    if (config.type === 'week') {
+    if (config.type === 'week' || config.type === 'custom') {
         return `${formatDate(start)} - ${formatDate(end)}`;
     }
 
-    // Future: Add other period formats here
+    if (config.type === 'month') {
+        return `${start.toLocaleDateString('en', { month: 'short' })} ${start.getFullYear()}`;
+    }
+
+    if (config.type === 'quarter') {
+        return `Q${Math.floor(start.getMonth() / 3) + 1} ${start.getFullYear()}`;
+    }
+
+    if (config.type === 'year') {
+        return `${start.getFullYear()}`;
+    }
+
     return formatDate(start);
 };
 
+// ISO 8601 week of a date: weeks start on Monday, week 1 holds the year's first Thursday
+// Returns { year, week } (year may differ from the calendar year around New Year)
+export const getISOWeek = (date) => {
+    const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    thursday.setDate(thursday.getDate() + 3 - ((thursday.getDay() + 6) % 7));
+    const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+    firstThursday.setDate(firstThursday.getDate() + 3 - ((firstThursday.getDay() + 6) % 7));
+    const week = 1 + Math.round((thursday - firstThursday) / (7 * 24 * 60 * 60 * 1000));
+    return { year: thursday.getFullYear(), week };
+};
+
+// Monday of an ISO week (week 53 falls back to week 52 in years that have no week 53)
+export const getISOWeekStart = (year, week) => {
+    const jan4 = new Date(year, 0, 4);
+    const week1Monday = new Date(jan4);
+    week1Monday.setDate(jan4.getDate() - ((jan4.getDay() + 6) % 7));
+
+    const start = new Date(week1Monday);
+    start.setDate(week1Monday.getDate() + (week - 1) * 7);
+    if (week === 53 && getISOWeek(start).week !== 53) start.setDate(start.getDate() - 7);
+    return start;
+};
+
+// Start/end of a stored period ({ date, periodType }; null for custom ranges, whose end isn't stored)
+export const getStoredPeriodBounds = (week) => {
+    const periodType = week.periodType || 'week';
+    if (periodType === 'custom') return null;
+    return calculatePeriod(week.date, { ...dateConfig, type: periodType });
+};
+
+// List every period overlapping [startDate, endDate], oldest first
+// Used by backfill fetches. Custom ranges have no natural "next period", so they step by week.
+// Returns [{ start, end, label, periodType }]
+export const listPeriodsBetween = (startDate, endDate, config = dateConfig) => {
+    const stepConfig = config.type === 'custom' ? { ...config, type: 'week' } : config;
+    const last = new Date(endDate);
+    last.setHours(23, 59, 59, 999);
+
+    const periods = [];
+    let period = calculatePeriod(startDate, stepConfig);
+    while (period.start <= last) {
+        periods.push({
+            ...period,
+            label: formatPeriodRange(period.start, period.end, stepConfig),
+            periodType: stepConfig.type
+        });
+
+        const next = new Date(period.end);
+        next.setDate(next.getDate() + 1);
+        period = calculatePeriod(next, stepConfig);
+    }
+
+    return periods;
+};
+
+// List the last `count` periods up to and including the one containing referenceDate, oldest first
+// e.g. count = 12 with weeks: the current week and the 11 weeks before it
+export const getLastPeriods = (count, config = dateConfig, referenceDate = new Date()) => {
+    const stepConfig = config.type === 'custom' ? { ...config, type: 'week' } : config;
+    const current = calculatePeriod(referenceDate, stepConfig);
+
+    let first = current;
+    for (let i = 1; i < count; i++) {
+        const previous = new Date(first.start);
+        previous.setDate(previous.getDate() - 1);
+        first = calculatePeriod(previous, stepConfig);
+    }
+
+    return listPeriodsBetween(first.start, current.end, stepConfig);
+};
+
+// Format Date object as "YYYY-MM-DD" (local time, as used by the CloudBeds API and <input type="date">)
+export const formatDateISO = (date) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
 // Calculate lead time
 export const calculateLeadTime = (bookingDate, checkinDate) => {
     const bookDate = parseExcelDate(bookingDate);
@@ -72,8 +218,8 @@ export const calculateLeadTime = (bookingDate, checkinDate) => {
     return null;
 };
 
-// Auto-detect week from booking dates
-export const detectWeekFromBookings = (bookings) => {
+// Auto-detect period from booking dates
+export const detectWeekFromBookings = (bookings, config = dateConfig) => {
     const bookingDates = bookings
         .map(b => parseExcelDate(b.bookingDate))
         .filter(d => d)
@@ -81,14 +227,19 @@ export const detectWeekFromBookings = (bookings) => {
 
     if (bookingDates.length === 0) return null;
 
-    // Use the earliest booking date to determine the week
-    const period = calculatePeriod(bookingDates[0]);
-    return formatPeriodRange(period.start, period.end);
+    // Use the earliest booking date to determine the period
+    // (custom ranges can't be auto-detected, so they fall back to the containing week)
+    const detectConfig = config.type === 'custom' ? { ...config, type: 'week' } : config;
+    const period = calculatePeriod(bookingDates[0], detectConfig);
+    return formatPeriodRange(period.start, period.end, detectConfig);
 };
 
-// Validate if bookings match selected week
-export const validateWeekMatch = (bookings, expectedWeek) => {
-    const detectedWeek = detectWeekFromBookings(bookings);
+// Validate if bookings match selected period
+export const validateWeekMatch = (bookings, expectedWeek, config = dateConfig) => {
+    // Custom ranges have no canonical label to compare against
+    if (config.type === 'custom') return [];
+
+    const detectedWeek = detectWeekFromBookings(bookings, config);
     const newWarnings = [];
 
     if (detectedWeek && expectedWeek && detectedWeek !== expectedWeek) {
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { dateConfig, calculatePeriod, formatPeriodRange, formatDateISO } from './dateUtils';
+
+const periodOf = (date, type, extra = {}) => {
+    const { start, end } = calculatePeriod(date, { ...dateConfig, type, ...extra });
+    return [formatDateISO(start), formatDateISO(end)];
+};
+
+describe('calculatePeriod', () => {
+    it('finds the Monday-to-Sunday week of a Sunday', () => {
+        expect(periodOf(new Date(2026, 0, 11), 'week')).toEqual(['2026-01-05', '2026-01-11']);
+    });
+
+    it('ends February on the 29th in leap years', () => {
+        expect(periodOf(new Date(2028, 1, 10), 'month')).toEqual(['2028-02-01', '2028-02-29']);
+    });
+
+    it('keeps quarter boundaries on the last day of the quarter', () => {
+        expect(periodOf(new Date(2026, 2, 31), 'quarter')).toEqual(['2026-01-01', '2026-03-31']);
+        expect(periodOf(new Date(2026, 3, 1), 'quarter')).toEqual(['2026-04-01', '2026-06-30']);
+        expect(periodOf(new Date(2026, 11, 31), 'quarter')).toEqual(['2026-10-01', '2026-12-31']);
+    });
+
+    it('keeps year boundaries on 31 December / 1 January', () => {
+        expect(periodOf(new Date(2026, 11, 31), 'year')).toEqual(['2026-01-01', '2026-12-31']);
+        expect(periodOf(new Date(2027, 0, 1), 'year')).toEqual(['2027-01-01', '2027-12-31']);
+    });
+
+    it('orders a custom range whose end lies before the selected date', () => {
+        expect(periodOf(new Date(2026, 4, 20), 'custom', { customEnd: new Date(2026, 4, 10) })).toEqual(['2026-05-10', '2026-05-20']);
+    });
+
+    it('covers whole days', () => {
+        const { start, end } = calculatePeriod(new Date(2026, 3, 15, 14, 30), { ...dateConfig, type: 'month' });
+        expect([start.getHours(), start.getMinutes()]).toEqual([0, 0]);
+        expect([end.getHours(), end.getMinutes(), end.getSeconds()]).toEqual([23, 59, 59]);
+    });
+});
+
+describe('formatPeriodRange', () => {
+    const label = (date, type) => {
+        const config = { ...dateConfig, type };
+        const { start, end } = calculatePeriod(date, config);
+        return formatPeriodRange(start, end, config);
+    };
+
+    it('labels every period type', () => {
+        expect(label(new Date(2026, 0, 7), 'week')).toBe('5 Jan 2026 - 11 Jan 2026');
+        expect(label(new Date(2026, 1, 14), 'month')).toBe('Feb 2026');
+        expect(label(new Date(2026, 10, 14), 'quarter')).toBe('Q4 2026');
+        expect(label(new Date(2026, 10, 14), 'year')).toBe('2026');
+    });
+});
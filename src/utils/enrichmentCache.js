@@ -0,0 +1,183 @@
+/**
+ * Revenue Enrichment Cache
+ *
+ * Keeps the fields returned by enrichBookingRevenue() (revenue plus booking
+ * details, see ENRICHED_FIELDS) per `propertyID + reservationID`, so refetching
+ * a period (single fetch, backfill, sync) restores enriched data instead of
+ * throwing it away. Enrichment then only calls getReservation for reservations
+ * the cache can't answer.
+ *
+ * Freshness policy:
+ * - Entries expire after VITE_CLOUDBEDS_ENRICH_CACHE_DAYS days (default 30, 0 disables the cache)
+ * - An entry only applies while the booking's stay (check-in/check-out) is the one
+ *   it was enriched for; changed stays are enriched again
+ * - An entry is stale once the reservation was modified after it was enriched
+ *   (booking `dateModified` newer than the entry's, or than `cachedAt` for entries
+ *   stored without one), so price, room or tax changes are enriched again
+ * - Entries cached before booking details were captured are enriched again
+ *
+ * The cache lives in memory as a Map (key → entry) and is persisted entry by entry
+ * in IndexedDB (see storage.js). "Clear Enrichment Cache" invalidates everything.
+ *
+ * @module enrichmentCache
+ * @author Artur Mamedov & Claude
+ * @since 2026-10-18
+ */
+
+import { hostelConfig } from '../config/hostelConfig';
+import { calculateHostelMetrics } from './metricsCalculator';
+
+// ============================================================
+// CONFIGURATION
+// ============================================================
+
+const CACHE_TTL_DAYS = parseFloat(import.meta.env.VITE_CLOUDBEDS_ENRICH_CACHE_DAYS ?? 30) || 0; // 0 disables the cache
+const CACHE_TTL_MS = CACHE_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+// Booking fields filled in by enrichBookingRevenue()
+export const ENRICHED_FIELDS = [
+  'total', 'netPrice', 'taxes',
+  'roomTypes', 'roomCount', 'adults', 'children', 'guestCountry', 'ratePlan',
+  'amountPaid', 'balanceDue', 'paymentMethod'
+];
+
+// ============================================================
+// EXPORTED HELPERS
+// ============================================================
+
+/**
+ * Copy the enriched fields of a booking, cache entry or enrichBookingRevenue() result
+ *
+ * @export
+ * @param {object} source - Object holding enriched fields
+ * @returns {object} Only the ENRICHED_FIELDS
+ */
+export const pickEnrichedFields = (source) => Object.fromEntries(
+  ENRICHED_FIELDS.map(field => [field, source[field]])
+);
+
+/**
+ * Build the cache key of a reservation
+ *
+ * @export
+ * @param {string|number} propertyID - CloudBeds property ID
+ * @param {string|number} reservationID - Reservation ID
+ * @returns {string} Key, e.g. "6733:9326721060388"
+ */
+export const getEnrichmentCacheKey = (propertyID, reservationID) => `${propertyID}:${reservationID}`;
+
+/**
+ * Create a cache entry for an enriched booking
+ *
+ * @export
+ * @param {string|number} propertyID - CloudBeds property ID
+ * @param {object} booking - Booking that was enriched (reservation, checkin, checkout, dateModified)
+ * @param {object} enriched - enrichBookingRevenue() result
+ * @returns {object} Entry to store in the cache Map and IndexedDB
+ */
+export const createEnrichmentEntry = (propertyID, booking, enriched) => ({
+  key: getEnrichmentCacheKey(propertyID, booking.reservation),
+  propertyID: String(propertyID),
+  reservationID: String(booking.reservation),
+  checkin: booking.checkin,
+  checkout: booking.checkout,
+  dateModified: booking.dateModified ?? null,
+  ...pickEnrichedFields(enriched),
+  cachedAt: new Date()
+});
+
+// CloudBeds "YYYY-MM-DD HH:MM:SS" as a Date
+const parseModifiedTime = (value) => new Date(String(value).replace(' ', 'T'));
+
+// Whether the reservation changed after the entry was enriched (bookings without dateModified never are)
+const isModifiedSince = (booking, entry) => {
+  if (!booking.dateModified) return false;
+  if (entry.dateModified) return booking.dateModified > entry.dateModified; // Same format: compares as text
+  return parseModifiedTime(booking.dateModified) > new Date(entry.cachedAt);
+};
+
+/**
+ * Look up fresh cached revenue (and booking details) for a booking
+ *
+ * @export
+ * @param {Map<string, object>} cache - Cache Map (key → entry)
+ * @param {string|number} propertyID - CloudBeds property ID
+ * @param {object} booking - Booking to look up
+ * @returns {object|null} Cached ENRICHED_FIELDS, or null if missing/stale
+ */
+export const getCachedRevenue = (cache, propertyID, booking) => {
+  if (!booking.reservation || CACHE_TTL_MS <= 0) return null;
+
+  const entry = cache.get(getEnrichmentCacheKey(propertyID, booking.reservation));
+  if (!entry) return null;
+
+  const isExpired = Date.now() - new Date(entry.cachedAt).getTime() > CACHE_TTL_MS;
+  const isSameStay = entry.checkin === booking.checkin && entry.checkout === booking.checkout;
+  const hasDetails = entry.roomTypes !== undefined; // Cached before details were captured
+  if (isExpired || !isSameStay || !hasDetails || isModifiedSince(booking, entry)) return null;
+
+  return pickEnrichedFields(entry);
+};
+
+/**
+ * Apply cached revenue to freshly fetched bookings of one property
+ *
+ * Bookings that are already enriched, or have no fresh entry, are returned unchanged.
+ *
+ * @export
+ * @param {Array} bookings - Bookings (e.g. from fetchReservationsFromCloudBeds)
+ * @param {string|number} propertyID - CloudBeds property ID
+ * @param {Map<string, object>} cache - Cache Map (key → entry)
+ * @returns {{bookings: Array, hits: number}} Bookings with cached revenue and the number applied
+ *
+ * @example
+ * const { bookings, hits } = applyEnrichmentCache(fetched, '6733', cache);
+ */
+export const applyEnrichmentCache = (bookings, propertyID, cache) => {
+  let hits = 0;
+
+  const applied = bookings.map(booking => {
+    if (booking.total != null) return booking;
+
+    const revenue = getCachedRevenue(cache, propertyID, booking);
+    if (!revenue) return booking;
+
+    hits++;
+    return { ...booking, ...revenue };
+  });
+
+  return { bookings: applied, hits };
+};
+
+/**
+ * Apply cached revenue to every hostel in weeklyData (metrics recalculated where bookings changed)
+ *
+ * @export
+ * @param {Array} weeklyData - Stored periods ({ week, date, periodType, hostels })
+ * @param {Map<string, object>} cache - Cache Map (key → entry)
+ * @returns {{weeklyData: Array, hits: number}} Updated weeklyData (unchanged periods keep their identity)
+ */
+export const applyEnrichmentCacheToWeeks = (weeklyData, cache) => {
+  let totalHits = 0;
+
+  const updated = weeklyData.map(week => {
+    let changed = false;
+    const hostels = { ...week.hostels };
+
+    Object.entries(week.hostels).forEach(([hostelName, hostelData]) => {
+      const propertyID = hostelConfig[hostelName]?.id;
+      if (!propertyID || !hostelData.bookings) return;
+
+      const { bookings, hits } = applyEnrichmentCache(hostelData.bookings, propertyID, cache);
+      if (hits === 0) return;
+
+      totalHits += hits;
+      changed = true;
+      hostels[hostelName] = { ...hostelData, ...calculateHostelMetrics(bookings) };
+    });
+
+    return changed ? { ...week, hostels } : week;
+  });
+
+  return { weeklyData: totalHits > 0 ? updated : weeklyData, hits: totalHits };
+};
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { createEnrichmentEntry, getCachedRevenue } from './enrichmentCache';
+
+// CloudBeds "YYYY-MM-DD HH:MM:SS" of `days` days ago (entries expire, so dates stay recent)
+const daysAgo = (days) => {
+    const date = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:00`;
+};
+
+const booking = {
+    reservation: '1001',
+    checkin: '2026-02-01',
+    checkout: '2026-02-03',
+    price: 100,
+    dateModified: daysAgo(3)
+};
+const enriched = { total: 120, netPrice: 108, taxes: 12, roomTypes: ['Dorm'] };
+
+const cacheWith = (entry) => new Map([[entry.key, entry]]);
+
+describe('getCachedRevenue', () => {
+    it('returns the cached fields while the reservation is unchanged', () => {
+        const cache = cacheWith(createEnrichmentEntry('6733', booking, enriched));
+        expect(getCachedRevenue(cache, '6733', booking)?.total).toBe(120);
+    });
+
+    it('treats the entry as stale once the reservation was modified after enrichment', () => {
+        const cache = cacheWith(createEnrichmentEntry('6733', booking, enriched));
+        const modified = { ...booking, price: 150, dateModified: daysAgo(1) };
+        expect(getCachedRevenue(cache, '6733', modified)).toBeNull();
+    });
+
+    it('compares with cachedAt for entries stored without dateModified', () => {
+        const entry = { ...createEnrichmentEntry('6733', booking, enriched), dateModified: null, cachedAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) };
+        const cache = cacheWith(entry);
+        expect(getCachedRevenue(cache, '6733', booking)?.total).toBe(120);
+        expect(getCachedRevenue(cache, '6733', { ...booking, dateModified: daysAgo(1) })).toBeNull();
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * Revenue Enrichment Job
+ *
+ * Models revenue enrichment as a persisted job queue: one item per booking to
+ * enrich, each with its own status. The job is saved in IndexedDB while it runs
+ * (see storage.js), so a closed tab, a dropped network or a cancel can be resumed
+ * where it stopped instead of starting over.
+ *
+ * Item status:
+ * - 'pending' - not enriched yet (also items interrupted mid-call)
+ * - 'loading' - getReservation call in flight (in memory only, saved as 'pending')
+ * - 'done'    - enriched (from the API or the enrichment cache)
+ * - 'failed'  - API call failed; `error` / `errorCode` say why (retry with retryFailedItems)
+ * - 'skipped' - booking is no longer loaded (period refetched with other bookings, data cleared)
+ *
+ * Job status:
+ * - 'running'  - in progress (a job still 'running' on page load was interrupted and auto-resumes)
+ * - 'paused'   - cancelled or stopped by an error with items still pending
+ * - 'finished' - nothing pending (some items may have failed)
+ *
+ * All helpers are pure and return new job objects.
+ *
+ * @module enrichmentJob
+ * @author Artur Mamedov & Claude
+ * @since 2026-10-18
+ */
+
+// Only one enrichment job exists at a time (stored under this ID)
+export const ENRICHMENT_JOB_ID = 'current';
+
+// Progress list status shown by APIFetchPanel for each job item status
+const PROGRESS_STATUS = {
+  pending: 'pending',
+  loading: 'loading',
+  done: 'success',
+  failed: 'error',
+  skipped: 'skipped'
+};
+
+/**
+ * Build the key of a job item (a reservation can be stored in several periods)
+ *
+ * @export
+ * @param {string} weekRange - Period label (weeklyData `week`)
+ * @param {string} hostelName - Hostel name
+ * @param {string|number} reservationID - Reservation ID
+ * @returns {string} Item key
+ */
+export const getJobItemKey = (weekRange, hostelName, reservationID) => `${weekRange}|${hostelName}|${reservationID}`;
+
+/**
+ * Create a new job for the given bookings
+ *
+ * @export
+ * @param {Array<{weekRange: string, hostelName: string, hostelID: string, reservation: string}>} bookings - Bookings to enrich
+ * @returns {object} Job with every item 'pending'
+ */
+export const createEnrichmentJob = (bookings) => ({
+  id: ENRICHMENT_JOB_ID,
+  status: 'running',
+  createdAt: new Date(),
+  startTime: Date.now(),
+  items: bookings.map(booking => ({
+    key: getJobItemKey(booking.weekRange, booking.hostelName, booking.reservation),
+    weekRange: booking.weekRange,
+    hostelName: booking.hostelName,
+    hostelID: booking.hostelID,
+    reservationID: String(booking.reservation),
+    status: 'pending',
+    error: null,
+    errorCode: null,
+    attempts: 0
+  }))
+});
+
+/**
+ * Update one item of a job
+ *
+ * @export
+ * @param {object} job - Enrichment job
+ * @param {string} key - Item key
+ * @param {object} changes - Fields to set (status, error, total...)
+ * @returns {object} New job
+ */
+export const updateJobItem = (job, key, changes) => ({
+  ...job,
+  items: job.items.map(item => (item.key === key ? { ...item, ...changes } : item))
+});
+
+/**
+ * Count job items per status
+ *
+ * @export
+ * @param {object} job - Enrichment job
+ * @returns {{total: number, pending: number, loading: number, done: number, failed: number, skipped: number}}
+ */
+export const getJobCounts = (job) => {
+  const counts = { total: job.items.length, pending: 0, loading: 0, done: 0, failed: 0, skipped: 0 };
+  job.items.forEach(item => { counts[item.status]++; });
+  return counts;
+};
+
+/**
+ * Put failed items back in the queue ("retry failed only")
+ *
+ * @export
+ * @param {object} job - Enrichment job
+ * @returns {object} New job with failed items 'pending'
+ */
+export const retryFailedItems = (job) => ({
+  ...job,
+  items: job.items.map(item => (item.status === 'failed' ? { ...item, status: 'pending', error: null, errorCode: null } : item))
+});
+
+/**
+ * Prepare a stored job for a new run (calls in flight when the page closed are pending again)
+ *
+ * @export
+ * @param {object} job - Enrichment job as stored
+ * @returns {object} New job without 'loading' items
+ */
+export const resetInterruptedItems = (job) => ({
+  ...job,
+  items: job.items.map(item => (item.status === 'loading' ? { ...item, status: 'pending' } : item))
+});
+
+/**
+ * Build the enrichmentProgress object shown by APIFetchPanel
+ *
+ * @export
+ * @param {object|null} job - Enrichment job
+ * @returns {object|null} { mode, status, current, total, startTime, counts, hostels: [...] }
+ */
+export const getJobProgress = (job) => {
+  if (!job) return null;
+
+  const counts = getJobCounts(job);
+
+  return {
+    mode: 'enrichment',
+    status: job.status,
+    current: counts.done + counts.failed + counts.skipped,
+    total: counts.total,
+    startTime: job.startTime,
+    counts,
+    hostels: job.items.map(item => ({
+      name: item.hostelName,
+      reservationID: item.reservationID,
+      status: PROGRESS_STATUS[item.status],
+      error: item.error,
+      errorCode: item.errorCode,
+      fromCache: item.fromCache,
+      total: item.total,
+      netPrice: item.netPrice,
+      taxes: item.taxes
+    }))
+  };
+};
@@ -4,12 +4,22 @@
 // Date utilities
 export {
     dateConfig,
+    periodTypes,
+    getPeriodTypeInfo,
+    getDataPeriodInfo,
     parseExcelDate,
     calculatePeriod,
     formatPeriodRange,
+    listPeriodsBetween,
+    getLastPeriods,
+    getStoredPeriodBounds,
+    formatDateISO,
+    parseBookingDate,
     calculateLeadTime,
     detectWeekFromBookings,
-    validateWeekMatch
+    validateWeekMatch,
+    getISOWeek,
+    getISOWeekStart
 } from './dateUtils';
 
 // Formatter utilities
@@ -23,18 +33,229 @@ export {
 export {
     calculateMetricChange,
     calculateHostelMetrics,
-    calculateProgressiveMetricChanges
+    groupBookingMetrics,
+    calculateChannelMetrics,
+    calculateRoomTypeMetrics,
+    calculateRoomCategoryMetrics,
+    calculateCountryMetrics,
+    calculateStayMetrics,
+    calculateProgressiveMetricChanges,
+    summarizePeriodsForAnalysis
 } from './metricsCalculator';
 
+// Booking source classification
+export {
+    classifySource,
+    classifyBooking,
+    getBookingChannel,
+    isDirectBooking,
+    channelOrder
+} from './sourceClassifier';
+
+// Room type classification (dorm vs private)
+export {
+    classifyRoomType,
+    parseRoomTypes,
+    findRoomTypeColumn,
+    getBookingRoomType,
+    roomCategoryOrder
+} from './roomTypeClassifier';
+
+// Source markets (guest nationality)
+export {
+    UNKNOWN_MARKET,
+    normalizeCountry,
+    getBookingMarket,
+    getMarketName,
+    findCountryColumn,
+    getTopMarkets,
+    formatMarketSummary
+} from './sourceMarkets';
+
+// Lead time distribution (booking window)
+export {
+    calculatePercentile,
+    getBookingWindowBucket,
+    calculateLeadTimeMetrics,
+    combineLeadTimeMetrics,
+    getLeadTimeDistribution
+} from './leadTime';
+
+// Length of stay distribution
+export {
+    getStayLength,
+    getLengthOfStayTier,
+    calculateLengthOfStayMetrics,
+    lengthOfStayTierOrder
+} from './lengthOfStay';
+
+// Cancellation analytics
+export {
+    isCancelledBooking,
+    findCancellationDateColumn,
+    getCancellationLeadTime,
+    calculateCancellationMetrics,
+    combineCancellationMetrics,
+    breakdownOrder
+} from './cancellations';
+
 // Data parsing utilities
 export {
     detectHostelFromData,
     parsePastedData,
+    findColumnIndex,
     sortWeeklyData
 } from './dataParser';
 
+// Period aggregation (re-bucketing raw bookings)
+export {
+    bucketDateFields,
+    rebucketWeeklyData,
+    splitBookingByPeriod,
+    collectBookingsByHostel,
+    explodeBookingNights,
+    buildStayDateData
+} from './periodAggregator';
+
+// Capacity metrics (occupancy, RevPAR, RevPAB)
+export {
+    getHostelInventory,
+    calculateCapacityMetrics,
+    combineCapacityMetrics,
+    getCapacityBoundPrefix,
+    CAPACITY_COVERAGE_NOTE,
+    formatOccupancy,
+    addCapacityMetrics
+} from './capacity';
+
 // CloudBeds API utilities
 export {
     fetchReservationsFromCloudBeds,
+    fetchModifiedReservations,
+    fetchReservationsByStayDates,
+    fetchPropertyInventory,
     enrichBookingRevenue
 } from './cloudbedsApi';
+
+// CloudBeds API error types
+export {
+    CloudBedsError,
+    AuthenticationError,
+    NotFoundError,
+    RateLimitError,
+    TimeoutError,
+    NetworkError,
+    ServerError,
+    SchemaError,
+    TooManyResultsError,
+    CancelledError,
+    getErrorHint
+} from './cloudbedsErrors';
+
+// Incremental sync (apply modified reservations to stored periods)
+export {
+    applyReservationUpdates,
+    getEarliestLoadedDate
+} from './reservationSync';
+
+// Bounded-concurrency task runner
+export { runWithConcurrency } from './taskPool';
+
+// Local persistence utilities (IndexedDB)
+export {
+    saveWeeklyData,
+    loadWeeklyData,
+    saveComparisonWeeks,
+    loadComparisonWeeks,
+    saveLastSynced,
+    loadLastSynced,
+    saveInventory,
+    loadInventory,
+    saveTargets,
+    loadTargets,
+    savePaceSnapshot,
+    loadPaceSnapshots,
+    saveEnrichmentEntries,
+    loadEnrichmentCache,
+    clearEnrichmentCache,
+    saveEnrichmentJob,
+    loadEnrichmentJob,
+    clearEnrichmentJob,
+    clearStoredData
+} from './storage';
+
+// Revenue enrichment cache (reuse enriched revenue across refetches)
+export {
+    ENRICHED_FIELDS,
+    pickEnrichedFields,
+    createEnrichmentEntry,
+    applyEnrichmentCache,
+    applyEnrichmentCacheToWeeks
+} from './enrichmentCache';
+
+// Resumable revenue enrichment jobs
+export {
+    ENRICHMENT_JOB_ID,
+    createEnrichmentJob,
+    updateJobItem,
+    getJobCounts,
+    retryFailedItems,
+    resetInterruptedItems,
+    getJobProgress
+} from './enrichmentJob';
+
+// Period comparison (week-over-week, year-over-year, 4-period average)
+export {
+    comparisonModes,
+    getComparisonModeInfo,
+    getLastYearPeriod,
+    getBaselinePeriods,
+    calculateComparisonChange,
+    getMissingLastYearPeriods,
+    calculateHostelComparisonChange,
+    calculateTotalComparisonChange
+} from './periodComparison';
+
+// Budget / target tracking (attainment, variance, pacing)
+export {
+    getTargetMetricInfo,
+    getTargetKey,
+    getTargetPeriodStart,
+    setTargetValue,
+    mergeTargets,
+    getPeriodTarget,
+    calculateTargetAttainment,
+    getHostelTargetAttainment,
+    getTotalTargetAttainment,
+    hasPeriodTargets,
+    getAttainmentColor,
+    parseTargetSheet
+} from './targets';
+
+// On-the-books pace (future stay months, pickup curves)
+export {
+    getStayMonthKey,
+    isOnTheBooksAt,
+    calculateOnTheBooks,
+    listStayMonths,
+    getSnapshotStayRange,
+    createPaceSnapshot,
+    buildPaceReport,
+    buildPickupCurve,
+    getSnapshotCutoff
+} from './pace';
+
+// Anomaly detection (rolling median / MAD or mean / std dev baselines)
+export {
+    getAnomalyMethodInfo,
+    getAnomalyMetricInfo,
+    getAnomalySeverityInfo,
+    getAnomalySeverity,
+    calculateBaseline,
+    detectAnomalies,
+    getAnomaly,
+    getPeriodAnomalies,
+    formatAnomalyValue,
+    getAnomalyCellClass,
+    isCompletePeriod
+} from './anomalies';
@@ -0,0 +1,102 @@
+import { bookingWindowBuckets, leadTimePercentiles } from '../config/leadTimeConfig';
+
+/**
+ * Lead Time Distribution (booking window)
+ *
+ * Median, percentiles and bucketed distribution of lead times (days between
+ * booking and arrival), which unlike the mean are not skewed by a few
+ * far-future bookings. Covers the same bookings as `avgLeadTime` (valid direct
+ * bookings with a known lead time); per-hostel metrics live in
+ * calculateHostelMetrics().leadTime.
+ */
+
+// Percentile (0-100) of ascending values with linear interpolation, rounded to whole days; null when empty
+export const calculatePercentile = (sortedValues, percentile) => {
+    if (sortedValues.length === 0) return null;
+
+    const position = (sortedValues.length - 1) * (percentile / 100);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    const value = sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+    return Math.round(value);
+};
+
+// Booking window bucket of a lead time in days
+export const getBookingWindowBucket = (leadTime) => (
+    bookingWindowBuckets.find(bucket => bucket.max == null || leadTime <= bucket.max)
+);
+
+// Lead time metrics from ascending lead time values
+const summarizeLeadTimes = (values) => {
+    const buckets = Object.fromEntries(bookingWindowBuckets.map(bucket => [bucket.id, { name: bucket.name, count: 0, share: 0 }]));
+    values.forEach(leadTime => {
+        buckets[getBookingWindowBucket(leadTime).id].count++;
+    });
+    Object.values(buckets).forEach(bucket => {
+        bucket.share = values.length > 0 ? Math.round((bucket.count / values.length) * 1000) / 10 : 0;
+    });
+
+    return {
+        count: values.length,
+        mean: values.length > 0 ? Math.round(values.reduce((sum, days) => sum + days, 0) / values.length) : null,
+        median: calculatePercentile(values, 50),
+        percentiles: Object.fromEntries(leadTimePercentiles.map(p => [`p${p}`, calculatePercentile(values, p)])),
+        buckets,
+        values
+    };
+};
+
+/**
+ * Calculate lead time metrics of bookings
+ *
+ * @param {Array} bookings - Bookings (pass the valid direct ones, like avgLeadTime); null lead times are skipped
+ * @returns {{ count: number, mean: number|null, median: number|null, percentiles: object, buckets: object, values: number[] }}
+ *   `percentiles` holds { p25, p75, p90 } (see leadTimePercentiles), `buckets` { bucketId: { name, count, share (%) } },
+ *   `values` the ascending lead times (kept so periods and hostels can be combined)
+ */
+export const calculateLeadTimeMetrics = (bookings) => summarizeLeadTimes(
+    bookings
+        .map(b => b.leadTime)
+        .filter(leadTime => leadTime != null && !isNaN(leadTime))
+        .sort((a, b) => a - b)
+);
+
+// Combine the lead time metrics of several hostels (percentiles are recomputed from the values)
+export const combineLeadTimeMetrics = (metricsList) => summarizeLeadTimes(
+    metricsList
+        .filter(Boolean)
+        .flatMap(metrics => metrics.values || [])
+        .sort((a, b) => a - b)
+);
+
+/**
+ * Lead time distribution of the given periods, for the histogram chart
+ *
+ * @param {Array} weeklyData - Periods ({ week, hostels: { [name]: { leadTime } } })
+ * @param {object} [options]
+ * @param {string} [options.hostel] - Only this hostel (default: all hostels combined)
+ * @returns {{ chartData: Array, periods: Array<{ week: string, metrics: object }>, hasData: boolean }}
+ *   `chartData` has one entry per bucket: { bucket, [week]: share % of the period's bookings }
+ */
+export const getLeadTimeDistribution = (weeklyData, { hostel } = {}) => {
+    const periods = weeklyData.map(week => ({
+        week: week.week,
+        metrics: hostel
+            ? combineLeadTimeMetrics([week.hostels[hostel]?.leadTime])
+            : combineLeadTimeMetrics(Object.values(week.hostels).map(h => h.leadTime))
+    }));
+
+    const chartData = bookingWindowBuckets.map(bucket => {
+        const point = { bucket: bucket.name };
+        periods.forEach(({ week, metrics }) => {
+            point[week] = metrics.buckets[bucket.id].share;
+        });
+        return point;
+    });
+
+    return {
+        chartData,
+        periods,
+        hasData: periods.some(({ metrics }) => metrics.count > 0)
+    };
+};
@@ -0,0 +1,47 @@
+import { lengthOfStayTiers } from '../config/lengthOfStayConfig';
+
+/**
+ * Length of Stay (LOS) distribution
+ *
+ * Bookings are grouped into the tiers of lengthOfStayConfig.js. Per-hostel
+ * metrics live in calculateHostelMetrics().lengthOfStay (valid direct bookings,
+ * like the Nest Pass / Monthly counts).
+ */
+
+// Nights of the whole stay (prorated slices from grouping by stay night keep the original length)
+export const getStayLength = (booking) => booking.fullStayNights || booking.nights || 1;
+
+// LOS tier of a number of nights
+export const getLengthOfStayTier = (nights) => (
+    lengthOfStayTiers.find(tier => tier.max == null || nights <= tier.max)
+);
+
+/**
+ * Calculate per-tier length of stay metrics
+ *
+ * @param {Array} bookings - Bookings to group (pass the valid direct ones)
+ * @returns {object} { tierId: { name, count, nights, revenue, adr, share, revenueShare } } for every tier;
+ *   `share` / `revenueShare` are % of the bookings / revenue (one decimal)
+ */
+export const calculateLengthOfStayMetrics = (bookings) => {
+    const tiers = Object.fromEntries(lengthOfStayTiers.map(tier => [tier.id, { name: tier.name, count: 0, nights: 0, revenue: 0, adr: 0, share: 0, revenueShare: 0 }]));
+
+    bookings.forEach(b => {
+        const metrics = tiers[getLengthOfStayTier(getStayLength(b)).id];
+        metrics.count++;
+        metrics.nights += b.nights || 1;
+        metrics.revenue += b.total || b.price || 0;
+    });
+
+    const totalRevenue = Object.values(tiers).reduce((sum, t) => sum + t.revenue, 0);
+    Object.values(tiers).forEach(metrics => {
+        metrics.adr = metrics.nights > 0 ? metrics.revenue / metrics.nights : 0;
+        metrics.share = bookings.length > 0 ? Math.round((metrics.count / bookings.length) * 1000) / 10 : 0;
+        metrics.revenueShare = totalRevenue > 0 ? Math.round((metrics.revenue / totalRevenue) * 1000) / 10 : 0;
+    });
+
+    return tiers;
+};
+
+// Tiers in display order (id, name, color)
+export const lengthOfStayTierOrder = lengthOfStayTiers.map(({ id, name, color }) => ({ id, name, color }));
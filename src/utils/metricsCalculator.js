@@ -1,3 +1,11 @@
+import { isDirectBooking, getBookingChannel } from './sourceClassifier';
+import { getBookingRoomType } from './roomTypeClassifier';
+import { getBookingMarket } from './sourceMarkets';
+import { calculateCancellationMetrics } from './cancellations';
+import { calculateLeadTimeMetrics } from './leadTime';
+import { getStayLength, calculateLengthOfStayMetrics } from './lengthOfStay';
+import { nestPassMinNights, monthlyMinNights } from '../config/lengthOfStayConfig';
+
 // Utility: Calculate metric change (DRY)
 export const calculateMetricChange = (current, previous) => {
     if (previous === 0 || previous === undefined) {
@@ -8,14 +16,104 @@ export const calculateMetricChange = (current, previous) => {
     return { change, percentage, isNew: false };
 };
 
+/**
+ * Group bookings and sum count / cancelled / valid / revenue / nights / ADR per group
+ *
+ * Shared by the channel, room type and source market breakdowns, so they count
+ * cancellations and revenue (total when enriched, price otherwise) the same way.
+ *
+ * @param {Array} bookings - Bookings to group
+ * @param {Function} keyOf - Group key of a booking
+ * @param {Function} [describe] - Descriptive fields of a new group (name, category...), from its first booking
+ * @returns {Object<string, object>} { key: { ...describe(booking), count, cancelled, valid, revenue, nights, adr } }
+ */
+export const groupBookingMetrics = (bookings, keyOf, describe = () => ({})) => {
+    const groups = {};
+
+    bookings.forEach(b => {
+        const key = keyOf(b);
+        if (!groups[key]) {
+            groups[key] = { ...describe(b), count: 0, cancelled: 0, valid: 0, revenue: 0, nights: 0, adr: 0 };
+        }
+        const metrics = groups[key];
+        metrics.count++;
+
+        if (b.status?.toLowerCase().includes('cancel')) {
+            metrics.cancelled++;
+        } else {
+            metrics.valid++;
+            metrics.revenue += b.total || b.price || 0;
+            metrics.nights += b.nights || 1;
+        }
+    });
+
+    Object.values(groups).forEach(metrics => {
+        metrics.adr = metrics.nights > 0 ? metrics.revenue / metrics.nights : 0;
+    });
+
+    return groups;
+};
+
+// Calculate per-channel metrics over all bookings (direct and non-direct)
+// Returns { channelId: { name, category, isDirect, count, cancelled, valid, revenue, nights, adr } }
+export const calculateChannelMetrics = (bookings) => groupBookingMetrics(
+    bookings,
+    b => getBookingChannel(b).channel,
+    b => {
+        const { channelName, sourceCategory, isDirect } = getBookingChannel(b);
+        return { name: channelName, category: sourceCategory, isDirect };
+    }
+);
+
+// Calculate per-room-type metrics (pass the same bookings as the hostel metrics, i.e. direct ones)
+// Returns { roomTypeKey: { name, category, categoryName, count, cancelled, valid, revenue, nights, adr } }
+export const calculateRoomTypeMetrics = (bookings) => groupBookingMetrics(
+    bookings,
+    b => getBookingRoomType(b).key,
+    b => {
+        const { name, category, categoryName } = getBookingRoomType(b);
+        return { name, category, categoryName };
+    }
+);
+
+// Sum room type metrics per category (dorm / private / other)
+// Returns { categoryId: { name, count, cancelled, valid, revenue, nights, adr } }
+export const calculateRoomCategoryMetrics = (roomTypes = {}) => {
+    const categories = {};
+
+    Object.values(roomTypes).forEach(roomType => {
+        if (!categories[roomType.category]) {
+            categories[roomType.category] = { name: roomType.categoryName, count: 0, cancelled: 0, valid: 0, revenue: 0, nights: 0, adr: 0 };
+        }
+        const metrics = categories[roomType.category];
+        metrics.count += roomType.count;
+        metrics.cancelled += roomType.cancelled;
+        metrics.valid += roomType.valid;
+        metrics.revenue += roomType.revenue;
+        metrics.nights += roomType.nights;
+    });
+
+    Object.values(categories).forEach(metrics => {
+        metrics.adr = metrics.nights > 0 ? metrics.revenue / metrics.nights : 0;
+    });
+
+    return categories;
+};
+
+// Calculate per-country (source market) metrics over all bookings (direct and non-direct)
+// Returns { market: { count, cancelled, valid, revenue, nights, adr } } (market = country code/name or 'unknown')
+export const calculateCountryMetrics = (bookings) => groupBookingMetrics(bookings, getBookingMarket);
+
 // Calculate hostel metrics (DRY helper)
+// Metrics cover direct bookings only; non-direct bookings are kept in `bookings` for channel analysis
 export const calculateHostelMetrics = (bookings) => {
-    const cancelled = bookings.filter(b => b.status?.toLowerCase().includes('cancel'));
-    const valid = bookings.filter(b => !b.status?.toLowerCase().includes('cancel'));
+    const direct = bookings.filter(isDirectBooking);
+    const cancelled = direct.filter(b => b.status?.toLowerCase().includes('cancel'));
+    const valid = direct.filter(b => !b.status?.toLowerCase().includes('cancel'));
 
-    // Calculate Nest Pass (7+ nights) and Monthly (28+ nights)
-    const nestPass = valid.filter(b => (b.nights || 0) >= 7);
-    const monthly = nestPass.filter(b => (b.nights || 0) >= 28);
+    // Calculate Nest Pass and Monthly long stays (thresholds in lengthOfStayConfig.js)
+    const nestPass = valid.filter(b => getStayLength(b) >= nestPassMinNights);
+    const monthly = nestPass.filter(b => getStayLength(b) >= monthlyMinNights);
 
     // Calculate total revenue
     // Use b.total if enriched (includes taxes), otherwise fallback to b.price
@@ -33,8 +131,16 @@ export const calculateHostelMetrics = (bookings) => {
     const netRevenue = enrichedBookings.reduce((sum, b) => sum + (b.netPrice || 0), 0);
     const totalTaxes = enrichedBookings.reduce((sum, b) => sum + (b.taxes || 0), 0);
 
+    // Channel mix: direct share of non-cancelled reservations and revenue across all channels
+    const channels = calculateChannelMetrics(bookings);
+    const allChannelsValid = Object.values(channels).reduce((sum, c) => sum + c.valid, 0);
+    const allChannelsRevenue = Object.values(channels).reduce((sum, c) => sum + c.revenue, 0);
+
+    // Room type mix (dorm vs private) of the direct bookings counted above
+    const roomTypes = calculateRoomTypeMetrics(direct);
+
     return {
-        count: bookings.length,
+        count: direct.length,
         cancelled: cancelled.length,
         valid: valid.length,
         revenue: totalRevenue,
@@ -42,12 +148,40 @@ export const calculateHostelMetrics = (bookings) => {
         nestPass: nestPass.length,  // NEW
         monthly: monthly.length,     // NEW
         avgLeadTime: Math.round(avgLeadTime),
+        leadTime: calculateLeadTimeMetrics(valid),  // Median, percentiles and booking window buckets
+        lengthOfStay: calculateLengthOfStayMetrics(valid),  // Per-tier LOS distribution
         netRevenue: netRevenue,      // NEW: Enriched data
         totalTaxes: totalTaxes,      // NEW: Enriched data
+        channels: channels,
+        allChannelsValid: allChannelsValid,
+        allChannelsRevenue: allChannelsRevenue,
+        directShare: allChannelsValid > 0 ? Math.round((valid.length / allChannelsValid) * 100) : 0,
+        directRevenueShare: allChannelsRevenue > 0 ? Math.round((totalRevenue / allChannelsRevenue) * 100) : 0,
+        roomTypes: roomTypes,
+        roomCategories: calculateRoomCategoryMetrics(roomTypes),
+        countries: calculateCountryMetrics(bookings),  // Source markets (all channels)
+        cancellations: calculateCancellationMetrics(bookings),  // Cancellation analytics (all channels)
         bookings: bookings
     };
 };
 
+// Calculate stay-date metrics from exploded stay nights (see explodeBookingNights)
+// Each night = one room-night sold; revenue is the booking total spread evenly over its nights
+export const calculateStayMetrics = (stayNights) => {
+    const revenue = stayNights.reduce((sum, n) => sum + n.revenue, 0);
+    const enrichedNights = stayNights.filter(n => n.netRevenue != null && n.taxes != null);
+
+    return {
+        roomNights: stayNights.length,
+        revenue: revenue,
+        adr: stayNights.length > 0 ? revenue / stayNights.length : 0,
+        netRevenue: enrichedNights.reduce((sum, n) => sum + n.netRevenue, 0),
+        totalTaxes: enrichedNights.reduce((sum, n) => sum + n.taxes, 0),
+        reservations: new Set(stayNights.map(n => n.reservationKey)).size,
+        arrivals: stayNights.filter(n => n.isArrival).length
+    };
+};
+
 // Calculate progressive week-over-week changes
 export const calculateProgressiveMetricChanges = (weeklyData, weekIndex, hostel, metricKey) => {
     if (weekIndex === 0) return { change: 0, percentage: 0, isNew: true };
@@ -57,3 +191,29 @@ export const calculateProgressiveMetricChanges = (weeklyData, weekIndex, hostel,
 
     return calculateMetricChange(currentValue, previousValue);
 };
+
+// Round a currency amount to cents (null stays null)
+const roundAmount = (amount) => (amount == null ? null : Math.round(amount * 100) / 100);
+
+// Aggregate-only copy of the periods for the AI analysis prompt
+// Drops raw bookings (guest and payment details), lead time value arrays and country /
+// room type breakdowns, so the prompt stays small and carries no guest data
+export const summarizePeriodsForAnalysis = (weeklyData) => weeklyData.map(week => ({
+    period: week.week,
+    periodType: week.periodType || 'week',
+    hostels: Object.fromEntries(Object.entries(week.hostels).map(([hostel, h]) => [hostel, {
+        directBookings: h.count,
+        cancelled: h.cancelled,
+        valid: h.valid,
+        revenue: roundAmount(h.revenue),
+        adr: roundAmount(h.adr),
+        nestPass: h.nestPass,
+        monthly: h.monthly,
+        leadTimeMedian: h.leadTime?.median ?? null,
+        directShare: h.directShare,
+        directRevenueShare: h.directRevenueShare,
+        cancellationRate: h.cancellations?.rate ?? null,
+        occupancy: h.capacity?.occupancy ?? null,
+        channels: Object.fromEntries(Object.entries(h.channels || {}).map(([id, c]) => [c.name || id, { valid: c.valid, revenue: roundAmount(c.revenue) }]))
+    }]))
+}));
@@ -0,0 +1,322 @@
+import { paceMonthsAhead, pickupCurveDays, pickupCurveStep } from '../config/paceConfig';
+import { dateConfig, calculatePeriod, formatPeriodRange, formatDateISO, parseBookingDate } from './dateUtils';
+import { collectBookingsByHostel, splitBookingByPeriod } from './periodAggregator';
+import { isCancelledBooking } from './cancellations';
+
+/**
+ * On-the-Books Pace
+ *
+ * Forward-looking view of the loaded reservations (all channels, de-duplicated):
+ * for each future stay month, the room-nights, revenue and bookings on the books
+ * at a given date, split by check-in / check-out like the stay-date analysis.
+ *
+ * A booking is on the books at the end of a day when it was booked on or before
+ * that day and either is not cancelled or was cancelled after it. Past
+ * on-the-books figures are reconstructed from booking and cancellation dates
+ * (cancellations without a date drop out entirely). Daily snapshots record what
+ * was actually on the books; they are only taken from a full forward fetch by
+ * stay date (every hostel, see fetchReservationsByStayDates), never from the
+ * loaded booking periods, and store the stay range they cover.
+ *
+ * Each comparison (pickup, vs last year) uses one source for both sides:
+ * snapshots when both days have one covering the stay month, reconstruction
+ * otherwise - a snapshot minus a reconstruction would report coverage gaps as pickup.
+ *
+ * Comparisons per stay month, at the same days before arrival:
+ * - last week: the same month as of 7 days earlier (pickup)
+ * - last year: the same month one year earlier
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const monthConfig = { ...dateConfig, type: 'month' };
+
+// Key of a stay month ("YYYY-MM")
+export const getStayMonthKey = (date) => formatDateISO(date).slice(0, 7);
+
+// Start of the day of a date
+const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+// Date `days` days before another (whole days)
+const addDays = (date, days) => {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+};
+
+// Whether a booking was on the books at the end of a day
+export const isOnTheBooksAt = (booking, asOf) => {
+    const bookedOn = parseBookingDate(booking.bookingDate);
+    if (!bookedOn || bookedOn > asOf) return false;
+    if (!isCancelledBooking(booking)) return true;
+
+    const cancelledOn = parseBookingDate(booking.cancellationDate);
+    return Boolean(cancelledOn && cancelledOn > asOf);
+};
+
+// Empty on-the-books figures
+const emptyOnTheBooks = () => ({ roomNights: 0, revenue: 0, bookings: 0 });
+
+// Add one on-the-books figure to another (in place)
+const addOnTheBooks = (target, source) => {
+    target.roomNights += source?.roomNights || 0;
+    target.revenue += source?.revenue || 0;
+    target.bookings += source?.bookings || 0;
+    return target;
+};
+
+/**
+ * Split bookings into stay-month slices once, so many days can be queried cheaply
+ *
+ * @private
+ * @param {Array} bookings - Bookings of one hostel
+ * @returns {Array<{monthKey, roomNights, revenue, bookedOn, cancelledOn}>} One slice per booking and stay month
+ *   (cancelledOn is the booking day for cancellations without a date: never on the books)
+ */
+const buildStaySlices = (bookings) => bookings.flatMap(booking => {
+    const bookedOn = parseBookingDate(booking.bookingDate);
+    if (!bookedOn) return [];
+    const cancelledOn = isCancelledBooking(booking) ? parseBookingDate(booking.cancellationDate) || bookedOn : null;
+
+    return splitBookingByPeriod(booking, monthConfig).map(({ period, booking: slice }) => ({
+        monthKey: getStayMonthKey(period.start),
+        roomNights: slice.nights,
+        revenue: slice.total || slice.price || 0,
+        bookedOn,
+        cancelledOn
+    }));
+});
+
+// On-the-books figures per stay month of pre-split slices as of a day
+const sumStaySlices = (slices, asOf, monthKeys) => {
+    const day = startOfDay(asOf);
+    const months = {};
+
+    slices.forEach(slice => {
+        if (monthKeys && !monthKeys.includes(slice.monthKey)) return;
+        if (slice.bookedOn > day || (slice.cancelledOn && slice.cancelledOn <= day)) return;
+
+        if (!months[slice.monthKey]) months[slice.monthKey] = emptyOnTheBooks();
+        addOnTheBooks(months[slice.monthKey], { roomNights: slice.roomNights, revenue: slice.revenue, bookings: 1 });
+    });
+
+    return months;
+};
+
+/**
+ * On-the-books figures per stay month of a list of bookings as of a date
+ *
+ * @param {Array} bookings - Bookings of one hostel
+ * @param {Date} asOf - Day the figures are taken at (end of day)
+ * @param {Array<string>} [monthKeys] - Only these stay months ("YYYY-MM"; all when omitted)
+ * @returns {Object<string, {roomNights: number, revenue: number, bookings: number}>} Keyed by stay month
+ */
+export const calculateOnTheBooks = (bookings, asOf, monthKeys) => sumStaySlices(buildStaySlices(bookings), asOf, monthKeys);
+
+// Stay-month slices of every loaded booking per hostel (see buildStaySlices)
+const buildSlicesByHostel = (weeklyData) => Object.fromEntries(Object.entries(collectBookingsByHostel(weeklyData)).map(([hostel, bookings]) => (
+    [hostel, buildStaySlices(bookings)]
+)));
+
+// Stay months from the one containing `asOf` (oldest first): [{ key, start, end, label }]
+export const listStayMonths = (asOf, count = paceMonthsAhead) => {
+    const months = [];
+    let period = calculatePeriod(asOf, monthConfig);
+    for (let i = 0; i < count; i++) {
+        months.push({ key: getStayMonthKey(period.start), start: period.start, end: period.end, label: formatPeriodRange(period.start, period.end, monthConfig) });
+        period = calculatePeriod(addDays(period.end, 1), monthConfig);
+    }
+    return months;
+};
+
+// Stay range of a snapshot ("YYYY-MM-DD" first and last night): the stay months of the pace report and the pickup horizon
+export const getSnapshotStayRange = (asOf = new Date()) => {
+    const months = listStayMonths(asOf, paceMonthsAhead + 6);
+    return { startDate: formatDateISO(months[0].start), endDate: formatDateISO(months[months.length - 1].end) };
+};
+
+/**
+ * Snapshot of today's on-the-books figures (stored once per day)
+ *
+ * Must be built from a full forward fetch by stay date of every hostel
+ * (fetchReservationsByStayDates over getSnapshotStayRange()), so that it holds
+ * everything on the books for the covered stay months.
+ *
+ * @param {Object<string, Array>} bookingsByHostel - Bookings staying in the range, per hostel
+ * @param {{startDate: string, endDate: string}} coverage - Stay range that was fetched
+ * @param {Date} [asOf=new Date()] - Snapshot day
+ * @returns {{ date: string, takenAt: Date, coverage: object, hostels: Object<string, Object<string, object>> }} Stay months per hostel
+ */
+export const createPaceSnapshot = (bookingsByHostel, coverage, asOf = new Date()) => ({
+    date: formatDateISO(asOf),
+    takenAt: new Date(),
+    coverage: { ...coverage, hostels: Object.keys(bookingsByHostel) },
+    hostels: Object.fromEntries(Object.entries(bookingsByHostel).map(([hostel, bookings]) => (
+        [hostel, calculateOnTheBooks(bookings, asOf)]
+    )))
+});
+
+// Whether a snapshot holds a stay month of a hostel (or of every hostel when `hostel` is empty)
+const snapshotCovers = (snapshot, month, hostel) => {
+    const { coverage } = snapshot;
+    if (formatDateISO(month.start) < coverage.startDate || formatDateISO(month.end) > coverage.endDate) return false;
+    return !hostel || coverage.hostels.includes(hostel);
+};
+
+// Covering snapshot of a stay month taken on a day, null when there is none
+const findSnapshot = (snapshots, month, asOf, hostel) => (
+    snapshots.find(s => s.date === formatDateISO(asOf) && snapshotCovers(s, month, hostel)) || null
+);
+
+// On-the-books of a stay month in a snapshot (one hostel, or all when `hostel` is empty)
+const getSnapshotMonth = (snapshot, monthKey, hostel) => {
+    const hostels = hostel ? [snapshot.hostels[hostel]] : Object.values(snapshot.hostels);
+    return { ...hostels.reduce((total, months) => addOnTheBooks(total, months?.[monthKey]), emptyOnTheBooks()), source: 'snapshot' };
+};
+
+// On-the-books of a stay month as of a day, reconstructed from the loaded bookings
+const reconstructOnTheBooks = (slicesByHostel, monthKey, asOf, hostel) => {
+    const hostels = hostel ? [hostel] : Object.keys(slicesByHostel);
+    const total = hostels.reduce((sum, name) => (
+        addOnTheBooks(sum, sumStaySlices(slicesByHostel[name] || [], asOf, [monthKey])[monthKey])
+    ), emptyOnTheBooks());
+    return { ...total, source: 'reconstructed' };
+};
+
+/**
+ * On-the-books of two (stay month, day) points from the same source
+ *
+ * Snapshots when both days have a covering one (and, for all hostels, the same
+ * hostels), reconstruction for both otherwise.
+ *
+ * @private
+ * @returns {[object, object]} Figures of both points, each with `source`
+ */
+const getComparableOnTheBooks = (slicesByHostel, snapshots, [monthA, dayA], [monthB, dayB], hostel) => {
+    const snapshotA = findSnapshot(snapshots, monthA, dayA, hostel);
+    const snapshotB = findSnapshot(snapshots, monthB, dayB, hostel);
+    const sameHostels = hostel || (snapshotA && snapshotB && [...snapshotA.coverage.hostels].sort().join() === [...snapshotB.coverage.hostels].sort().join());
+
+    if (snapshotA && snapshotB && sameHostels) {
+        return [getSnapshotMonth(snapshotA, monthA.key, hostel), getSnapshotMonth(snapshotB, monthB.key, hostel)];
+    }
+    return [
+        reconstructOnTheBooks(slicesByHostel, monthA.key, dayA, hostel),
+        reconstructOnTheBooks(slicesByHostel, monthB.key, dayB, hostel)
+    ];
+};
+
+// Whether any loaded booking stays in a month (reconstructed figures of other months would be a false 0)
+const hasStayDataFor = (slicesByHostel, month, hostel) => {
+    const hostels = hostel ? [hostel] : Object.keys(slicesByHostel);
+    return hostels.some(name => (slicesByHostel[name] || []).some(slice => slice.monthKey === month.key));
+};
+
+// Same stay month one year earlier
+const getLastYearMonth = (month) => {
+    const period = calculatePeriod(new Date(month.start.getFullYear() - 1, month.start.getMonth(), 1), monthConfig);
+    return { key: getStayMonthKey(period.start), start: period.start, end: period.end, label: formatPeriodRange(period.start, period.end, monthConfig) };
+};
+
+/**
+ * Pace report: on-the-books per future stay month vs last week and last year
+ *
+ * @param {Array} weeklyData - Loaded periods (include last year's periods for the YoY column)
+ * @param {object} [options]
+ * @param {string} [options.hostel] - Hostel name (all hostels combined when omitted)
+ * @param {Array} [options.snapshots=[]] - Stored daily snapshots (see createPaceSnapshot)
+ * @param {Date} [options.asOf=new Date()] - Report day
+ * @param {number} [options.months=paceMonthsAhead] - Stay months to report
+ * @returns {Array<object>} One row per stay month:
+ *   { month, daysBeforeArrival, current, lastWeek, lastYear, pickup, vsLastYear }
+ *   (current / lastWeek share a `source`, so does vsLastYear with lastYear;
+ *   lastYear / vsLastYear null when no booking or snapshot of last year's month is available)
+ */
+export const buildPaceReport = (weeklyData, { hostel, snapshots = [], asOf = new Date(), months = paceMonthsAhead } = {}) => {
+    const slicesByHostel = buildSlicesByHostel(weeklyData);
+    const today = startOfDay(asOf);
+    const lastWeekDay = addDays(today, -7);
+
+    return listStayMonths(today, months).map(month => {
+        const daysBeforeArrival = Math.round((month.start - today) / DAY_MS);
+        const [current, lastWeek] = getComparableOnTheBooks(slicesByHostel, snapshots, [month, today], [month, lastWeekDay], hostel);
+
+        // Compared with its own "today" figures, which may come from another source than `current`
+        const lastYearMonth = getLastYearMonth(month);
+        const lastYearDay = addDays(lastYearMonth.start, -daysBeforeArrival);
+        const [yearCurrent, yearAgo] = getComparableOnTheBooks(slicesByHostel, snapshots, [month, today], [lastYearMonth, lastYearDay], hostel);
+        const lastYear = yearAgo.source === 'snapshot' || hasStayDataFor(slicesByHostel, lastYearMonth, hostel)
+            ? { ...yearAgo, month: lastYearMonth }
+            : null;
+
+        return {
+            month,
+            daysBeforeArrival,
+            current,
+            lastWeek,
+            lastYear,
+            pickup: {
+                roomNights: current.roomNights - lastWeek.roomNights,
+                revenue: current.revenue - lastWeek.revenue,
+                source: current.source
+            },
+            vsLastYear: lastYear
+                ? { roomNights: yearCurrent.roomNights - lastYear.roomNights, revenue: yearCurrent.revenue - lastYear.revenue, source: lastYear.source }
+                : null
+        };
+    });
+};
+
+/**
+ * Pickup curve of a stay month: on-the-books room-nights / revenue by days before arrival
+ *
+ * Reconstructed from booking / cancellation dates, for this year's month and the
+ * same month last year, so both can be plotted on one days-before-arrival axis.
+ *
+ * @param {Array} weeklyData - Loaded periods
+ * @param {string} monthKey - Stay month ("YYYY-MM")
+ * @param {object} [options]
+ * @param {string} [options.hostel] - Hostel name (all hostels combined when omitted)
+ * @param {Date} [options.asOf=new Date()] - Today (later points of this year's curve are left empty)
+ * @returns {{ chartData: Array<{daysBefore, thisYear, lastYear, thisYearRevenue, lastYearRevenue}>, hasLastYear: boolean }}
+ */
+export const buildPickupCurve = (weeklyData, monthKey, { hostel, asOf = new Date() } = {}) => {
+    const slicesByHostel = buildSlicesByHostel(weeklyData);
+    const hostels = hostel ? [hostel] : Object.keys(slicesByHostel);
+
+    const [year, monthIndex] = monthKey.split('-').map(Number);
+    const start = new Date(year, monthIndex - 1, 1);
+    const lastYearMonth = getLastYearMonth({ start });
+    const today = startOfDay(asOf);
+
+    // Only slices of either month (each curve point re-checks every slice)
+    const slices = hostels.flatMap(name => slicesByHostel[name] || []).filter(slice => (
+        slice.monthKey === monthKey || slice.monthKey === lastYearMonth.key
+    ));
+    const hasLastYear = slices.some(slice => slice.monthKey === lastYearMonth.key);
+
+    const chartData = [];
+    for (let daysBefore = pickupCurveDays; daysBefore >= 0; daysBefore -= pickupCurveStep) {
+        const thisYearDay = addDays(start, -daysBefore);
+        const thisYear = thisYearDay <= today ? sumStaySlices(slices, thisYearDay, [monthKey])[monthKey] || emptyOnTheBooks() : null;
+        const lastYear = hasLastYear
+            ? sumStaySlices(slices, addDays(lastYearMonth.start, -daysBefore), [lastYearMonth.key])[lastYearMonth.key] || emptyOnTheBooks()
+            : null;
+
+        chartData.push({
+            daysBefore,
+            thisYear: thisYear ? thisYear.roomNights : null,
+            lastYear: lastYear ? lastYear.roomNights : null,
+            thisYearRevenue: thisYear ? Math.round(thisYear.revenue) : null,
+            lastYearRevenue: lastYear ? Math.round(lastYear.revenue) : null
+        });
+    }
+
+    return { chartData, hasLastYear };
+};
+
+// Cutoff date ("YYYY-MM-DD") of snapshots to keep
+export const getSnapshotCutoff = (retentionDays, asOf = new Date()) => formatDateISO(addDays(startOfDay(asOf), -retentionDays));
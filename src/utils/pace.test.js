@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { buildPaceReport, createPaceSnapshot, getSnapshotStayRange } from './pace';
+
+const today = new Date(2026, 9, 18);
+const lastWeekDay = new Date(2026, 9, 11);
+
+// Two nights in November 2026, booked before last week
+const booking = { reservation: '1001', bookingDate: '2026-09-01', checkin: '2026-11-10', checkout: '2026-11-12', price: 100, status: 'confirmed' };
+// Booked before last week too, but in a period that is not loaded
+const unloadedBooking = { reservation: '1002', bookingDate: '2026-08-15', checkin: '2026-11-20', checkout: '2026-11-23', price: 150, status: 'confirmed' };
+
+const weeklyData = [{ week: 'Sep 2026', date: new Date(2026, 8, 1), periodType: 'month', hostels: { Flamingo: { bookings: [booking] } } }];
+
+const snapshotOf = (bookings, asOf) => createPaceSnapshot({ Flamingo: bookings }, getSnapshotStayRange(asOf), asOf);
+const novemberRow = (rows) => rows.find(row => row.month.key === '2026-11');
+
+describe('buildPaceReport', () => {
+    it('does not compare a snapshot with reconstructed figures', () => {
+        const snapshots = [snapshotOf([booking, unloadedBooking], today)];
+        const row = novemberRow(buildPaceReport(weeklyData, { snapshots, asOf: today }));
+
+        // No snapshot last week: both sides rebuilt, the unloaded booking is not reported as pickup
+        expect(row.current.source).toBe('reconstructed');
+        expect(row.pickup).toEqual({ roomNights: 0, revenue: 0, source: 'reconstructed' });
+    });
+
+    it('uses snapshots when both days have one covering the stay month', () => {
+        const snapshots = [snapshotOf([booking], lastWeekDay), snapshotOf([booking, unloadedBooking], today)];
+        const row = novemberRow(buildPaceReport(weeklyData, { snapshots, asOf: today }));
+
+        expect(row.current.roomNights).toBe(5);
+        expect(row.pickup).toEqual({ roomNights: 3, revenue: 150, source: 'snapshot' });
+    });
+});
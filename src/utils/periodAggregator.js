@@ -0,0 +1,260 @@
+import { calculatePeriod, formatPeriodRange, parseBookingDate, dateConfig } from './dateUtils';
+import { calculateHostelMetrics, calculateStayMetrics } from './metricsCalculator';
+import { isDirectBooking } from './sourceClassifier';
+
+/**
+ * Period Aggregation Engine
+ *
+ * Regroups all loaded raw bookings (the `bookings` array kept on every hostel's
+ * metrics) into weeks, months, quarters or years and recomputes
+ * calculateHostelMetrics() per bucket. Lets the dashboard switch granularity
+ * instantly without refetching from CloudBeds.
+ *
+ * Output has the same shape as weeklyData ({ week, date, periodType, hostels }),
+ * so every dashboard view can render it unchanged.
+ *
+ * Also builds stay-date data: bookings exploded night by night and summed per
+ * stay period (room-nights sold and revenue for nights falling in the period).
+ */
+
+// Date fields bookings can be bucketed by
+export const bucketDateFields = [
+    { value: 'bookingDate', label: 'Booking Date' },
+    { value: 'checkin', label: 'Check-in Date' },
+    { value: 'stayNight', label: 'Stay Night' }
+];
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Check-in date of a booking (Excel uploads store it as arrivalDate)
+export const getCheckinDate = (booking) => parseBookingDate(booking.checkin ?? booking.arrivalDate);
+
+// Check-out date of a booking (derived from check-in + nights when missing)
+export const getCheckoutDate = (booking) => {
+    const checkout = parseBookingDate(booking.checkout);
+    if (checkout) return checkout;
+
+    const checkin = getCheckinDate(booking);
+    if (!checkin) return null;
+
+    const derived = new Date(checkin);
+    derived.setDate(derived.getDate() + (booking.nights || 1));
+    return derived;
+};
+
+// Scale revenue fields of a booking by a share (0-1) of its nights
+const prorateBooking = (booking, nightsInPeriod, share) => ({
+    ...booking,
+    nights: nightsInPeriod,
+    fullStayNights: booking.fullStayNights ?? booking.nights,  // Length of the whole stay (cancellation analytics)
+    price: (booking.price || 0) * share,
+    total: booking.total != null ? booking.total * share : booking.total,
+    netPrice: booking.netPrice != null ? booking.netPrice * share : booking.netPrice,
+    taxes: booking.taxes != null ? booking.taxes * share : booking.taxes,
+    amountPaid: booking.amountPaid != null ? booking.amountPaid * share : booking.amountPaid,
+    balanceDue: booking.balanceDue != null ? booking.balanceDue * share : booking.balanceDue
+});
+
+/**
+ * Split a booking into one prorated slice per period its stay nights fall in
+ *
+ * Each night from check-in (inclusive) to check-out (exclusive) is assigned to
+ * its period; revenue is split by share of nights. A 5-night stay crossing a
+ * month end with 2 nights in January returns a January slice with
+ * nights: 2 and 2/5 of the revenue, and a February slice with the rest.
+ *
+ * @param {object} booking - Booking in internal format
+ * @param {object} config - Period configuration (see dateConfig)
+ * @returns {Array<{period: {start: Date, end: Date}, booking: object}>} Slices (empty if dates are unknown)
+ */
+export const splitBookingByPeriod = (booking, config = dateConfig) => {
+    const checkin = getCheckinDate(booking);
+    const checkout = getCheckoutDate(booking);
+    if (!checkin || !checkout) return [];
+
+    const totalNights = Math.max(1, Math.round((checkout - checkin) / DAY_MS));
+    const slices = [];
+    let sliceStart = new Date(checkin);
+
+    while (sliceStart < checkout) {
+        const period = calculatePeriod(sliceStart, config);
+        const sliceEnd = period.end < checkout ? new Date(period.end.getTime() + 1) : checkout;
+        const nightsInPeriod = Math.max(1, Math.round((sliceEnd - sliceStart) / DAY_MS));
+
+        slices.push({
+            period,
+            booking: prorateBooking(booking, nightsInPeriod, nightsInPeriod / totalNights)
+        });
+
+        sliceStart = new Date(period.end.getTime() + 1);
+        sliceStart.setHours(0, 0, 0, 0);
+    }
+
+    return slices;
+};
+
+/**
+ * Collect every loaded booking per hostel, de-duplicated by reservation ID
+ *
+ * The same reservation can be loaded twice (e.g. a week and the month containing
+ * it); the most recently loaded copy (latest in weeklyData order) wins.
+ * Bookings without a reservation ID (Excel uploads) are always kept.
+ *
+ * @param {Array} weeklyData - Loaded periods
+ * @returns {Object<string, Array>} Bookings keyed by hostel name
+ */
+export const collectBookingsByHostel = (weeklyData) => {
+    const byHostel = {};
+
+    weeklyData.forEach(week => {
+        Object.entries(week.hostels).forEach(([hostelName, hostelData]) => {
+            if (!byHostel[hostelName]) byHostel[hostelName] = { byID: new Map(), anonymous: [] };
+            (hostelData.bookings || []).forEach(booking => {
+                if (booking.reservation) {
+                    byHostel[hostelName].byID.set(booking.reservation, booking);
+                } else {
+                    byHostel[hostelName].anonymous.push(booking);
+                }
+            });
+        });
+    });
+
+    return Object.fromEntries(Object.entries(byHostel).map(([hostelName, { byID, anonymous }]) => (
+        [hostelName, [...byID.values(), ...anonymous]]
+    )));
+};
+
+/**
+ * Regroup all loaded bookings into periods of the given granularity
+ *
+ * @param {Array} weeklyData - Loaded periods ({ week, date, hostels: { name: metrics } })
+ * @param {object} options
+ * @param {string} options.granularity - 'week' | 'month' | 'quarter' | 'year'
+ * @param {string} options.dateField - 'bookingDate' | 'checkin' | 'stayNight'
+ * @returns {Array} weeklyData-shaped array, sorted chronologically
+ *
+ * @example
+ * const monthly = rebucketWeeklyData(weeklyData, { granularity: 'month', dateField: 'checkin' });
+ * // [{ week: 'Jan 2026', date: Date, periodType: 'month', hostels: { Flamingo: {...metrics} } }, ...]
+ */
+export const rebucketWeeklyData = (weeklyData, { granularity = 'week', dateField = 'bookingDate' } = {}) => {
+    const config = { ...dateConfig, type: granularity };
+    const buckets = new Map(); // label → { week, date, periodType, bookingsByHostel }
+
+    const addToBucket = (period, hostelName, booking) => {
+        const label = formatPeriodRange(period.start, period.end, config);
+        if (!buckets.has(label)) {
+            buckets.set(label, { week: label, date: period.start, periodType: granularity, bookingsByHostel: {} });
+        }
+        const bucket = buckets.get(label);
+        if (!bucket.bookingsByHostel[hostelName]) bucket.bookingsByHostel[hostelName] = [];
+        bucket.bookingsByHostel[hostelName].push(booking);
+    };
+
+    Object.entries(collectBookingsByHostel(weeklyData)).forEach(([hostelName, bookings]) => {
+        bookings.forEach(booking => {
+            if (dateField === 'stayNight') {
+                splitBookingByPeriod(booking, config).forEach(slice => {
+                    addToBucket(slice.period, hostelName, slice.booking);
+                });
+                return;
+            }
+
+            const date = dateField === 'checkin'
+                ? getCheckinDate(booking)
+                : parseBookingDate(booking.bookingDate);
+            if (!date) return; // Skip bookings without a usable date
+
+            addToBucket(calculatePeriod(date, config), hostelName, booking);
+        });
+    });
+
+    return [...buckets.values()]
+        .map(({ bookingsByHostel, ...bucket }) => ({
+            ...bucket,
+            hostels: Object.fromEntries(Object.entries(bookingsByHostel).map(([hostelName, bookings]) => (
+                [hostelName, calculateHostelMetrics(bookings)]
+            )))
+        }))
+        .sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Explode a booking into one entry per stay night
+ *
+ * Nights run from check-in (inclusive) to check-out (exclusive). Revenue per
+ * night is `total / nights` (falls back to `price` for non-enriched bookings).
+ * Cancelled bookings produce no nights: nothing was sold for those dates.
+ *
+ * @param {object} booking - Booking in internal format
+ * @returns {Array<{date: Date, revenue: number, netRevenue: number|null, taxes: number|null, reservationKey: string, isArrival: boolean}>}
+ *
+ * @example
+ * explodeBookingNights({ checkin: '2026-01-10', checkout: '2026-01-12', nights: 2, total: 60, ... })
+ * // [{ date: 10 Jan, revenue: 30, isArrival: true, ... }, { date: 11 Jan, revenue: 30, isArrival: false, ... }]
+ */
+export const explodeBookingNights = (booking) => {
+    if (booking.status?.toLowerCase().includes('cancel')) return [];
+
+    const checkin = getCheckinDate(booking);
+    const checkout = getCheckoutDate(booking);
+    if (!checkin || !checkout) return [];
+
+    const nights = Math.max(1, Math.round((checkout - checkin) / DAY_MS));
+    const reservationKey = booking.reservation || `${booking.bookingDate}-${checkin.getTime()}-${booking.price}`;
+    const stayNights = [];
+
+    for (let i = 0; i < nights; i++) {
+        const date = new Date(checkin);
+        date.setDate(checkin.getDate() + i);
+
+        stayNights.push({
+            date,
+            revenue: (booking.total || booking.price || 0) / nights,
+            netRevenue: booking.netPrice != null ? booking.netPrice / nights : null,
+            taxes: booking.taxes != null ? booking.taxes / nights : null,
+            reservationKey,
+            isArrival: i === 0
+        });
+    }
+
+    return stayNights;
+};
+
+/**
+ * Build stay-date data: room-nights and revenue per stay period per hostel
+ *
+ * Answers "what did we sell for nights falling in period X", regardless of
+ * when the bookings were made. Uses all loaded direct bookings (de-duplicated),
+ * matching the booking-date metrics.
+ *
+ * @param {Array} weeklyData - Loaded periods
+ * @param {string} granularity - 'week' | 'month' | 'quarter' | 'year'
+ * @returns {Array} [{ week, date, periodType, hostels: { name: stayMetrics } }], sorted chronologically
+ */
+export const buildStayDateData = (weeklyData, granularity = 'week') => {
+    const config = { ...dateConfig, type: granularity };
+    const buckets = new Map(); // label → { week, date, periodType, nightsByHostel }
+
+    Object.entries(collectBookingsByHostel(weeklyData)).forEach(([hostelName, bookings]) => {
+        bookings.filter(isDirectBooking).flatMap(explodeBookingNights).forEach(night => {
+            const period = calculatePeriod(night.date, config);
+            const label = formatPeriodRange(period.start, period.end, config);
+            if (!buckets.has(label)) {
+                buckets.set(label, { week: label, date: period.start, periodType: granularity, nightsByHostel: {} });
+            }
+            const bucket = buckets.get(label);
+            if (!bucket.nightsByHostel[hostelName]) bucket.nightsByHostel[hostelName] = [];
+            bucket.nightsByHostel[hostelName].push(night);
+        });
+    });
+
+    return [...buckets.values()]
+        .map(({ nightsByHostel, ...bucket }) => ({
+            ...bucket,
+            hostels: Object.fromEntries(Object.entries(nightsByHostel).map(([hostelName, nights]) => (
+                [hostelName, calculateStayMetrics(nights)]
+            )))
+        }))
+        .sort((a, b) => a.date - b.date);
+};
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { dateConfig } from './dateUtils';
+import { splitBookingByPeriod, rebucketWeeklyData } from './periodAggregator';
+
+// 5 nights from 30 January: 2 in January, 3 in February
+const booking = {
+    reservation: '1001',
+    bookingDate: '2026-01-10',
+    checkin: '2026-01-30',
+    checkout: '2026-02-04',
+    nights: 5,
+    price: 250,
+    total: 500,
+    status: 'confirmed',
+    source: 'Website'
+};
+
+describe('splitBookingByPeriod', () => {
+    it('splits nights and revenue at a month boundary', () => {
+        const slices = splitBookingByPeriod(booking, { ...dateConfig, type: 'month' });
+
+        expect(slices.map(slice => slice.booking.nights)).toEqual([2, 3]);
+        expect(slices.map(slice => slice.booking.total)).toEqual([200, 300]);
+        expect(slices.map(slice => slice.booking.price)).toEqual([100, 150]);
+    });
+
+    it('splits a stay crossing a quarter and year boundary', () => {
+        const newYear = { ...booking, checkin: '2026-12-30', checkout: '2027-01-02', nights: 3, total: 300 };
+        const slices = splitBookingByPeriod(newYear, { ...dateConfig, type: 'quarter' });
+
+        expect(slices.map(slice => slice.period.start.getFullYear())).toEqual([2026, 2027]);
+        expect(slices.map(slice => slice.booking.nights)).toEqual([2, 1]);
+        expect(slices.map(slice => slice.booking.total)).toEqual([200, 100]);
+    });
+
+    it('keeps a stay inside one period whole', () => {
+        const slices = splitBookingByPeriod(booking, { ...dateConfig, type: 'year' });
+        expect(slices).toHaveLength(1);
+        expect(slices[0].booking.total).toBe(500);
+    });
+});
+
+describe('rebucketWeeklyData', () => {
+    // The same reservation loaded twice (a week and the month containing it)
+    const weeklyData = [
+        { week: '5 Jan 2026 - 11 Jan 2026', date: new Date(2026, 0, 5), hostels: { Flamingo: { bookings: [booking] } } },
+        { week: 'Jan 2026', date: new Date(2026, 0, 1), periodType: 'month', hostels: { Flamingo: { bookings: [booking] } } }
+    ];
+
+    it('counts a reservation loaded twice once', () => {
+        const monthly = rebucketWeeklyData(weeklyData, { granularity: 'month', dateField: 'bookingDate' });
+
+        expect(monthly.map(period => period.week)).toEqual(['Jan 2026']);
+        expect(monthly[0].hostels.Flamingo.count).toBe(1);
+    });
+
+    it('splits revenue by stay night across periods', () => {
+        const monthly = rebucketWeeklyData(weeklyData, { granularity: 'month', dateField: 'stayNight' });
+
+        expect(monthly.map(period => period.week)).toEqual(['Jan 2026', 'Feb 2026']);
+        expect(monthly.map(period => period.hostels.Flamingo.revenue)).toEqual([200, 300]);
+    });
+});
@@ -0,0 +1,137 @@
+import { dateConfig, calculatePeriod, formatPeriodRange, formatDateISO, getStoredPeriodBounds, getISOWeek, getISOWeekStart } from './dateUtils';
+import { calculateMetricChange } from './metricsCalculator';
+
+/**
+ * Period Comparison Engine
+ *
+ * Changes shown by MetricChange can compare a period with:
+ * - the previous period in the list (WoW / MoM, the original behaviour)
+ * - the same period one year earlier: same ISO week for weeks, same month /
+ *   quarter / year otherwise (seasonality in the Canaries makes this the fair one)
+ * - the average of up to 4 preceding periods
+ *
+ * Last-year periods are looked up in a `reference` list (the shown periods plus
+ * any periods fetched only for comparison); getMissingLastYearPeriods() lists
+ * the ones to fetch. Custom ranges have no same-period-last-year.
+ */
+
+// Comparison modes (`shortLabel` is shown next to deltas)
+export const comparisonModes = [
+    { id: 'wow', label: 'vs Previous', shortLabel: 'vs prev', description: 'Change vs the previous period' },
+    { id: 'yoy', label: 'vs Last Year', shortLabel: 'YoY', description: 'Change vs the same ISO week / month / quarter / year one year earlier' },
+    { id: 'avg4', label: 'vs 4-Period Avg', shortLabel: 'vs 4-avg', description: 'Change vs the average of the 4 preceding periods' }
+];
+
+// Number of preceding periods averaged by the 'avg4' mode
+const AVERAGE_PERIODS = 4;
+
+// Display info of a comparison mode (falls back to 'wow')
+export const getComparisonModeInfo = (mode) => comparisonModes.find(m => m.id === mode) || comparisonModes[0];
+
+/**
+ * Bounds of the same period one year earlier
+ *
+ * @param {object} period - Period ({ date, periodType })
+ * @returns {{ start: Date, end: Date, label: string, periodType: string }|null} null for custom ranges
+ */
+export const getLastYearPeriod = (period) => {
+    const bounds = getStoredPeriodBounds(period);
+    if (!bounds) return null;
+
+    const periodType = period.periodType || 'week';
+    const config = { ...dateConfig, type: periodType };
+
+    let start;
+    if (periodType === 'week') {
+        const { year, week } = getISOWeek(bounds.start);
+        start = getISOWeekStart(year - 1, week);
+    } else {
+        start = new Date(bounds.start.getFullYear() - 1, bounds.start.getMonth(), 1);
+    }
+
+    const lastYear = calculatePeriod(start, config);
+    return { ...lastYear, label: formatPeriodRange(lastYear.start, lastYear.end, config), periodType };
+};
+
+// Period of `reference` starting on `start` with the given type, or null
+const findPeriodStarting = (reference, start, periodType) => {
+    const key = formatDateISO(start);
+    return reference.find(p => (p.periodType || 'week') === periodType && formatDateISO(getStoredPeriodBounds(p)?.start || p.date) === key) || null;
+};
+
+/**
+ * Periods a period is compared with
+ *
+ * @param {Array} periods - Shown periods, oldest first
+ * @param {number} index - Index of the period in `periods`
+ * @param {string} mode - 'wow' | 'yoy' | 'avg4'
+ * @param {Array} [reference=periods] - Periods searched for last year's period ('yoy')
+ * @returns {Array} Baseline periods (empty when there is nothing to compare with)
+ */
+export const getBaselinePeriods = (periods, index, mode, reference = periods) => {
+    if (mode === 'yoy') {
+        const lastYear = getLastYearPeriod(periods[index]);
+        const match = lastYear && findPeriodStarting(reference, lastYear.start, lastYear.periodType);
+        return match ? [match] : [];
+    }
+    if (mode === 'avg4') return periods.slice(Math.max(0, index - AVERAGE_PERIODS), index);
+    return index > 0 ? [periods[index - 1]] : [];
+};
+
+/**
+ * Change of a metric vs the baseline of the comparison mode
+ *
+ * Same result shape as calculateMetricChange, plus `mode`; `isNew` is set when
+ * there is no baseline (first period, last year not loaded, ...). The 'avg4'
+ * baseline is the mean of the preceding periods' values.
+ *
+ * @param {Array} periods - Shown periods, oldest first
+ * @param {number} index - Index of the period in `periods`
+ * @param {Function} getValue - Metric of a period (e.g. period => period.hostels[h]?.count)
+ * @param {object} [comparison] - { mode = 'wow', reference = periods }
+ * @returns {{ change: number, percentage: number, isNew: boolean, mode: string }}
+ */
+export const calculateComparisonChange = (periods, index, getValue, { mode = 'wow', reference } = {}) => {
+    const baseline = getBaselinePeriods(periods, index, mode, reference || periods);
+    if (baseline.length === 0) return { change: 0, percentage: 0, isNew: true, mode };
+
+    const current = getValue(periods[index]) || 0;
+    const previous = baseline.reduce((sum, period) => sum + (getValue(period) || 0), 0) / baseline.length;
+    const changes = calculateMetricChange(current, previous);
+
+    return { ...changes, change: Math.round(changes.change * 100) / 100, mode };
+};
+
+/**
+ * Last-year periods needed for 'yoy' that are not in the reference list
+ *
+ * @param {Array} periods - Shown periods
+ * @param {Array} reference - Periods already available for comparison
+ * @returns {Array<{ start: Date, end: Date, label: string, periodType: string }>} Periods to fetch (deduplicated)
+ */
+export const getMissingLastYearPeriods = (periods, reference) => {
+    const missing = new Map();
+    periods.forEach(period => {
+        const lastYear = getLastYearPeriod(period);
+        if (lastYear && !findPeriodStarting(reference, lastYear.start, lastYear.periodType)) {
+            missing.set(lastYear.label, lastYear);
+        }
+    });
+    return [...missing.values()];
+};
+
+// Change of a hostel metric (e.g. 'count', 'revenue') vs the comparison baseline
+// Comparison-aware version of calculateProgressiveMetricChanges
+export const calculateHostelComparisonChange = (periods, index, hostel, metricKey, comparison) => (
+    calculateComparisonChange(periods, index, period => period.hostels[hostel]?.[metricKey], comparison)
+);
+
+// Change of a metric summed over all hostels vs the comparison baseline
+export const calculateTotalComparisonChange = (periods, index, metricKey, comparison) => (
+    calculateComparisonChange(
+        periods,
+        index,
+        period => Object.values(period.hostels).reduce((sum, h) => sum + (h[metricKey] || 0), 0),
+        comparison
+    )
+);
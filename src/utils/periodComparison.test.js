@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { formatDateISO } from './dateUtils';
+import { getLastYearPeriod, getMissingLastYearPeriods, calculateComparisonChange } from './periodComparison';
+
+const week = (y, m, d, count = 0) => ({ week: `${y}-${m + 1}-${d}`, date: new Date(y, m, d), periodType: 'week', hostels: { Flamingo: { count } } });
+const lastYearStart = (period) => formatDateISO(getLastYearPeriod(period).start);
+
+describe('getLastYearPeriod', () => {
+    it('maps a week to the same ISO week of the previous ISO year', () => {
+        // 2027-W01 starts on 4 Jan 2027; 2026-W01 started on 29 Dec 2025
+        expect(lastYearStart(week(2027, 0, 4))).toBe('2025-12-29');
+        expect(lastYearStart(week(2026, 11, 21))).toBe('2025-12-22');
+    });
+
+    it('falls back to week 52 when last year had no week 53', () => {
+        // 2026-W53 (28 Dec - 3 Jan); 2025 has 52 ISO weeks
+        const lastYear = getLastYearPeriod(week(2026, 11, 28));
+        expect(formatDateISO(lastYear.start)).toBe('2025-12-22');
+        expect(lastYear.label).toBe('22 Dec 2025 - 28 Dec 2025');
+    });
+
+    it('uses the same month one year earlier', () => {
+        const period = { date: new Date(2028, 1, 1), periodType: 'month' };
+        expect(formatDateISO(getLastYearPeriod(period).end)).toBe('2027-02-28');
+    });
+
+    it('has no last-year period for custom ranges', () => {
+        expect(getLastYearPeriod({ date: new Date(2026, 0, 1), periodType: 'custom' })).toBeNull();
+    });
+});
+
+describe('year-over-year comparison', () => {
+    it('lists each missing last-year period once', () => {
+        // W52 and W53 of 2026 both compare with 2025-W52
+        const missing = getMissingLastYearPeriods([week(2026, 11, 21), week(2026, 11, 28)], []);
+        expect(missing.map(period => formatDateISO(period.start))).toEqual(['2025-12-22']);
+    });
+
+    it('compares with the matching week from the reference list', () => {
+        const periods = [week(2026, 11, 21, 8), week(2026, 11, 28, 12)];
+        const reference = [...periods, week(2025, 11, 22, 10)];
+        const getCount = period => period.hostels.Flamingo.count;
+
+        expect(calculateComparisonChange(periods, 1, getCount, { mode: 'yoy', reference })).toMatchObject({ percentage: 20, isNew: false });
+        expect(calculateComparisonChange(periods, 1, getCount, { mode: 'yoy' }).isNew).toBe(true);
+    });
+});
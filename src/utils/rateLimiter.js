@@ -0,0 +1,127 @@
+/**
+ * Token-Bucket Rate Limiter
+ *
+ * Keeps API calls within a requests-per-second budget, no matter how many
+ * callers run at the same time. Every CloudBeds request waits for a token from
+ * the shared limiter in cloudbedsApi.js, so multi-hostel fetches and revenue
+ * enrichment can run concurrently without tripping the API limit.
+ *
+ * How it works:
+ * - The bucket holds up to `burst` tokens and refills at `requestsPerSecond`
+ * - acquire() takes a token immediately if one is available, otherwise waits
+ * - Waiting callers are served first-in, first-out; a caller whose AbortSignal
+ *   fires leaves the queue and its acquire() rejects
+ * - pause(ms) empties the bucket and holds all callers (used after HTTP 429)
+ *
+ * @module rateLimiter
+ * @author Artur Mamedov & Claude
+ * @since 2026-10-18
+ */
+
+// ============================================================
+// MAIN EXPORT FUNCTION
+// ============================================================
+
+/**
+ * Create a token-bucket rate limiter
+ *
+ * @export
+ * @param {object} [options]
+ * @param {number} [options.requestsPerSecond=10] - Sustained request rate
+ * @param {number} [options.burst=1] - Requests allowed back-to-back before throttling kicks in
+ * @returns {{acquire: Function, pause: Function, getStats: Function}} Limiter instance
+ *
+ * @example
+ * const limiter = createRateLimiter({ requestsPerSecond: 5 });
+ * await limiter.acquire(); // Resolves when the request may be sent
+ * const response = await fetch(url);
+ *
+ * @example
+ * // Back off every caller for 2 seconds after a 429 response
+ * limiter.pause(2000);
+ */
+export const createRateLimiter = ({ requestsPerSecond = 10, burst = 1 } = {}) => {
+  const msPerToken = 1000 / requestsPerSecond;
+
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  let timer = null;
+  const waiting = []; // Grant callbacks of callers waiting for a token (FIFO)
+
+  // Add the tokens earned since the last refill (capped at burst size)
+  // lastRefill may lie in the future while paused: nothing is earned until then
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + Math.max(0, now - lastRefill) / msPerToken);
+    lastRefill = Math.max(lastRefill, now);
+  };
+
+  // Hand out tokens to waiting callers, then schedule the next check if any remain
+  const drain = () => {
+    timer = null;
+    refill();
+
+    const now = Date.now();
+    while (waiting.length > 0 && now >= pausedUntil && tokens >= 1) {
+      tokens -= 1;
+      waiting.shift()();
+    }
+
+    if (waiting.length > 0) {
+      const wait = now < pausedUntil
+        ? pausedUntil - now
+        : Math.ceil((1 - tokens) * msPerToken);
+      timer = setTimeout(drain, wait);
+    }
+  };
+
+  return {
+    /**
+     * Wait for a token
+     * @param {AbortSignal} [signal] - Stops waiting: the caller leaves the queue without taking a token
+     * @returns {Promise<void>} Resolves when the caller may send its request; rejects with
+     *   `signal.reason` when the signal aborts first
+     */
+    acquire: (signal) => new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const onAbort = () => {
+        const index = waiting.indexOf(grant);
+        if (index >= 0) waiting.splice(index, 1);
+        reject(signal.reason);
+      };
+      const grant = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      waiting.push(grant);
+      if (!timer) drain();
+    }),
+
+    /**
+     * Hold every caller for `ms` milliseconds and empty the bucket
+     * @param {number} ms - Pause duration
+     */
+    pause: (ms) => {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+      tokens = 0;
+      lastRefill = pausedUntil;
+    },
+
+    /**
+     * Current limiter state (for logging)
+     * @returns {{waiting: number, tokens: number, paused: boolean}}
+     */
+    getStats: () => ({
+      waiting: waiting.length,
+      tokens: Math.floor(tokens),
+      paused: Date.now() < pausedUntil
+    })
+  };
+};
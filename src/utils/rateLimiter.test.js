@@ -0,0 +1,78 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRateLimiter } from './rateLimiter';
+
+// Acquire a token and record when it was granted (ms after the test started)
+const track = (limiter, granted) => {
+    const start = Date.now();
+    return limiter.acquire().then(() => granted.push(Date.now() - start));
+};
+
+describe('createRateLimiter', () => {
+    beforeEach(() => vi.useFakeTimers());
+    afterEach(() => vi.useRealTimers());
+
+    it('lets the burst through and then refills one token per interval', async () => {
+        const limiter = createRateLimiter({ requestsPerSecond: 10, burst: 2 });
+        const granted = [];
+        const calls = [1, 2, 3, 4].map(() => track(limiter, granted));
+
+        await vi.advanceTimersByTimeAsync(0);
+        expect(granted).toEqual([0, 0]);
+
+        await vi.advanceTimersByTimeAsync(200);
+        await Promise.all(calls);
+        expect(granted).toEqual([0, 0, 100, 200]);
+    });
+
+    it('does not save up more tokens than the burst while idle', async () => {
+        const limiter = createRateLimiter({ requestsPerSecond: 10, burst: 2 });
+        await vi.advanceTimersByTimeAsync(5000);
+
+        const granted = [];
+        [1, 2, 3].map(() => track(limiter, granted));
+        await vi.advanceTimersByTimeAsync(0);
+
+        expect(granted).toEqual([0, 0]);
+        expect(limiter.getStats().waiting).toBe(1);
+    });
+
+    it('holds every caller while paused', async () => {
+        const limiter = createRateLimiter({ requestsPerSecond: 10, burst: 5 });
+        limiter.pause(1000);
+
+        const granted = [];
+        const call = track(limiter, granted);
+        await vi.advanceTimersByTimeAsync(999);
+        expect(granted).toEqual([]);
+        expect(limiter.getStats().paused).toBe(true);
+
+        // The bucket was emptied: the first token is earned one interval after the pause
+        await vi.advanceTimersByTimeAsync(101);
+        await call;
+        expect(granted).toEqual([1100]);
+    });
+
+    it('drops an aborted caller from the queue without taking a token', async () => {
+        const limiter = createRateLimiter({ requestsPerSecond: 10, burst: 1 });
+        const controller = new AbortController();
+        const granted = [];
+
+        await limiter.acquire();
+        const aborted = limiter.acquire(controller.signal);
+        const next = track(limiter, granted);
+
+        controller.abort(new Error('cancelled'));
+        await expect(aborted).rejects.toThrow('cancelled');
+        expect(limiter.getStats().waiting).toBe(1);
+
+        await vi.advanceTimersByTimeAsync(100);
+        await next;
+        expect(granted).toEqual([100]);
+    });
+
+    it('rejects at once when the signal is already aborted', async () => {
+        const limiter = createRateLimiter();
+        await expect(limiter.acquire(AbortSignal.abort(new Error('cancelled')))).rejects.toThrow('cancelled');
+        expect(limiter.getStats().tokens).toBe(1);
+    });
+});
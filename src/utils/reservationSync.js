@@ -0,0 +1,127 @@
+import { parseBookingDate, getStoredPeriodBounds } from './dateUtils';
+import { calculateHostelMetrics } from './metricsCalculator';
+import { pickEnrichedFields } from './enrichmentCache';
+
+/**
+ * Incremental Sync Merge
+ *
+ * Applies reservations returned by fetchModifiedReservations() to the stored
+ * weeklyData of one hostel, so a later cancellation or date change shows up
+ * without refetching whole periods:
+ * - Bookings already stored (matched by reservation ID) are replaced in every
+ *   period that holds them
+ * - New reservations are added to the stored periods their booking date falls in
+ *   (only periods already loaded for that hostel; custom ranges are skipped)
+ * - Metrics of every changed period are recomputed with calculateHostelMetrics()
+ *
+ * Enriched fields (revenue and booking details, see ENRICHED_FIELDS) are carried
+ * over unless the stay dates changed; those bookings show up for "Enrich Revenue
+ * Data" again. Status changes (check-in, check-out, cancellation) and payments
+ * keep them: `price` is the outstanding balance, not the booking value.
+ */
+
+// Booking fields that mark a reservation as changed (not `price`: the balance moves with every payment)
+const COMPARED_FIELDS = ['status', 'checkin', 'checkout', 'source'];
+
+const isCancelledStatus = (status) => Boolean(status?.toLowerCase().includes('cancel'));
+
+// Changes that make the stored enrichment (total, taxes, rooms) outdated
+const ENRICHMENT_FIELDS = ['checkin', 'checkout'];
+
+const hasChanged = (stored, update) => COMPARED_FIELDS.some(field => stored[field] !== update[field]);
+
+// Merge an updated reservation into the stored booking (keeps enrichment while the stay is unchanged)
+// Only stored fields that hold a value and that the update doesn't carry (e.g. from the cache) are copied
+export const mergeBooking = (stored, update) => {
+    const keepsEnrichment = ENRICHMENT_FIELDS.every(field => stored[field] === update[field]);
+    if (!keepsEnrichment) return update;
+
+    const storedFields = Object.entries(pickEnrichedFields(stored))
+        .filter(([field, value]) => value != null && update[field] == null);
+    return { ...update, ...Object.fromEntries(storedFields) };
+};
+
+/**
+ * Apply modified reservations of one hostel to weeklyData
+ *
+ * @param {Array} weeklyData - Stored periods ({ week, date, periodType, hostels })
+ * @param {string} hostelName - Hostel the reservations belong to
+ * @param {Array} changedBookings - Bookings from fetchModifiedReservations()
+ * @returns {{ weeklyData: Array, stats: { updated: number, cancelled: number, added: number, periods: number } }}
+ *   New weeklyData (unchanged periods keep their identity) and counts of unique reservations
+ */
+export const applyReservationUpdates = (weeklyData, hostelName, changedBookings) => {
+    const updatedIDs = new Set();
+    const cancelledIDs = new Set();
+    const addedIDs = new Set();
+    let periods = 0;
+
+    const changedByID = new Map(changedBookings.map(b => [String(b.reservation), b]));
+
+    // Reservation IDs stored anywhere for this hostel (an update never creates a duplicate)
+    const storedIDs = new Set();
+    weeklyData.forEach(week => {
+        week.hostels[hostelName]?.bookings?.forEach(b => storedIDs.add(String(b.reservation)));
+    });
+    const newBookings = changedBookings.filter(b => !storedIDs.has(String(b.reservation)));
+
+    const result = weeklyData.map(week => {
+        const hostelData = week.hostels[hostelName];
+        if (!hostelData?.bookings) return week;
+
+        let changed = false;
+
+        // 1. Replace stored bookings that were modified
+        const bookings = hostelData.bookings.map(stored => {
+            const id = String(stored.reservation);
+            const update = changedByID.get(id);
+            if (!update || !hasChanged(stored, update)) return stored;
+
+            changed = true;
+            if (!isCancelledStatus(stored.status) && isCancelledStatus(update.status)) {
+                cancelledIDs.add(id);
+            } else {
+                updatedIDs.add(id);
+            }
+            return mergeBooking(stored, update);
+        });
+
+        // 2. Add new reservations booked inside this period
+        const bounds = getStoredPeriodBounds(week);
+        if (bounds) {
+            newBookings.forEach(booking => {
+                const bookingDate = parseBookingDate(booking.bookingDate);
+                if (bookingDate && bookingDate >= bounds.start && bookingDate <= bounds.end) {
+                    bookings.push(booking);
+                    addedIDs.add(String(booking.reservation));
+                    changed = true;
+                }
+            });
+        }
+
+        if (!changed) return week;
+
+        periods++;
+        return {
+            ...week,
+            hostels: {
+                ...week.hostels,
+                [hostelName]: { ...hostelData, ...calculateHostelMetrics(bookings) }
+            }
+        };
+    });
+
+    return {
+        weeklyData: periods > 0 ? result : weeklyData,
+        stats: { updated: updatedIDs.size, cancelled: cancelledIDs.size, added: addedIDs.size, periods }
+    };
+};
+
+// Earliest stored period start for a hostel (baseline for its first incremental sync), or null
+export const getEarliestLoadedDate = (weeklyData, hostelName) => {
+    const dates = weeklyData
+        .filter(week => week.hostels[hostelName])
+        .map(week => new Date(week.date));
+    if (dates.length === 0) return null;
+    return new Date(Math.min(...dates));
+};
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { applyReservationUpdates, mergeBooking } from './reservationSync';
+
+const enriched = { total: 120, netPrice: 108, taxes: 12, roomTypes: ['Dorm'], roomCount: 1 };
+
+const storedBooking = {
+    reservation: '1001',
+    bookingDate: '2026-01-05',
+    checkin: '2026-02-01',
+    checkout: '2026-02-03',
+    price: 100,
+    status: 'confirmed',
+    source: 'Website',
+    ...enriched
+};
+
+describe('mergeBooking', () => {
+    it('keeps the enrichment when only the source changed', () => {
+        const merged = mergeBooking(storedBooking, { ...storedBooking, source: 'Website - Mobile', total: undefined });
+        expect(merged.total).toBe(120);
+        expect(merged.source).toBe('Website - Mobile');
+    });
+
+    it('does not overwrite fields the update carries with missing stored ones', () => {
+        // storedBooking has no guestCountry; the update got one from the enrichment cache
+        const merged = mergeBooking(storedBooking, { ...storedBooking, source: 'Website - Mobile', guestCountry: 'ES' });
+        expect(merged.guestCountry).toBe('ES');
+        expect(merged.total).toBe(120);
+    });
+
+    it('keeps the enrichment of a paid, checked-out reservation', () => {
+        // Balance paid off: price (balance) drops to 0 and the stay moves to checked_out
+        const update = { reservation: '1001', checkin: '2026-02-01', checkout: '2026-02-03', price: 0, status: 'checked_out', source: 'Website' };
+        const merged = mergeBooking(storedBooking, update);
+        expect(merged.total).toBe(120);
+        expect(merged.status).toBe('checked_out');
+    });
+
+    it('drops the enrichment when the stay dates changed', () => {
+        const update = { reservation: '1001', checkin: '2026-02-02', checkout: '2026-02-04', price: 100, status: 'confirmed', source: 'Website' };
+        expect(mergeBooking(storedBooking, update).total).toBeUndefined();
+    });
+});
+
+describe('applyReservationUpdates', () => {
+    const weeklyData = [{
+        week: '5 Jan 2026 - 11 Jan 2026',
+        date: new Date(2026, 0, 5),
+        periodType: 'week',
+        hostels: { Flamingo: { bookings: [storedBooking] } }
+    }];
+    const unenriched = { total: undefined, netPrice: undefined, taxes: undefined };
+
+    it('keeps the enriched revenue of a checked-out reservation', () => {
+        const update = { ...storedBooking, ...unenriched, price: 0, status: 'checked_out' };
+
+        const { weeklyData: result, stats } = applyReservationUpdates(weeklyData, 'Flamingo', [update]);
+
+        expect(stats.updated).toBe(1);
+        expect(result[0].hostels.Flamingo.revenue).toBe(120);
+    });
+
+    it('does not count a payment as an update', () => {
+        const update = { ...storedBooking, ...unenriched, price: 0 };
+
+        const { weeklyData: result, stats } = applyReservationUpdates(weeklyData, 'Flamingo', [update]);
+
+        expect(stats.updated).toBe(0);
+        expect(result[0]).toBe(weeklyData[0]);
+    });
+});
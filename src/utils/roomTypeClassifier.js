@@ -0,0 +1,41 @@
+import { roomCategories, unknownRoomCategory, roomTypeColumnHeaders } from '../config/roomTypeConfig';
+import { findColumnIndex } from './dataParser';
+
+// Classify a room type name into a category (see roomTypeConfig.js)
+export const classifyRoomType = (roomTypeName) => {
+    const normalized = (roomTypeName || '').toString().toLowerCase();
+    const category = roomCategories.find(c => c.patterns.some(pattern => normalized.includes(pattern))) || unknownRoomCategory;
+
+    return { category: category.id, categoryName: category.name };
+};
+
+// Parse an Excel room type cell ("Mixed Dorm, Private Double") into a list of room types
+export const parseRoomTypes = (value) => {
+    if (value === undefined || value === null) return [];
+    return value.toString().split(',').map(name => name.trim()).filter(Boolean);
+};
+
+// Index of the room type column in an Excel header row, or -1
+export const findRoomTypeColumn = (headerRow) => findColumnIndex(headerRow, roomTypeColumnHeaders);
+
+// Room type group of a booking: { key, name, category, categoryName }
+// A booking with several room types is one group ("Mixed Dorm + Private Double");
+// it only has a category when all its room types share it.
+// Bookings without room types (not enriched, Excel without room column) form their own group
+export const getBookingRoomType = (booking) => {
+    const names = [...new Set(booking.roomTypes || [])].sort();
+    if (names.length === 0) {
+        return { key: 'none', name: 'No room type', category: unknownRoomCategory.id, categoryName: unknownRoomCategory.name };
+    }
+
+    const categories = [...new Set(names.map(name => classifyRoomType(name).category))];
+    const category = categories.length === 1
+        ? classifyRoomType(names[0])
+        : { category: unknownRoomCategory.id, categoryName: unknownRoomCategory.name };
+    const name = names.join(' + ');
+
+    return { key: name.toLowerCase(), name, ...category };
+};
+
+// Room categories in display order (config order, other last)
+export const roomCategoryOrder = [...roomCategories, unknownRoomCategory];
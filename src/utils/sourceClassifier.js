@@ -0,0 +1,39 @@
+import { sourceChannels, unknownChannel, directCategories } from '../config/sourceConfig';
+
+// Classify a raw source name into a channel (see sourceConfig.js)
+export const classifySource = (sourceName) => {
+    const normalized = (sourceName || '').toString().toLowerCase();
+    const channel = sourceChannels.find(c => c.patterns.some(pattern => normalized.includes(pattern))) || unknownChannel;
+
+    return {
+        channel: channel.id,
+        channelName: channel.name,
+        sourceCategory: channel.category,
+        isDirect: directCategories.includes(channel.category)
+    };
+};
+
+// Add channel classification fields to a booking (used by API, Excel and paste ingestion)
+export const classifyBooking = (booking) => ({
+    ...booking,
+    ...classifySource(booking.source)
+});
+
+// Channel of a booking
+// Re-classified from the raw source so config changes apply to stored bookings too.
+// Bookings loaded before classification existed have no source: they were only
+// stored when direct, so they count as the website channel
+export const getBookingChannel = (booking) => {
+    if (booking.source) return classifySource(booking.source);
+    if (booking.channel) {
+        const { channel, channelName, sourceCategory, isDirect } = booking;
+        return { channel, channelName, sourceCategory, isDirect };
+    }
+    return classifySource('website');
+};
+
+// Whether a booking counts as direct
+export const isDirectBooking = (booking) => getBookingChannel(booking).isDirect;
+
+// Channels in display order (config order, unknown sources last)
+export const channelOrder = [...sourceChannels, unknownChannel];
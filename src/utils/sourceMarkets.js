@@ -0,0 +1,137 @@
+import { countryColumnHeaders, topMarketsCount } from '../config/marketConfig';
+import { findColumnIndex } from './dataParser';
+import { formatCurrency } from './formatters';
+
+/**
+ * Source Markets (guest nationality)
+ *
+ * Guest country comes from revenue enrichment (`guestCountry`, an ISO code like
+ * "ES") or the Excel export's country column (a code or a name). Codes are
+ * shown as English country names; bookings without a country form their own
+ * "Unknown" market. Per-country metrics live in calculateHostelMetrics().countries.
+ */
+
+// Market key of bookings without a guest country
+export const UNKNOWN_MARKET = 'unknown';
+
+const regionNames = typeof Intl !== 'undefined' && Intl.DisplayNames
+    ? new Intl.DisplayNames(['en'], { type: 'region' })
+    : null;
+
+// Normalize a country value: two-letter codes upper-cased, names trimmed, empty → null
+export const normalizeCountry = (value) => {
+    const country = (value ?? '').toString().trim();
+    if (!country) return null;
+    return /^[a-z]{2}$/i.test(country) ? country.toUpperCase() : country;
+};
+
+// Market key of a booking (normalized guest country or UNKNOWN_MARKET)
+export const getBookingMarket = (booking) => normalizeCountry(booking.guestCountry) || UNKNOWN_MARKET;
+
+// Display name of a market ("ES" → "Spain")
+export const getMarketName = (market) => {
+    if (market === UNKNOWN_MARKET) return 'Unknown';
+    if (/^[A-Z]{2}$/.test(market) && regionNames) {
+        try {
+            return regionNames.of(market) || market;
+        } catch {
+            return market;
+        }
+    }
+    return market;
+};
+
+// Index of the guest country column in an Excel header row, or -1
+export const findCountryColumn = (headerRow) => findColumnIndex(headerRow, countryColumnHeaders);
+
+// Per-country metrics of a period for one hostel, or summed over all hostels when hostel is omitted
+const getPeriodMarkets = (week, hostel) => {
+    const hostels = hostel ? [week.hostels[hostel]] : Object.values(week.hostels);
+    const markets = {};
+
+    hostels.forEach(hostelData => {
+        Object.entries(hostelData?.countries || {}).forEach(([market, metrics]) => {
+            if (!markets[market]) markets[market] = { valid: 0, cancelled: 0, nights: 0, revenue: 0 };
+            markets[market].valid += metrics.valid;
+            markets[market].cancelled += metrics.cancelled;
+            markets[market].nights += metrics.nights;
+            markets[market].revenue += metrics.revenue;
+        });
+    });
+
+    return markets;
+};
+
+// Rank of each known market in a period (1 = most valid bookings)
+const rankMarkets = (markets) => {
+    const ranked = Object.entries(markets)
+        .filter(([market, metrics]) => market !== UNKNOWN_MARKET && metrics.valid > 0)
+        .sort(([, a], [, b]) => b.valid - a.valid || b.revenue - a.revenue);
+    return Object.fromEntries(ranked.map(([market], index) => [market, index + 1]));
+};
+
+/**
+ * Top source markets over the given periods
+ *
+ * Markets are ranked by valid bookings in the latest period (ties and markets
+ * absent there by all periods combined); "Unknown" is returned separately.
+ *
+ * @param {Array} weeklyData - Periods ({ week, hostels: { [name]: { countries } } })
+ * @param {object} [options]
+ * @param {string} [options.hostel] - Only this hostel (default: all hostels combined)
+ * @param {number} [options.limit=topMarketsCount] - Number of markets
+ * @returns {{ markets: Array<{ market, name, periods: Array, rank, previousRank }>, unknown: Array, hasData: boolean }}
+ *   `periods` holds { valid, cancelled, nights, revenue } per period (null when absent);
+ *   `rank` / `previousRank` are the ranks in the latest and previous period (null when unranked)
+ */
+export const getTopMarkets = (weeklyData, { hostel, limit = topMarketsCount } = {}) => {
+    const periods = weeklyData.map(week => getPeriodMarkets(week, hostel));
+    const latest = periods[periods.length - 1] || {};
+    const latestRanks = rankMarkets(latest);
+    const previousRanks = periods.length > 1 ? rankMarkets(periods[periods.length - 2]) : {};
+
+    const totals = {};
+    periods.forEach(markets => {
+        Object.entries(markets).forEach(([market, metrics]) => {
+            totals[market] = (totals[market] || 0) + metrics.valid;
+        });
+    });
+
+    const markets = Object.keys(totals)
+        .filter(market => market !== UNKNOWN_MARKET && totals[market] > 0)
+        .sort((a, b) => (latestRanks[a] ?? Infinity) - (latestRanks[b] ?? Infinity) || totals[b] - totals[a])
+        .slice(0, limit)
+        .map(market => ({
+            market,
+            name: getMarketName(market),
+            periods: periods.map(p => p[market] || null),
+            rank: latestRanks[market] ?? null,
+            previousRank: previousRanks[market] ?? null
+        }));
+
+    return {
+        markets,
+        unknown: periods.map(p => p[UNKNOWN_MARKET] || null),
+        hasData: markets.length > 0
+    };
+};
+
+/**
+ * Plain-text top markets summary for the AI analysis prompt
+ *
+ * @param {Array} weeklyData - Periods shown in the dashboard
+ * @returns {string} One line per market with valid bookings, nights and revenue per period ('' without country data)
+ */
+export const formatMarketSummary = (weeklyData) => {
+    const { markets, unknown, hasData } = getTopMarkets(weeklyData);
+    if (!hasData) return '';
+
+    const formatPeriods = (periods) => periods
+        .map((metrics, i) => `${weeklyData[i].week}: ${metrics ? `${metrics.valid} bookings, ${metrics.nights} nights, ${formatCurrency(metrics.revenue)}` : '-'}`)
+        .join(' | ');
+
+    const lines = markets.map(m => `- ${m.name}: ${formatPeriods(m.periods)}`);
+    if (unknown.some(Boolean)) lines.push(`- Unknown country: ${formatPeriods(unknown)}`);
+
+    return lines.join('\n');
+};
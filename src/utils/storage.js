@@ -0,0 +1,540 @@
+/**
+ * Local Persistence Utility (IndexedDB)
+ *
+ * This module persists dashboard data in the browser's IndexedDB so that a page
+ * refresh does not wipe API fetches and revenue enrichment results.
+ *
+ * What is stored:
+ * - One record per week in `weeklyData` (keyed by the week label, e.g. "5 Jan 2026 - 11 Jan 2026")
+ * - Each record keeps the full per-hostel metrics, including the raw `bookings`
+ *   arrays with enriched `total` / `netPrice` / `taxes` fields and booking details
+ * - One record per hostel in `syncState` with the time of its last successful
+ *   incremental sync (keyed by hostel name)
+ * - One record per enriched reservation in `enrichmentCache` (keyed by
+ *   "propertyID:reservationID", see enrichmentCache.js)
+ * - The current revenue enrichment job in `enrichmentJobs` (see enrichmentJob.js)
+ * - One record per hostel in `inventory` with the rooms/beds fetched from CloudBeds
+ * - One record per last-year period in `comparisonWeeks` (same shape as `weeks`), fetched
+ *   for the year-over-year comparison and kept out of the dashboard tables
+ * - One record per hostel and week / month in `targets` with its revenue / direct booking targets
+ * - One on-the-books snapshot per day in `paceSnapshots` (keyed by "YYYY-MM-DD", see pace.js)
+ *
+ * Why IndexedDB (not localStorage):
+ * - localStorage is limited to ~5MB and only stores strings
+ * - IndexedDB stores structured data (Date objects survive as Dates) and has
+ *   a much larger quota, which matters once raw bookings for many weeks are kept
+ *
+ * Data Flow:
+ * 1. HostelAnalytics calls loadWeeklyData() on mount and restores state
+ * 2. Every change to weeklyData is written back with saveWeeklyData() (debounced by caller)
+ * 3. Incremental syncs record their time with saveLastSynced(); loadLastSynced() restores it
+ * 4. Enrichment results are written with saveEnrichmentEntries() and restored with loadEnrichmentCache()
+ * 5. The running enrichment job is saved with saveEnrichmentJob() and resumed via loadEnrichmentJob()
+ * 6. "Load inventory" saves each hostel with saveInventory(); loadInventory() restores it
+ * 7. "Fetch last year" periods are saved with saveComparisonWeeks(); loadComparisonWeeks() restores them
+ * 8. Target edits and imports are saved with saveTargets(); loadTargets() restores them
+ * 9. The daily on-the-books snapshot is saved with savePaceSnapshot(); loadPaceSnapshots() restores them
+ * 10. "Clear stored data" calls clearStoredData(); "Clear Enrichment Cache" calls clearEnrichmentCache()
+ *
+ * @module storage
+ * @requires indexedDB (native browser API)
+ * @author Artur Mamedov & Claude
+ * @since 2026-10-18
+ * @updated 2026-10-18 - Added syncState store (per-hostel last sync time)
+ * @updated 2026-10-18 - Added enrichmentCache store
+ * @updated 2026-10-18 - Added enrichmentJobs store (resumable enrichment)
+ * @updated 2026-10-18 - Added inventory store (capacity metrics)
+ * @updated 2026-10-18 - Added comparisonWeeks store (year-over-year comparison)
+ * @updated 2026-10-18 - Added targets store (budget / target tracking)
+ * @updated 2026-10-18 - Added paceSnapshots store (on-the-books pace)
+ */
+
+// ============================================================
+// CONFIGURATION
+// ============================================================
+
+const DB_NAME = 'hostel-analytics';
+const DB_VERSION = 8; // 2: added syncState store, 3: enrichmentCache, 4: enrichmentJobs, 5: inventory, 6: comparisonWeeks, 7: targets, 8: paceSnapshots
+
+// Object store names (one per kind of persisted data)
+const STORES = {
+  weeks: 'weeks',
+  syncState: 'syncState',
+  enrichmentCache: 'enrichmentCache',
+  enrichmentJobs: 'enrichmentJobs',
+  inventory: 'inventory',
+  comparisonWeeks: 'comparisonWeeks',
+  targets: 'targets',
+  paceSnapshots: 'paceSnapshots'
+};
+
+// ============================================================
+// HELPER FUNCTIONS (Internal Use Only)
+// ============================================================
+
+// Cached connection promise - the database is opened once per page load
+let dbPromise = null;
+
+/**
+ * Open (and create/upgrade if needed) the IndexedDB database
+ *
+ * The connection is cached, so repeated calls are cheap. If opening fails
+ * (private browsing, blocked storage), the cache is reset so a later call can retry.
+ *
+ * Other tabs: an upgrade waits until every older connection is closed. This tab
+ * closes its own connection when another tab asks for a newer version
+ * (`onversionchange`), and rejects instead of waiting forever when an older
+ * tab is still open (`onblocked`), so the caller can ask the user to close it.
+ *
+ * @private
+ * @returns {Promise<IDBDatabase>} Open database connection
+ * @throws {Error} If IndexedDB is unavailable or the open request fails
+ *   (name 'StorageBlockedError' when the upgrade is blocked by another tab)
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser.'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    // Create object stores on first open (or when DB_VERSION increases)
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORES.weeks)) {
+        db.createObjectStore(STORES.weeks, { keyPath: 'week' });
+      }
+      if (!db.objectStoreNames.contains(STORES.syncState)) {
+        db.createObjectStore(STORES.syncState, { keyPath: 'hostel' });
+      }
+      if (!db.objectStoreNames.contains(STORES.enrichmentCache)) {
+        db.createObjectStore(STORES.enrichmentCache, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(STORES.enrichmentJobs)) {
+        db.createObjectStore(STORES.enrichmentJobs, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(STORES.inventory)) {
+        db.createObjectStore(STORES.inventory, { keyPath: 'hostel' });
+      }
+      if (!db.objectStoreNames.contains(STORES.comparisonWeeks)) {
+        db.createObjectStore(STORES.comparisonWeeks, { keyPath: 'week' });
+      }
+      if (!db.objectStoreNames.contains(STORES.targets)) {
+        db.createObjectStore(STORES.targets, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(STORES.paceSnapshots)) {
+        db.createObjectStore(STORES.paceSnapshots, { keyPath: 'date' });
+      }
+    };
+
+    // Another tab still has the previous version open
+    request.onblocked = () => {
+      const error = new Error('Stored data is open in another tab of this dashboard. Close the other tabs and reload this page.');
+      error.name = 'StorageBlockedError';
+      reject(error);
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // A newer version opened in another tab: let its upgrade run, reopen on the next call
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+  }).catch(error => {
+    dbPromise = null; // Allow retry on next call
+    throw error;
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Run a callback inside a single IndexedDB transaction
+ *
+ * Resolves when the transaction completes (all writes are durable), not when
+ * the callback returns. The callback's return value may be an IDBRequest, whose
+ * result is passed through.
+ *
+ * @private
+ * @param {string} storeName - Object store to open
+ * @param {'readonly'|'readwrite'} mode - Transaction mode
+ * @param {Function} callback - Receives the IDBObjectStore
+ * @returns {Promise<*>} Result of the request returned by callback (if any)
+ */
+const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const store = transaction.objectStore(storeName);
+    const request = callback(store);
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Revive a value into a Date object
+ *
+ * IndexedDB preserves Date objects, but records written by older code (or
+ * imported JSON) may hold ISO strings or timestamps instead.
+ *
+ * @private
+ * @param {Date|string|number} value - Stored date value
+ * @returns {Date} Date instance
+ */
+const reviveDate = (value) => (value instanceof Date ? value : new Date(value));
+
+// ============================================================
+// MAIN EXPORT FUNCTIONS
+// ============================================================
+
+/**
+ * Save the complete weeklyData array
+ *
+ * Replaces everything stored with the given array in one transaction, so weeks
+ * removed from state are removed from storage too.
+ *
+ * @export
+ * @async
+ * @param {Array} weeklyData - Array of { week, date, hostels } objects
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await saveWeeklyData(weeklyData);
+ */
+export const saveWeeklyData = async (weeklyData) => {
+  await withStore(STORES.weeks, 'readwrite', store => {
+    store.clear();
+    weeklyData.forEach(week => store.put(week));
+  });
+
+  console.log(`[Storage] 💾 Saved ${weeklyData.length} week(s) to IndexedDB`);
+};
+
+/**
+ * Load the stored weeklyData array
+ *
+ * Returns weeks sorted chronologically with `date` revived as Date objects.
+ * Returns an empty array when nothing is stored.
+ *
+ * @export
+ * @async
+ * @returns {Promise<Array>} Array of { week, date, hostels } objects
+ *
+ * @example
+ * const stored = await loadWeeklyData();
+ * if (stored.length > 0) setWeeklyData(stored);
+ */
+export const loadWeeklyData = async () => {
+  const weeks = await withStore(STORES.weeks, 'readonly', store => store.getAll());
+
+  const revived = (weeks || [])
+    .map(week => ({ ...week, date: reviveDate(week.date) }))
+    .sort((a, b) => a.date - b.date);
+
+  console.log(`[Storage] 📂 Loaded ${revived.length} week(s) from IndexedDB`);
+
+  return revived;
+};
+
+/**
+ * Save the last-year periods fetched for the year-over-year comparison
+ *
+ * Same shape as weeklyData, but kept in their own store so they never show up
+ * as dashboard columns. Replaces everything stored, like saveWeeklyData().
+ *
+ * @export
+ * @async
+ * @param {Array} comparisonWeeks - Array of { week, date, hostels } objects
+ * @returns {Promise<void>}
+ */
+export const saveComparisonWeeks = async (comparisonWeeks) => {
+  await withStore(STORES.comparisonWeeks, 'readwrite', store => {
+    store.clear();
+    comparisonWeeks.forEach(week => store.put(week));
+  });
+
+  console.log(`[Storage] 💾 Saved ${comparisonWeeks.length} comparison period(s) to IndexedDB`);
+};
+
+/**
+ * Load the stored last-year comparison periods
+ *
+ * @export
+ * @async
+ * @returns {Promise<Array>} Array of { week, date, hostels } objects, sorted by date
+ */
+export const loadComparisonWeeks = async () => {
+  const weeks = await withStore(STORES.comparisonWeeks, 'readonly', store => store.getAll());
+
+  const revived = (weeks || [])
+    .map(week => ({ ...week, date: reviveDate(week.date) }))
+    .sort((a, b) => a.date - b.date);
+
+  console.log(`[Storage] 📂 Loaded ${revived.length} comparison period(s) from IndexedDB`);
+
+  return revived;
+};
+
+/**
+ * Record the time of a hostel's last successful incremental sync
+ *
+ * @export
+ * @async
+ * @param {string} hostelName - Hostel name (key in hostelConfig)
+ * @param {Date} syncedAt - Start time of the sync window that completed
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await saveLastSynced('Flamingo', syncStartTime);
+ */
+export const saveLastSynced = async (hostelName, syncedAt) => {
+  await withStore(STORES.syncState, 'readwrite', store => {
+    store.put({ hostel: hostelName, lastSyncedAt: syncedAt });
+  });
+};
+
+/**
+ * Load the last incremental sync time of every hostel
+ *
+ * @export
+ * @async
+ * @returns {Promise<Object<string, Date>>} Map of hostel name → last sync time (empty if never synced)
+ *
+ * @example
+ * const lastSynced = await loadLastSynced();
+ * // { Flamingo: Date, Puerto: Date }
+ */
+export const loadLastSynced = async () => {
+  const records = await withStore(STORES.syncState, 'readonly', store => store.getAll());
+
+  return (records || []).reduce((map, record) => {
+    map[record.hostel] = reviveDate(record.lastSyncedAt);
+    return map;
+  }, {});
+};
+
+/**
+ * Save the inventory of a hostel fetched from CloudBeds
+ *
+ * @export
+ * @async
+ * @param {string} hostelName - Hostel name (key in hostelConfig)
+ * @param {{rooms: number, beds: number}} inventory - fetchPropertyInventory() result
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await saveInventory('Flamingo', { rooms: 58, beds: 64 });
+ */
+export const saveInventory = async (hostelName, { rooms, beds }) => {
+  await withStore(STORES.inventory, 'readwrite', store => {
+    store.put({ hostel: hostelName, rooms, beds, fetchedAt: new Date() });
+  });
+};
+
+/**
+ * Load the fetched inventory of every hostel
+ *
+ * @export
+ * @async
+ * @returns {Promise<Object<string, {rooms: number, beds: number, fetchedAt: Date}>>} Map of hostel name → inventory
+ */
+export const loadInventory = async () => {
+  const records = await withStore(STORES.inventory, 'readonly', store => store.getAll());
+
+  return (records || []).reduce((map, record) => {
+    map[record.hostel] = { rooms: record.rooms, beds: record.beds, fetchedAt: reviveDate(record.fetchedAt) };
+    return map;
+  }, {});
+};
+
+/**
+ * Save all hostel targets (replaces everything stored)
+ *
+ * @export
+ * @async
+ * @param {Array} targets - Target records ({ key, hostel, periodType, start, revenue, directBookings }, see targets.js)
+ * @returns {Promise<void>}
+ */
+export const saveTargets = async (targets) => {
+  await withStore(STORES.targets, 'readwrite', store => {
+    store.clear();
+    targets.forEach(target => store.put(target));
+  });
+
+  console.log(`[Storage] 💾 Saved ${targets.length} target record(s) to IndexedDB`);
+};
+
+/**
+ * Load the stored hostel targets
+ *
+ * @export
+ * @async
+ * @returns {Promise<Array>} Target records (empty array when none are stored)
+ */
+export const loadTargets = async () => {
+  const targets = await withStore(STORES.targets, 'readonly', store => store.getAll());
+  return targets || [];
+};
+
+/**
+ * Save the on-the-books snapshot of a day (replaces that day's snapshot)
+ *
+ * Snapshots dated before `keepAfter` are deleted in the same transaction, so
+ * daily snapshots don't pile up forever.
+ *
+ * @export
+ * @async
+ * @param {object} snapshot - Snapshot from createPaceSnapshot() ({ date: 'YYYY-MM-DD', takenAt, coverage, hostels })
+ * @param {string} [keepAfter] - Oldest snapshot date to keep ("YYYY-MM-DD")
+ * @returns {Promise<void>}
+ */
+export const savePaceSnapshot = async (snapshot, keepAfter) => {
+  await withStore(STORES.paceSnapshots, 'readwrite', store => {
+    if (keepAfter) store.delete(IDBKeyRange.upperBound(keepAfter, true));
+    store.put(snapshot);
+  });
+
+  console.log(`[Storage] 💾 Saved on-the-books snapshot of ${snapshot.date}`);
+};
+
+/**
+ * Load the stored on-the-books snapshots
+ *
+ * @export
+ * @async
+ * @returns {Promise<Array>} Snapshots sorted by date, `takenAt` revived as Date
+ */
+export const loadPaceSnapshots = async () => {
+  const snapshots = await withStore(STORES.paceSnapshots, 'readonly', store => store.getAll());
+
+  return (snapshots || [])
+    .map(snapshot => ({ ...snapshot, takenAt: reviveDate(snapshot.takenAt) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Save enrichment cache entries (added or replaced by key)
+ *
+ * @export
+ * @async
+ * @param {Array<object>} entries - Entries from createEnrichmentEntry()
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await saveEnrichmentEntries([createEnrichmentEntry(propertyID, booking, revenue)]);
+ */
+export const saveEnrichmentEntries = async (entries) => {
+  if (entries.length === 0) return;
+
+  await withStore(STORES.enrichmentCache, 'readwrite', store => {
+    entries.forEach(entry => store.put(entry));
+  });
+};
+
+/**
+ * Load the enrichment cache
+ *
+ * @export
+ * @async
+ * @returns {Promise<Map<string, object>>} Map of "propertyID:reservationID" → entry (empty if nothing cached)
+ */
+export const loadEnrichmentCache = async () => {
+  const entries = await withStore(STORES.enrichmentCache, 'readonly', store => store.getAll());
+  const cache = new Map((entries || []).map(entry => [entry.key, { ...entry, cachedAt: reviveDate(entry.cachedAt) }]));
+
+  console.log(`[Storage] 📂 Loaded ${cache.size} cached enrichment(s) from IndexedDB`);
+
+  return cache;
+};
+
+/**
+ * Delete every enrichment cache entry (manual invalidation)
+ *
+ * @export
+ * @async
+ * @returns {Promise<void>}
+ */
+export const clearEnrichmentCache = async () => {
+  await withStore(STORES.enrichmentCache, 'readwrite', store => {
+    store.clear();
+  });
+
+  console.log('[Storage] 🗑️  Cleared enrichment cache');
+};
+
+/**
+ * Save the enrichment job (replaces the stored one with the same ID)
+ *
+ * @export
+ * @async
+ * @param {object} job - Job from createEnrichmentJob()
+ * @returns {Promise<void>}
+ */
+export const saveEnrichmentJob = async (job) => {
+  await withStore(STORES.enrichmentJobs, 'readwrite', store => {
+    store.put(job);
+  });
+};
+
+/**
+ * Load the stored enrichment job
+ *
+ * @export
+ * @async
+ * @param {string} jobID - Job ID (see ENRICHMENT_JOB_ID)
+ * @returns {Promise<object|null>} Stored job, or null if there is none
+ */
+export const loadEnrichmentJob = async (jobID) => {
+  const job = await withStore(STORES.enrichmentJobs, 'readonly', store => store.get(jobID));
+  if (!job) return null;
+
+  console.log(`[Storage] 📂 Loaded enrichment job (${job.status}, ${job.items.length} item(s)) from IndexedDB`);
+
+  return { ...job, createdAt: reviveDate(job.createdAt) };
+};
+
+/**
+ * Delete the stored enrichment job
+ *
+ * @export
+ * @async
+ * @param {string} jobID - Job ID (see ENRICHMENT_JOB_ID)
+ * @returns {Promise<void>}
+ */
+export const clearEnrichmentJob = async (jobID) => {
+  await withStore(STORES.enrichmentJobs, 'readwrite', store => {
+    store.delete(jobID);
+  });
+};
+
+/**
+ * Delete all stored dashboard data
+ *
+ * @export
+ * @async
+ * @returns {Promise<void>}
+ */
+export const clearStoredData = async () => {
+  const db = await openDatabase();
+  const storeNames = Array.from(db.objectStoreNames);
+
+  await Promise.all(storeNames.map(name =>
+    withStore(name, 'readwrite', store => {
+      store.clear();
+    })
+  ));
+
+  console.log('[Storage] 🗑️  Cleared all stored data');
+};
@@ -0,0 +1,268 @@
+import { hostelConfig } from '../config/hostelConfig';
+import { targetMetrics, targetPeriodTypes, targetThresholds, targetSheetColumns, targetPeriodTypeAliases } from '../config/targetConfig';
+import { dateConfig, calculatePeriod, formatDateISO, getStoredPeriodBounds, parseBookingDate } from './dateUtils';
+import { findColumnIndex } from './dataParser';
+import { parsePrice } from './formatters';
+
+/**
+ * Budget & Target Tracking
+ *
+ * Targets are stored as one record per hostel and week / month:
+ * { key, hostel, periodType, start: 'YYYY-MM-DD', revenue, directBookings }
+ * (a metric without a target is omitted). They are edited in TargetsPanel or
+ * imported from an Excel sheet (parseTargetSheet) and persisted in IndexedDB.
+ *
+ * For a shown period the target is the record of the same period type and
+ * start; otherwise it is prorated by days from the monthly targets covering the
+ * whole period (weeks, quarters, years and re-bucketed periods).
+ *
+ * - attainment = actual ÷ target
+ * - variance   = actual − target
+ * - pace       = actual ÷ (target × share of the period elapsed), for the period in progress
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Display info of a target metric (falls back to revenue)
+export const getTargetMetricInfo = (metricId) => targetMetrics.find(m => m.id === metricId) || targetMetrics[0];
+
+// Storage key of a hostel's target record for a period
+export const getTargetKey = (hostel, periodType, start) => `${hostel}|${periodType}|${start}`;
+
+// Start ("YYYY-MM-DD") of the week / month containing a date
+export const getTargetPeriodStart = (periodType, date) => (
+    formatDateISO(calculatePeriod(date, { ...dateConfig, type: periodType }).start)
+);
+
+// Targets with a metric set or cleared (value null / '' removes it; records left empty are dropped)
+export const setTargetValue = (targets, { hostel, periodType, date, metric, value }) => {
+    const start = getTargetPeriodStart(periodType, date);
+    const key = getTargetKey(hostel, periodType, start);
+    const existing = targets.find(t => t.key === key) || { key, hostel, periodType, start };
+    const updated = { ...existing };
+
+    const number = value === '' || value == null ? null : Number(value);
+    if (number == null || isNaN(number)) {
+        delete updated[metric];
+    } else {
+        updated[metric] = number;
+    }
+
+    const others = targets.filter(t => t.key !== key);
+    return targetMetrics.some(m => updated[m.id] != null) ? [...others, updated] : others;
+};
+
+// Targets with the imported records merged in (imported metrics replace stored ones)
+export const mergeTargets = (targets, imported) => {
+    const byKey = new Map(targets.map(t => [t.key, t]));
+    imported.forEach(record => {
+        byKey.set(record.key, { ...byKey.get(record.key), ...record });
+    });
+    return [...byKey.values()];
+};
+
+// Days in a date range (inclusive, whole days)
+const countDays = (start, end) => Math.round((end - start) / DAY_MS) + 1;
+
+// Start of the day of a date
+const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+/**
+ * Target of a hostel for a shown period
+ *
+ * @param {Array} targets - Stored target records
+ * @param {string} hostel - Hostel name
+ * @param {object} period - Period ({ date, periodType })
+ * @param {string} metricId - 'revenue' | 'directBookings'
+ * @returns {{ value: number, prorated: boolean }|null} null when no target covers the period
+ */
+export const getPeriodTarget = (targets, hostel, period, metricId) => {
+    const bounds = getStoredPeriodBounds(period);
+    if (!bounds) return null;
+
+    const periodType = period.periodType || 'week';
+    const hostelTargets = targets.filter(t => t.hostel === hostel && t[metricId] != null);
+
+    if (targetPeriodTypes.includes(periodType)) {
+        const exact = hostelTargets.find(t => t.periodType === periodType && t.start === formatDateISO(bounds.start));
+        if (exact) return { value: exact[metricId], prorated: false };
+    }
+
+    // Prorate monthly targets by the days of the period they cover (every day must be covered)
+    const days = countDays(startOfDay(bounds.start), startOfDay(bounds.end));
+    let coveredDays = 0;
+    let value = 0;
+    hostelTargets.filter(t => t.periodType === 'month').forEach(target => {
+        const month = calculatePeriod(parseBookingDate(target.start), { ...dateConfig, type: 'month' });
+        const overlapStart = startOfDay(Math.max(month.start, bounds.start));
+        const overlapEnd = startOfDay(Math.min(month.end, bounds.end));
+        if (overlapEnd < overlapStart) return;
+
+        const overlapDays = countDays(overlapStart, overlapEnd);
+        coveredDays += overlapDays;
+        value += target[metricId] * overlapDays / countDays(startOfDay(month.start), startOfDay(month.end));
+    });
+
+    return coveredDays === days ? { value: Math.round(value * 100) / 100, prorated: true } : null;
+};
+
+/**
+ * Attainment, variance and pacing of an actual value against a target
+ *
+ * @param {number} actual - Actual value so far
+ * @param {number} target - Target of the whole period
+ * @param {{ start: Date, end: Date }} bounds - Period bounds
+ * @param {Date} [now=new Date()] - Current time (for pacing)
+ * @returns {object} { actual, target, attainment, variance, status, elapsedShare, expected, pace, projected }
+ *   status: 'upcoming' | 'in-progress' | 'complete'; pace / projected only while in progress
+ */
+export const calculateTargetAttainment = (actual, target, bounds, now = new Date()) => {
+    const attainment = target > 0 ? Math.round((actual / target) * 100) : null;
+    const result = {
+        actual,
+        target,
+        attainment,
+        variance: actual - target,
+        status: 'complete',
+        elapsedShare: 1,
+        expected: target,
+        pace: attainment,
+        projected: actual
+    };
+
+    if (!bounds || now > bounds.end) return result;
+    if (now < bounds.start) return { ...result, status: 'upcoming', elapsedShare: 0, expected: 0, pace: null, projected: null };
+
+    const elapsedDays = countDays(startOfDay(bounds.start), startOfDay(now));
+    const elapsedShare = elapsedDays / countDays(startOfDay(bounds.start), startOfDay(bounds.end));
+    const expected = target * elapsedShare;
+
+    return {
+        ...result,
+        status: 'in-progress',
+        elapsedShare,
+        expected,
+        pace: expected > 0 ? Math.round((actual / expected) * 100) : null,
+        projected: actual / elapsedShare
+    };
+};
+
+// Attainment of a hostel for a shown period and metric, null without a target
+export const getHostelTargetAttainment = (targets, period, hostel, metricId, now) => {
+    const target = getPeriodTarget(targets, hostel, period, metricId);
+    if (!target) return null;
+
+    const actual = period.hostels[hostel]?.[getTargetMetricInfo(metricId).metricKey] || 0;
+    return {
+        ...calculateTargetAttainment(actual, target.value, getStoredPeriodBounds(period), now),
+        prorated: target.prorated
+    };
+};
+
+// Attainment of the hostels with a target for a shown period (totals rows), null when none has one
+export const getTotalTargetAttainment = (targets, period, metricId, now) => {
+    const metricKey = getTargetMetricInfo(metricId).metricKey;
+    let target = 0;
+    let actual = 0;
+    let hostelCount = 0;
+    let prorated = false;
+
+    Object.keys(hostelConfig).forEach(hostel => {
+        const hostelTarget = getPeriodTarget(targets, hostel, period, metricId);
+        if (!hostelTarget) return;
+
+        target += hostelTarget.value;
+        actual += period.hostels[hostel]?.[metricKey] || 0;
+        hostelCount++;
+        prorated = prorated || hostelTarget.prorated;
+    });
+
+    if (hostelCount === 0) return null;
+    return {
+        ...calculateTargetAttainment(actual, target, getStoredPeriodBounds(period), now),
+        prorated,
+        hostelCount
+    };
+};
+
+// Whether any hostel has a target for any of the periods
+export const hasPeriodTargets = (periods, targets) => targets.length > 0 && periods.some(period => (
+    targetMetrics.some(metric => getTotalTargetAttainment(targets, period, metric.id))
+));
+
+// Tailwind text color of an attainment / pace % (green = met, amber = close, red = behind)
+export const getAttainmentColor = (percentage) => {
+    if (percentage == null) return 'text-gray-500';
+    if (percentage >= targetThresholds.met) return 'text-green-600';
+    if (percentage >= targetThresholds.close) return 'text-amber-600';
+    return 'text-red-600';
+};
+
+// Period type of an Excel cell ('month' when empty or unknown)
+const parseTargetPeriodType = (value) => {
+    const text = (value || '').toString().trim().toLowerCase();
+    return Object.keys(targetPeriodTypeAliases).find(type => targetPeriodTypeAliases[type].includes(text)) || 'month';
+};
+
+// Date of an Excel "Start" cell: any booking date format, or "YYYY-MM" for months
+const parseTargetStart = (value) => {
+    const monthMatch = typeof value === 'string' && value.trim().match(/^(\d{4})-(\d{1,2})$/);
+    if (monthMatch) return new Date(Number(monthMatch[1]), Number(monthMatch[2]) - 1, 1);
+    return parseBookingDate(value);
+};
+
+/**
+ * Parse a target sheet (rows from XLSX sheet_to_json with header: 1)
+ *
+ * The header row is the first row with a hostel column. Hostel names must match
+ * hostelConfig (case-insensitive).
+ *
+ * @param {Array<Array>} rows - Sheet rows
+ * @returns {{ targets: Array, errors: Array<string> }} Target records and skipped-row messages
+ */
+export const parseTargetSheet = (rows) => {
+    const headerIndex = rows.findIndex(row => findColumnIndex(row, targetSheetColumns.hostel) >= 0);
+    if (headerIndex < 0) {
+        return { targets: [], errors: [`No "Hostel" column found (expected headers: ${targetSheetColumns.hostel.join(', ')})`] };
+    }
+
+    const header = rows[headerIndex];
+    const columns = Object.fromEntries(Object.entries(targetSheetColumns).map(([field, headers]) => (
+        [field, findColumnIndex(header, headers)]
+    )));
+    const hostelNames = Object.keys(hostelConfig);
+
+    let targets = [];
+    const errors = [];
+
+    rows.slice(headerIndex + 1).forEach((row, i) => {
+        if (!row || row.length === 0 || !row[columns.hostel]) return;
+        const rowNumber = headerIndex + i + 2;
+
+        const hostel = hostelNames.find(name => name.toLowerCase() === row[columns.hostel].toString().trim().toLowerCase());
+        const periodType = columns.periodType >= 0 ? parseTargetPeriodType(row[columns.periodType]) : 'month';
+        const date = columns.start >= 0 ? parseTargetStart(row[columns.start]) : null;
+
+        if (!hostel) {
+            errors.push(`Row ${rowNumber}: unknown hostel "${row[columns.hostel]}"`);
+            return;
+        }
+        if (!date) {
+            errors.push(`Row ${rowNumber}: missing or invalid start date`);
+            return;
+        }
+
+        targetMetrics.forEach(metric => {
+            const cell = columns[metric.id] >= 0 ? row[columns[metric.id]] : null;
+            if (cell === '' || cell == null) return;
+            const value = typeof cell === 'string' ? parsePrice(cell) : cell;
+            targets = setTargetValue(targets, { hostel, periodType, date, metric: metric.id, value });
+        });
+    });
+
+    return { targets, errors };
+};
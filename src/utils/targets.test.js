@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { getStoredPeriodBounds } from './dateUtils';
+import { getPeriodTarget, calculateTargetAttainment } from './targets';
+
+// Revenue targets of 100/day in March and April 2026
+const march = { key: 'Flamingo|month|2026-03-01', hostel: 'Flamingo', periodType: 'month', start: '2026-03-01', revenue: 3100 };
+const april = { key: 'Flamingo|month|2026-04-01', hostel: 'Flamingo', periodType: 'month', start: '2026-04-01', revenue: 3000 };
+
+// Monday 30 March - Sunday 5 April: 2 days in March, 5 in April
+const week = { date: new Date(2026, 2, 30), periodType: 'week', hostels: {} };
+
+describe('getPeriodTarget', () => {
+    it('prorates the monthly targets of a week spanning two months', () => {
+        expect(getPeriodTarget([march, april], 'Flamingo', week, 'revenue')).toEqual({ value: 700, prorated: true });
+    });
+
+    it('has no target when a month of the period has none', () => {
+        expect(getPeriodTarget([march], 'Flamingo', week, 'revenue')).toBeNull();
+        expect(getPeriodTarget([march, april], 'Flamingo', week, 'directBookings')).toBeNull();
+    });
+
+    it('prefers a target set for the period itself', () => {
+        const weekTarget = { key: 'Flamingo|week|2026-03-30', hostel: 'Flamingo', periodType: 'week', start: '2026-03-30', revenue: 650 };
+        expect(getPeriodTarget([march, april, weekTarget], 'Flamingo', week, 'revenue')).toEqual({ value: 650, prorated: false });
+    });
+
+    it('uses a monthly target as is for its month', () => {
+        const period = { date: new Date(2026, 3, 1), periodType: 'month', hostels: {} };
+        expect(getPeriodTarget([march, april], 'Flamingo', period, 'revenue')).toEqual({ value: 3000, prorated: false });
+    });
+});
+
+describe('calculateTargetAttainment', () => {
+    const october = getStoredPeriodBounds({ date: new Date(2026, 9, 1), periodType: 'month' });
+
+    it('paces the period in progress by the share of days elapsed', () => {
+        // 10 of 31 days elapsed: 1000 of the 3100 target expected so far
+        const result = calculateTargetAttainment(800, 3100, october, new Date(2026, 9, 10, 12));
+
+        expect(result).toMatchObject({ status: 'in-progress', expected: 1000, pace: 80, projected: 2480, attainment: 26 });
+    });
+
+    it('reports finished and future periods without pacing', () => {
+        expect(calculateTargetAttainment(3300, 3100, october, new Date(2026, 10, 2))).toMatchObject({ status: 'complete', attainment: 106, variance: 200 });
+        expect(calculateTargetAttainment(0, 3100, october, new Date(2026, 8, 20))).toMatchObject({ status: 'upcoming', pace: null });
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Bounded-Concurrency Task Pool
+ *
+ * Runs an async worker over a list of items with at most `concurrency` workers
+ * in flight, e.g. fetching 11 hostels 4 at a time instead of one after another.
+ * Request pacing is still handled by the CloudBeds rate limiter; the pool only
+ * caps how many tasks are open at once.
+ *
+ * Cancellation:
+ * Pass an AbortSignal. Once it is aborted no new task is started; tasks that
+ * never started are reported as 'cancelled'. In-flight tasks are expected to
+ * watch the same signal themselves (cloudbedsApi functions accept it).
+ *
+ * A failing task never stops the pool: every item gets a result entry.
+ *
+ * @module taskPool
+ * @author Artur Mamedov & Claude
+ * @since 2026-10-18
+ */
+
+// ============================================================
+// MAIN EXPORT FUNCTION
+// ============================================================
+
+/**
+ * Run `worker` for every item with bounded parallelism
+ *
+ * @export
+ * @async
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, index) => value
+ * @param {object} [options]
+ * @param {number} [options.concurrency=4] - Maximum tasks in flight
+ * @param {AbortSignal} [options.signal] - Stops starting new tasks when aborted
+ * @returns {Promise<Array<{item: *, status: 'fulfilled'|'rejected'|'cancelled', value?: *, error?: Error}>>}
+ *   One result per item, in input order
+ *
+ * @example
+ * const controller = new AbortController();
+ * const results = await runWithConcurrency(hostelList, hostel => fetchHostel(hostel), {
+ *   concurrency: 4,
+ *   signal: controller.signal
+ * });
+ * const failed = results.filter(r => r.status === 'rejected');
+ */
+export const runWithConcurrency = async (items, worker, { concurrency = 4, signal } = {}) => {
+  const results = items.map(item => ({ item, status: 'cancelled' }));
+  let nextIndex = 0;
+
+  // Each runner takes the next unstarted item until none are left (or cancelled)
+  const runner = async () => {
+    while (nextIndex < items.length && !signal?.aborted) {
+      const index = nextIndex++;
+      try {
+        const value = await worker(items[index], index);
+        results[index] = { item: items[index], status: 'fulfilled', value };
+      } catch (error) {
+        results[index] = { item: items[index], status: 'rejected', error };
+      }
+    }
+  };
+
+  const runnerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: runnerCount }, runner));
+
+  return results;
+};
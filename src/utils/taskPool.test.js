@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { runWithConcurrency } from './taskPool';
+
+// Resolves on the next macrotask so several workers overlap
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('runWithConcurrency', () => {
+    it('never runs more than `concurrency` workers at once', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        const results = await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], async (item) => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await tick();
+            running--;
+            return item * 2;
+        }, { concurrency: 3 });
+
+        expect(maxRunning).toBe(3);
+        expect(results.map(result => result.value)).toEqual([2, 4, 6, 8, 10, 12, 14]);
+    });
+
+    it('reports a failing item and keeps running the rest', async () => {
+        const results = await runWithConcurrency(['Flamingo', 'Puerta', 'Arena'], async (hostel) => {
+            await tick();
+            if (hostel === 'Puerta') throw new Error('HTTP 500');
+            return hostel;
+        }, { concurrency: 1 });
+
+        expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected', 'fulfilled']);
+        expect(results[1].error.message).toBe('HTTP 500');
+    });
+
+    it('stops starting items once aborted and reports them as cancelled', async () => {
+        const controller = new AbortController();
+        const started = [];
+        const results = await runWithConcurrency([1, 2, 3, 4, 5], async (item) => {
+            started.push(item);
+            if (item === 2) controller.abort();
+            await tick();
+            return item;
+        }, { concurrency: 2, signal: controller.signal });
+
+        expect(started).toEqual([1, 2]);
+        expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled', 'cancelled', 'cancelled', 'cancelled']);
+    });
+});
@@ -0,0 +1,10 @@
+import { defineConfig } from 'vitest/config'
+
+// Separate from vite.config.js, which reads the local HTTPS certificates of the dev server
+export default defineConfig({
+    test: {
+        environment: 'node',
+        include: ['src/**/*.test.js'],
+        passWithNoTests: true
+    }
+})